@@ -0,0 +1,131 @@
+/**
+ * ==================================================
+ * AUTO-APPROVAL RULE CONTROLLER
+ * ==================================================
+ * Lets managers manage the rules that approve routine swap requests
+ * automatically (see autoApprovalService):
+ * - Listing rules
+ * - Creating a rule for a facility or one of its departments
+ * - Editing or deactivating a rule
+ */
+
+const AutoApprovalRule = require('../models/AutoApprovalRule');
+const Facility = require('../models/Facility');
+
+// Check the facility exists and, if given, that the department belongs to it
+const checkScope = async (facilityId, department) => {
+  const facility = await Facility.findById(facilityId);
+  if (!facility) {
+    return 'Facility not found';
+  }
+
+  if (department && !facility.departments.some(d => d.name === department)) {
+    return `Department "${department}" does not exist in ${facility.name}`;
+  }
+
+  return null;
+};
+
+// Get auto-approval rules, optionally filtered by facility, department or active state
+exports.getRules = async (req, res, next) => {
+  try {
+    const { facility, department, isActive } = req.query;
+
+    const filter = {};
+    if (facility) filter.facility = facility;
+    if (department) filter.department = department;
+    if (isActive !== undefined) filter.isActive = isActive === 'true';
+
+    const rules = await AutoApprovalRule.find(filter)
+      .populate('facility', 'name')
+      .populate('createdBy', 'name email')
+      .populate('updatedBy', 'name email')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      count: rules.length,
+      data: { rules },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Create an auto-approval rule
+exports.createRule = async (req, res, next) => {
+  try {
+    const { name, facility, department, conditions, isActive } = req.body;
+
+    const scopeError = await checkScope(facility, department);
+    if (scopeError) {
+      return res.status(400).json({
+        success: false,
+        message: scopeError,
+      });
+    }
+
+    const rule = await AutoApprovalRule.create({
+      name,
+      facility,
+      department: department || null,
+      conditions,
+      isActive,
+      createdBy: req.user.id,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Auto-approval rule created successfully',
+      data: { rule },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Update an auto-approval rule (set isActive: false to switch it off)
+exports.updateRule = async (req, res, next) => {
+  try {
+    const { name, department, conditions, isActive } = req.body;
+
+    const rule = await AutoApprovalRule.findById(req.params.id);
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Auto-approval rule not found',
+      });
+    }
+
+    if (department !== undefined) {
+      const scopeError = await checkScope(rule.facility, department);
+      if (scopeError) {
+        return res.status(400).json({
+          success: false,
+          message: scopeError,
+        });
+      }
+      rule.department = department || null;
+    }
+
+    if (name) rule.name = name;
+    if (conditions) {
+      // Only the conditions sent are changed
+      Object.entries(conditions).forEach(([key, value]) => {
+        rule.set(`conditions.${key}`, value);
+      });
+    }
+    if (isActive !== undefined) rule.isActive = isActive;
+    rule.updatedBy = req.user.id;
+
+    await rule.save();
+
+    res.json({
+      success: true,
+      message: 'Auto-approval rule updated successfully',
+      data: { rule },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,130 @@
+/**
+ * ==================================================
+ * AUTO SCHEDULE CONTROLLER
+ * ==================================================
+ * Lets managers fill open shifts with the schedule builder
+ * (see autoSchedulerService):
+ * - Building a draft for a department and date range
+ * - Reviewing drafts, including shifts that could not be filled
+ * - Publishing a draft (all of it or chosen shifts) or discarding it
+ */
+
+const ScheduleDraft = require('../models/ScheduleDraft');
+const autoSchedulerService = require('../services/autoSchedulerService');
+
+// Load a draft with its shifts and staff filled in
+const loadDraft = (id) => ScheduleDraft.findById(id)
+  .populate('facility', 'name')
+  .populate('assignments.shift', 'title date startTime endTime isEmergency')
+  .populate('assignments.user', 'name email')
+  .populate('unfilled.shift', 'title date startTime endTime isEmergency requiredCredentials')
+  .populate('createdBy', 'name email')
+  .populate('publishedBy', 'name email');
+
+// Build a draft schedule for a department's open shifts
+exports.buildSchedule = async (req, res, next) => {
+  try {
+    const { department, facility, startDate, endDate } = req.body;
+
+    const built = await autoSchedulerService.buildDraft({
+      department,
+      facility: facility || null,
+      startDate: new Date(startDate),
+      endDate: new Date(endDate),
+    }, req.user.id);
+
+    const draft = await loadDraft(built._id);
+
+    res.status(201).json({
+      success: true,
+      message: draft.unfilled.length > 0
+        ? `Draft built: ${draft.assignments.length} shift(s) filled, ${draft.unfilled.length} could not be filled`
+        : `Draft built: ${draft.assignments.length} shift(s) filled`,
+      data: { draft },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Get schedule drafts, optionally filtered by department or status
+exports.getDrafts = async (req, res, next) => {
+  try {
+    const { department, status } = req.query;
+
+    const filter = {};
+    if (department) filter.department = department;
+    if (status) filter.status = status;
+
+    const drafts = await ScheduleDraft.find(filter)
+      .select('-assignments -unfilled')
+      .populate('facility', 'name')
+      .populate('createdBy', 'name email')
+      .sort({ createdAt: -1 })
+      .limit(50);
+
+    res.json({
+      success: true,
+      count: drafts.length,
+      data: { drafts },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Get one draft with its proposed assignments and unfilled shifts
+exports.getDraft = async (req, res, next) => {
+  try {
+    const draft = await loadDraft(req.params.id);
+    if (!draft) {
+      return res.status(404).json({
+        success: false,
+        message: 'Schedule draft not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { draft },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Publish a draft; send shiftIds to publish only those shifts' assignments
+exports.publishDraft = async (req, res, next) => {
+  try {
+    const { assigned, skipped } = await autoSchedulerService.publishDraft(req.params.id, req.user.id, {
+      shiftIds: req.body.shiftIds || null,
+    });
+
+    const draft = await loadDraft(req.params.id);
+
+    res.json({
+      success: true,
+      message: skipped > 0
+        ? `Schedule published. ${assigned} shift(s) assigned, ${skipped} skipped because they changed since the draft was built.`
+        : `Schedule published. ${assigned} shift(s) assigned.`,
+      data: { draft },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Discard a draft without assigning anything
+exports.discardDraft = async (req, res, next) => {
+  try {
+    const draft = await autoSchedulerService.discardDraft(req.params.id);
+
+    res.json({
+      success: true,
+      message: 'Schedule draft discarded',
+      data: { draft },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,141 @@
+/**
+ * ==================================================
+ * DELEGATION CONTROLLER
+ * ==================================================
+ * Lets managers name an acting approver while they are away:
+ * - Listing delegations they gave and received
+ * - Creating a delegation for a date range and scope
+ * - Revoking a delegation early
+ */
+
+const ApprovalDelegation = require('../models/ApprovalDelegation');
+const Facility = require('../models/Facility');
+const User = require('../models/User');
+
+// Populate both people and the facility in scope
+const populateDelegation = (query) => {
+  return query
+    .populate('delegator', 'name email department')
+    .populate('delegate', 'name email department role')
+    .populate('scope.facility', 'name');
+};
+
+// Get delegations the current manager gave or received
+exports.getDelegations = async (req, res, next) => {
+  try {
+    const given = await populateDelegation(
+      ApprovalDelegation.find({ delegator: req.user.id }).sort({ startDate: -1 })
+    );
+    const received = await populateDelegation(
+      ApprovalDelegation.find({ delegate: req.user.id }).sort({ startDate: -1 })
+    );
+
+    res.json({
+      success: true,
+      data: { given, received },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Create a delegation: the delegate acts for the current manager in a scope and date range
+exports.createDelegation = async (req, res, next) => {
+  try {
+    const { delegateId, startDate, endDate, scope, reason } = req.body;
+
+    if (delegateId === req.user.id) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot delegate to yourself',
+      });
+    }
+
+    const delegate = await User.findById(delegateId);
+    if (!delegate || !delegate.isActive) {
+      return res.status(404).json({
+        success: false,
+        message: 'Delegate not found',
+      });
+    }
+
+    if (scope.facility) {
+      const facility = await Facility.findById(scope.facility);
+      if (!facility) {
+        return res.status(404).json({
+          success: false,
+          message: 'Facility not found',
+        });
+      }
+    }
+
+    // An end date without a time covers the whole of that day
+    const end = new Date(endDate);
+    if (end.getUTCHours() === 0 && end.getUTCMinutes() === 0) {
+      end.setUTCHours(23, 59, 59, 999);
+    }
+
+    const delegation = await ApprovalDelegation.create({
+      delegator: req.user.id,
+      delegate: delegateId,
+      startDate: new Date(startDate),
+      endDate: end,
+      scope: {
+        type: scope.type,
+        department: scope.type === 'department' ? scope.department : null,
+        facility: scope.facility || null,
+      },
+      reason,
+    });
+
+    const populated = await populateDelegation(ApprovalDelegation.findById(delegation._id));
+
+    res.status(201).json({
+      success: true,
+      message: 'Delegation created successfully',
+      data: { delegation: populated },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Revoke a delegation before it ends (delegator only)
+exports.revokeDelegation = async (req, res, next) => {
+  try {
+    const delegation = await ApprovalDelegation.findById(req.params.id);
+
+    if (!delegation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Delegation not found',
+      });
+    }
+
+    if (delegation.delegator.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied',
+      });
+    }
+
+    if (!delegation.isActive) {
+      return res.status(400).json({
+        success: false,
+        message: 'Delegation is already revoked',
+      });
+    }
+
+    delegation.isActive = false;
+    delegation.revokedAt = new Date();
+    await delegation.save();
+
+    res.json({
+      success: true,
+      message: 'Delegation revoked successfully',
+      data: { delegation },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -5,6 +5,7 @@
  * Handles emergency broadcast operations:
  * - Send emergency broadcast messages to all staff
  * - Filter recipients by availability and qualifications
+ * - Skip staff whose availability calendar says they can't work
  * - Track broadcast delivery
  */
 
@@ -12,12 +13,19 @@ const User = require('../models/User');
 const Notification = require('../models/Notification');
 const Shift = require('../models/Shift');
 const overtimeCalculationService = require('../services/overtimeCalculationService');
+const availabilityService = require('../services/availabilityService');
+
+// Local time as "HH:mm"
+const toTimeString = (date) =>
+  `${String(date.getHours()).padStart(2, '0')}:${String(date.getMinutes()).padStart(2, '0')}`;
 
 /**
  * SEND EMERGENCY BROADCAST - Send emergency message to all available staff
  * 
  * Features:
  * - Sends to all active staff or filtered by department/qualifications
+ * - Skips staff marked unavailable (unavailable date today, or outside their
+ *   weekly availability for the coverage window)
  * - Creates notifications for all recipients
  * - Can specify time coverage needed (Now + 4/8/12 hours)
  * - Supports multiple delivery channels (notifications, future: SMS, email)
@@ -58,8 +66,8 @@ exports.sendEmergencyBroadcast = async (req, res, next) => {
       recipientFilter.department = department;
     }
 
-    // Get all eligible staff
-    const eligibleStaff = await User.find(recipientFilter)
+    // Get all staff matching the filter
+    const matchingStaff = await User.find(recipientFilter)
       .populate('credentials.credential', 'name')
       .select('-password');
 
@@ -72,6 +80,25 @@ exports.sendEmergencyBroadcast = async (req, res, next) => {
       coverageEndTime.setHours(coverageEndTime.getHours() + parseInt(coverageHours));
     }
 
+    // Skip staff who said they can't work now (or for the coverage window)
+    const windowStart = coverageStartTime || new Date();
+    const windowEnd = coverageEndTime || windowStart;
+    const today = new Date(Date.UTC(windowStart.getFullYear(), windowStart.getMonth(), windowStart.getDate()));
+
+    const skippedUnavailable = [];
+    const eligibleStaff = matchingStaff.filter(staff => {
+      const { isAvailable, reasons } = availabilityService.checkAvailability(
+        staff,
+        today,
+        toTimeString(windowStart),
+        toTimeString(windowEnd)
+      );
+      if (!isAvailable) {
+        skippedUnavailable.push({ _id: staff._id, name: staff.name, reasons });
+      }
+      return isAvailable;
+    });
+
     // Create notifications for all eligible staff
     const notificationPromises = eligibleStaff.map(async (staff) => {
       // Build notification message
@@ -156,6 +183,7 @@ exports.sendEmergencyBroadcast = async (req, res, next) => {
         },
         statistics: {
           totalRecipients: eligibleStaff.length,
+          skippedUnavailable: skippedUnavailable.length,
           availableStaff: availableStaff.length,
           currentlyOnShift: currentlyOnShift.size,
           notificationsSent: notifications.length,
@@ -167,6 +195,7 @@ exports.sendEmergencyBroadcast = async (req, res, next) => {
           department: staff.department,
           isAvailable: !currentlyOnShift.has(staff._id.toString()),
         })),
+        skippedUnavailable,
       },
     });
   } catch (error) {
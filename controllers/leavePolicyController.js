@@ -0,0 +1,215 @@
+/**
+ * ==================================================
+ * LEAVE POLICY CONTROLLER
+ * ==================================================
+ * Lets managers set up leave accrual (see leaveBalanceService):
+ * - Listing, creating and editing leave policies
+ * - Viewing a staff member's balances and ledger
+ * - Adjusting a balance by hand (e.g., opening balances)
+ */
+
+const LeavePolicy = require('../models/LeavePolicy');
+const LeaveLedgerEntry = require('../models/LeaveLedgerEntry');
+const Facility = require('../models/Facility');
+const User = require('../models/User');
+const leaveBalanceService = require('../services/leaveBalanceService');
+
+// Check the facility exists and, if given, that the department belongs to it
+const checkScope = async (facilityId, department) => {
+  const facility = await Facility.findById(facilityId);
+  if (!facility) {
+    return 'Facility not found';
+  }
+
+  if (department && !facility.departments.some(d => d.name === department)) {
+    return `Department "${department}" does not exist in ${facility.name}`;
+  }
+
+  return null;
+};
+
+// Get leave policies, optionally filtered by facility, department, leave type or active state
+exports.getPolicies = async (req, res, next) => {
+  try {
+    const { facility, department, leaveType, isActive } = req.query;
+
+    const filter = {};
+    if (facility) filter.facility = facility;
+    if (department) filter.department = department;
+    if (leaveType) filter.leaveType = leaveType;
+    if (isActive !== undefined) filter.isActive = isActive === 'true';
+
+    const policies = await LeavePolicy.find(filter)
+      .populate('facility', 'name')
+      .populate('createdBy', 'name email')
+      .populate('updatedBy', 'name email')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      count: policies.length,
+      data: { policies },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Create a leave policy
+exports.createPolicy = async (req, res, next) => {
+  try {
+    const {
+      name,
+      facility,
+      department,
+      leaveType,
+      accrual,
+      carryOverCap,
+      hoursPerDay,
+      allowNegativeBalance,
+      effectiveFrom,
+      isActive,
+    } = req.body;
+
+    const scopeError = await checkScope(facility, department);
+    if (scopeError) {
+      return res.status(400).json({
+        success: false,
+        message: scopeError,
+      });
+    }
+
+    const policy = await LeavePolicy.create({
+      name,
+      facility,
+      department: department || null,
+      leaveType,
+      accrual,
+      carryOverCap,
+      hoursPerDay,
+      allowNegativeBalance,
+      effectiveFrom,
+      isActive,
+      createdBy: req.user.id,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Leave policy created successfully',
+      data: { policy },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Update a leave policy (set isActive: false to stop accrual)
+exports.updatePolicy = async (req, res, next) => {
+  try {
+    const { name, department, accrual, carryOverCap, hoursPerDay, allowNegativeBalance, isActive } = req.body;
+
+    const policy = await LeavePolicy.findById(req.params.id);
+    if (!policy) {
+      return res.status(404).json({
+        success: false,
+        message: 'Leave policy not found',
+      });
+    }
+
+    if (department !== undefined) {
+      const scopeError = await checkScope(policy.facility, department);
+      if (scopeError) {
+        return res.status(400).json({
+          success: false,
+          message: scopeError,
+        });
+      }
+      policy.department = department || null;
+    }
+
+    if (name) policy.name = name;
+    if (accrual) {
+      // Only the accrual settings sent are changed
+      Object.entries(accrual).forEach(([key, value]) => {
+        policy.set(`accrual.${key}`, value);
+      });
+    }
+    if (carryOverCap !== undefined) policy.carryOverCap = carryOverCap;
+    if (hoursPerDay !== undefined) policy.hoursPerDay = hoursPerDay;
+    if (allowNegativeBalance !== undefined) policy.allowNegativeBalance = allowNegativeBalance;
+    if (isActive !== undefined) policy.isActive = isActive;
+    policy.updatedBy = req.user.id;
+
+    await policy.save();
+
+    res.json({
+      success: true,
+      message: 'Leave policy updated successfully',
+      data: { policy },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Get a staff member's leave balances and ledger
+exports.getUserLeave = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.params.userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+      });
+    }
+
+    const balances = await leaveBalanceService.getBalances(user);
+    const ledger = await LeaveLedgerEntry.find({ user: user._id })
+      .populate('timeOffRequest', 'type startDate endDate isPartialDay')
+      .populate('performedBy', 'name email')
+      .sort({ createdAt: -1 })
+      .limit(100);
+
+    res.json({
+      success: true,
+      data: { balances, ledger },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Add or remove leave hours by hand; the reason goes into the ledger
+exports.adjustBalance = async (req, res, next) => {
+  try {
+    const { userId, leaveType, hours, reason } = req.body;
+
+    const user = await User.findById(userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+      });
+    }
+
+    const policy = await leaveBalanceService.findPolicy(user, leaveType);
+
+    const ledgerEntry = await leaveBalanceService.applyEntry({
+      user: user._id,
+      leaveType,
+      entryType: 'adjustment',
+      hours: Number(hours),
+      description: reason,
+      policy: policy ? policy._id : null,
+      performedBy: req.user.id,
+    });
+
+    res.json({
+      success: true,
+      message: 'Leave balance adjusted successfully',
+      data: { ledgerEntry },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
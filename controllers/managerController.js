@@ -1,10 +1,19 @@
 const ShiftSwapRequest = require('../models/ShiftSwapRequest');
-const Shift = require('../models/Shift');
-const Notification = require('../models/Notification');
+const TimeOffRequest = require('../models/TimeOffRequest');
 const overtimeCalculationService = require('../services/overtimeCalculationService');
-const shiftHistoryService = require('../services/shiftHistoryService');
-
-// View all pending shift swap requests with search and filters
+const swapRequestRankingService = require('../services/swapRequestRankingService');
+const swapApprovalService = require('../services/swapApprovalService');
+const approvalChainService = require('../services/approvalChainService');
+const delegationService = require('../services/delegationService');
+const timeOffService = require('../services/timeOffService');
+const shiftSwapService = require('../services/shiftSwapService');
+const shiftWaitlistService = require('../services/shiftWaitlistService');
+const callInService = require('../services/callInService');
+const transactionService = require('../services/transactionService');
+
+// View all pending shift swap and time off requests with search and filters
+// Requests competing for the same shift are ranked into a queue
+// type=swap or type=time_off limits the list to one kind of request
 exports.getPendingRequests = async (req, res, next) => {
   try {
     const { search, type, priority } = req.query;
@@ -26,7 +35,9 @@ exports.getPendingRequests = async (req, res, next) => {
         path: 'shift',
         match: shiftFilter,
       })
-      .populate('requestedBy', 'name email department role')
+      .populate('requestedBy', 'name email department role yearsOfExperience')
+      .populate('offeredShift')
+      .populate('counterparty', 'name email department role')
       .sort({ 'shift.isEmergency': -1, createdAt: 1 });
 
     // Filter out requests where shift doesn't match (for priority filter)
@@ -45,10 +56,12 @@ exports.getPendingRequests = async (req, res, next) => {
       });
     }
 
-    // Filter by type (currently only swap requests, but structure allows for future types)
-    // Type filter would apply here if we had multiple request types
+    // Filter by type
+    if (type === 'time_off') {
+      pendingRequests = [];
+    }
 
-    // Add overtime warnings for each request
+    // Add overtime warnings for each request, against the shift's department threshold
     const requestsWithOvertime = await Promise.all(
       pendingRequests.map(async (request) => {
         const overtimeCheck = await overtimeCalculationService.checkOvertime(
@@ -57,7 +70,9 @@ exports.getPendingRequests = async (req, res, next) => {
             date: request.shift.date,
             startTime: request.shift.startTime,
             endTime: request.shift.endTime,
-          }
+            kind: request.shift.kind,
+          },
+          await overtimeCalculationService.getOvertimeThreshold(request.shift.facility, request.shift.department)
         );
 
         return {
@@ -67,6 +82,36 @@ exports.getPendingRequests = async (req, res, next) => {
       })
     );
 
+    // Rank requests competing for the same shift (overtime impact, seniority, fairness)
+    const rankedRequests = await swapRequestRankingService.rankCompetingRequests(requestsWithOvertime);
+
+    // Acting approvers only see requests inside their delegations' scope, and
+    // approval chain role holders only those whose current step names them
+    const delegations = req.delegations || await delegationService.getActiveDelegations(req.user._id);
+    const visibleRequests = req.user.role === 'manager'
+      ? rankedRequests
+      : rankedRequests.filter(request => {
+        const step = approvalChainService.getCurrentStep(request);
+        return delegations.some(d => delegationService.coversShift(d, request.shift)) ||
+          (approvalChainService.namesApprover(step) && approvalChainService.canActOnStep(step, req.user));
+      });
+
+    // Show where each request is in its approval chain and whether this user can act on it
+    visibleRequests.forEach(request => {
+      const step = approvalChainService.getCurrentStep(request);
+      const { canAct, actingFor } = delegationService.resolveActingFor(req.user, step, request.shift, delegations);
+
+      request.approvalStep = step
+        ? {
+            number: request.currentApprovalStep + 1,
+            total: request.approvalChain.length,
+            name: step.name,
+            canAct,
+            actingFor,
+          }
+        : null;
+    });
+
     // Calculate summary statistics
     const totalPending = await ShiftSwapRequest.countDocuments({ status: 'pending' });
     
@@ -78,15 +123,36 @@ exports.getPendingRequests = async (req, res, next) => {
       });
     const highPriority = highPriorityRequests.filter(req => req.shift !== null).length;
 
-    // Time off requests count (currently 0 as we only have swap requests)
-    // This is for future implementation when time off requests are added
-    const timeOffRequestCount = 0;
+    // Pending time off requests (managers only; acting approvers decide swaps only)
+    let timeOffRequests = [];
+    if (req.user.role === 'manager' && type !== 'swap') {
+      const pendingTimeOff = await TimeOffRequest.find({ status: 'pending' })
+        .populate('user', 'name email department role')
+        .sort({ startDate: 1 });
+
+      timeOffRequests = pendingTimeOff.filter(request => {
+        if (!search) return true;
+        const searchLower = search.toLowerCase();
+        const employeeName = request.user?.name?.toLowerCase() || '';
+        const department = request.user?.department?.toLowerCase() || '';
+        return employeeName.includes(searchLower) || department.includes(searchLower);
+      });
+
+      // Show which assigned shifts approving each request would release
+      timeOffRequests = await Promise.all(timeOffRequests.map(async (request) => ({
+        ...request.toObject(),
+        affectedShifts: await timeOffService.findAffectedShifts(request),
+      })));
+    }
+
+    const timeOffRequestCount = await TimeOffRequest.countDocuments({ status: 'pending' });
 
     res.json({
       success: true,
-      count: requestsWithOvertime.length,
+      count: visibleRequests.length + timeOffRequests.length,
       data: {
-        swapRequests: requestsWithOvertime,
+        swapRequests: visibleRequests,
+        timeOffRequests,
         summary: {
           totalPending,
           highPriority,
@@ -100,85 +166,65 @@ exports.getPendingRequests = async (req, res, next) => {
 };
 
 // Approve a shift request
+// Credentials, overlap and overtime are re-checked first. Hard failures block
+// approval unless the manager sends override: true with a justification.
+// With a multi-level approval chain each call signs off one step; the swap is
+// only carried out at the final step.
+// Acting approvers can decide requests in their delegation's scope; the
+// request records both them (manager) and the manager they acted for (actingFor).
+// All writes happen in one transaction; a concurrent approval of the same
+// request or shift fails with 409 instead of double-assigning the shift.
 exports.approveRequest = async (req, res, next) => {
   try {
-    const { requestId } = req.body;
+    const { requestId, override, overrideJustification } = req.body;
 
-    const swapRequest = await ShiftSwapRequest.findById(requestId)
-      .populate('shift')
-      .populate('requestedBy');
+    const outcome = await swapApprovalService.approveSwapRequest(requestId, req.user.id, {
+      override,
+      overrideJustification,
+    });
 
-    if (!swapRequest) {
-      return res.status(404).json({
-        success: false,
-        message: 'Swap request not found',
+    if (outcome.stepApproved) {
+      const updatedRequest = await ShiftSwapRequest.findById(requestId)
+        .populate('shift')
+        .populate('requestedBy', 'name email')
+        .populate('approvalChain.decidedBy', 'name email')
+        .populate('approvalChain.decidedOnBehalfOf', 'name email');
+
+      return res.json({
+        success: true,
+        message: `Approval step "${outcome.step.name}" signed off. Waiting for "${outcome.nextStep.name}".`,
+        data: {
+          swapRequest: updatedRequest,
+          approvalStep: {
+            completed: updatedRequest.currentApprovalStep,
+            total: updatedRequest.approvalChain.length,
+            next: outcome.nextStep,
+          },
+          overriddenFailures: outcome.overrideDetails ? outcome.overrideDetails.failures : [],
+          warnings: outcome.validation.warnings,
+        },
       });
     }
 
-    if (swapRequest.status !== 'pending') {
+    if (!outcome.approved) {
       return res.status(400).json({
         success: false,
-        message: 'Request is not pending',
+        message: 'Approval validation failed. Resolve the issues or approve with an override and justification.',
+        errors: outcome.validation.failures,
+        warnings: outcome.validation.warnings,
       });
     }
 
-    // Update swap request
-    swapRequest.status = 'approved';
-    swapRequest.manager = req.user.id;
-    await swapRequest.save();
-
-    // Check overtime before approving
-    const overtimeCheck = await overtimeCalculationService.checkOvertime(
-      swapRequest.requestedBy._id,
-      {
-        date: swapRequest.shift.date,
-        startTime: swapRequest.shift.startTime,
-        endTime: swapRequest.shift.endTime,
-      }
-    );
-
-    // Update shift: assign to requesting staff and set status to approved
-    const shift = await Shift.findById(swapRequest.shift._id);
-    const previousAssignedTo = shift.assignedTo;
-    shift.assignedTo = swapRequest.requestedBy._id;
-    shift.status = 'approved';
-    await shift.save();
-
-    // Record work hours
-    await overtimeCalculationService.recordWorkHours(
-      swapRequest.requestedBy._id,
-      shift._id,
-      shift.date,
-      shift.startTime,
-      shift.endTime
-    );
-
-    // Record history
-    await shiftHistoryService.recordHistory(
-      shift._id,
-      'approved',
-      req.user.id,
-      { assignedTo: previousAssignedTo, status: 'requested' },
-      { assignedTo: swapRequest.requestedBy._id, status: 'approved' },
-      'Shift swap request approved by manager'
-    );
-
-    // Create notification for the requesting staff
-    const notificationMessage = overtimeCheck.wouldExceed
-      ? `Your shift swap request for "${shift.title}" on ${shift.date.toDateString()} has been approved. Note: This will result in overtime (${overtimeCheck.projectedHours.toFixed(1)} hours this week).`
-      : `Your shift swap request for "${shift.title}" on ${shift.date.toDateString()} has been approved.`;
-
-    await Notification.create({
-      user: swapRequest.requestedBy._id,
-      message: notificationMessage,
-      type: 'approval',
-      relatedShift: shift._id,
-    });
+    const { overtimeCheck, overrideDetails, validation } = outcome;
+    const isTwoPartySwap = outcome.shifts.length > 1;
 
     const updatedRequest = await ShiftSwapRequest.findById(requestId)
       .populate('shift')
+      .populate('offeredShift')
       .populate('requestedBy', 'name email')
-      .populate('manager', 'name email');
+      .populate('counterparty', 'name email')
+      .populate('manager', 'name email')
+      .populate('actingFor', 'name email');
 
     res.json({
       success: true,
@@ -186,6 +232,10 @@ exports.approveRequest = async (req, res, next) => {
       data: {
         swapRequest: updatedRequest,
         overtimeWarning: overtimeCheck.wouldExceed ? overtimeCheck : null,
+        autoRejectedCount: outcome.autoRejectedCount,
+        overriddenFailures: overrideDetails ? overrideDetails.failures : [],
+        warnings: validation.warnings,
+        ...(!isTwoPartySwap && { shiftId: outcome.shifts[0]._id }),
       },
     });
   } catch (error) {
@@ -194,69 +244,111 @@ exports.approveRequest = async (req, res, next) => {
 };
 
 // Reject a shift request
+// All writes happen in one transaction; a request approved or rejected by
+// another manager at the same time fails with 409.
 exports.rejectRequest = async (req, res, next) => {
   try {
     const { requestId } = req.body;
 
-    const swapRequest = await ShiftSwapRequest.findById(requestId)
+    await swapApprovalService.rejectSwapRequest(requestId, req.user.id);
+
+    const updatedRequest = await ShiftSwapRequest.findById(requestId)
       .populate('shift')
-      .populate('requestedBy');
+      .populate('requestedBy', 'name email')
+      .populate('manager', 'name email')
+      .populate('actingFor', 'name email');
 
-    if (!swapRequest) {
-      return res.status(404).json({
-        success: false,
-        message: 'Swap request not found',
-      });
-    }
+    res.json({
+      success: true,
+      message: 'Shift swap request rejected successfully',
+      data: { swapRequest: updatedRequest },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
 
-    if (swapRequest.status !== 'pending') {
-      return res.status(400).json({
-        success: false,
-        message: 'Request is not pending',
-      });
-    }
+// Reverse an approved open-shift request
+// The shift is taken off the requester and offered to the next eligible
+// person on its waitlist
+exports.reverseRequest = async (req, res, next) => {
+  try {
+    const { swapRequest, shift } = await transactionService.runInTransaction((session) =>
+      shiftSwapService.reverseApprovedRequest(req.params.id, req.user.id, session)
+    );
+
+    const offer = await shiftWaitlistService.offerNext(shift._id);
 
-    // Update swap request
-    swapRequest.status = 'rejected';
-    swapRequest.manager = req.user.id;
-    await swapRequest.save();
-
-    // Update shift: set status back to 'open'
-    const shift = await Shift.findById(swapRequest.shift._id);
-    const previousStatus = shift.status;
-    shift.status = 'open';
-    await shift.save();
-
-    // Record history
-    await shiftHistoryService.recordHistory(
-      shift._id,
-      'rejected',
+    res.json({
+      success: true,
+      message: offer
+        ? 'Approval reversed. The shift has been offered to the next person on its waitlist.'
+        : 'Approval reversed. The shift is open again.',
+      data: { swapRequest, shift, offeredFromWaitlist: Boolean(offer) },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Call in the assignee of an on-call or standby shift
+// The time worked moves from on-call/standby into worked hours
+exports.callIn = async (req, res, next) => {
+  try {
+    const { startTime, endTime } = req.body;
+    const { shift, callIn, workHours } = await callInService.callIn(req.params.id, { startTime, endTime }, req.user.id);
+
+    res.status(201).json({
+      success: true,
+      message: `Assignee called in for ${workHours.hoursWorked} hour(s)`,
+      data: { shift, callIn, workHours },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Approve many shift requests at once
+// Each request gets the same checks as a single approval; the response
+// reports what happened to every one (approved, failed with reason, skipped)
+exports.bulkApproveRequests = async (req, res, next) => {
+  try {
+    const { requestIds, override, overrideJustification } = req.body;
+
+    const { results, summary } = await swapApprovalService.bulkDecide(
+      requestIds,
       req.user.id,
-      { status: previousStatus },
-      { status: 'open' },
-      'Shift swap request rejected by manager'
+      'approve',
+      { override, overrideJustification }
     );
 
-    // Create notification for the requesting staff
-    await Notification.create({
-      user: swapRequest.requestedBy._id,
-      message: `Your shift swap request for "${shift.title}" on ${shift.date.toDateString()} has been rejected.`,
-      type: 'rejection',
-      relatedShift: shift._id,
+    res.json({
+      success: true,
+      message: `${summary.approved} of ${requestIds.length} request(s) approved`,
+      data: { summary, results },
     });
+  } catch (error) {
+    next(error);
+  }
+};
 
-    const updatedRequest = await ShiftSwapRequest.findById(requestId)
-      .populate('shift')
-      .populate('requestedBy', 'name email')
-      .populate('manager', 'name email');
+// Reject many shift requests at once
+exports.bulkRejectRequests = async (req, res, next) => {
+  try {
+    const { requestIds } = req.body;
+
+    const { results, summary } = await swapApprovalService.bulkDecide(
+      requestIds,
+      req.user.id,
+      'reject'
+    );
 
     res.json({
       success: true,
-      message: 'Shift swap request rejected successfully',
-      data: { swapRequest: updatedRequest },
+      message: `${summary.rejected} of ${requestIds.length} request(s) rejected`,
+      data: { summary, results },
     });
   } catch (error) {
     next(error);
   }
 };
-
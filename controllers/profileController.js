@@ -6,9 +6,13 @@
  * primarily by the mobile app:
  * - Get current user's full profile
  * - Update profile fields in one or more steps
+ * - View leave balances and the accrual ledger
+ * - View and update availability and shift preferences
  */
 
 const User = require('../models/User');
+const LeaveLedgerEntry = require('../models/LeaveLedgerEntry');
+const leaveBalanceService = require('../services/leaveBalanceService');
 
 // GET /api/profile - Get current user's full profile
 exports.getMyProfile = async (req, res, next) => {
@@ -93,4 +97,84 @@ exports.updateMyProfile = async (req, res, next) => {
   }
 };
 
+// Availability and preference fields returned by the availability endpoints
+const AVAILABILITY_FIELDS = 'weeklyAvailability unavailableDates shiftPreferences preferredShiftType';
 
+// GET /api/profile/availability - Current user's availability and shift preferences
+exports.getMyAvailability = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.id).select(AVAILABILITY_FIELDS);
+
+    res.json({
+      success: true,
+      data: {
+        availability: user,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// PUT /api/profile/availability - Replace availability and/or update preferences
+// weeklyAvailability and unavailableDates replace the stored lists when sent;
+// only the preferences sent are changed
+exports.updateMyAvailability = async (req, res, next) => {
+  try {
+    const { weeklyAvailability, unavailableDates, shiftPreferences } = req.body;
+
+    const user = await User.findById(req.user.id);
+
+    if (weeklyAvailability !== undefined) user.weeklyAvailability = weeklyAvailability;
+    if (unavailableDates !== undefined) user.unavailableDates = unavailableDates;
+    if (shiftPreferences) {
+      Object.entries(shiftPreferences).forEach(([key, value]) => {
+        user.set(`shiftPreferences.${key}`, value);
+      });
+    }
+
+    await user.save();
+
+    const updated = await User.findById(req.user.id).select(AVAILABILITY_FIELDS);
+
+    res.json({
+      success: true,
+      message: 'Availability updated successfully',
+      data: {
+        availability: updated,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// GET /api/profile/leave - Current user's leave balances and ledger
+// ?leaveType= limits the ledger to one type, ?limit= caps the entries (default 50)
+exports.getMyLeave = async (req, res, next) => {
+  try {
+    const { leaveType } = req.query;
+    const limit = Math.min(Number(req.query.limit) || 50, 200);
+
+    const balances = await leaveBalanceService.getBalances(req.user);
+
+    const filter = { user: req.user._id };
+    if (leaveType) filter.leaveType = leaveType;
+
+    const ledger = await LeaveLedgerEntry.find(filter)
+      .populate('timeOffRequest', 'type startDate endDate isPartialDay')
+      .populate('performedBy', 'name email')
+      .sort({ createdAt: -1 })
+      .limit(limit);
+
+    res.json({
+      success: true,
+      data: {
+        balances,
+        ledger,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
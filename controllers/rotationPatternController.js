@@ -0,0 +1,159 @@
+/**
+ * ==================================================
+ * ROTATION PATTERN CONTROLLER
+ * ==================================================
+ * Lets managers run fixed rotas (see rotationService):
+ * - Listing the preset rotations and saved patterns
+ * - Creating and editing patterns and their staff groups
+ * - Generating assigned shifts over a planning horizon, with a dry run
+ */
+
+const RotationPattern = require('../models/RotationPattern');
+const rotationService = require('../services/rotationService');
+
+// Get the preset cycles a pattern can be created from
+exports.getPresets = async (req, res, next) => {
+  try {
+    const presets = Object.entries(rotationService.PRESETS).map(([key, preset]) => ({
+      key,
+      name: preset.name,
+      cycleLength: preset.cycle.length,
+      cycle: preset.cycle,
+    }));
+
+    res.json({
+      success: true,
+      data: { presets },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Get rotation patterns, optionally filtered by department, facility or active state
+exports.getPatterns = async (req, res, next) => {
+  try {
+    const { department, facility, isActive } = req.query;
+
+    const filter = {};
+    if (department) filter.department = department;
+    if (facility) filter.facility = facility;
+    if (isActive !== undefined) filter.isActive = isActive === 'true';
+
+    const patterns = await RotationPattern.find(filter)
+      .populate('facility', 'name')
+      .populate('groups.members', 'name email')
+      .populate('createdBy', 'name email')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      count: patterns.length,
+      data: { patterns },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Create a rotation pattern from a preset or a custom cycle
+exports.createPattern = async (req, res, next) => {
+  try {
+    const { name, department, facility, preset, cycle, dayShift, nightShift, anchorDate, groups, requiredCredentials } = req.body;
+
+    if (preset && !rotationService.PRESETS[preset]) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown preset "${preset}"`,
+      });
+    }
+
+    if (!preset && !cycle) {
+      return res.status(400).json({
+        success: false,
+        message: 'Either a preset or a cycle is required',
+      });
+    }
+
+    const pattern = await RotationPattern.create({
+      name: name || rotationService.PRESETS[preset].name,
+      department,
+      facility: facility || null,
+      cycle: preset ? rotationService.PRESETS[preset].cycle : cycle,
+      dayShift,
+      nightShift,
+      anchorDate,
+      groups,
+      requiredCredentials,
+      createdBy: req.user.id,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Rotation pattern created successfully',
+      data: { pattern },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Update a rotation pattern (set isActive: false to stop generating it)
+// Sending groups replaces the whole list; shifts already generated are not changed
+exports.updatePattern = async (req, res, next) => {
+  try {
+    const pattern = await RotationPattern.findById(req.params.id);
+    if (!pattern) {
+      return res.status(404).json({
+        success: false,
+        message: 'Rotation pattern not found',
+      });
+    }
+
+    const fields = ['name', 'department', 'facility', 'cycle', 'dayShift', 'nightShift', 'anchorDate', 'groups', 'requiredCredentials', 'isActive'];
+    fields.forEach(field => {
+      if (req.body[field] !== undefined) pattern[field] = req.body[field];
+    });
+    pattern.updatedBy = req.user.id;
+
+    await pattern.save();
+
+    res.json({
+      success: true,
+      message: 'Rotation pattern updated successfully',
+      data: { pattern },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Generate assigned shifts for a pattern between two dates
+// Weeks that would go over the overtime threshold are flagged, not skipped
+exports.generateShifts = async (req, res, next) => {
+  try {
+    const { startDate, endDate, dryRun } = req.body;
+
+    const result = await rotationService.generateRotation(
+      req.params.id,
+      new Date(startDate),
+      new Date(endDate),
+      req.user.id,
+      { dryRun: dryRun === true }
+    );
+
+    const overtimeNote = result.overtimeWeeks.length > 0
+      ? ` ${result.overtimeWeeks.length} week(s) over the overtime threshold.`
+      : '';
+
+    res.status(result.dryRun ? 200 : 201).json({
+      success: true,
+      message: result.dryRun
+        ? `Dry run: ${result.summary.shifts} shift(s) would be created.${overtimeNote}`
+        : `${result.summary.shifts} shift(s) created.${overtimeNote}`,
+      data: result,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,328 @@
+/**
+ * ==================================================
+ * SCHEDULE PERIOD CONTROLLER
+ * ==================================================
+ * Lets managers build schedules in draft before staff see them
+ * (see schedulePeriodService):
+ * - Listing, creating and editing schedule periods
+ * - Publishing a period, which saves a new version and notifies staff
+ * - Comparing versions, and each staff member's view of what changed for them
+ * - Viewing the changes made to a period since it was last published
+ */
+
+const SchedulePeriod = require('../models/SchedulePeriod');
+const ScheduleVersion = require('../models/ScheduleVersion');
+const User = require('../models/User');
+const schedulePeriodService = require('../services/schedulePeriodService');
+
+// Midnight UTC of a date, the way Shift.date is stored
+const toDay = (date) => {
+  const d = new Date(date);
+  return new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate()));
+};
+
+// Replace assignee IDs in a diff with { _id, name }
+const nameAssignees = async (diff) => {
+  const ids = new Set();
+  const collect = (id) => id && ids.add(id.toString());
+  [...diff.added, ...diff.removed, ...diff.retimed].forEach(s => collect(s.assignedTo));
+  diff.reassigned.forEach(r => { collect(r.before.assignedTo); collect(r.after.assignedTo); });
+
+  const users = await User.find({ _id: { $in: [...ids] } }).select('name');
+  const names = new Map(users.map(u => [u._id.toString(), { _id: u._id, name: u.name }]));
+  const named = (id) => (id ? names.get(id.toString()) || { _id: id, name: null } : null);
+
+  return {
+    added: diff.added.map(s => ({ ...s.toObject(), assignedTo: named(s.assignedTo) })),
+    removed: diff.removed.map(s => ({ ...s.toObject(), assignedTo: named(s.assignedTo) })),
+    retimed: diff.retimed.map(r => ({ ...r, assignedTo: named(r.assignedTo) })),
+    reassigned: diff.reassigned.map(r => ({
+      ...r,
+      before: { assignedTo: named(r.before.assignedTo) },
+      after: { assignedTo: named(r.after.assignedTo) },
+    })),
+  };
+};
+
+// Check the dates are in order and no other period covers them
+// Returns an error message, or null if the dates are fine
+const checkDates = async ({ department, facility, startDate, endDate, excludeId = null }) => {
+  if (endDate < startDate) {
+    return 'End date must be on or after the start date';
+  }
+
+  const overlapping = await schedulePeriodService.findOverlappingPeriod({ department, facility, startDate, endDate, excludeId });
+  if (overlapping) {
+    return `These dates overlap the schedule period "${overlapping.name}"`;
+  }
+
+  return null;
+};
+
+// Get schedule periods, optionally filtered by department or status
+exports.getPeriods = async (req, res, next) => {
+  try {
+    const { department, status } = req.query;
+
+    const filter = {};
+    if (department) filter.department = department;
+    if (status) filter.status = status;
+
+    const periods = await SchedulePeriod.find(filter)
+      .populate('facility', 'name')
+      .populate('createdBy', 'name email')
+      .populate('publishedBy', 'name email')
+      .sort({ startDate: -1 });
+
+    res.json({
+      success: true,
+      count: periods.length,
+      data: { periods },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Create a schedule period in draft
+// Existing shifts in the department and dates are hidden from staff until it is published
+exports.createPeriod = async (req, res, next) => {
+  try {
+    const { name, department, facility } = req.body;
+    const startDate = toDay(req.body.startDate);
+    const endDate = toDay(req.body.endDate);
+
+    const dateError = await checkDates({ department, facility, startDate, endDate });
+    if (dateError) {
+      return res.status(400).json({
+        success: false,
+        message: dateError,
+      });
+    }
+
+    const period = await SchedulePeriod.create({
+      name,
+      department,
+      facility: facility || null,
+      startDate,
+      endDate,
+      createdBy: req.user.id,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Schedule period created as a draft',
+      data: { period },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Rename a period or, while it is a draft, change its dates
+exports.updatePeriod = async (req, res, next) => {
+  try {
+    const period = await SchedulePeriod.findById(req.params.id);
+    if (!period) {
+      return res.status(404).json({
+        success: false,
+        message: 'Schedule period not found',
+      });
+    }
+
+    const { name, startDate, endDate } = req.body;
+
+    if (startDate || endDate) {
+      if (period.status !== 'draft') {
+        return res.status(400).json({
+          success: false,
+          message: 'The dates of a published schedule period cannot be changed',
+        });
+      }
+
+      const newStart = startDate ? toDay(startDate) : period.startDate;
+      const newEnd = endDate ? toDay(endDate) : period.endDate;
+
+      const dateError = await checkDates({
+        department: period.department,
+        facility: period.facility,
+        startDate: newStart,
+        endDate: newEnd,
+        excludeId: period._id,
+      });
+      if (dateError) {
+        return res.status(400).json({
+          success: false,
+          message: dateError,
+        });
+      }
+
+      period.startDate = newStart;
+      period.endDate = newEnd;
+    }
+
+    if (name) period.name = name;
+    await period.save();
+
+    res.json({
+      success: true,
+      message: 'Schedule period updated successfully',
+      data: { period },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Publish a period and save it as a new version
+// The first publish makes its shifts visible; later ones notify only staff whose shifts changed
+exports.publishPeriod = async (req, res, next) => {
+  try {
+    const { period, version, shifts, staffNotified } = await schedulePeriodService.publishPeriod(req.params.id, req.user.id);
+
+    res.json({
+      success: true,
+      message: `Schedule published as version ${version.version} with ${shifts} shift(s). ${staffNotified} staff member(s) were notified.`,
+      data: {
+        period,
+        version: { _id: version._id, version: version.version, shifts },
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Get the changes made to a period's shifts since it was published
+exports.getChangelog = async (req, res, next) => {
+  try {
+    const period = await SchedulePeriod.findById(req.params.id);
+    if (!period) {
+      return res.status(404).json({
+        success: false,
+        message: 'Schedule period not found',
+      });
+    }
+
+    const changelog = await schedulePeriodService.getChangelog(period);
+
+    res.json({
+      success: true,
+      count: changelog.length,
+      data: { period, changelog },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// List a period's published versions (without their shifts)
+exports.getVersions = async (req, res, next) => {
+  try {
+    const versions = await ScheduleVersion.find({ period: req.params.id })
+      .select('-shifts')
+      .populate('publishedBy', 'name email')
+      .sort({ version: -1 });
+
+    res.json({
+      success: true,
+      count: versions.length,
+      data: { versions },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Compare two versions of a period (?from=3&to=4)
+// Defaults to the latest version against the one before it
+exports.getDiff = async (req, res, next) => {
+  try {
+    const period = await SchedulePeriod.findById(req.params.id);
+    if (!period) {
+      return res.status(404).json({
+        success: false,
+        message: 'Schedule period not found',
+      });
+    }
+
+    const to = req.query.to ? parseInt(req.query.to) : period.currentVersion;
+    const from = req.query.from ? parseInt(req.query.from) : to - 1;
+
+    if (!(from >= 0 && from < to && to <= period.currentVersion)) {
+      return res.status(400).json({
+        success: false,
+        message: period.currentVersion === 0
+          ? 'This schedule period has not been published yet'
+          : `Pick two versions between 1 and ${period.currentVersion}, the earlier one first (from=0 compares against nothing)`,
+      });
+    }
+
+    const toVersion = await ScheduleVersion.findOne({ period: period._id, version: to });
+    const fromVersion = from > 0 ? await ScheduleVersion.findOne({ period: period._id, version: from }) : null;
+
+    const diff = await nameAssignees(schedulePeriodService.diffVersions(fromVersion, toVersion));
+
+    res.json({
+      success: true,
+      data: { period, from, to, diff },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// What changed for the current user in the latest version of each current or upcoming period
+// ?period=id limits it to one period
+exports.getMyScheduleChanges = async (req, res, next) => {
+  try {
+    const today = new Date();
+    today.setUTCHours(0, 0, 0, 0);
+
+    const filter = { status: 'published', currentVersion: { $gte: 2 } };
+    if (req.query.period) {
+      filter._id = req.query.period;
+    } else {
+      filter.endDate = { $gte: today };
+    }
+
+    const periods = await SchedulePeriod.find(filter).sort({ startDate: 1 });
+
+    const changes = [];
+    for (const period of periods) {
+      const versions = await ScheduleVersion.find({
+        period: period._id,
+        version: { $in: [period.currentVersion - 1, period.currentVersion] },
+      }).sort({ version: 1 });
+
+      const mine = schedulePeriodService.filterDiffForUser(
+        schedulePeriodService.diffVersions(versions[0], versions[1]),
+        req.user._id
+      );
+
+      if (Object.values(mine).some(list => list.length > 0)) {
+        changes.push({
+          period: {
+            _id: period._id,
+            name: period.name,
+            department: period.department,
+            startDate: period.startDate,
+            endDate: period.endDate,
+          },
+          fromVersion: versions[0].version,
+          toVersion: versions[1].version,
+          publishedAt: versions[1].createdAt,
+          ...(await nameAssignees(mine)),
+        });
+      }
+    }
+
+    res.json({
+      success: true,
+      count: changes.length,
+      data: { changes },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
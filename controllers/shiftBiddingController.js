@@ -0,0 +1,139 @@
+/**
+ * ==================================================
+ * SHIFT BIDDING CONTROLLER
+ * ==================================================
+ * Bidding on hard-to-fill open shifts (see shiftBiddingService):
+ * - Managers open or close bidding on a shift and set its escalation policy
+ * - Staff place and withdraw bids and see their own bids
+ * - Managers review a shift's bids and award it to one
+ */
+
+const Shift = require('../models/Shift');
+const ShiftBid = require('../models/ShiftBid');
+const shiftBiddingService = require('../services/shiftBiddingService');
+
+// Open bidding on a shift, change its policy, or close it ({ enabled: false })
+exports.setBidding = async (req, res, next) => {
+  try {
+    const { enabled, step, everyHours, startHoursBefore, maxAmount } = req.body;
+
+    const shift = await shiftBiddingService.setBidding(
+      req.params.id,
+      { enabled, step, everyHours, startHoursBefore, maxAmount },
+      req.user.id
+    );
+
+    res.json({
+      success: true,
+      message: enabled ? 'Shift is open for bidding' : 'Bidding closed',
+      data: { shift },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Get the bids on a shift, active ones first, then oldest first
+exports.getBids = async (req, res, next) => {
+  try {
+    const shift = await Shift.findById(req.params.id).select('title date startTime endTime status incentiveAmount bidding');
+    if (!shift) {
+      return res.status(404).json({
+        success: false,
+        message: 'Shift not found',
+      });
+    }
+
+    const bids = await ShiftBid.find({ shift: shift._id })
+      .populate('user', 'name email department')
+      .populate('decidedBy', 'name email')
+      .sort({ createdAt: 1 });
+
+    // Stable sort keeps the order of bids within each group
+    bids.sort((a, b) => (b.status === 'active') - (a.status === 'active'));
+
+    res.json({
+      success: true,
+      count: bids.length,
+      data: { shift, bids },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Award a shift to a bid
+exports.awardBid = async (req, res, next) => {
+  try {
+    const { bid, shift, otherBids } = await shiftBiddingService.awardBid(req.params.id, req.user.id);
+
+    res.json({
+      success: true,
+      message: `Shift awarded. ${otherBids} other bid(s) were closed.`,
+      data: { bid, shift },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Bid on a shift that is open for bidding
+exports.placeBid = async (req, res, next) => {
+  try {
+    const { bid, overtimeWarning } = await shiftBiddingService.placeBid(req.params.id, req.user.id, req.body.note);
+
+    res.status(201).json({
+      success: true,
+      message: 'Bid placed successfully',
+      data: { bid, overtimeWarning },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Withdraw the current user's active bid on a shift
+exports.withdrawBid = async (req, res, next) => {
+  try {
+    const bid = await ShiftBid.findOneAndUpdate(
+      { shift: req.params.id, user: req.user.id, status: 'active' },
+      { status: 'withdrawn' },
+      { new: true }
+    );
+
+    if (!bid) {
+      return res.status(404).json({
+        success: false,
+        message: 'You have no active bid on this shift',
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Bid withdrawn',
+      data: { bid },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Get the current user's bids, optionally filtered by status
+exports.getMyBids = async (req, res, next) => {
+  try {
+    const filter = { user: req.user.id };
+    if (req.query.status) filter.status = req.query.status;
+
+    const bids = await ShiftBid.find(filter)
+      .populate('shift', 'title department date startTime endTime status incentiveAmount')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      count: bids.length,
+      data: { bids },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -7,6 +7,8 @@
  * - Viewing available shifts
  * - Getting shift details
  * - Managing emergency shifts
+ * - Giving up an assigned shift
+ * - Splitting a shift into segments for partial cover
  */
 
 const Shift = require('../models/Shift');  // Shift database model
@@ -18,6 +20,8 @@ const shiftHistoryService = require('../services/shiftHistoryService');  // Serv
  * Steps:
  * 1. Get shift data from request body
  * 2. Validate shift doesn't overlap improperly (if assignedTo is provided)
+ *    Staff posting an unassigned shift are giving it up, so that day
+ *    counts as a day off under the department's leave rules
  * 3. Create shift in database with status 'open'
  * 4. Record this action in shift history (audit trail)
  * 5. Populate related data (who posted it, facility, credentials)
@@ -37,6 +41,7 @@ exports.createShift = async (req, res, next) => {
       isEmergency, 
       incentiveAmount, 
       incentiveDescription,
+      kind,
       assignedTo  // Optional: can assign shift directly when creating
     } = req.body;
 
@@ -68,6 +73,24 @@ exports.createShift = async (req, res, next) => {
       }
     }
 
+    // Staff posting a shift for cover are going off that day
+    const givenUpBy = !assignedTo && req.user.role !== 'manager' ? req.user.id : null;
+    if (givenUpBy) {
+      const leaveRulesService = require('../services/leaveRulesService');
+
+      const rulesCheck = await leaveRulesService.checkGiveUp(
+        { facility: facility || req.user.facility || null, department, date: new Date(date) },
+        givenUpBy
+      );
+      if (!rulesCheck.isValid) {
+        return res.status(400).json({
+          success: false,
+          message: "Giving up this shift breaks the department's leave rules",
+          errors: rulesCheck.errors,
+        });
+      }
+    }
+
     // Create shift in database
     // req.user.id comes from authenticate middleware (the logged-in user)
     // || operator provides default values if data is not provided
@@ -85,6 +108,8 @@ exports.createShift = async (req, res, next) => {
       isEmergency: isEmergency || false,  // Is this an emergency shift?
       incentiveAmount: incentiveAmount || 0,  // Bonus pay amount (default 0)
       incentiveDescription: incentiveDescription || null,  // Description of incentive
+      kind: kind || 'regular',  // Regular, on-call, standby or call-back
+      givenUpBy,  // Staff member going off, if they posted it for cover
     });
 
     // Record this action in shift history (for audit trail)
@@ -133,18 +158,22 @@ exports.createShift = async (req, res, next) => {
  * 1. Build filter object based on query parameters
  * 2. Find shifts matching the filter
  * 3. Filter shifts based on user's credentials (remove shifts user can't take)
- * 4. Sort: emergency shifts first, then by date/time
- * 5. Return filtered and sorted shifts
+ * 4. Rank by fit with the user's availability and preferences: emergency
+ *    shifts first, then best fit, then by date/time
+ * 5. Return filtered and ranked shifts, each with a `fit` score
  */
 exports.getAvailableShifts = async (req, res, next) => {
   try {
     // Get filter parameters from URL query string
     // Example: /api/shifts/available?department=Sales&emergency=true
-    const { department, emergency, facility } = req.query;
+    const { department, emergency, facility, bidding } = req.query;
     const credentialVerificationService = require('../services/credentialVerificationService');
+    const availabilityService = require('../services/availabilityService');
+    const schedulePeriodService = require('../services/schedulePeriodService');
     
     // Start with base filter - only get open shifts
-    const filter = { status: 'open' };
+    // Shifts in schedule periods still in draft are not shown to staff yet
+    const filter = { status: 'open', ...(await schedulePeriodService.draftShiftFilter()) };
 
     // Filter by department
     // If department is provided in query, use it; otherwise use user's department
@@ -165,6 +194,11 @@ exports.getAvailableShifts = async (req, res, next) => {
       filter.facility = facility;
     }
 
+    // Only shifts open for bidding (see shiftBiddingService)
+    if (bidding === 'true') {
+      filter['bidding.enabled'] = true;
+    }
+
     // Find shifts matching the filter
     // .populate() gets related data (poster info, facility, credentials)
     // .sort() orders results: emergency first (-1 = descending), then by date/time (1 = ascending)
@@ -178,6 +212,9 @@ exports.getAvailableShifts = async (req, res, next) => {
     // Remove shifts that require credentials the user doesn't have
     shifts = await credentialVerificationService.filterShiftsByCredentials(shifts, req.user.id);
 
+    // Rank by how well each shift fits the user's availability and preferences
+    shifts = await availabilityService.rankShiftsForUser(shifts, req.user);
+
     // Return the filtered shifts
     res.json({
       success: true,
@@ -244,13 +281,22 @@ exports.getShiftById = async (req, res, next) => {
       .populate('requiredCredentials', 'name description category');  // Required credentials
 
     // Check if shift exists
-    if (!shift) {
+    // Shifts in draft schedule periods are hidden from staff until published
+    const schedulePeriodService = require('../services/schedulePeriodService');
+    if (!shift || (req.user.role !== 'manager' && await schedulePeriodService.isDraft(shift))) {
       return res.status(404).json({
         success: false,
         message: 'Shift not found',
       });
     }
 
+    // A split shift lists its segments
+    const segments = shift.status === 'split'
+      ? await Shift.find({ parentShift: shift._id })
+        .populate('assignedTo', 'name email')
+        .sort({ date: 1, startTime: 1 })
+      : [];
+
     // Check if current user has the required credentials for this shift
     // This helps frontend show if user can apply or not
     const credentialVerificationService = require('../services/credentialVerificationService');
@@ -270,6 +316,7 @@ exports.getShiftById = async (req, res, next) => {
       success: true,
       data: {
         shift,                              // The shift details
+        segments,                           // Segments, if the shift was split
         userQualified: credentialCheck.isValid,  // Can user take this shift?
         credentialCheck,                    // Detailed credential check info
       },
@@ -292,12 +339,14 @@ exports.getShiftById = async (req, res, next) => {
 exports.getEmergencyShifts = async (req, res, next) => {
   try {
     const credentialVerificationService = require('../services/credentialVerificationService');
+    const schedulePeriodService = require('../services/schedulePeriodService');
     
     // Find emergency shifts in user's department
     const shifts = await Shift.find({
       status: 'open',              // Must be open (available)
       isEmergency: true,           // Must be emergency
       department: req.user.department,  // Must be in user's department
+      ...(await schedulePeriodService.draftShiftFilter()),  // Not in a draft schedule period
     })
       .populate('postedBy', 'name email')
       .populate('facility', 'name')
@@ -327,16 +376,19 @@ exports.getEmergencyShifts = async (req, res, next) => {
  * - view: 'upcoming' | 'past' | undefined (all)
  *
  * Upcoming = today and future, Past = before today.
+ * Shifts in schedule periods still in draft are left out until published.
  */
 exports.getMyAssignedShifts = async (req, res, next) => {
   try {
     const { view } = req.query;
+    const schedulePeriodService = require('../services/schedulePeriodService');
 
     const today = new Date();
     today.setHours(0, 0, 0, 0);
 
     const filter = {
       assignedTo: req.user.id,
+      ...(await schedulePeriodService.draftShiftFilter()),
     };
 
     if (view === 'upcoming') {
@@ -387,6 +439,7 @@ exports.updateShift = async (req, res, next) => {
       isEmergency,
       incentiveAmount,
       incentiveDescription,
+      kind,
       assignedTo,
       status,
     } = req.body;
@@ -411,6 +464,23 @@ exports.updateShift = async (req, res, next) => {
       });
     }
 
+    // A split shift is worked through its segments, which are edited instead
+    if (shift.status === 'split') {
+      return res.status(400).json({
+        success: false,
+        message: 'This shift has been split. Edit its segments instead.',
+      });
+    }
+
+    // Time already called in has been worked as on-call/standby time
+    const kindChanged = kind !== undefined && kind !== shift.kind;
+    if (kindChanged && shift.callIns.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'The assignee has been called in on this shift, so its kind cannot change.',
+      });
+    }
+
     // Store previous values for history
     const previousShift = { ...shift.toObject() };
 
@@ -463,12 +533,29 @@ exports.updateShift = async (req, res, next) => {
     if (isEmergency !== undefined) shift.isEmergency = isEmergency;
     if (incentiveAmount !== undefined) shift.incentiveAmount = incentiveAmount;
     if (incentiveDescription !== undefined) shift.incentiveDescription = incentiveDescription;
+    if (kind !== undefined) shift.kind = kind;
     if (assignedTo !== undefined) shift.assignedTo = assignedTo;
     if (status !== undefined) shift.status = status;
 
     // Save updated shift
     await shift.save();
 
+    // The kind decides how recorded hours count and are paid, so re-record them
+    if (kindChanged && shift.assignedTo && shift.assignedTo.equals(previousShift.assignedTo)) {
+      const overtimeCalculationService = require('../services/overtimeCalculationService');
+      const removed = await overtimeCalculationService.removeWorkHours(shift.assignedTo, shift._id);
+
+      if (removed.deletedCount > 0) {
+        await overtimeCalculationService.recordWorkHours(
+          shift.assignedTo,
+          shift._id,
+          shift.date,
+          shift.startTime,
+          shift.endTime
+        );
+      }
+    }
+
     // Record history
     await shiftHistoryService.recordHistory(
       shift._id,
@@ -541,6 +628,14 @@ exports.deleteShift = async (req, res, next) => {
       });
     }
 
+    // A split shift stays while any of its segments do
+    if (shift.status === 'split' && await Shift.exists({ parentShift: shift._id })) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot delete a split shift while its segments exist. Delete the segments first.',
+      });
+    }
+
     // Store shift data for history before deletion
     const shiftData = shift.toObject();
 
@@ -557,9 +652,11 @@ exports.deleteShift = async (req, res, next) => {
     // Delete the shift
     await Shift.findByIdAndDelete(shiftId);
 
-    // Also delete related swap requests
+    // Also delete related swap requests and waitlist places
     const ShiftSwapRequest = require('../models/ShiftSwapRequest');
+    const ShiftWaitlistEntry = require('../models/ShiftWaitlistEntry');
     await ShiftSwapRequest.deleteMany({ shift: shiftId });
+    await ShiftWaitlistEntry.deleteMany({ shift: shiftId });
 
     // Return success response
     res.json({
@@ -571,3 +668,151 @@ exports.deleteShift = async (req, res, next) => {
   }
 };
 
+/**
+ * GIVE UP SHIFT - Give up a shift assigned to the current user
+ *
+ * Giving up a shift counts as a day off, so the department's leave
+ * blackouts and cap apply, as for give_up swap requests.
+ *
+ * Steps:
+ * 1. Check the shift is assigned to the current user
+ * 2. Check the department's leave rules
+ * 3. In one transaction: re-check the leave rules, unassign the shift
+ *    (recording the give-up for the leave cap), remove the work hours,
+ *    record history and notify whoever posted it
+ * 4. Offer the shift to the next eligible person on its waitlist
+ * 5. Return the shift and whether it was offered on
+ */
+exports.giveUpShift = async (req, res, next) => {
+  try {
+    const leaveRulesService = require('../services/leaveRulesService');
+    const shiftSwapService = require('../services/shiftSwapService');
+    const shiftWaitlistService = require('../services/shiftWaitlistService');
+    const transactionService = require('../services/transactionService');
+    const Notification = require('../models/Notification');
+
+    const shift = await Shift.findById(req.params.id);
+    if (!shift) {
+      return res.status(404).json({
+        success: false,
+        message: 'Shift not found',
+      });
+    }
+
+    // Only the person working the shift can give it up
+    if (shift.assignedTo?.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only give up shifts assigned to you',
+      });
+    }
+
+    const rulesCheck = await leaveRulesService.checkGiveUp(shift, req.user.id);
+    if (!rulesCheck.isValid) {
+      return res.status(400).json({
+        success: false,
+        message: "Giving up this shift breaks the department's leave rules",
+        errors: rulesCheck.errors,
+      });
+    }
+
+    await transactionService.runInTransaction(async (session) => {
+      const currentShift = await Shift.findById(shift._id).session(session);
+      if (currentShift.assignedTo?.toString() !== req.user.id) {
+        throw transactionService.requestError('This shift has been reassigned. Please refresh and try again.');
+      }
+
+      // Re-check the leave rules with department give-ups and approvals serialised,
+      // so two people can't both take the last day off under the cap
+      await leaveRulesService.claimDepartmentLeave(currentShift.facility, currentShift.department, session);
+      const currentRules = await leaveRulesService.checkGiveUp(currentShift, req.user.id, session);
+      if (!currentRules.isValid) {
+        throw transactionService.requestError(currentRules.errors.map(e => e.message).join('; '), 400);
+      }
+
+      // Counts as a day off for the leave cap
+      currentShift.givenUpBy = req.user.id;
+      await shiftSwapService.releaseShift(currentShift, req.user.id, 'Shift given up by assignee', session);
+
+      await Notification.create([{
+        user: currentShift.postedBy,
+        message: `${req.user.name} gave up "${currentShift.title}" on ${currentShift.date.toDateString()}. It is open again.`,
+        type: 'shift_assigned',
+        relatedShift: currentShift._id,
+      }], { session });
+    });
+
+    // The next eligible person on the waitlist gets first refusal
+    const offer = await shiftWaitlistService.offerNext(shift._id);
+
+    const updatedShift = await Shift.findById(shift._id)
+      .populate('postedBy', 'name email')
+      .populate('facility', 'name');
+
+    res.json({
+      success: true,
+      message: offer
+        ? 'Shift given up. It has been offered to the next person on its waitlist.'
+        : 'Shift given up. It is open again.',
+      data: { shift: updatedShift, offeredFromWaitlist: Boolean(offer) },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * SPLIT SHIFT - Split a shift into segments with separate assignees
+ *
+ * For example, a nurse who can only work the first 8 hours of a 12-hour
+ * shift splits it at the 8-hour mark, keeps the first segment and
+ * leaves the last 4 hours open for cover. See shiftSplitService.
+ *
+ * Request body:
+ * - splitAt: Times ("HH:mm") inside the shift to split at
+ * - keepSegment: (optional) Which segment the assignee keeps, from 0 (default 0)
+ *
+ * Steps:
+ * 1. Check the user is a manager, the poster or the assignee
+ * 2. Split the shift (segments, work hours and history in one transaction)
+ * 3. Return the original and its segments
+ */
+exports.splitShift = async (req, res, next) => {
+  try {
+    const shiftSplitService = require('../services/shiftSplitService');
+
+    const shift = await Shift.findById(req.params.id);
+    if (!shift) {
+      return res.status(404).json({
+        success: false,
+        message: 'Shift not found',
+      });
+    }
+
+    const isManager = req.user.role === 'manager';
+    const isOwner = shift.postedBy.toString() === req.user.id;
+    const isAssignee = shift.assignedTo?.toString() === req.user.id;
+
+    if (!isManager && !isOwner && !isAssignee) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. Only managers, the shift owner or its assignee can split a shift.',
+      });
+    }
+
+    const { shift: splitShift, segments } = await shiftSplitService.splitShift(
+      shift._id,
+      req.body.splitAt,
+      { keepSegment: req.body.keepSegment },
+      req.user.id
+    );
+
+    res.json({
+      success: true,
+      message: `Shift split into ${segments.length} segments`,
+      data: { shift: splitShift, segments },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -1,7 +1,9 @@
 const Shift = require('../models/Shift');
+const staffingCoverageService = require('../services/staffingCoverageService');
 
 /**
- * Calculate coverage status for a shift
+ * Calculate coverage status for a single shift
+ * (department coverage against staffing requirements comes from staffingCoverageService)
  * Fully Covered: shift has assigned staff
  * Partial Coverage: shift is requested but not yet approved
  * Understaffed: shift is open with no requests
@@ -20,6 +22,8 @@ function calculateCoverageStatus(shift) {
 /**
  * GET SHIFT OVERVIEW - Calendar View
  * Returns shifts grouped by date for calendar display
+ * When a date range is given, each day also lists coverage of the
+ * department staffing requirements
  */
 exports.getCalendarView = async (req, res, next) => {
   try {
@@ -27,6 +31,7 @@ exports.getCalendarView = async (req, res, next) => {
 
     // Build filter
     const filter = {};
+    let coverageRange = null;
 
     if (startDate && endDate) {
       const start = new Date(startDate);
@@ -34,6 +39,7 @@ exports.getCalendarView = async (req, res, next) => {
       const end = new Date(endDate);
       end.setHours(23, 59, 59, 999);
       filter.date = { $gte: start, $lte: end };
+      coverageRange = { startDate: start, endDate: end };
     } else if (startDate) {
       // If only start date, get that week
       const start = new Date(startDate);
@@ -41,6 +47,7 @@ exports.getCalendarView = async (req, res, next) => {
       const end = new Date(start);
       end.setDate(end.getDate() + 7);
       filter.date = { $gte: start, $lt: end };
+      coverageRange = { startDate: start, endDate: new Date(end.getTime() - 1) };
     }
 
     if (department) {
@@ -78,10 +85,25 @@ exports.getCalendarView = async (req, res, next) => {
       });
     });
 
+    // Department coverage for each day (days with requirements but no shifts are included)
+    const coverage = coverageRange
+      ? await staffingCoverageService.getCoverage({ ...coverageRange, department })
+      : [];
+
+    const coverageByDate = {};
+    coverage.forEach(block => {
+      if (!coverageByDate[block.date]) {
+        coverageByDate[block.date] = [];
+      }
+      coverageByDate[block.date].push(block);
+    });
+
     // Format response
-    const calendarData = Object.keys(shiftsByDate).map(date => ({
+    const dates = new Set([...Object.keys(shiftsByDate), ...Object.keys(coverageByDate)]);
+    const calendarData = [...dates].map(date => ({
       date,
-      shifts: shiftsByDate[date],
+      shifts: shiftsByDate[date] || [],
+      coverage: coverageByDate[date] || [],
     })).sort((a, b) => new Date(a.date) - new Date(b.date));
 
     res.json({
@@ -89,6 +111,7 @@ exports.getCalendarView = async (req, res, next) => {
       data: {
         calendarData,
         count: shifts.length,
+        coverageGaps: coverage.filter(block => block.gaps.length > 0).length,
       },
     });
   } catch (error) {
@@ -99,6 +122,8 @@ exports.getCalendarView = async (req, res, next) => {
 /**
  * GET SHIFT OVERVIEW - List View
  * Returns shifts in list format with filtering
+ * When a date range is given, also lists the time blocks that fall
+ * short of the department staffing requirements
  */
 exports.getListView = async (req, res, next) => {
   try {
@@ -106,6 +131,7 @@ exports.getListView = async (req, res, next) => {
 
     // Build filter
     const filter = {};
+    let coverageRange = null;
 
     if (startDate && endDate) {
       const start = new Date(startDate);
@@ -113,12 +139,14 @@ exports.getListView = async (req, res, next) => {
       const end = new Date(endDate);
       end.setHours(23, 59, 59, 999);
       filter.date = { $gte: start, $lte: end };
+      coverageRange = { startDate: start, endDate: end };
     } else if (startDate) {
       const start = new Date(startDate);
       start.setHours(0, 0, 0, 0);
       const end = new Date(start);
       end.setDate(end.getDate() + 7);
       filter.date = { $gte: start, $lt: end };
+      coverageRange = { startDate: start, endDate: new Date(end.getTime() - 1) };
     }
 
     if (department) {
@@ -150,11 +178,17 @@ exports.getListView = async (req, res, next) => {
       filteredShifts = shifts.filter(shift => shift.coverageStatus === coverageStatus);
     }
 
+    // Time blocks short of the department staffing requirements
+    const coverage = coverageRange
+      ? await staffingCoverageService.getCoverage({ ...coverageRange, department })
+      : [];
+
     res.json({
       success: true,
       count: filteredShifts.length,
       data: {
         shifts: filteredShifts,
+        coverageGaps: coverage.filter(block => block.gaps.length > 0),
       },
     });
   } catch (error) {
@@ -0,0 +1,145 @@
+/**
+ * ==================================================
+ * SHIFT TEMPLATE CONTROLLER
+ * ==================================================
+ * Lets managers schedule recurring shifts (see shiftGenerationService):
+ * - Listing, creating and editing shift templates
+ * - Generating shifts from templates over a date range, with a dry run
+ *   to preview what would be created
+ */
+
+const ShiftTemplate = require('../models/ShiftTemplate');
+const shiftGenerationService = require('../services/shiftGenerationService');
+const { requestError } = require('../services/transactionService');
+
+// Check an 'rrule' recurrence has a rule the generator can read
+// Throws a 400 error describing the problem
+const checkRecurrence = (recurrence) => {
+  if (recurrence.type !== 'rrule') return;
+
+  if (!recurrence.rrule) {
+    throw requestError('An RRULE is required for rrule recurrence', 400);
+  }
+
+  shiftGenerationService.parseRRule(recurrence.rrule);
+};
+
+// Get shift templates, optionally filtered by department, facility or active state
+exports.getTemplates = async (req, res, next) => {
+  try {
+    const { department, facility, isActive } = req.query;
+
+    const filter = {};
+    if (department) filter.department = department;
+    if (facility) filter.facility = facility;
+    if (isActive !== undefined) filter.isActive = isActive === 'true';
+
+    const templates = await ShiftTemplate.find(filter)
+      .populate('facility', 'name')
+      .populate('requiredCredentials', 'name')
+      .populate('createdBy', 'name email')
+      .sort({ department: 1, startTime: 1 });
+
+    res.json({
+      success: true,
+      count: templates.length,
+      data: { templates },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Create a shift template
+exports.createTemplate = async (req, res, next) => {
+  try {
+    const { title, department, facility, startTime, endTime, requiredCredentials, headcount, recurrence, isActive } = req.body;
+
+    checkRecurrence(recurrence);
+
+    const template = await ShiftTemplate.create({
+      title,
+      department,
+      facility: facility || null,
+      startTime,
+      endTime,
+      requiredCredentials,
+      headcount,
+      recurrence,
+      isActive,
+      createdBy: req.user.id,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Shift template created successfully',
+      data: { template },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Update a shift template (set isActive: false to stop generating it)
+// Shifts already generated are not changed
+exports.updateTemplate = async (req, res, next) => {
+  try {
+    const template = await ShiftTemplate.findById(req.params.id);
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: 'Shift template not found',
+      });
+    }
+
+    const fields = ['title', 'department', 'facility', 'startTime', 'endTime', 'requiredCredentials', 'headcount', 'isActive'];
+    fields.forEach(field => {
+      if (req.body[field] !== undefined) template[field] = req.body[field];
+    });
+
+    if (req.body.recurrence) {
+      // Only the recurrence settings sent are changed
+      Object.entries(req.body.recurrence).forEach(([key, value]) => {
+        template.set(`recurrence.${key}`, value);
+      });
+      checkRecurrence(template.recurrence);
+    }
+
+    template.updatedBy = req.user.id;
+    await template.save();
+
+    res.json({
+      success: true,
+      message: 'Shift template updated successfully',
+      data: { template },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Generate shifts from templates between two dates
+// With dryRun: true nothing is saved; the response shows what would be created
+exports.generateShifts = async (req, res, next) => {
+  try {
+    const { templateIds, startDate, endDate, dryRun } = req.body;
+
+    const result = await shiftGenerationService.generateShifts(
+      templateIds,
+      new Date(startDate),
+      new Date(endDate),
+      req.user.id,
+      { dryRun: dryRun === true }
+    );
+
+    res.status(result.dryRun ? 200 : 201).json({
+      success: true,
+      message: result.dryRun
+        ? `Dry run: ${result.summary.shifts} shift(s) would be created`
+        : `${result.summary.shifts} shift(s) created`,
+      data: result,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,127 @@
+/**
+ * ==================================================
+ * SHIFT WAITLIST CONTROLLER
+ * ==================================================
+ * Waitlists for claimed shifts (see shiftWaitlistService):
+ * - Staff join and leave a shift's waitlist and see their places
+ * - Staff accept or decline a shift offered to them from a waitlist
+ * - Managers see a shift's waitlist
+ */
+
+const Shift = require('../models/Shift');
+const ShiftWaitlistEntry = require('../models/ShiftWaitlistEntry');
+const shiftWaitlistService = require('../services/shiftWaitlistService');
+
+// Join the waitlist for a shift someone else has claimed
+exports.joinWaitlist = async (req, res, next) => {
+  try {
+    const { entry, position } = await shiftWaitlistService.joinWaitlist(req.params.id, req.user.id);
+
+    res.status(201).json({
+      success: true,
+      message: `You are number ${position} on the waitlist`,
+      data: { entry, position },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Leave a shift's waitlist; an open offer passes to the next person
+exports.leaveWaitlist = async (req, res, next) => {
+  try {
+    const entry = await shiftWaitlistService.leaveWaitlist(req.params.id, req.user.id);
+
+    res.json({
+      success: true,
+      message: 'You have left the waitlist',
+      data: { entry },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Accept the shift offered from its waitlist
+exports.acceptOffer = async (req, res, next) => {
+  try {
+    const { entry, shift } = await shiftWaitlistService.acceptOffer(req.params.id, req.user.id);
+
+    res.json({
+      success: true,
+      message: 'Offer accepted. The shift is now yours.',
+      data: { entry, shift },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Decline the shift offered from its waitlist
+exports.declineOffer = async (req, res, next) => {
+  try {
+    const { entry } = await shiftWaitlistService.declineOffer(req.params.id, req.user.id);
+
+    res.json({
+      success: true,
+      message: 'Offer declined',
+      data: { entry },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Get the current user's waitlist places and offers
+exports.getMyWaitlists = async (req, res, next) => {
+  try {
+    const entries = await ShiftWaitlistEntry.find({
+      user: req.user.id,
+      status: { $in: ShiftWaitlistEntry.ACTIVE_STATUSES },
+    })
+      .populate('shift', 'title department date startTime endTime status')
+      .sort({ offerExpiresAt: -1, createdAt: 1 });
+
+    const waitlists = [];
+    for (const entry of entries) {
+      waitlists.push({ ...entry.toObject(), position: await shiftWaitlistService.getPosition(entry) });
+    }
+
+    res.json({
+      success: true,
+      count: waitlists.length,
+      data: { waitlists },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Get a shift's waitlist in queue order, with past entries after it
+exports.getWaitlist = async (req, res, next) => {
+  try {
+    const shift = await Shift.findById(req.params.id).select('title date startTime endTime status assignedTo');
+    if (!shift) {
+      return res.status(404).json({
+        success: false,
+        message: 'Shift not found',
+      });
+    }
+
+    const entries = await ShiftWaitlistEntry.find({ shift: shift._id })
+      .populate('user', 'name email department')
+      .sort({ createdAt: 1 });
+
+    // Stable sort: the offer first, then the queue, then everyone no longer waiting
+    const rank = { offered: 0, waiting: 1 };
+    entries.sort((a, b) => (rank[a.status] ?? 2) - (rank[b.status] ?? 2));
+
+    res.json({
+      success: true,
+      count: entries.length,
+      data: { shift, entries },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -286,12 +286,13 @@ exports.getStaffById = async (req, res, next) => {
  * 
  * Can update:
  * - isActive status
+ * - approverRoles (sign-off roles in approval chains)
  * - Other fields as needed
  */
 exports.updateStaffStatus = async (req, res, next) => {
   try {
     const staffId = req.params.id;
-    const { isActive, department, role } = req.body;
+    const { isActive, department, role, approverRoles } = req.body;
 
     const user = await User.findById(staffId);
 
@@ -312,6 +313,10 @@ exports.updateStaffStatus = async (req, res, next) => {
     if (role) {
       user.role = role;
     }
+    // Sign-off roles used by multi-level approval chains
+    if (approverRoles) {
+      user.approverRoles = approverRoles;
+    }
 
     await user.save();
 
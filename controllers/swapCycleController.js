@@ -0,0 +1,137 @@
+/**
+ * ==================================================
+ * SWAP CYCLE CONTROLLER
+ * ==================================================
+ * Handles multi-party swap cycles (A→B→C→A trades):
+ * - Running the matching engine over open swap requests
+ * - Listing proposed cycles for manager review
+ * - Approving or rejecting a whole cycle as one unit
+ */
+
+const SwapCycle = require('../models/SwapCycle');
+const swapCycleMatchingService = require('../services/swapCycleMatchingService');
+const shiftSwapService = require('../services/shiftSwapService');
+
+// Populate everything a manager needs to review a cycle
+const populateCycle = (query) => {
+  return query
+    .populate('participants.user', 'name email department')
+    .populate('participants.givesShift', 'title department date startTime endTime')
+    .populate('participants.receivesShift', 'title department date startTime endTime')
+    .populate('participants.swapRequest', 'reason responseDeadline status')
+    .populate('manager', 'name email');
+};
+
+// Run the matching engine and return newly proposed cycles
+exports.matchSwapCycles = async (req, res, next) => {
+  try {
+    const proposed = await swapCycleMatchingService.findSwapCycles();
+
+    const swapCycles = await populateCycle(
+      SwapCycle.find({ _id: { $in: proposed.map(cycle => cycle._id) } })
+    );
+
+    res.status(201).json({
+      success: true,
+      message: `${swapCycles.length} swap cycle(s) found`,
+      count: swapCycles.length,
+      data: { swapCycles },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Get swap cycles (defaults to those awaiting review)
+exports.getSwapCycles = async (req, res, next) => {
+  try {
+    const { status = 'proposed' } = req.query;
+
+    const swapCycles = await populateCycle(
+      SwapCycle.find({ status }).sort({ createdAt: -1 })
+    );
+
+    res.json({
+      success: true,
+      count: swapCycles.length,
+      data: { swapCycles },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Approve a swap cycle: every shift in it is reassigned, or none are
+// Each request's approval chain, the manager's right to decide it, and
+// every participant's credentials, overlap and time off are checked
+// inside the same transaction (see shiftSwapService.executeSwapCycle)
+exports.approveSwapCycle = async (req, res, next) => {
+  try {
+    const { cycleId } = req.body;
+
+    const swapCycle = await SwapCycle.findById(cycleId);
+
+    if (!swapCycle) {
+      return res.status(404).json({
+        success: false,
+        message: 'Swap cycle not found',
+      });
+    }
+
+    if (swapCycle.status !== 'proposed') {
+      return res.status(400).json({
+        success: false,
+        message: 'Swap cycle is not awaiting approval',
+      });
+    }
+
+    const { warnings } = await shiftSwapService.executeSwapCycle(swapCycle._id, req.user.id);
+
+    const updatedCycle = await populateCycle(SwapCycle.findById(swapCycle._id));
+
+    res.json({
+      success: true,
+      message: 'Swap cycle approved successfully',
+      data: { swapCycle: updatedCycle, warnings },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Reject a swap cycle; its swap requests stay open for other matches
+exports.rejectSwapCycle = async (req, res, next) => {
+  try {
+    const { cycleId } = req.body;
+
+    const swapCycle = await SwapCycle.findById(cycleId);
+
+    if (!swapCycle) {
+      return res.status(404).json({
+        success: false,
+        message: 'Swap cycle not found',
+      });
+    }
+
+    if (swapCycle.status !== 'proposed') {
+      return res.status(400).json({
+        success: false,
+        message: 'Swap cycle is not awaiting approval',
+      });
+    }
+
+    swapCycle.status = 'rejected';
+    swapCycle.manager = req.user.id;
+    await swapCycle.save();
+
+    const updatedCycle = await populateCycle(SwapCycle.findById(swapCycle._id));
+
+    res.json({
+      success: true,
+      message: 'Swap cycle rejected successfully',
+      data: { swapCycle: updatedCycle },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
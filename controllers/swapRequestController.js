@@ -4,14 +4,24 @@
  * ==================================================
  * Handles shift swap request operations:
  * - Creating swap requests (requesting to take a shift)
+ * - Responding to two-party swaps offered by a colleague
+ * - Cancelling (withdrawing) a swap request
  * - Viewing user's swap requests
  * - Getting swap request details
  */
 
 const ShiftSwapRequest = require("../models/ShiftSwapRequest"); // Swap request database model
 const Shift = require("../models/Shift"); // Shift database model
+const Notification = require("../models/Notification"); // Notification database model
 const credentialVerificationService = require("../services/credentialVerificationService"); // Service to check credentials
 const overtimeCalculationService = require("../services/overtimeCalculationService"); // Service to check overtime
+const shiftHistoryService = require("../services/shiftHistoryService"); // Service to track shift history
+const shiftSwapService = require("../services/shiftSwapService"); // Service to carry out swaps
+const transactionService = require("../services/transactionService"); // Service to run writes in a transaction
+const autoApprovalService = require("../services/autoApprovalService"); // Service to apply auto-approval rules
+const approvalChainService = require("../services/approvalChainService"); // Service for multi-level approvals
+const schedulePeriodService = require("../services/schedulePeriodService"); // Service for draft and published schedules
+const shiftWaitlistService = require("../services/shiftWaitlistService"); // Service for shift waitlists
 
 /**
  * CREATE SWAP REQUEST - Request to take an available shift
@@ -19,12 +29,20 @@ const overtimeCalculationService = require("../services/overtimeCalculationServi
  * When a user wants to take a shift, they create a swap request.
  * This request must be approved by a manager.
  *
+ * For swapType 'swap' the requester offers one of their own assigned
+ * shifts (offeredShiftId) in exchange for a colleague's assigned shift.
+ * The colleague must accept before the request reaches the manager.
+ *
  * Validation checks:
  * 1. Shift must exist
- * 2. Shift must be open (not already taken)
+ * 2. Shift must be open or already requested (not yet filled), or for swaps assigned to a colleague
  * 3. User cannot request their own shift
- * 4. User must have required credentials
- * 5. User cannot request the same shift twice
+ * 4. For swaps, the offered shift must be assigned to the requester
+ * 5. User (and for swaps, the colleague) must have required credentials
+ * 6. User cannot request the same shift twice
+ * 7. give_up requests must not break the department's leave blackouts or cap
+ * 8. Shifts in a draft schedule period cannot be requested until it is published
+ * 9. Open shifts being offered to someone on their waitlist cannot be requested
  *
  * Steps:
  * 1. Get shiftId from request body
@@ -32,8 +50,10 @@ const overtimeCalculationService = require("../services/overtimeCalculationServi
  * 3. Check user credentials
  * 4. Check for overtime (warning only)
  * 5. Check if request already exists
- * 6. Create swap request
- * 7. Update shift status to 'requested'
+ * 6. In one transaction: re-check the shift, create the swap request, and
+ *    update shift status to 'requested' (or for swaps notify the colleague)
+ * 7. Approve it straight away if an auto-approval rule matches, otherwise
+ *    notify the first approver in the department's approval chain
  * 8. Return the request with overtime warning if applicable
  */
 exports.createSwapRequest = async (req, res, next) => {
@@ -42,6 +62,7 @@ exports.createSwapRequest = async (req, res, next) => {
     const {
       shiftId,
       swapType,
+      offeredShiftId,
       preferredReplacementShifts,
       reason,
       responseDeadline,
@@ -61,22 +82,101 @@ exports.createSwapRequest = async (req, res, next) => {
       });
     }
 
-    // Check if shift is still open (available)
-    // If status is 'requested' or 'approved', it's not available
-    if (shift.status !== "open") {
+    // Staff cannot see draft schedules yet, so they cannot request from them either
+    if (await schedulePeriodService.isDraft(shift)) {
       return res.status(400).json({
         success: false,
-        message: "Shift is not available for swap requests",
+        message: "This shift's schedule has not been published yet",
       });
     }
 
-    // Prevent users from requesting their own shift
-    // .toString() converts MongoDB ObjectId to string for comparison
-    if (shift.postedBy.toString() === req.user.id) {
-      return res.status(400).json({
-        success: false,
-        message: "Cannot request your own shift",
-      });
+    // Two-party swaps exchange two assigned shifts instead of claiming an open one
+    const isTwoPartySwap = swapType === "swap";
+    let offeredShift = null;
+
+    if (isTwoPartySwap) {
+      // The requested shift must currently be worked by a colleague
+      if (shift.status !== "approved" || !shift.assignedTo) {
+        return res.status(400).json({
+          success: false,
+          message: "Only shifts assigned to a colleague can be swapped",
+        });
+      }
+
+      if (shift.assignedTo.toString() === req.user.id) {
+        return res.status(400).json({
+          success: false,
+          message: "Cannot request your own shift",
+        });
+      }
+
+      if (!offeredShiftId) {
+        return res.status(400).json({
+          success: false,
+          message: "Offered shift is required for swap requests",
+        });
+      }
+
+      offeredShift = await Shift.findById(offeredShiftId).populate("requiredCredentials");
+      if (!offeredShift) {
+        return res.status(404).json({
+          success: false,
+          message: "Offered shift not found",
+        });
+      }
+
+      // Requester can only offer a shift they are assigned to
+      if (
+        offeredShift.status !== "approved" ||
+        offeredShift.assignedTo?.toString() !== req.user.id
+      ) {
+        return res.status(400).json({
+          success: false,
+          message: "You can only offer a shift that is assigned to you",
+        });
+      }
+
+      // The colleague must also be qualified for the shift they would receive
+      const counterpartyCredentialCheck =
+        await credentialVerificationService.verifyUserCredentials(
+          shift.assignedTo,
+          offeredShift.requiredCredentials.map((c) => c._id)
+        );
+
+      if (!counterpartyCredentialCheck.isValid) {
+        return res.status(403).json({
+          success: false,
+          message: "Your colleague does not have the required credentials for your offered shift",
+          credentialCheck: counterpartyCredentialCheck,
+        });
+      }
+    } else {
+      // Check if shift is still available
+      // Several colleagues can queue for the same shift, so 'requested' is
+      // still available; once 'approved' it has been filled
+      if (!["open", "requested"].includes(shift.status)) {
+        return res.status(400).json({
+          success: false,
+          message: "Shift is not available for swap requests",
+        });
+      }
+
+      // Prevent users from requesting their own shift
+      // .toString() converts MongoDB ObjectId to string for comparison
+      if (shift.postedBy.toString() === req.user.id) {
+        return res.status(400).json({
+          success: false,
+          message: "Cannot request your own shift",
+        });
+      }
+
+      // A freed shift is held for the person on its waitlist it was offered to
+      if (await shiftWaitlistService.hasPendingOffer(shift._id)) {
+        return res.status(400).json({
+          success: false,
+          message: "This shift is being offered to someone on its waitlist",
+        });
+      }
     }
 
     // Verify user has the required credentials for this shift
@@ -105,14 +205,17 @@ exports.createSwapRequest = async (req, res, next) => {
         date: shift.date,
         startTime: shift.startTime,
         endTime: shift.endTime,
-      }
+        kind: shift.kind,
+      },
+      await overtimeCalculationService.getOvertimeThreshold(shift.facility, shift.department)
     );
 
-    // Check if user already requested this shift
-    // Prevents duplicate requests
+    // Check if user already has an open request for this shift
+    // Prevents duplicate requests (cancelled, rejected or expired ones don't count)
     const existingRequest = await ShiftSwapRequest.findOne({
       shift: shiftId,
       requestedBy: req.user.id,
+      status: { $in: ShiftSwapRequest.OPEN_STATUSES },
     });
 
     if (existingRequest) {
@@ -126,36 +229,105 @@ exports.createSwapRequest = async (req, res, next) => {
     // CREATE THE REQUEST
     // ==================================================
 
-    // Create swap request in database with status 'pending'
-    // Manager will need to approve it
-    const swapRequest = await ShiftSwapRequest.create({
-      shift: shiftId, // Which shift
-      requestedBy: req.user.id, // Who requested it
-      status: "pending", // Waiting for manager approval
-      swapType,
-      preferredReplacementShifts: preferredReplacementShifts || [],
-      reason,
-      responseDeadline: new Date(responseDeadline),
+    // Create swap request in database
+    // Two-party swaps wait for the colleague first, everything else goes
+    // straight to the manager as 'pending'
+    // Runs in a transaction: the shift is re-read and re-checked inside it so a
+    // shift filled or reassigned in the meantime is refused with 409
+    const swapRequest = await transactionService.runInTransaction(async (session) => {
+      const currentShift = await Shift.findById(shiftId).session(session);
+
+      if (isTwoPartySwap) {
+        // Both shifts must still be held by the same people
+        const currentOffered = await Shift.findById(offeredShift._id).session(session);
+        if (
+          currentShift.assignedTo?.toString() !== shift.assignedTo.toString() ||
+          currentOffered.assignedTo?.toString() !== req.user.id
+        ) {
+          throw transactionService.requestError(
+            "The shifts in this swap have been reassigned. Please refresh and try again."
+          );
+        }
+      } else if (!["open", "requested"].includes(currentShift.status)) {
+        throw transactionService.requestError("This shift has already been filled");
+      }
+
+      // Sign-offs the department needs (empty = any single manager)
+      const approvalChain = await approvalChainService.buildApprovalChain(currentShift);
+
+      const [created] = await ShiftSwapRequest.create([{
+        shift: shiftId, // Which shift
+        requestedBy: req.user.id, // Who requested it
+        status: isTwoPartySwap ? "awaiting_counterparty" : "pending",
+        swapType,
+        offeredShift: offeredShift ? offeredShift._id : null,
+        counterparty: isTwoPartySwap ? shift.assignedTo : null,
+        counterpartyResponse: { status: isTwoPartySwap ? "pending" : null },
+        preferredReplacementShifts: preferredReplacementShifts || [],
+        reason,
+        responseDeadline: new Date(responseDeadline),
+        approvalChain,
+      }], { session });
+
+      if (isTwoPartySwap) {
+        // Ask the colleague to accept or decline the swap
+        await Notification.create([{
+          user: shift.assignedTo,
+          message: `${req.user.name} would like to swap their shift "${offeredShift.title}" on ${offeredShift.date.toDateString()} for your shift "${shift.title}" on ${shift.date.toDateString()}.`,
+          type: "swap_request",
+          relatedShift: shift._id,
+          requiresAction: true,
+        }], { session });
+      } else {
+        // Update shift status from 'open' to 'requested'
+        // This shows the shift has at least one pending request
+        // .increment() bumps the version even when the status is unchanged,
+        // so an approval of this shift running at the same time conflicts
+        currentShift.status = "requested";
+        currentShift.increment();
+        await currentShift.save({ session });
+      }
+
+      return created;
     });
 
-    // Update shift status from 'open' to 'requested'
-    // This shows the shift has a pending request
-    shift.status = "requested";
-    await shift.save();
+    // Routine requests may be approved straight away by a manager-defined rule
+    // Two-party swaps are checked once the colleague accepts
+    const autoApproval = isTwoPartySwap
+      ? null
+      : await autoApprovalService.tryAutoApprove(swapRequest._id);
+
+    // Otherwise let the first approver in the chain know it is waiting for them
+    if (!isTwoPartySwap && !autoApproval && swapRequest.approvalChain.length > 0) {
+      await approvalChainService.notifyApprovers(swapRequest.approvalChain[0], shift);
+    }
+
+    // Number of open requests (including this one) competing for the shift
+    const queueSize = await ShiftSwapRequest.countDocuments({
+      shift: shift._id,
+      status: { $in: ShiftSwapRequest.OPEN_STATUSES },
+    });
 
     // Get the request with populated data (shift details, requester info)
     const populatedRequest = await ShiftSwapRequest.findById(swapRequest._id)
       .populate("shift") // Get full shift details
       .populate("requestedBy", "name email") // Get requester name and email
+      .populate("offeredShift") // Get offered shift details (swaps only)
+      .populate("counterparty", "name email") // Get colleague info (swaps only)
+      .populate("autoApprovalRule", "name") // Get the rule that approved it (if any)
       .populate("preferredReplacementShifts", "title date startTime endTime"); // Get preferred shift details
 
     // Return success response with request data
     // Include overtime warning if applicable
     res.status(201).json({
       success: true,
-      message: "Shift swap request created successfully",
+      message: autoApproval
+        ? `Shift swap request approved automatically by rule "${autoApproval.rule.name}"`
+        : "Shift swap request created successfully",
       data: {
         swapRequest: populatedRequest,
+        queueSize,
+        autoApproved: Boolean(autoApproval),
         // Include overtime warning if taking shift would exceed hours
         // ...overtimeCheck spreads all overtime check details into the object
         overtimeWarning: overtimeCheck.wouldExceed
@@ -198,6 +370,8 @@ exports.getMySwapRequests = async (req, res, next) => {
       requestedBy: req.user.id,
     })
       .populate("shift") // Get full shift details
+      .populate("offeredShift") // Get offered shift details (swaps only)
+      .populate("counterparty", "name email") // Get colleague info (swaps only)
       .populate("manager", "name email") // Get manager info (if assigned)
       .populate("preferredReplacementShifts", "title date startTime endTime") // Get preferred shift details
       .sort({ createdAt: -1 }); // Sort: newest requests first
@@ -230,6 +404,8 @@ exports.getSwapRequestById = async (req, res, next) => {
     const swapRequest = await ShiftSwapRequest.findById(req.params.id)
       .populate("shift") // Get full shift details
       .populate("requestedBy", "name email") // Get requester info
+      .populate("offeredShift") // Get offered shift details (swaps only)
+      .populate("counterparty", "name email") // Get colleague info (swaps only)
       .populate("manager", "name email") // Get manager info (if assigned)
       .populate("preferredReplacementShifts", "title date startTime endTime"); // Get preferred shift details
 
@@ -250,3 +426,268 @@ exports.getSwapRequestById = async (req, res, next) => {
     next(error);
   }
 };
+
+/**
+ * GET INCOMING SWAP REQUESTS - Two-party swaps where the current user is the colleague
+ *
+ * Returns swap requests offering the current user a trade for one of
+ * their assigned shifts, so they can accept or decline them.
+ *
+ * Query params:
+ * - status: optional status filter (e.g. 'awaiting_counterparty')
+ */
+exports.getIncomingSwapRequests = async (req, res, next) => {
+  try {
+    const filter = { counterparty: req.user.id };
+
+    if (req.query.status) {
+      filter.status = req.query.status;
+    }
+
+    const swapRequests = await ShiftSwapRequest.find(filter)
+      .populate("shift") // The current user's shift being requested
+      .populate("offeredShift") // The shift offered in exchange
+      .populate("requestedBy", "name email department")
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      count: swapRequests.length,
+      data: { swapRequests },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * RESPOND TO SWAP REQUEST - Colleague accepts or declines a two-party swap
+ *
+ * Accepting moves the request to 'pending' so it shows in the manager's
+ * queue. Declining closes it as 'declined'. The requester is notified either way.
+ *
+ * Steps:
+ * 1. Find swap request and check the current user is the colleague
+ * 2. Check the request is still waiting for a response
+ * 3. In a transaction: on accept, check both shifts are still held by the
+ *    same people, record the response if the request is still waiting on
+ *    it (409 otherwise) and notify the requester
+ * 4. On accept, approve it straight away if an auto-approval rule matches,
+ *    otherwise notify the first approver in the approval chain
+ */
+exports.respondToSwapRequest = async (req, res, next) => {
+  try {
+    const { decision, note } = req.body;
+
+    const swapRequest = await ShiftSwapRequest.findById(req.params.id)
+      .populate("shift")
+      .populate("offeredShift");
+
+    if (!swapRequest) {
+      return res.status(404).json({
+        success: false,
+        message: "Swap request not found",
+      });
+    }
+
+    // Only the colleague who was asked can respond
+    if (swapRequest.counterparty?.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: "Access denied",
+      });
+    }
+
+    if (swapRequest.status !== "awaiting_counterparty") {
+      return res.status(400).json({
+        success: false,
+        message: "Swap request is not awaiting your response",
+      });
+    }
+
+    const accepted = decision === "accept";
+
+    // Runs in a transaction: the shifts are re-read inside it and the status only
+    // changes if the request is still awaiting this response, so a cancellation
+    // or expiry landing at the same moment is refused with 409
+    await transactionService.runInTransaction(async (session) => {
+      // Either shift may have changed hands since the request was made
+      if (accepted) {
+        const currentShift = await Shift.findById(swapRequest.shift._id).session(session);
+        const currentOffered = await Shift.findById(swapRequest.offeredShift._id).session(session);
+        if (
+          currentShift?.assignedTo?.toString() !== req.user.id ||
+          currentOffered?.assignedTo?.toString() !== swapRequest.requestedBy.toString()
+        ) {
+          throw transactionService.requestError(
+            "The shifts in this swap have been reassigned since it was requested"
+          );
+        }
+      }
+
+      const responded = await ShiftSwapRequest.findOneAndUpdate(
+        { _id: swapRequest._id, status: "awaiting_counterparty" },
+        {
+          status: accepted ? "pending" : "declined",
+          counterpartyResponse: {
+            status: accepted ? "accepted" : "declined",
+            respondedAt: new Date(),
+            note,
+          },
+        },
+        { session }
+      );
+      if (!responded) {
+        throw transactionService.requestError(
+          "This swap request has changed since you opened it. Please refresh and try again."
+        );
+      }
+
+      await Notification.create([{
+        user: swapRequest.requestedBy,
+        message: accepted
+          ? `${req.user.name} accepted your swap for "${swapRequest.shift.title}" on ${swapRequest.shift.date.toDateString()}. It is now awaiting manager approval.`
+          : `${req.user.name} declined your swap for "${swapRequest.shift.title}" on ${swapRequest.shift.date.toDateString()}.`,
+        type: "swap_response",
+        relatedShift: swapRequest.shift._id,
+      }], { session });
+    });
+
+    // A routine swap may now be approved straight away by a rule
+    const autoApproval = accepted
+      ? await autoApprovalService.tryAutoApprove(swapRequest._id)
+      : null;
+
+    // Otherwise let the first approver in the chain know it is waiting for them
+    if (accepted && !autoApproval && swapRequest.approvalChain.length > 0) {
+      await approvalChainService.notifyApprovers(swapRequest.approvalChain[0], swapRequest.shift);
+    }
+
+    const updatedRequest = await ShiftSwapRequest.findById(swapRequest._id)
+      .populate("shift")
+      .populate("offeredShift")
+      .populate("requestedBy", "name email")
+      .populate("counterparty", "name email")
+      .populate("autoApprovalRule", "name");
+
+    let message = "Swap declined";
+    if (autoApproval) {
+      message = `Swap accepted and approved automatically by rule "${autoApproval.rule.name}"`;
+    } else if (accepted) {
+      message = "Swap accepted and sent for manager approval";
+    }
+
+    res.json({
+      success: true,
+      message,
+      data: { swapRequest: updatedRequest, autoApproved: Boolean(autoApproval) },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * CANCEL SWAP REQUEST - Requester withdraws their own swap request
+ *
+ * Only open requests (waiting on a colleague or a manager) can be cancelled.
+ * Once cancelled, the same person can request the shift again later.
+ *
+ * Steps:
+ * 1. Find swap request and check the current user made it
+ * 2. Check the request is still open
+ * 3. In one transaction: mark it cancelled if it is still open (409 if it
+ *    was decided meanwhile), reopen the shift if nobody else is waiting on
+ *    it (open-shift requests), record the change in shift history and let
+ *    the colleague know if a two-party swap was withdrawn
+ */
+exports.cancelSwapRequest = async (req, res, next) => {
+  try {
+    const swapRequest = await ShiftSwapRequest.findById(req.params.id);
+
+    if (!swapRequest) {
+      return res.status(404).json({
+        success: false,
+        message: "Swap request not found",
+      });
+    }
+
+    // Only the requester can withdraw their request
+    if (swapRequest.requestedBy.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: "Access denied",
+      });
+    }
+
+    if (!ShiftSwapRequest.OPEN_STATUSES.includes(swapRequest.status)) {
+      return res.status(400).json({
+        success: false,
+        message: "Only open swap requests can be cancelled",
+      });
+    }
+
+    const isTwoPartySwap = swapRequest.swapType === "swap" && swapRequest.offeredShift;
+
+    // Runs in a transaction: the status only flips if the request is still open,
+    // so an approval landing at the same moment is not overwritten (409 instead)
+    await transactionService.runInTransaction(async (session) => {
+      const cancelled = await ShiftSwapRequest.findOneAndUpdate(
+        { _id: swapRequest._id, status: { $in: ShiftSwapRequest.OPEN_STATUSES } },
+        { status: "cancelled", cancelledAt: new Date() },
+        { session }
+      );
+      if (!cancelled) {
+        throw transactionService.requestError(
+          "This swap request has already been handled. Please refresh and try again."
+        );
+      }
+
+      // findOneAndUpdate returns the request as it was before the update
+      const previousStatus = cancelled.status;
+      const shift = await Shift.findById(swapRequest.shift).session(session);
+      if (!shift) return;
+
+      const previousShiftStatus = shift.status;
+
+      // Open-shift requests hold the shift in 'requested'
+      if (!isTwoPartySwap) {
+        await shiftSwapService.reopenShiftIfUnclaimed(shift, session);
+      }
+
+      await shiftHistoryService.recordHistory(
+        shift._id,
+        "status_changed",
+        req.user.id,
+        { swapRequest: swapRequest._id, requestStatus: previousStatus, shiftStatus: previousShiftStatus },
+        { swapRequest: swapRequest._id, requestStatus: "cancelled", shiftStatus: shift.status },
+        req.body.reason
+          ? `Swap request cancelled by requester: ${req.body.reason}`
+          : "Swap request cancelled by requester",
+        session
+      );
+
+      if (isTwoPartySwap) {
+        await Notification.create([{
+          user: swapRequest.counterparty,
+          message: `${req.user.name} withdrew their swap request for your shift "${shift.title}" on ${shift.date.toDateString()}.`,
+          type: "swap_response",
+          relatedShift: shift._id,
+        }], { session });
+      }
+    });
+
+    const updatedRequest = await ShiftSwapRequest.findById(swapRequest._id)
+      .populate("shift")
+      .populate("offeredShift")
+      .populate("counterparty", "name email");
+
+    res.json({
+      success: true,
+      message: "Swap request cancelled successfully",
+      data: { swapRequest: updatedRequest },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
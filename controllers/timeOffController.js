@@ -0,0 +1,191 @@
+/**
+ * ==================================================
+ * TIME OFF CONTROLLER
+ * ==================================================
+ * Handles leave requests:
+ * - Staff asking for time off, viewing and cancelling their requests
+ * - Managers approving or rejecting them
+ */
+
+const TimeOffRequest = require('../models/TimeOffRequest');
+const timeOffService = require('../services/timeOffService');
+const leaveRulesService = require('../services/leaveRulesService');
+
+// Summarise shifts for responses
+const summariseShifts = (shifts) => shifts.map(s => ({
+  id: s._id,
+  title: s.title,
+  date: s.date,
+  startTime: s.startTime,
+  endTime: s.endTime,
+}));
+
+// Request time off
+// Refused if it falls in a department blackout or a day already at the leave cap
+// The response lists assigned shifts that would be released if the leave is approved
+exports.createTimeOffRequest = async (req, res, next) => {
+  try {
+    const { type, startDate, endDate, isPartialDay, startTime, endTime, reason } = req.body;
+
+    const partialDay = isPartialDay === true;
+    const start = new Date(startDate);
+    // Partial-day leave is always a single day
+    const end = partialDay ? start : new Date(endDate);
+
+    const overlapping = await timeOffService.findOverlappingTimeOff(req.user._id, start, end);
+    if (overlapping) {
+      return res.status(400).json({
+        success: false,
+        message: 'You already have time off requested for some of these dates',
+        data: { timeOffRequest: overlapping },
+      });
+    }
+
+    const rulesCheck = await leaveRulesService.checkTimeOff({ type, startDate: start, endDate: end }, req.user);
+    if (!rulesCheck.isValid) {
+      return res.status(400).json({
+        success: false,
+        message: 'This time off breaks your department\'s leave rules',
+        errors: rulesCheck.errors,
+      });
+    }
+
+    const timeOffRequest = await TimeOffRequest.create({
+      user: req.user._id,
+      type,
+      startDate: start,
+      endDate: end,
+      isPartialDay: partialDay,
+      startTime: partialDay ? startTime : null,
+      endTime: partialDay ? endTime : null,
+      reason,
+    });
+
+    await timeOffService.notifyManagers(timeOffRequest, req.user);
+
+    const affectedShifts = await timeOffService.findAffectedShifts(timeOffRequest);
+
+    res.status(201).json({
+      success: true,
+      message: 'Time off request submitted successfully',
+      data: {
+        timeOffRequest,
+        affectedShifts: summariseShifts(affectedShifts),
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Get the current user's time off requests (optionally filtered by status)
+exports.getMyTimeOffRequests = async (req, res, next) => {
+  try {
+    const filter = { user: req.user._id };
+    if (req.query.status) {
+      filter.status = req.query.status;
+    }
+
+    const timeOffRequests = await TimeOffRequest.find(filter)
+      .populate('manager', 'name email')
+      .populate('releasedShifts', 'title date startTime endTime')
+      .sort({ startDate: -1 });
+
+    res.json({
+      success: true,
+      count: timeOffRequests.length,
+      data: { timeOffRequests },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Withdraw your own pending time off request
+exports.cancelTimeOffRequest = async (req, res, next) => {
+  try {
+    const timeOffRequest = await TimeOffRequest.findById(req.params.id);
+
+    if (!timeOffRequest) {
+      return res.status(404).json({
+        success: false,
+        message: 'Time off request not found',
+      });
+    }
+
+    if (timeOffRequest.user.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied',
+      });
+    }
+
+    if (timeOffRequest.status !== 'pending') {
+      return res.status(400).json({
+        success: false,
+        message: 'Only pending time off requests can be cancelled',
+      });
+    }
+
+    // 409 if a manager decided it in the meantime
+    const cancelled = await timeOffService.cancelTimeOffRequest(timeOffRequest._id);
+
+    res.json({
+      success: true,
+      message: 'Time off request cancelled successfully',
+      data: { timeOffRequest: cancelled },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Approve a time off request
+// The leave is deducted from the staff member's balance (400 if there is not enough)
+// and shifts they were assigned during the leave are unassigned and reopened
+exports.approveTimeOffRequest = async (req, res, next) => {
+  try {
+    const { requestId, managerNote } = req.body;
+
+    const { releasedShifts, deduction } = await timeOffService.approveTimeOffRequest(requestId, req.user.id, { managerNote });
+
+    const timeOffRequest = await TimeOffRequest.findById(requestId)
+      .populate('user', 'name email department')
+      .populate('manager', 'name email');
+
+    res.json({
+      success: true,
+      message: releasedShifts.length > 0
+        ? `Time off request approved. ${releasedShifts.length} shift(s) released and reopened.`
+        : 'Time off request approved successfully',
+      data: {
+        timeOffRequest,
+        releasedShifts: summariseShifts(releasedShifts),
+        leaveBalance: deduction,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Reject a time off request
+exports.rejectTimeOffRequest = async (req, res, next) => {
+  try {
+    const { requestId, managerNote } = req.body;
+
+    await timeOffService.rejectTimeOffRequest(requestId, req.user.id, { managerNote });
+
+    const timeOffRequest = await TimeOffRequest.findById(requestId)
+      .populate('user', 'name email department')
+      .populate('manager', 'name email');
+
+    res.json({
+      success: true,
+      message: 'Time off request rejected successfully',
+      data: { timeOffRequest },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
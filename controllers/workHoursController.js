@@ -22,11 +22,13 @@ exports.getMyWorkHours = async (req, res, next) => {
       .sort({ date: -1 });
 
     const totalHours = workHours.reduce((sum, wh) => sum + wh.hoursWorked, 0);
+    const totalPaidHours = workHours.reduce((sum, wh) => sum + wh.paidHours, 0);
 
     res.json({
       success: true,
       count: workHours.length,
       totalHours,
+      totalPaidHours,
       data: { workHours },
     });
   } catch (error) {
@@ -8,6 +8,7 @@
 
 const jwt = require('jsonwebtoken');    // JSON Web Token - used for authentication
 const User = require('../models/User'); // User model to fetch user data
+const delegationService = require('../services/delegationService'); // Acting approver lookups
 
 /**
  * AUTHENTICATE MIDDLEWARE
@@ -78,23 +79,49 @@ const authenticate = async (req, res, next) => {
  * 
  * Usage example: authorize('manager') - only managers can access
  * Usage example: authorize('staff', 'manager') - both staff and managers can access
+ * Usage example: authorize('manager', 'delegate') - managers, plus anyone a manager
+ *   has named as acting approver (ApprovalDelegation) for today
+ * Usage example: authorize('manager', 'approver') - managers, plus anyone holding
+ *   an approval chain role (User.approverRoles), e.g. a charge nurse
  * 
- * @param {...string} roles - One or more allowed roles (e.g., 'staff', 'manager')
+ * When access is granted through a delegation, the active delegations are
+ * attached as req.delegations so handlers can check their scope.
+ * 
+ * @param {...string} roles - One or more allowed roles (e.g., 'staff', 'manager', 'delegate', 'approver')
  * @returns {Function} Middleware function that checks user role
  */
 const authorize = (...roles) => {
   // Return a middleware function
-  return (req, res, next) => {
-    // Check if the current user's role is in the allowed roles list
-    if (!roles.includes(req.user.role)) {
+  return async (req, res, next) => {
+    try {
+      // Check if the current user's role is in the allowed roles list
+      if (roles.includes(req.user.role)) {
+        // User has required role - allow access
+        return next();
+      }
+
+      // Approval chain role holders get in whatever their own role
+      if (roles.includes('approver') && (req.user.approverRoles || []).length > 0) {
+        return next();
+      }
+
+      // Acting approvers get in while a delegation to them is running
+      if (roles.includes('delegate')) {
+        const delegations = await delegationService.getActiveDelegations(req.user._id);
+        if (delegations.length > 0) {
+          req.delegations = delegations;
+          return next();
+        }
+      }
+
       // User doesn't have required role - deny access
       return res.status(403).json({ 
         success: false, 
         message: 'Access denied. Insufficient permissions.' 
       });
+    } catch (error) {
+      next(error);
     }
-    // User has required role - allow access
-    next();
   };
 };
 
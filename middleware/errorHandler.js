@@ -9,15 +9,17 @@
  * Express automatically knows it's an error handler because of the 4 parameters.
  */
 
+const logger = require('../utils/logger');
+
 const errorHandler = (err, req, res, next) => {
   // Create a copy of the error object
   // We'll modify this to create a user-friendly error response
   let error = { ...err };
   error.message = err.message;
 
-  // Log the full error to console for debugging
+  // Log the full error for debugging
   // This helps developers see what went wrong
-  console.error(err);
+  logger.error(`${req.method} ${req.originalUrl} failed:`, err);
 
   // ==================================================
   // HANDLE SPECIFIC ERROR TYPES
@@ -50,6 +52,14 @@ const errorHandler = (err, req, res, next) => {
     error = { message, statusCode: 400 };
   }
 
+  // Mongoose VersionError or MongoDB WriteConflict (error code 112)
+  // Happens when two people change the same document at the same time
+  // Example: Two managers approve requests for the same shift simultaneously
+  if (err.name === 'VersionError' || err.code === 112) {
+    const message = 'This shift was changed by someone else. Please refresh and try again.';
+    error = { message, statusCode: 409 };
+  }
+
   // ==================================================
   // SEND ERROR RESPONSE
   // ==================================================
@@ -0,0 +1,83 @@
+/**
+ * ==================================================
+ * APPROVAL DELEGATION MODEL
+ * ==================================================
+ * Lets a manager name an acting approver while they are away.
+ *
+ * Between startDate and endDate the delegate can decide swap
+ * requests in the delegation's scope (one department, or a whole
+ * facility) with the delegator's approval rights. Every decision
+ * records both the delegate and the manager they acted for.
+ */
+
+const mongoose = require('mongoose');
+
+const approvalDelegationSchema = new mongoose.Schema({
+  // Manager who is away
+  delegator: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Delegator is required'],
+  },
+
+  // Acting approver (another manager or a charge staff member)
+  delegate: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Delegate is required'],
+  },
+
+  startDate: {
+    type: Date,
+    required: [true, 'Start date is required'],
+  },
+
+  endDate: {
+    type: Date,
+    required: [true, 'End date is required'],
+  },
+
+  // Which requests the delegate may decide
+  scope: {
+    type: {
+      type: String,
+      enum: ['department', 'facility'],
+      required: [true, 'Scope type is required'],
+      // 'department' = shifts in scope.department (optionally only at scope.facility)
+      // 'facility' = every shift at scope.facility
+    },
+    department: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+    facility: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Facility',
+      default: null,
+    },
+  },
+
+  reason: {
+    type: String,
+    trim: true,
+  },
+
+  // Set to false when the delegator revokes it early
+  isActive: {
+    type: Boolean,
+    default: true,
+  },
+
+  revokedAt: {
+    type: Date,
+    default: null,
+  },
+}, {
+  timestamps: true,
+});
+
+approvalDelegationSchema.index({ delegate: 1, isActive: 1, startDate: 1, endDate: 1 });
+approvalDelegationSchema.index({ delegator: 1, createdAt: -1 });
+
+module.exports = mongoose.model('ApprovalDelegation', approvalDelegationSchema);
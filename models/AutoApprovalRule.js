@@ -0,0 +1,85 @@
+/**
+ * ==================================================
+ * AUTO-APPROVAL RULE MODEL
+ * ==================================================
+ * A manager-defined rule for approving routine swap requests
+ * without waiting for a manager.
+ *
+ * A rule applies to one facility, and optionally to one department
+ * in it. A request is approved automatically when it meets every
+ * condition of a rule AND passes the normal approval checks
+ * (credentials and overlap). Department rules are tried before
+ * facility-wide ones.
+ */
+
+const mongoose = require('mongoose');
+
+const autoApprovalRuleSchema = new mongoose.Schema({
+  // Short name shown in history (e.g., "Routine ICU swaps")
+  name: {
+    type: String,
+    required: [true, 'Rule name is required'],
+    trim: true,
+  },
+
+  facility: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Facility',
+    required: [true, 'Facility is required'],
+  },
+
+  // Department the rule covers; null = every department in the facility
+  department: {
+    type: String,
+    trim: true,
+    default: null,
+  },
+
+  // Conditions a request must meet for this rule to fire
+  conditions: {
+    // Requester works in the same department as the shift
+    sameDepartment: {
+      type: Boolean,
+      default: true,
+    },
+    // Allow requests that would put anyone into overtime
+    allowOvertime: {
+      type: Boolean,
+      default: false,
+    },
+    // Allow requests for emergency shifts
+    allowEmergency: {
+      type: Boolean,
+      default: false,
+    },
+    // Request types the rule covers; empty = all types
+    swapTypes: [{
+      type: String,
+      enum: ['swap', 'give_up', 'coverage'],
+    }],
+  },
+
+  // Inactive rules are kept for history but never fire
+  isActive: {
+    type: Boolean,
+    default: true,
+  },
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+}, {
+  timestamps: true,
+});
+
+autoApprovalRuleSchema.index({ facility: 1, department: 1, isActive: 1 });
+
+module.exports = mongoose.model('AutoApprovalRule', autoApprovalRuleSchema);
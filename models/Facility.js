@@ -8,6 +8,114 @@
 
 const mongoose = require('mongoose');
 
+/**
+ * APPROVAL STEP SCHEMA
+ *
+ * One sign-off in a department's approval chain. The step is approved
+ * by a specific user if `approver` is set, otherwise by any manager
+ * holding `approverRole` (see User.approverRoles).
+ */
+const approvalStepSchema = new mongoose.Schema({
+  // Label shown to staff and managers (e.g., "Charge nurse sign-off")
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  approverRole: {
+    type: String,
+    trim: true,
+    default: null,
+  },
+  approver: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+}, { _id: false });
+
+/**
+ * LEAVE BLACKOUT SCHEMA
+ *
+ * A period (e.g., the holidays) when a department takes no leave.
+ * Both dates are inclusive.
+ */
+const leaveBlackoutSchema = new mongoose.Schema({
+  // Label shown in validation errors (e.g., "Christmas week")
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  startDate: {
+    type: Date,
+    required: true,
+  },
+  endDate: {
+    type: Date,
+    required: true,
+  },
+}, { _id: false });
+
+/**
+ * STAFFING REQUIREMENT SCHEMA
+ *
+ * Minimum staffing for one time block in a department (e.g., "Day"
+ * 07:00-19:00 needs 4 staff, at least 1 of them ACLS-certified).
+ * Coverage is measured at the weakest point of the block.
+ */
+const staffingRequirementSchema = new mongoose.Schema({
+  // Label shown in coverage reports (e.g., "Day", "Night")
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  // Times as on Shift ("07:00"); an end before the start runs overnight
+  startTime: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  endTime: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  // Days of the week the block applies (0 = Sunday); empty = every day
+  daysOfWeek: [{
+    type: Number,
+    min: 0,
+    max: 6,
+  }],
+  // Staff needed on shift throughout the block
+  minHeadcount: {
+    type: Number,
+    required: true,
+    min: 0,
+  },
+  // Skills that must be on shift, e.g. { label: "ACLS-certified RN",
+  // credentials: [RN license, ACLS], minCount: 1 }; a staff member counts
+  // if they hold every listed credential
+  skillMix: [{
+    label: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    credentials: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Credential',
+    }],
+    minCount: {
+      type: Number,
+      default: 1,
+      min: 1,
+    },
+    _id: false,
+  }],
+}, { _id: false });
+
 /**
  * FACILITY SCHEMA
  * 
@@ -58,6 +166,41 @@ const facilitySchema = new mongoose.Schema({
       type: Number,
       default: 40,  // hours per week
     },
+
+    // Sign-offs every swap request in this department needs, in order
+    // Empty = a single approval by any manager
+    approvalChain: [approvalStepSchema],
+
+    // Extra sign-offs added after approvalChain for emergency shifts
+    // that carry an incentive (e.g., finance)
+    incentiveApprovalSteps: [approvalStepSchema],
+
+    // Periods when time off is refused and staff cannot give up shifts
+    leaveBlackouts: [leaveBlackoutSchema],
+
+    // Most staff off (approved leave or a given-up shift) on the same day; null = no cap
+    maxConcurrentLeave: {
+      type: Number,
+      default: null,
+      min: 0,
+    },
+
+    // Leave types blackouts and the cap never block (unplanned leave)
+    leaveRuleExemptTypes: {
+      type: [String],
+      default: ['sick', 'bereavement'],
+    },
+
+    // Minimum staffing per time block, used for coverage gaps in the
+    // shift overview
+    staffingRequirements: [staffingRequirementSchema],
+
+    // Bumped by every leave approval in the department, so concurrent
+    // approvals write the same document and one of them is retried
+    leaveApprovalCount: {
+      type: Number,
+      default: 0,
+    },
   }],
   
   // Whether this facility is active (can be deactivated if facility closes)
@@ -0,0 +1,37 @@
+/**
+ * ==================================================
+ * LEAVE BALANCE MODEL
+ * ==================================================
+ * A staff member's current balance (in hours) for one leave type.
+ *
+ * The balance only changes together with a LeaveLedgerEntry
+ * (see leaveBalanceService), so the ledger always explains it.
+ */
+
+const mongoose = require('mongoose');
+
+const leaveBalanceSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required'],
+  },
+
+  leaveType: {
+    type: String,
+    enum: ['vacation', 'sick', 'study', 'bereavement'],
+    required: [true, 'Leave type is required'],
+  },
+
+  // Available hours (negative only if the policy allows it)
+  balance: {
+    type: Number,
+    default: 0,
+  },
+}, {
+  timestamps: true,
+});
+
+leaveBalanceSchema.index({ user: 1, leaveType: 1 }, { unique: true });
+
+module.exports = mongoose.model('LeaveBalance', leaveBalanceSchema);
@@ -0,0 +1,96 @@
+/**
+ * ==================================================
+ * LEAVE LEDGER ENTRY MODEL
+ * ==================================================
+ * One change to a staff member's leave balance: an accrual for
+ * hours worked, a monthly grant, leave taken, a year-end
+ * carry-over adjustment, or a manual adjustment by a manager.
+ *
+ * Entries made by the accrual job carry a periodKey (e.g.,
+ * "grant:2024-07") so a period is never credited twice.
+ */
+
+const mongoose = require('mongoose');
+
+const leaveLedgerEntrySchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required'],
+  },
+
+  leaveType: {
+    type: String,
+    enum: ['vacation', 'sick', 'study', 'bereavement'],
+    required: [true, 'Leave type is required'],
+  },
+
+  entryType: {
+    type: String,
+    enum: ['accrual', 'grant', 'deduction', 'carry_over', 'adjustment'],
+    required: [true, 'Entry type is required'],
+    // 'accrual' = earned for hours worked
+    // 'grant' = monthly grant
+    // 'deduction' = approved time off
+    // 'carry_over' = hours above the cap forfeited at the start of a year
+    // 'adjustment' = manual change by a manager
+  },
+
+  // Hours added (positive) or removed (negative)
+  hours: {
+    type: Number,
+    required: [true, 'Hours are required'],
+  },
+
+  // Balance straight after this entry
+  balanceAfter: {
+    type: Number,
+    required: true,
+  },
+
+  description: {
+    type: String,
+    trim: true,
+  },
+
+  policy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'LeavePolicy',
+    default: null,
+  },
+
+  timeOffRequest: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'TimeOffRequest',
+    default: null,
+  },
+
+  workHours: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WorkHours',
+    default: null,
+  },
+
+  // Period an accrual job entry covers; unique per user and leave type
+  periodKey: {
+    type: String,
+    default: null,
+  },
+
+  // Manager who made the change (null for the accrual job)
+  performedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+}, {
+  timestamps: true,
+});
+
+leaveLedgerEntrySchema.index({ user: 1, leaveType: 1, createdAt: -1 });
+leaveLedgerEntrySchema.index(
+  { user: 1, leaveType: 1, periodKey: 1 },
+  { unique: true, partialFilterExpression: { periodKey: { $type: 'string' } } }
+);
+
+module.exports = mongoose.model('LeaveLedgerEntry', leaveLedgerEntrySchema);
@@ -0,0 +1,110 @@
+/**
+ * ==================================================
+ * LEAVE POLICY MODEL
+ * ==================================================
+ * How one type of leave accrues for staff in a facility
+ * (optionally only one department in it).
+ *
+ * Accrual can combine:
+ * - Hours earned per hour worked (from WorkHours, once the shift date has passed)
+ * - A fixed grant at the start of each month
+ *
+ * At the start of each year the balance is capped at carryOverCap
+ * and anything above it is forfeited. Department policies take
+ * precedence over facility-wide ones for the same leave type.
+ */
+
+const mongoose = require('mongoose');
+
+const leavePolicySchema = new mongoose.Schema({
+  // Short name shown in the ledger (e.g., "ICU vacation")
+  name: {
+    type: String,
+    required: [true, 'Policy name is required'],
+    trim: true,
+  },
+
+  facility: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Facility',
+    required: [true, 'Facility is required'],
+  },
+
+  // Department the policy covers; null = every department in the facility
+  department: {
+    type: String,
+    trim: true,
+    default: null,
+  },
+
+  leaveType: {
+    type: String,
+    enum: ['vacation', 'sick', 'study', 'bereavement'],
+    required: [true, 'Leave type is required'],
+  },
+
+  accrual: {
+    // Leave hours earned per hour worked (e.g., 0.0385 = 1 hour per 26 worked)
+    hoursPerHourWorked: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    // Leave hours granted on the first of each month
+    monthlyGrantHours: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+  },
+
+  // Most hours that can be carried into a new year; null = no cap
+  carryOverCap: {
+    type: Number,
+    default: null,
+    min: 0,
+  },
+
+  // Hours one full day of leave uses up
+  hoursPerDay: {
+    type: Number,
+    default: 8,
+    min: 0,
+  },
+
+  // Allow leave to be approved beyond the available balance
+  allowNegativeBalance: {
+    type: Boolean,
+    default: false,
+  },
+
+  // Accrual starts from this date (work and months before it earn nothing)
+  effectiveFrom: {
+    type: Date,
+    default: Date.now,
+  },
+
+  // Inactive policies stop accruing; existing balances are kept
+  isActive: {
+    type: Boolean,
+    default: true,
+  },
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+}, {
+  timestamps: true,
+});
+
+leavePolicySchema.index({ facility: 1, department: 1, leaveType: 1, isActive: 1 });
+
+module.exports = mongoose.model('LeavePolicy', leavePolicySchema);
@@ -13,7 +13,7 @@ const notificationSchema = new mongoose.Schema({
   },
   type: {
     type: String,
-    enum: ['approval', 'rejection', 'shift_assigned', 'emergency_broadcast'],
+    enum: ['approval', 'rejection', 'shift_assigned', 'emergency_broadcast', 'swap_request', 'swap_response', 'swap_expired', 'time_off_request', 'schedule_published', 'shift_bid', 'incentive_escalated', 'waitlist_offer', 'call_in'],
     required: [true, 'Notification type is required'],
   },
   relatedShift: {
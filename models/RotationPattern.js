@@ -0,0 +1,139 @@
+/**
+ * ==================================================
+ * ROTATION PATTERN MODEL
+ * ==================================================
+ * A fixed rota a team works (e.g., 4-on/4-off, Panama, DuPont).
+ *
+ * The cycle is a list of days, each a day shift, a night shift or
+ * a day off, that repeats from `anchorDate`. Staff are split into
+ * groups, and each group works the cycle starting `offset` days in,
+ * so groups on the same pattern cover different days.
+ *
+ * rotationService turns a pattern into Shift documents assigned to
+ * each group's members over a planning horizon.
+ */
+
+const mongoose = require('mongoose');
+
+// Times for one kind of rota shift (day or night)
+const rotationShiftSchema = new mongoose.Schema({
+  startTime: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  endTime: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+}, { _id: false });
+
+// Staff who work the cycle together
+const rotationGroupSchema = new mongoose.Schema({
+  // e.g., "Team A"
+  name: {
+    type: String,
+    required: [true, 'Group name is required'],
+    trim: true,
+  },
+  // Days into the cycle this group starts at on anchorDate
+  offset: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+  members: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  }],
+});
+
+const rotationPatternSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Pattern name is required'],
+    trim: true,
+  },
+
+  department: {
+    type: String,
+    required: [true, 'Department is required'],
+    trim: true,
+  },
+
+  facility: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Facility',
+    default: null,
+  },
+
+  // One entry per day of the cycle
+  cycle: {
+    type: [{
+      type: String,
+      enum: ['day', 'night', 'off'],
+    }],
+    validate: {
+      validator: (cycle) => cycle.length > 0 && cycle.some(slot => slot !== 'off'),
+      message: 'The cycle must include at least one working day',
+    },
+  },
+
+  dayShift: {
+    type: rotationShiftSchema,
+    default: () => ({ startTime: '07:00', endTime: '19:00' }),
+  },
+
+  nightShift: {
+    type: rotationShiftSchema,
+    default: () => ({ startTime: '19:00', endTime: '07:00' }),
+  },
+
+  // Day 0 of the cycle
+  anchorDate: {
+    type: Date,
+    required: [true, 'Anchor date is required'],
+  },
+
+  // A member in two groups (or twice in one) would be scheduled twice a day
+  groups: {
+    type: [rotationGroupSchema],
+    validate: {
+      validator: (groups) => {
+        const memberIds = groups.flatMap(g => g.members.map(m => m.toString()));
+        return new Set(memberIds).size === memberIds.length;
+      },
+      message: 'Each staff member can only be listed once across all groups',
+    },
+  },
+
+  requiredCredentials: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Credential',
+  }],
+
+  // Inactive patterns are kept but not generated
+  isActive: {
+    type: Boolean,
+    default: true,
+  },
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+}, {
+  timestamps: true,
+});
+
+rotationPatternSchema.index({ department: 1, facility: 1, isActive: 1 });
+
+module.exports = mongoose.model('RotationPattern', rotationPatternSchema);
@@ -0,0 +1,119 @@
+/**
+ * ==================================================
+ * SCHEDULE DRAFT MODEL
+ * ==================================================
+ * Assignments proposed by the automatic schedule builder (see
+ * autoSchedulerService) for a department's open shifts.
+ *
+ * Nothing changes on the shifts until a manager reviews the draft
+ * and publishes it; publishing assigns the proposed staff.
+ */
+
+const mongoose = require('mongoose');
+
+// One proposed assignment
+const proposedAssignmentSchema = new mongoose.Schema({
+  shift: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Shift',
+    required: true,
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  // Fairness score the candidate was picked with (0-1)
+  score: {
+    type: Number,
+    default: 0,
+  },
+  // Set when the draft is published
+  result: {
+    type: String,
+    enum: ['pending', 'assigned', 'skipped', 'excluded'],
+    default: 'pending',
+    // 'pending' = not published yet
+    // 'assigned' = published and the shift was assigned
+    // 'skipped' = the shift could no longer be assigned at publish time
+    // 'excluded' = the manager left it out when publishing
+  },
+  resultMessage: {
+    type: String,
+    default: null,
+  },
+}, { _id: false });
+
+// A shift no one could be proposed for, with what ruled each candidate out
+const unfilledShiftSchema = new mongoose.Schema({
+  shift: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Shift',
+    required: true,
+  },
+  // One entry per hard constraint that excluded someone:
+  // { constraint, message, candidatesExcluded }
+  violations: [{
+    constraint: String,
+    message: String,
+    candidatesExcluded: Number,
+    _id: false,
+  }],
+}, { _id: false });
+
+const scheduleDraftSchema = new mongoose.Schema({
+  department: {
+    type: String,
+    required: [true, 'Department is required'],
+    trim: true,
+  },
+
+  facility: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Facility',
+    default: null,
+  },
+
+  startDate: {
+    type: Date,
+    required: true,
+  },
+
+  endDate: {
+    type: Date,
+    required: true,
+  },
+
+  status: {
+    type: String,
+    enum: ['draft', 'published', 'discarded'],
+    default: 'draft',
+  },
+
+  assignments: [proposedAssignmentSchema],
+
+  unfilled: [unfilledShiftSchema],
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+
+  publishedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+
+  publishedAt: {
+    type: Date,
+    default: null,
+  },
+}, {
+  timestamps: true,
+});
+
+scheduleDraftSchema.index({ department: 1, status: 1, createdAt: -1 });
+
+module.exports = mongoose.model('ScheduleDraft', scheduleDraftSchema);
@@ -0,0 +1,86 @@
+/**
+ * ==================================================
+ * SCHEDULE PERIOD MODEL
+ * ==================================================
+ * A stretch of a department's schedule (e.g., ICU, 2-29 November)
+ * that managers build in draft and then publish.
+ *
+ * While a period is a draft, its shifts (the department's shifts
+ * dated inside it) are hidden from staff. Publishing shows them and
+ * notifies the staff who are working in the period. Each publish
+ * saves a numbered ScheduleVersion; changes made since the latest
+ * one are listed in the period's changelog (see schedulePeriodService).
+ */
+
+const mongoose = require('mongoose');
+
+const schedulePeriodSchema = new mongoose.Schema({
+  // e.g., "ICU November rota"
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    trim: true,
+  },
+
+  department: {
+    type: String,
+    required: [true, 'Department is required'],
+    trim: true,
+  },
+
+  // null = the department in every facility
+  facility: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Facility',
+    default: null,
+  },
+
+  // First and last day covered (inclusive, midnight UTC like Shift.date)
+  startDate: {
+    type: Date,
+    required: [true, 'Start date is required'],
+  },
+
+  endDate: {
+    type: Date,
+    required: [true, 'End date is required'],
+  },
+
+  status: {
+    type: String,
+    enum: ['draft', 'published'],
+    default: 'draft',
+    // 'draft' = being built, hidden from staff
+    // 'published' = visible to staff; can be published again as a new version
+  },
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+
+  // Latest published version (see ScheduleVersion); 0 while never published
+  currentVersion: {
+    type: Number,
+    default: 0,
+  },
+
+  // Who published the latest version, and when
+  publishedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+
+  publishedAt: {
+    type: Date,
+    default: null,
+  },
+}, {
+  timestamps: true,
+});
+
+schedulePeriodSchema.index({ department: 1, status: 1, startDate: 1, endDate: 1 });
+
+module.exports = mongoose.model('SchedulePeriod', schedulePeriodSchema);
@@ -0,0 +1,60 @@
+/**
+ * ==================================================
+ * SCHEDULE VERSION MODEL
+ * ==================================================
+ * A snapshot of a schedule period's shifts, taken each time the
+ * period is published. Version 1 is the first publish; publishing
+ * again after changes adds version 2, and so on.
+ *
+ * Comparing two versions shows which shifts were added, removed,
+ * retimed or reassigned between them (see schedulePeriodService).
+ */
+
+const mongoose = require('mongoose');
+
+// A shift as it was when the version was published
+const shiftSnapshotSchema = new mongoose.Schema({
+  shift: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Shift',
+    required: true,
+  },
+  title: String,
+  date: Date,
+  startTime: String,
+  endTime: String,
+  status: String,
+  assignedTo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+}, { _id: false });
+
+const scheduleVersionSchema = new mongoose.Schema({
+  period: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SchedulePeriod',
+    required: true,
+  },
+
+  version: {
+    type: Number,
+    required: true,
+    min: 1,
+  },
+
+  shifts: [shiftSnapshotSchema],
+
+  publishedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+}, {
+  timestamps: true,
+});
+
+scheduleVersionSchema.index({ period: 1, version: 1 }, { unique: true });
+
+module.exports = mongoose.model('ScheduleVersion', scheduleVersionSchema);
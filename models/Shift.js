@@ -8,6 +8,102 @@
 
 const mongoose = require('mongoose');
 
+/**
+ * BIDDING SCHEMA
+ *
+ * Open shifts that are hard to fill can be put up for bidding. While
+ * nobody has bid, the incentive rises by `step` at checkpoints before
+ * the start: the first `startHoursBefore` hours before it, then every
+ * `everyHours`, never going above `maxAmount`
+ * (see shiftBiddingService).
+ */
+const biddingSchema = new mongoose.Schema({
+  enabled: {
+    type: Boolean,
+    default: false,
+  },
+
+  // Incentive when bidding opened; escalations are added to this
+  baseAmount: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+
+  // Added at each checkpoint (dollars)
+  step: {
+    type: Number,
+    default: 25,
+    min: 0,
+  },
+
+  everyHours: {
+    type: Number,
+    default: 6,
+    min: 1,
+  },
+
+  startHoursBefore: {
+    type: Number,
+    default: 48,
+    min: 1,
+  },
+
+  // Cap on incentiveAmount
+  maxAmount: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+
+  // Checkpoints already applied
+  escalations: {
+    type: Number,
+    default: 0,
+  },
+
+  lastEscalatedAt: {
+    type: Date,
+    default: null,
+  },
+}, { _id: false });
+
+/**
+ * CALL-IN SCHEMA
+ *
+ * A stretch of an on-call or standby shift the assignee was called in
+ * to work (see callInService).
+ */
+const callInSchema = new mongoose.Schema({
+  // Date the worked time starts on (the next day for call-ins after
+  // midnight on an overnight shift)
+  date: {
+    type: Date,
+    required: true,
+  },
+
+  startTime: {
+    type: String,
+    required: true,
+  },
+
+  endTime: {
+    type: String,
+    required: true,
+  },
+
+  calledInBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+
+  calledInAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
 /**
  * SHIFT SCHEMA
  * 
@@ -57,14 +153,32 @@ const shiftSchema = new mongoose.Schema({
     required: [true, 'Posted by user is required'],
   },
   
+  // Kind of shift, which decides how its hours count and are paid
+  // (see KIND_RULES in overtimeCalculationService)
+  kind: {
+    type: String,
+    enum: ['regular', 'on_call', 'standby', 'call_back'],
+    default: 'regular',
+    // 'regular' = scheduled work
+    // 'on_call' = reachable off site, ready to come in if needed
+    // 'standby' = on site, ready to work if needed
+    // 'call_back' = work after being called back in, with a minimum paid
+    // On-call and standby time only counts as worked once called in
+  },
+
+  // Times the assignee was called in (on-call and standby shifts only)
+  callIns: [callInSchema],
+
   // Current status of the shift
   status: {
     type: String,
-    enum: ['open', 'requested', 'approved'],  // Can only be one of these
+    enum: ['open', 'requested', 'approved', 'split'],  // Can only be one of these
     default: 'open',  // New shifts start as 'open'
     // 'open' = available, no requests yet
     // 'requested' = someone requested to take it, awaiting approval
     // 'approved' = manager approved, shift is assigned
+    // 'split' = divided into segments (shifts whose parentShift is this one),
+    //           which are worked instead
   },
   
   // User who is assigned to work this shift (null until approved)
@@ -106,10 +220,64 @@ const shiftSchema = new mongoose.Schema({
     type: String,
     trim: true,
   },
+
+  // Bidding mode and incentive escalation policy (see biddingSchema)
+  bidding: {
+    type: biddingSchema,
+    default: () => ({}),
+  },
+
+  // Staff member who gave this shift up (posted it for cover or released it).
+  // Counts as a day off for them under the department's leave cap
+  givenUpBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+
+  // Shift this one is a segment of (null for whole shifts; see shiftSplitService)
+  parentShift: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Shift',
+    default: null,
+  },
+
+  // Template this shift was generated from (null for shifts created by hand)
+  template: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ShiftTemplate',
+    default: null,
+  },
+
+  // Rotation pattern this shift was generated from (null if none)
+  rotationPattern: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RotationPattern',
+    default: null,
+  },
 }, {
   timestamps: true,  // Automatically add createdAt and updatedAt fields
+  optimisticConcurrency: true,  // Reject saves of a shift that someone else changed since it was loaded
 });
 
+// Generated shifts are looked up by template and date
+shiftSchema.index({ template: 1, date: 1 });
+shiftSchema.index({ rotationPattern: 1, date: 1 });
+
+// Give-ups count towards the leave cap by person and day
+shiftSchema.index({ givenUpBy: 1, date: 1 });
+
+// Segments are looked up by the shift they were split from
+shiftSchema.index({ parentShift: 1 });
+
+// The escalation job looks up open shifts in bidding mode
+shiftSchema.index({ 'bidding.enabled': 1, status: 1, date: 1 });
+
 // Export the Shift model
-module.exports = mongoose.model('Shift', shiftSchema);
+const Shift = mongoose.model('Shift', shiftSchema);
+
+// Kinds whose time is only worked once the assignee is called in
+Shift.STANDBY_KINDS = ['on_call', 'standby'];
+
+module.exports = Shift;
 
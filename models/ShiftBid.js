@@ -0,0 +1,68 @@
+/**
+ * ==================================================
+ * SHIFT BID MODEL
+ * ==================================================
+ * A staff member's bid to work an open shift that is in bidding
+ * mode (see Shift.bidding). A manager awards the shift to one bid;
+ * the others lose.
+ *
+ * The bid keeps the incentive offered when it was placed, since
+ * the shift's incentive can rise while nobody has bid on it.
+ */
+
+const mongoose = require('mongoose');
+
+const shiftBidSchema = new mongoose.Schema({
+  shift: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Shift',
+    required: [true, 'Shift is required'],
+  },
+
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required'],
+  },
+
+  // Shift.incentiveAmount when the bid was placed
+  incentiveAmount: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Note cannot be more than 500 characters'],
+  },
+
+  status: {
+    type: String,
+    enum: ['active', 'won', 'lost', 'withdrawn'],
+    default: 'active',
+    // 'active' = waiting for the manager
+    // 'won' = awarded the shift
+    // 'lost' = the shift went to someone else
+    // 'withdrawn' = the bidder took the bid back
+  },
+
+  // Manager who awarded the shift (set on won and lost bids)
+  decidedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+}, {
+  timestamps: true,
+});
+
+// One active bid per person per shift
+shiftBidSchema.index(
+  { shift: 1, user: 1 },
+  { unique: true, partialFilterExpression: { status: 'active' } }
+);
+shiftBidSchema.index({ user: 1, status: 1 });
+
+module.exports = mongoose.model('ShiftBid', shiftBidSchema);
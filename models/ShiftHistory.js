@@ -8,13 +8,27 @@ const shiftHistorySchema = new mongoose.Schema({
   },
   action: {
     type: String,
-    enum: ['created', 'updated', 'assigned', 'unassigned', 'status_changed', 'approved', 'rejected'],
+    enum: ['created', 'updated', 'assigned', 'unassigned', 'status_changed', 'approved', 'rejected', 'swapped', 'override', 'deleted', 'incentive_escalated', 'split', 'called_in'],
     required: [true, 'Action is required'],
   },
+  // null for automatic system actions (e.g. scheduled expiry)
   performedBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
-    required: [true, 'Performed by user is required'],
+    default: null,
+  },
+  // Manager the performer acted for under an approval delegation (null = own right)
+  onBehalfOf: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+  // Set when the shift is a segment of a split shift, so the parent's
+  // history includes what happens to its segments
+  parentShift: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Shift',
+    default: null,
   },
   previousValue: mongoose.Schema.Types.Mixed,
   newValue: mongoose.Schema.Types.Mixed,
@@ -28,6 +42,7 @@ const shiftHistorySchema = new mongoose.Schema({
 
 shiftHistorySchema.index({ shift: 1, createdAt: -1 });
 shiftHistorySchema.index({ performedBy: 1, createdAt: -1 });
+shiftHistorySchema.index({ parentShift: 1, createdAt: -1 });
 
 module.exports = mongoose.model('ShiftHistory', shiftHistorySchema);
 
@@ -14,14 +14,84 @@ const shiftSwapRequestSchema = new mongoose.Schema(
     },
     status: {
       type: String,
-      enum: ["pending", "approved", "rejected"],
+      enum: ["awaiting_counterparty", "pending", "approved", "rejected", "declined", "expired", "cancelled", "reversed"],
       default: "pending",
+      // 'awaiting_counterparty' = two-party swap waiting for the colleague to accept
+      // 'pending' = waiting for manager approval
+      // 'declined' = colleague declined the two-party swap
+      // 'expired' = nobody acted before responseDeadline
+      // 'cancelled' = requester withdrew the request
+      // 'reversed' = a manager undid an approved open-shift request
     },
     manager: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "User",
       default: null,
     },
+    // Manager the deciding user acted for under an approval delegation
+    // (null = decided in their own right)
+    actingFor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    // Sign-offs this request needs, copied from the department's chain when
+    // the request is made. Empty = a single approval by any manager
+    approvalChain: [
+      {
+        name: {
+          type: String,
+          required: true,
+          trim: true,
+        },
+        approverRole: {
+          type: String,
+          default: null,
+        },
+        approver: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+          default: null,
+        },
+        status: {
+          type: String,
+          enum: ["pending", "approved", "rejected"],
+          default: "pending",
+        },
+        decidedBy: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+          default: null,
+        },
+        // Manager decidedBy acted for under an approval delegation
+        decidedOnBehalfOf: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+          default: null,
+        },
+        decidedAt: {
+          type: Date,
+          default: null,
+        },
+        // Set when the approver overrode failed approval checks at this step
+        overrideJustification: {
+          type: String,
+          trim: true,
+          default: null,
+        },
+      },
+    ],
+    // Index of the step waiting for a decision
+    currentApprovalStep: {
+      type: Number,
+      default: 0,
+    },
+    // Rule that approved the request automatically (null = decided by a manager)
+    autoApprovalRule: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "AutoApprovalRule",
+      default: null,
+    },
     swapType: {
       type: String,
       enum: ["swap", "give_up", "coverage"],
@@ -33,6 +103,33 @@ const shiftSwapRequestSchema = new mongoose.Schema(
         ref: "Shift",
       },
     ],
+    // Shift the requester gives in exchange (two-party 'swap' requests only)
+    offeredShift: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Shift",
+      default: null,
+    },
+    // Colleague currently assigned to the requested shift (two-party 'swap' requests only)
+    counterparty: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    counterpartyResponse: {
+      status: {
+        type: String,
+        enum: ["pending", "accepted", "declined", null],
+        default: null,
+      },
+      respondedAt: {
+        type: Date,
+        default: null,
+      },
+      note: {
+        type: String,
+        trim: true,
+      },
+    },
     reason: {
       type: String,
       required: [true, "Reason is required"],
@@ -42,6 +139,10 @@ const shiftSwapRequestSchema = new mongoose.Schema(
       type: Date,
       required: [true, "Response deadline is required"],
     },
+    cancelledAt: {
+      type: Date,
+      default: null,
+    },
     createdAt: {
       type: Date,
       default: Date.now,
@@ -52,7 +153,39 @@ const shiftSwapRequestSchema = new mongoose.Schema(
   }
 );
 
-// Prevent duplicate requests for the same shift
-shiftSwapRequestSchema.index({ shift: 1, requestedBy: 1 }, { unique: true });
+// Statuses where a request is still open (waiting on a colleague or manager)
+const OPEN_STATUSES = ["awaiting_counterparty", "pending"];
+
+// Prevent duplicate open requests for the same shift
+// Closed requests (cancelled, rejected, expired...) don't count, so the
+// same person can request the shift again later
+// ($in in a partial filter needs MongoDB 6.0+, see SETUP.md)
+shiftSwapRequestSchema.index(
+  { shift: 1, requestedBy: 1 },
+  {
+    unique: true,
+    name: "open_request_per_user",
+    partialFilterExpression: { status: { $in: OPEN_STATUSES } },
+  }
+);
+shiftSwapRequestSchema.index({ counterparty: 1, status: 1 });
+shiftSwapRequestSchema.index({ status: 1, responseDeadline: 1 });
+
+const ShiftSwapRequest = mongoose.model("ShiftSwapRequest", shiftSwapRequestSchema);
+
+ShiftSwapRequest.OPEN_STATUSES = OPEN_STATUSES;
+
+// Drop the old unique index that covered every status (legacy from previous schema)
+// It blocked re-requesting a shift after cancelling, rejection or expiry
+// Called once at startup from server.js, before the current indexes are built
+// (open_request_per_user has the same key, so it can't be built alongside it)
+ShiftSwapRequest.dropLegacyIndexes = async () => {
+  try {
+    await ShiftSwapRequest.collection.dropIndex("shift_1_requestedBy_1");
+  } catch (error) {
+    // IndexNotFound: already dropped, or never existed - that's fine
+    if (error.code !== 27) throw error;
+  }
+};
 
-module.exports = mongoose.model("ShiftSwapRequest", shiftSwapRequestSchema);
+module.exports = ShiftSwapRequest;
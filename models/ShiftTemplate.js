@@ -0,0 +1,112 @@
+/**
+ * ==================================================
+ * SHIFT TEMPLATE MODEL
+ * ==================================================
+ * A shift a department runs on a regular pattern (e.g., ICU day
+ * shift 07:00-19:00 every day), and the recurrence rule saying
+ * which days it runs.
+ *
+ * shiftGenerationService turns a template into Shift documents
+ * over a date range: `headcount` open shifts on each day the rule
+ * matches.
+ */
+
+const mongoose = require('mongoose');
+
+const shiftTemplateSchema = new mongoose.Schema({
+  // Title given to every generated shift (e.g., "ICU Day Shift")
+  title: {
+    type: String,
+    required: [true, 'Title is required'],
+    trim: true,
+  },
+
+  department: {
+    type: String,
+    required: [true, 'Department is required'],
+    trim: true,
+  },
+
+  facility: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Facility',
+    default: null,
+  },
+
+  // Times as on Shift ("07:00"); an end before the start runs overnight
+  startTime: {
+    type: String,
+    required: [true, 'Start time is required'],
+    trim: true,
+  },
+
+  endTime: {
+    type: String,
+    required: [true, 'End time is required'],
+    trim: true,
+  },
+
+  requiredCredentials: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Credential',
+  }],
+
+  // Number of shifts (one per person) to create on each day
+  headcount: {
+    type: Number,
+    default: 1,
+    min: 1,
+  },
+
+  // Which days the template runs
+  recurrence: {
+    type: {
+      type: String,
+      enum: ['daily', 'weekdays', 'every_n_days', 'rrule'],
+      required: [true, 'Recurrence type is required'],
+      // 'daily' = every day
+      // 'weekdays' = Monday to Friday
+      // 'every_n_days' = every `interval` days counted from `anchorDate`
+      // 'rrule' = an RRULE string (FREQ=DAILY or WEEKLY, INTERVAL, BYDAY)
+    },
+    interval: {
+      type: Number,
+      default: 1,
+      min: 1,
+    },
+    // First day of the pattern; intervals are counted from here
+    anchorDate: {
+      type: Date,
+      default: null,
+    },
+    rrule: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+  },
+
+  // Inactive templates are kept but not generated
+  isActive: {
+    type: Boolean,
+    default: true,
+  },
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+}, {
+  timestamps: true,
+});
+
+shiftTemplateSchema.index({ department: 1, facility: 1, isActive: 1 });
+
+module.exports = mongoose.model('ShiftTemplate', shiftTemplateSchema);
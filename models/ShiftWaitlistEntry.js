@@ -0,0 +1,75 @@
+/**
+ * ==================================================
+ * SHIFT WAITLIST ENTRY MODEL
+ * ==================================================
+ * A staff member waiting for a shift someone else has claimed.
+ *
+ * If the shift is freed again (the assignee gives it up, or the
+ * approval that gave it to them is reversed), the first eligible
+ * person still waiting is offered it. They have until
+ * offerExpiresAt to accept; after that, or if they decline, the
+ * next person is offered it (see shiftWaitlistService).
+ */
+
+const mongoose = require('mongoose');
+
+const shiftWaitlistEntrySchema = new mongoose.Schema({
+  shift: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Shift',
+    required: [true, 'Shift is required'],
+  },
+
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required'],
+  },
+
+  status: {
+    type: String,
+    enum: ['waiting', 'offered', 'accepted', 'declined', 'expired', 'left', 'closed'],
+    default: 'waiting',
+    // 'waiting' = in the queue (first come, first served)
+    // 'offered' = offered the shift, waiting for an answer
+    // 'accepted' = took the shift
+    // 'declined' = turned the offer down
+    // 'expired' = did not answer before offerExpiresAt
+    // 'left' = left the waitlist
+    // 'closed' = the shift was split, so there is nothing left to wait for
+  },
+
+  offeredAt: {
+    type: Date,
+    default: null,
+  },
+
+  offerExpiresAt: {
+    type: Date,
+    default: null,
+  },
+}, {
+  timestamps: true,
+});
+
+// Statuses where someone is still on the waitlist
+const ACTIVE_STATUSES = ['waiting', 'offered'];
+
+// One place on a shift's waitlist per person
+shiftWaitlistEntrySchema.index(
+  { shift: 1, user: 1 },
+  { unique: true, partialFilterExpression: { status: { $in: ACTIVE_STATUSES } } }
+);
+// One open offer per shift, so two people are never offered it at once
+shiftWaitlistEntrySchema.index(
+  { shift: 1 },
+  { unique: true, name: 'one_offer_per_shift', partialFilterExpression: { status: 'offered' } }
+);
+shiftWaitlistEntrySchema.index({ shift: 1, status: 1, createdAt: 1 });
+shiftWaitlistEntrySchema.index({ status: 1, offerExpiresAt: 1 });
+
+const ShiftWaitlistEntry = mongoose.model('ShiftWaitlistEntry', shiftWaitlistEntrySchema);
+
+ShiftWaitlistEntry.ACTIVE_STATUSES = ACTIVE_STATUSES;
+
+module.exports = ShiftWaitlistEntry;
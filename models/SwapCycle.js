@@ -0,0 +1,68 @@
+/**
+ * ==================================================
+ * SWAP CYCLE MODEL
+ * ==================================================
+ * A closed trade between two or more staff (A→B→C→A) built from
+ * pending 'swap' requests by the matching engine.
+ *
+ * Each participant gives the shift they offered and receives a shift
+ * they asked for. A manager approves or rejects the whole cycle.
+ */
+
+const mongoose = require('mongoose');
+
+const swapCycleSchema = new mongoose.Schema({
+  // One entry per person in the cycle, in trade order
+  participants: [{
+    swapRequest: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ShiftSwapRequest',
+      required: true,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    // Shift this participant gives away (their offered shift)
+    givesShift: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Shift',
+      required: true,
+    },
+    // Shift this participant receives (one they asked for)
+    receivesShift: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Shift',
+      required: true,
+    },
+  }],
+
+  status: {
+    type: String,
+    enum: ['proposed', 'approved', 'rejected'],
+    default: 'proposed',
+    // 'proposed' = found by the matching engine, awaiting manager review
+    // 'approved' = every shift in the cycle has been reassigned
+    // 'rejected' = manager declined the cycle; its requests stay pending
+  },
+
+  // Sorted swap request IDs, so the same cycle is not proposed twice
+  key: {
+    type: String,
+    required: true,
+  },
+
+  manager: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+}, {
+  timestamps: true,
+});
+
+swapCycleSchema.index({ status: 1, createdAt: -1 });
+swapCycleSchema.index({ key: 1 });
+
+module.exports = mongoose.model('SwapCycle', swapCycleSchema);
@@ -0,0 +1,106 @@
+/**
+ * ==================================================
+ * TIME OFF REQUEST MODEL
+ * ==================================================
+ * A staff member's request for leave (vacation, sick, study,
+ * bereavement) over one or more days, or part of a single day.
+ *
+ * A manager approves or rejects it. Approved leave is a hard
+ * conflict for shift assignment, and approving it releases any
+ * shifts the staff member was assigned during the leave.
+ */
+
+const mongoose = require('mongoose');
+
+const timeOffRequestSchema = new mongoose.Schema({
+  // Staff member taking leave
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required'],
+  },
+
+  type: {
+    type: String,
+    enum: ['vacation', 'sick', 'study', 'bereavement'],
+    required: [true, 'Leave type is required'],
+  },
+
+  // First and last day of leave (inclusive, stored as dates like Shift.date)
+  startDate: {
+    type: Date,
+    required: [true, 'Start date is required'],
+  },
+
+  endDate: {
+    type: Date,
+    required: [true, 'End date is required'],
+  },
+
+  // Partial day: leave covers only startTime-endTime on a single day
+  isPartialDay: {
+    type: Boolean,
+    default: false,
+  },
+
+  startTime: {
+    type: String,
+    trim: true,
+    required: [function () { return this.isPartialDay; }, 'Start time is required for a partial day'],
+    default: null,
+  },
+
+  endTime: {
+    type: String,
+    trim: true,
+    required: [function () { return this.isPartialDay; }, 'End time is required for a partial day'],
+    default: null,
+  },
+
+  reason: {
+    type: String,
+    trim: true,
+  },
+
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected', 'cancelled'],
+    default: 'pending',
+  },
+
+  // Manager who approved or rejected it
+  manager: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+
+  managerNote: {
+    type: String,
+    trim: true,
+  },
+
+  decidedAt: {
+    type: Date,
+    default: null,
+  },
+
+  // Leave balance hours used on approval (0 when the leave type has no policy)
+  hoursDeducted: {
+    type: Number,
+    default: 0,
+  },
+
+  // Shifts that were unassigned and reopened when the leave was approved
+  releasedShifts: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Shift',
+  }],
+}, {
+  timestamps: true,
+});
+
+timeOffRequestSchema.index({ user: 1, status: 1, startDate: 1, endDate: 1 });
+timeOffRequestSchema.index({ status: 1, createdAt: 1 });
+
+module.exports = mongoose.model('TimeOffRequest', timeOffRequestSchema);
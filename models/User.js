@@ -107,17 +107,81 @@ const userSchema = new mongoose.Schema({
 
   // Preferred shift type (free text so product can evolve without backend changes)
   // Examples: "Day", "Evening", "Night", "Rotating"
+  // "Day", "Evening" and "Night" are used for shift ranking when
+  // shiftPreferences.timeOfDay is not set
   preferredShiftType: {
     type: String,
     trim: true,
   },
 
+  // AVAILABILITY AND PREFERENCES (see availabilityService)
+  // Recurring weekly windows the user can work in; empty = available any time
+  // dayOfWeek: 0 = Sunday ... 6 = Saturday; a window may end after midnight
+  weeklyAvailability: [{
+    _id: false,
+    dayOfWeek: {
+      type: Number,
+      required: true,
+      min: 0,
+      max: 6,
+    },
+    startTime: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    endTime: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+  }],
+
+  // Dates the user cannot work at all (both dates inclusive)
+  unavailableDates: [{
+    startDate: {
+      type: Date,
+      required: true,
+    },
+    endDate: {
+      type: Date,
+      required: true,
+    },
+    reason: {
+      type: String,
+      trim: true,
+    },
+  }],
+
+  shiftPreferences: {
+    // Preferred time of day; null = no preference
+    timeOfDay: {
+      type: String,
+      enum: ['day', 'evening', 'night', null],
+      default: null,
+    },
+    // Most shifts the user wants in one week; null = no limit
+    maxShiftsPerWeek: {
+      type: Number,
+      min: 0,
+      default: null,
+    },
+  },
+
   // Years of experience in current profession
   yearsOfExperience: {
     type: Number,
     min: 0,
   },
 
+  // Sign-off roles this user holds in approval chains (staff can hold them too)
+  // Examples: "charge_nurse", "unit_manager", "finance"
+  // Matched against approverRole on each step of a swap request's approval chain
+  approverRoles: [{
+    type: String,
+    trim: true,
+  }],
+
   // Internal employee ID used by the hospital
   employeeId: {
     type: String,
@@ -15,11 +15,41 @@ const workHoursSchema = new mongoose.Schema({
     type: Date,
     required: [true, 'Date is required'],
   },
+  // What the hours are for; see KIND_RULES in overtimeCalculationService
+  // 'on_call' and 'standby' are time available to be called in, which is
+  // not worked; 'call_in' is time worked after being called in from them
+  kind: {
+    type: String,
+    enum: ['regular', 'on_call', 'standby', 'call_back', 'call_in'],
+    default: 'regular',
+  },
+  // Hours that count toward weekly and monthly totals (0 for on-call/standby)
   hoursWorked: {
     type: Number,
     required: [true, 'Hours worked is required'],
     min: 0,
   },
+  // On-call/standby hours not (yet) converted into worked time
+  availableHours: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+  // Hours paid at the base rate, after the kind's pay rate and minimum
+  paidHours: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+  // Times actually worked, for call-ins ("HH:mm")
+  startTime: {
+    type: String,
+    default: null,
+  },
+  endTime: {
+    type: String,
+    default: null,
+  },
   weekStartDate: {
     type: Date,
     required: [true, 'Week start date is required'],
@@ -2,16 +2,38 @@ const express = require('express');
 const { body } = require('express-validator');
 const router = express.Router();
 const managerController = require('../controllers/managerController');
+const swapCycleController = require('../controllers/swapCycleController');
+const autoApprovalRuleController = require('../controllers/autoApprovalRuleController');
+const delegationController = require('../controllers/delegationController');
+const timeOffController = require('../controllers/timeOffController');
+const leavePolicyController = require('../controllers/leavePolicyController');
+const shiftTemplateController = require('../controllers/shiftTemplateController');
+const rotationPatternController = require('../controllers/rotationPatternController');
+const shiftBiddingController = require('../controllers/shiftBiddingController');
+const shiftWaitlistController = require('../controllers/shiftWaitlistController');
+const autoScheduleController = require('../controllers/autoScheduleController');
+const schedulePeriodController = require('../controllers/schedulePeriodController');
 const { authenticate, authorize } = require('../middleware/auth');
 const validate = require('../middleware/validation');
 
-// All routes require authentication and manager role
+// All routes require authentication
 router.use(authenticate);
-router.use(authorize('manager'));
 
 // Validation rules
+const timeFormat = /^([01]\d|2[0-3]):[0-5]\d$/;
+
 const approveRequestValidation = [
   body('requestId').notEmpty().withMessage('Request ID is required'),
+  body('override')
+    .optional()
+    .isBoolean({ strict: true })
+    .withMessage('Override must be true or false')
+    .toBoolean(),
+  body('overrideJustification')
+    .if(body('override').equals('true'))
+    .trim()
+    .notEmpty()
+    .withMessage('A justification is required when overriding approval checks'),
   validate,
 ];
 
@@ -20,10 +42,350 @@ const rejectRequestValidation = [
   validate,
 ];
 
+// Bulk decisions take a list of request IDs (capped so one call stays quick)
+const bulkRequestIdsValidation = [
+  body('requestIds')
+    .isArray({ min: 1, max: 100 })
+    .withMessage('Request IDs must be a list of 1 to 100 IDs'),
+  body('requestIds.*').isMongoId().withMessage('Each request ID must be valid'),
+];
+
+const bulkApproveValidation = [
+  ...bulkRequestIdsValidation,
+  body('override')
+    .optional()
+    .isBoolean({ strict: true })
+    .withMessage('Override must be true or false')
+    .toBoolean(),
+  body('overrideJustification')
+    .if(body('override').equals('true'))
+    .trim()
+    .notEmpty()
+    .withMessage('A justification is required when overriding approval checks'),
+  validate,
+];
+
+const bulkRejectValidation = [
+  ...bulkRequestIdsValidation,
+  validate,
+];
+
+// Conditions shared by create and update (all optional)
+const ruleConditionsValidation = [
+  body('conditions.sameDepartment').optional().isBoolean().withMessage('sameDepartment must be true or false'),
+  body('conditions.allowOvertime').optional().isBoolean().withMessage('allowOvertime must be true or false'),
+  body('conditions.allowEmergency').optional().isBoolean().withMessage('allowEmergency must be true or false'),
+  body('conditions.swapTypes').optional().isArray().withMessage('swapTypes must be a list'),
+  body('conditions.swapTypes.*')
+    .isIn(['swap', 'give_up', 'coverage'])
+    .withMessage('Swap type must be swap, give_up, or coverage'),
+  body('isActive').optional().isBoolean().withMessage('isActive must be true or false'),
+];
+
+const createRuleValidation = [
+  body('name').trim().notEmpty().withMessage('Rule name is required'),
+  body('facility').isMongoId().withMessage('Facility is required'),
+  body('department').optional({ nullable: true }).trim(),
+  ...ruleConditionsValidation,
+  validate,
+];
+
+const updateRuleValidation = [
+  body('name').optional().trim().notEmpty().withMessage('Rule name cannot be empty'),
+  body('department').optional({ nullable: true }).trim(),
+  ...ruleConditionsValidation,
+  validate,
+];
+
+const createDelegationValidation = [
+  body('delegateId').isMongoId().withMessage('Delegate is required'),
+  body('startDate').isISO8601().withMessage('Valid start date is required'),
+  body('endDate')
+    .isISO8601()
+    .withMessage('Valid end date is required')
+    .custom((endDate, { req }) => new Date(endDate) >= new Date(req.body.startDate))
+    .withMessage('End date must be on or after the start date'),
+  body('scope.type').isIn(['department', 'facility']).withMessage('Scope type must be department or facility'),
+  body('scope.department')
+    .if(body('scope.type').equals('department'))
+    .trim()
+    .notEmpty()
+    .withMessage('Department is required for a department scope'),
+  body('scope.facility')
+    .if(body('scope.type').equals('facility'))
+    .isMongoId()
+    .withMessage('Facility is required for a facility scope'),
+  body('scope.facility').optional({ nullable: true }).isMongoId().withMessage('Facility must be a valid ID'),
+  body('reason').optional().trim().isLength({ max: 500 }).withMessage('Reason must be 500 characters or less'),
+  validate,
+];
+
+const timeOffDecisionValidation = [
+  body('requestId').isMongoId().withMessage('Request ID is required'),
+  body('managerNote').optional().trim().isLength({ max: 500 }).withMessage('Note must be 500 characters or less'),
+  validate,
+];
+
+// Leave policy settings shared by create and update (all optional)
+const leavePolicySettingsValidation = [
+  body('accrual.hoursPerHourWorked').optional().isFloat({ min: 0 }).withMessage('hoursPerHourWorked must be 0 or more'),
+  body('accrual.monthlyGrantHours').optional().isFloat({ min: 0 }).withMessage('monthlyGrantHours must be 0 or more'),
+  body('carryOverCap').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('carryOverCap must be 0 or more'),
+  body('hoursPerDay').optional().isFloat({ min: 0 }).withMessage('hoursPerDay must be 0 or more'),
+  body('allowNegativeBalance').optional().isBoolean().withMessage('allowNegativeBalance must be true or false'),
+  body('isActive').optional().isBoolean().withMessage('isActive must be true or false'),
+];
+
+const createLeavePolicyValidation = [
+  body('name').trim().notEmpty().withMessage('Policy name is required'),
+  body('facility').isMongoId().withMessage('Facility is required'),
+  body('department').optional({ nullable: true }).trim(),
+  body('leaveType')
+    .isIn(['vacation', 'sick', 'study', 'bereavement'])
+    .withMessage('Leave type must be vacation, sick, study, or bereavement'),
+  body('effectiveFrom').optional().isISO8601().withMessage('effectiveFrom must be a valid date'),
+  ...leavePolicySettingsValidation,
+  validate,
+];
+
+const updateLeavePolicyValidation = [
+  body('name').optional().trim().notEmpty().withMessage('Policy name cannot be empty'),
+  body('department').optional({ nullable: true }).trim(),
+  ...leavePolicySettingsValidation,
+  validate,
+];
+
+const adjustLeaveBalanceValidation = [
+  body('userId').isMongoId().withMessage('User is required'),
+  body('leaveType')
+    .isIn(['vacation', 'sick', 'study', 'bereavement'])
+    .withMessage('Leave type must be vacation, sick, study, or bereavement'),
+  body('hours').isFloat().withMessage('Hours must be a number (negative to remove hours)'),
+  body('reason').trim().notEmpty().withMessage('A reason is required'),
+  validate,
+];
+
+// Shift template fields shared by create and update (all optional)
+const shiftTemplateSettingsValidation = [
+  body('facility').optional({ nullable: true }).isMongoId().withMessage('Facility must be a valid ID'),
+  body('requiredCredentials').optional().isArray().withMessage('Required credentials must be a list'),
+  body('requiredCredentials.*').isMongoId().withMessage('Each required credential must be a valid ID'),
+  body('headcount').optional().isInt({ min: 1 }).withMessage('Headcount must be 1 or more'),
+  body('recurrence.interval').optional().isInt({ min: 1 }).withMessage('Recurrence interval must be 1 or more'),
+  body('recurrence.anchorDate').optional({ nullable: true }).isISO8601().withMessage('Recurrence anchor date must be a valid date'),
+  body('isActive').optional().isBoolean().withMessage('isActive must be true or false'),
+];
+
+const createShiftTemplateValidation = [
+  body('title').trim().notEmpty().withMessage('Title is required'),
+  body('department').trim().notEmpty().withMessage('Department is required'),
+  body('startTime').matches(timeFormat).withMessage('Start time must be HH:mm'),
+  body('endTime').matches(timeFormat).withMessage('End time must be HH:mm'),
+  body('recurrence.type')
+    .isIn(['daily', 'weekdays', 'every_n_days', 'rrule'])
+    .withMessage('Recurrence type must be daily, weekdays, every_n_days, or rrule'),
+  ...shiftTemplateSettingsValidation,
+  validate,
+];
+
+const updateShiftTemplateValidation = [
+  body('title').optional().trim().notEmpty().withMessage('Title cannot be empty'),
+  body('department').optional().trim().notEmpty().withMessage('Department cannot be empty'),
+  body('startTime').optional().matches(timeFormat).withMessage('Start time must be HH:mm'),
+  body('endTime').optional().matches(timeFormat).withMessage('End time must be HH:mm'),
+  body('recurrence.type')
+    .optional()
+    .isIn(['daily', 'weekdays', 'every_n_days', 'rrule'])
+    .withMessage('Recurrence type must be daily, weekdays, every_n_days, or rrule'),
+  ...shiftTemplateSettingsValidation,
+  validate,
+];
+
+const generateShiftsValidation = [
+  body('templateIds').optional().isArray().withMessage('Template IDs must be a list'),
+  body('templateIds.*').isMongoId().withMessage('Each template ID must be valid'),
+  body('startDate').isISO8601().withMessage('Start date must be a valid date'),
+  body('endDate').isISO8601().withMessage('End date must be a valid date'),
+  body('dryRun').optional().isBoolean({ strict: true }).withMessage('dryRun must be true or false'),
+  validate,
+];
+
+// Rotation pattern fields shared by create and update (all optional)
+const rotationPatternSettingsValidation = [
+  body('facility').optional({ nullable: true }).isMongoId().withMessage('Facility must be a valid ID'),
+  body('cycle').optional().isArray({ min: 1, max: 56 }).withMessage('Cycle must be a list of 1 to 56 days'),
+  body('cycle.*').isIn(['day', 'night', 'off']).withMessage('Each cycle day must be day, night, or off'),
+  body(['dayShift.startTime', 'dayShift.endTime', 'nightShift.startTime', 'nightShift.endTime'])
+    .optional()
+    .matches(timeFormat)
+    .withMessage('Shift times must be HH:mm'),
+  body('groups').optional().isArray().withMessage('Groups must be a list'),
+  body('groups.*.name').trim().notEmpty().withMessage('Each group needs a name'),
+  body('groups.*.offset').optional().isInt({ min: 0 }).withMessage('Group offset must be 0 or more'),
+  body('groups.*.members').optional().isArray().withMessage('Group members must be a list'),
+  body('groups.*.members.*').isMongoId().withMessage('Each group member must be a valid user ID'),
+  body('requiredCredentials').optional().isArray().withMessage('Required credentials must be a list'),
+  body('requiredCredentials.*').isMongoId().withMessage('Each required credential must be a valid ID'),
+];
+
+const createRotationPatternValidation = [
+  body('name').optional().trim().notEmpty().withMessage('Pattern name cannot be empty'),
+  body('department').trim().notEmpty().withMessage('Department is required'),
+  body('preset').optional().isString(),
+  body('anchorDate').isISO8601().withMessage('Anchor date must be a valid date'),
+  ...rotationPatternSettingsValidation,
+  validate,
+];
+
+const updateRotationPatternValidation = [
+  body('name').optional().trim().notEmpty().withMessage('Pattern name cannot be empty'),
+  body('department').optional().trim().notEmpty().withMessage('Department cannot be empty'),
+  body('anchorDate').optional().isISO8601().withMessage('Anchor date must be a valid date'),
+  body('isActive').optional().isBoolean().withMessage('isActive must be true or false'),
+  ...rotationPatternSettingsValidation,
+  validate,
+];
+
+const generateRotationValidation = [
+  body('startDate').isISO8601().withMessage('Start date must be a valid date'),
+  body('endDate').isISO8601().withMessage('End date must be a valid date'),
+  body('dryRun').optional().isBoolean({ strict: true }).withMessage('dryRun must be true or false'),
+  validate,
+];
+
+const buildScheduleValidation = [
+  body('department').trim().notEmpty().withMessage('Department is required'),
+  body('facility').optional({ nullable: true }).isMongoId().withMessage('Facility must be a valid ID'),
+  body('startDate').isISO8601().withMessage('Start date must be a valid date'),
+  body('endDate').isISO8601().withMessage('End date must be a valid date'),
+  validate,
+];
+
+const publishScheduleValidation = [
+  body('shiftIds').optional().isArray({ min: 1 }).withMessage('Shift IDs must be a list of at least 1 ID'),
+  body('shiftIds.*').isMongoId().withMessage('Each shift ID must be valid'),
+  validate,
+];
+
+const createSchedulePeriodValidation = [
+  body('name').trim().notEmpty().withMessage('Name is required'),
+  body('department').trim().notEmpty().withMessage('Department is required'),
+  body('facility').optional({ nullable: true }).isMongoId().withMessage('Facility must be a valid ID'),
+  body('startDate').isISO8601().withMessage('Start date must be a valid date'),
+  body('endDate').isISO8601().withMessage('End date must be a valid date'),
+  validate,
+];
+
+const updateSchedulePeriodValidation = [
+  body('name').optional().trim().notEmpty().withMessage('Name cannot be empty'),
+  body('startDate').optional().isISO8601().withMessage('Start date must be a valid date'),
+  body('endDate').optional().isISO8601().withMessage('End date must be a valid date'),
+  validate,
+];
+
+const shiftBiddingValidation = [
+  body('enabled').isBoolean({ strict: true }).withMessage('enabled must be true or false'),
+  body('step').optional().isFloat({ min: 0 }).withMessage('Step must be a positive amount'),
+  body('everyHours').optional().isFloat({ min: 1 }).withMessage('everyHours must be at least 1'),
+  body('startHoursBefore').optional().isFloat({ min: 1 }).withMessage('startHoursBefore must be at least 1'),
+  body('maxAmount').optional().isFloat({ min: 0 }).withMessage('maxAmount must be a positive amount'),
+  validate,
+];
+
+const callInValidation = [
+  body('startTime').matches(timeFormat).withMessage('Start time must be in HH:mm format'),
+  body('endTime').optional().matches(timeFormat).withMessage('End time must be in HH:mm format'),
+  validate,
+];
+
+const swapCycleDecisionValidation = [
+  body('cycleId').isMongoId().withMessage('Cycle ID is required'),
+  validate,
+];
+
+// Approval queue: managers, approval chain role holders (e.g. charge nurses),
+// plus acting approvers while a delegation to them is running
+const canApprove = authorize('manager', 'approver', 'delegate');
+
 // Routes
-router.get('/pending-requests', managerController.getPendingRequests);
-router.post('/approve', approveRequestValidation, managerController.approveRequest);
-router.post('/reject', rejectRequestValidation, managerController.rejectRequest);
+router.get('/pending-requests', canApprove, managerController.getPendingRequests);
+router.post('/approve', canApprove, approveRequestValidation, managerController.approveRequest);
+router.post('/reject', canApprove, rejectRequestValidation, managerController.rejectRequest);
+router.post('/approve/bulk', canApprove, bulkApproveValidation, managerController.bulkApproveRequests);
+router.post('/reject/bulk', canApprove, bulkRejectValidation, managerController.bulkRejectRequests);
+
+// Everything below is for managers only
+router.use(authorize('manager'));
+
+// Approval delegation (out-of-office cover)
+router.get('/delegations', delegationController.getDelegations);
+router.post('/delegations', createDelegationValidation, delegationController.createDelegation);
+router.post('/delegations/:id/revoke', delegationController.revokeDelegation);
+
+// Time off requests
+router.post('/time-off/approve', timeOffDecisionValidation, timeOffController.approveTimeOffRequest);
+router.post('/time-off/reject', timeOffDecisionValidation, timeOffController.rejectTimeOffRequest);
+
+// Leave policies and balances
+router.get('/leave-policies', leavePolicyController.getPolicies);
+router.post('/leave-policies', createLeavePolicyValidation, leavePolicyController.createPolicy);
+router.put('/leave-policies/:id', updateLeavePolicyValidation, leavePolicyController.updatePolicy);
+router.get('/leave-balances/:userId', leavePolicyController.getUserLeave);
+router.post('/leave-balances/adjust', adjustLeaveBalanceValidation, leavePolicyController.adjustBalance);
+
+// Shift templates and recurring shift generation
+router.get('/shift-templates', shiftTemplateController.getTemplates);
+router.post('/shift-templates', createShiftTemplateValidation, shiftTemplateController.createTemplate);
+router.put('/shift-templates/:id', updateShiftTemplateValidation, shiftTemplateController.updateTemplate);
+router.post('/shift-templates/generate', generateShiftsValidation, shiftTemplateController.generateShifts);
+
+// Rotation patterns (fixed rotas)
+router.get('/rotation-patterns/presets', rotationPatternController.getPresets);
+router.get('/rotation-patterns', rotationPatternController.getPatterns);
+router.post('/rotation-patterns', createRotationPatternValidation, rotationPatternController.createPattern);
+router.put('/rotation-patterns/:id', updateRotationPatternValidation, rotationPatternController.updatePattern);
+router.post('/rotation-patterns/:id/generate', generateRotationValidation, rotationPatternController.generateShifts);
+
+// Draft and published schedule periods
+router.get('/schedule-periods', schedulePeriodController.getPeriods);
+router.post('/schedule-periods', createSchedulePeriodValidation, schedulePeriodController.createPeriod);
+router.put('/schedule-periods/:id', updateSchedulePeriodValidation, schedulePeriodController.updatePeriod);
+router.post('/schedule-periods/:id/publish', schedulePeriodController.publishPeriod);
+router.get('/schedule-periods/:id/changelog', schedulePeriodController.getChangelog);
+router.get('/schedule-periods/:id/versions', schedulePeriodController.getVersions);
+router.get('/schedule-periods/:id/diff', schedulePeriodController.getDiff);
+
+// Reversing approved open-shift requests (frees the shift for its waitlist)
+router.post('/swap-requests/:id/reverse', managerController.reverseRequest);
+
+// Calling in on-call and standby staff
+router.post('/shifts/:id/call-in', callInValidation, managerController.callIn);
+
+// Shift waitlists
+router.get('/shifts/:id/waitlist', shiftWaitlistController.getWaitlist);
+
+// Open-shift bidding and incentive escalation
+router.put('/shifts/:id/bidding', shiftBiddingValidation, shiftBiddingController.setBidding);
+router.get('/shifts/:id/bids', shiftBiddingController.getBids);
+router.post('/shift-bids/:id/award', shiftBiddingController.awardBid);
+
+// Automatic schedule builder
+router.post('/auto-schedule', buildScheduleValidation, autoScheduleController.buildSchedule);
+router.get('/auto-schedule', autoScheduleController.getDrafts);
+router.get('/auto-schedule/:id', autoScheduleController.getDraft);
+router.post('/auto-schedule/:id/publish', publishScheduleValidation, autoScheduleController.publishDraft);
+router.post('/auto-schedule/:id/discard', autoScheduleController.discardDraft);
+
+// Multi-party swap cycles
+router.post('/swap-cycles/match', swapCycleController.matchSwapCycles);
+router.get('/swap-cycles', swapCycleController.getSwapCycles);
+router.post('/swap-cycles/approve', swapCycleDecisionValidation, swapCycleController.approveSwapCycle);
+router.post('/swap-cycles/reject', swapCycleDecisionValidation, swapCycleController.rejectSwapCycle);
+
+// Auto-approval rules
+router.get('/auto-approval-rules', autoApprovalRuleController.getRules);
+router.post('/auto-approval-rules', createRuleValidation, autoApprovalRuleController.createRule);
+router.put('/auto-approval-rules/:id', updateRuleValidation, autoApprovalRuleController.updateRule);
 
 module.exports = router;
 
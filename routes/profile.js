@@ -7,6 +7,8 @@
  * Used by both web and mobile clients to:
  * - Get current user's profile
  * - Update profile fields (in one or more steps)
+ * - View leave balances and the accrual ledger
+ * - View and update availability and shift preferences
  */
 
 const express = require('express');
@@ -33,9 +35,42 @@ const updateProfileValidation = [
   validate,
 ];
 
+// Validation for availability update
+const timeFormat = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const updateAvailabilityValidation = [
+  body('weeklyAvailability').optional().isArray().withMessage('weeklyAvailability must be a list'),
+  body('weeklyAvailability.*.dayOfWeek').isInt({ min: 0, max: 6 }).withMessage('dayOfWeek must be 0 (Sunday) to 6 (Saturday)'),
+  body('weeklyAvailability.*.startTime').matches(timeFormat).withMessage('startTime must be HH:mm'),
+  body('weeklyAvailability.*.endTime').matches(timeFormat).withMessage('endTime must be HH:mm'),
+  body('unavailableDates').optional().isArray().withMessage('unavailableDates must be a list'),
+  body('unavailableDates.*.startDate').isISO8601().withMessage('startDate must be a valid date'),
+  body('unavailableDates.*.endDate')
+    .isISO8601()
+    .withMessage('endDate must be a valid date')
+    .custom((endDate, { req, path }) => {
+      const index = path.match(/\[(\d+)\]/)[1];
+      return new Date(endDate) >= new Date(req.body.unavailableDates[index].startDate);
+    })
+    .withMessage('endDate must be on or after startDate'),
+  body('unavailableDates.*.reason').optional().trim(),
+  body('shiftPreferences.timeOfDay')
+    .optional({ nullable: true })
+    .isIn(['day', 'evening', 'night'])
+    .withMessage('timeOfDay must be day, evening or night'),
+  body('shiftPreferences.maxShiftsPerWeek')
+    .optional({ nullable: true })
+    .isInt({ min: 0 })
+    .withMessage('maxShiftsPerWeek must be 0 or more'),
+  validate,
+];
+
 // Routes
 router.get('/', profileController.getMyProfile);
 router.put('/', updateProfileValidation, profileController.updateMyProfile);
+router.get('/leave', profileController.getMyLeave);
+router.get('/availability', profileController.getMyAvailability);
+router.put('/availability', updateAvailabilityValidation, profileController.updateMyAvailability);
 
 module.exports = router;
 
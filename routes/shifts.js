@@ -11,6 +11,17 @@
  * - GET /api/shifts/available - Get available shifts user can apply for
  * - GET /api/shifts/emergency - Get emergency shifts
  * - GET /api/shifts/my-shifts - Get shifts posted by current user
+ * - GET /api/shifts/my-schedule-changes - What changed for the current user in republished schedules
+ * - GET /api/shifts/my-bids - Get the current user's bids on open shifts
+ * - POST /api/shifts/:id/bids - Bid on a shift that is open for bidding
+ * - DELETE /api/shifts/:id/bids - Withdraw the current user's bid
+ * - GET /api/shifts/my-waitlists - Get the current user's waitlist places and offers
+ * - POST /api/shifts/:id/give-up - Give up a shift assigned to the current user
+ * - POST /api/shifts/:id/split - Split a shift into segments for partial cover
+ * - POST /api/shifts/:id/waitlist - Join a claimed shift's waitlist
+ * - DELETE /api/shifts/:id/waitlist - Leave a shift's waitlist
+ * - POST /api/shifts/:id/waitlist/accept - Accept a shift offered from its waitlist
+ * - POST /api/shifts/:id/waitlist/decline - Decline a shift offered from its waitlist
  * - GET /api/shifts/:id - Get a specific shift by ID
  * - PUT /api/shifts/:id - Update a shift (Manager or owner only)
  * - DELETE /api/shifts/:id - Delete a shift (Manager only)
@@ -20,6 +31,9 @@ const express = require('express');
 const { body } = require('express-validator');
 const router = express.Router();
 const shiftController = require('../controllers/shiftController');
+const schedulePeriodController = require('../controllers/schedulePeriodController');
+const shiftBiddingController = require('../controllers/shiftBiddingController');
+const shiftWaitlistController = require('../controllers/shiftWaitlistController');
 const { authenticate, authorize } = require('../middleware/auth');
 const validate = require('../middleware/validation');
 
@@ -37,6 +51,7 @@ const createShiftValidation = [
   body('requiredCredentials').optional().isArray(),  // Optional, but if provided must be an array
   body('isEmergency').optional().isBoolean(),  // Optional, but if provided must be true/false
   body('incentiveAmount').optional().isNumeric().withMessage('Incentive amount must be a number'),
+  body('kind').optional().isIn(['regular', 'on_call', 'standby', 'call_back']).withMessage('Kind must be regular, on_call, standby, or call_back'),
   body('assignedTo').optional().isMongoId().withMessage('AssignedTo must be a valid user ID'),
   validate,
 ];
@@ -55,11 +70,30 @@ const updateShiftValidation = [
   body('requiredCredentials').optional().isArray(),
   body('isEmergency').optional().isBoolean(),
   body('incentiveAmount').optional().isNumeric().withMessage('Incentive amount must be a number'),
+  body('kind').optional().isIn(['regular', 'on_call', 'standby', 'call_back']).withMessage('Kind must be regular, on_call, standby, or call_back'),
   body('assignedTo').optional().isMongoId().withMessage('AssignedTo must be a valid user ID'),
   body('status').optional().isIn(['open', 'requested', 'approved']).withMessage('Status must be open, requested, or approved'),
   validate,
 ];
 
+/**
+ * PLACE BID VALIDATION RULES
+ */
+const placeBidValidation = [
+  body('note').optional().trim().isLength({ max: 500 }).withMessage('Note cannot be more than 500 characters'),
+  validate,
+];
+
+/**
+ * SPLIT SHIFT VALIDATION RULES
+ */
+const splitShiftValidation = [
+  body('splitAt').isArray({ min: 1, max: 5 }).withMessage('splitAt must be a list of 1 to 5 times'),
+  body('splitAt.*').matches(/^([01]\d|2[0-3]):[0-5]\d$/).withMessage('Split times must be in HH:mm format'),
+  body('keepSegment').optional().isInt({ min: 0 }).withMessage('keepSegment must be a segment number from 0').toInt(),
+  validate,
+];
+
 /**
  * ==================================================
  * MIDDLEWARE FOR ALL ROUTES
@@ -100,6 +134,16 @@ router.get('/my-shifts', shiftController.getMyShifts);
 // Used by mobile "My Schedule" and home dashboard
 router.get('/my-assigned', shiftController.getMyAssignedShifts);
 
+// GET /api/shifts/my-schedule-changes - What changed for the current user
+// between the last two published versions of each current or upcoming schedule
+router.get('/my-schedule-changes', schedulePeriodController.getMyScheduleChanges);
+
+// GET /api/shifts/my-bids - Get the current user's bids (?status=active)
+router.get('/my-bids', shiftBiddingController.getMyBids);
+
+// GET /api/shifts/my-waitlists - Get the current user's waitlist places and offers
+router.get('/my-waitlists', shiftWaitlistController.getMyWaitlists);
+
 // GET /api/shifts/:id - Get a specific shift by ID
 // :id is a URL parameter (e.g., /api/shifts/123456)
 router.get('/:id', shiftController.getShiftById);
@@ -109,6 +153,32 @@ router.get('/:id', shiftController.getShiftById);
 // Uses updateShiftValidation to validate input
 router.put('/:id', updateShiftValidation, shiftController.updateShift);
 
+// POST /api/shifts/:id/bids - Bid on a shift that is open for bidding
+router.post('/:id/bids', placeBidValidation, shiftBiddingController.placeBid);
+
+// DELETE /api/shifts/:id/bids - Withdraw the current user's bid on a shift
+router.delete('/:id/bids', shiftBiddingController.withdrawBid);
+
+// POST /api/shifts/:id/give-up - Give up a shift assigned to the current user
+// The shift is offered to the next eligible person on its waitlist
+router.post('/:id/give-up', shiftController.giveUpShift);
+
+// POST /api/shifts/:id/split - Split a shift into segments with separate assignees
+// Managers, the shift owner or its assignee; the assignee keeps one segment
+router.post('/:id/split', splitShiftValidation, shiftController.splitShift);
+
+// POST /api/shifts/:id/waitlist - Join the waitlist for a shift someone has claimed
+router.post('/:id/waitlist', shiftWaitlistController.joinWaitlist);
+
+// DELETE /api/shifts/:id/waitlist - Leave a shift's waitlist
+router.delete('/:id/waitlist', shiftWaitlistController.leaveWaitlist);
+
+// POST /api/shifts/:id/waitlist/accept - Accept a shift offered from its waitlist
+router.post('/:id/waitlist/accept', shiftWaitlistController.acceptOffer);
+
+// POST /api/shifts/:id/waitlist/decline - Decline a shift offered from its waitlist
+router.post('/:id/waitlist/decline', shiftWaitlistController.declineOffer);
+
 // DELETE /api/shifts/:id - Delete a shift
 // Only managers can delete shifts
 router.delete('/:id', shiftController.deleteShift);
@@ -25,6 +25,8 @@ const updateStaffStatusValidation = [
   body('isActive').optional().isBoolean(),
   body('department').optional().trim().notEmpty(),
   body('role').optional().isIn(['staff', 'manager']),
+  body('approverRoles').optional().isArray(),
+  body('approverRoles.*').isString().trim().notEmpty(),
   validate,
 ];
 
@@ -9,7 +9,10 @@
  * Routes in this file:
  * - POST /api/swap-requests - Create a swap request (request to take a shift)
  * - GET /api/swap-requests/my-requests - Get swap requests made by current user
+ * - GET /api/swap-requests/incoming - Get two-party swaps offered to current user
  * - GET /api/swap-requests/:id - Get a specific swap request by ID
+ * - POST /api/swap-requests/:id/respond - Accept or decline a two-party swap
+ * - POST /api/swap-requests/:id/cancel - Withdraw your own swap request
  */
 
 const express = require("express");
@@ -29,6 +32,10 @@ const createSwapRequestValidation = [
   body("swapType")
     .isIn(["swap", "give_up", "coverage"])
     .withMessage("Swap type must be swap, give_up, or coverage"),
+  body("offeredShiftId")
+    .if(body("swapType").equals("swap"))
+    .isMongoId()
+    .withMessage("Offered shift ID is required for swap requests"),
   body("preferredReplacementShifts")
     .optional()
     .isArray()
@@ -40,6 +47,29 @@ const createSwapRequestValidation = [
   validate,
 ];
 
+/**
+ * RESPOND TO SWAP REQUEST VALIDATION RULES
+ *
+ * Validates the colleague's answer to a two-party swap.
+ */
+const respondToSwapRequestValidation = [
+  body("decision")
+    .isIn(["accept", "decline"])
+    .withMessage("Decision must be accept or decline"),
+  body("note").optional().trim(),
+  validate,
+];
+
+/**
+ * CANCEL SWAP REQUEST VALIDATION RULES
+ *
+ * The reason is optional and is kept in shift history.
+ */
+const cancelSwapRequestValidation = [
+  body("reason").optional().trim().isLength({ max: 500 }),
+  validate,
+];
+
 /**
  * ==================================================
  * MIDDLEWARE FOR ALL ROUTES
@@ -68,7 +98,24 @@ router.post(
 // GET /api/swap-requests/my-requests - Get all swap requests made by current user
 router.get("/my-requests", swapRequestController.getMySwapRequests);
 
+// GET /api/swap-requests/incoming - Get two-party swaps where current user is the colleague
+router.get("/incoming", swapRequestController.getIncomingSwapRequests);
+
 // GET /api/swap-requests/:id - Get a specific swap request by ID
 router.get("/:id", swapRequestController.getSwapRequestById);
 
+// POST /api/swap-requests/:id/respond - Colleague accepts or declines a two-party swap
+router.post(
+  "/:id/respond",
+  respondToSwapRequestValidation,
+  swapRequestController.respondToSwapRequest
+);
+
+// POST /api/swap-requests/:id/cancel - Requester withdraws their own swap request
+router.post(
+  "/:id/cancel",
+  cancelSwapRequestValidation,
+  swapRequestController.cancelSwapRequest
+);
+
 module.exports = router;
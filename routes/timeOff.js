@@ -0,0 +1,58 @@
+/**
+ * ==================================================
+ * TIME OFF ROUTES
+ * ==================================================
+ * Defines time off (leave) request endpoints for staff.
+ * Managers approve and reject requests under /api/manager/time-off.
+ *
+ * Base path: /api/time-off
+ */
+
+const express = require('express');
+const { body } = require('express-validator');
+const router = express.Router();
+const timeOffController = require('../controllers/timeOffController');
+const { authenticate, authorize } = require('../middleware/auth');
+const validate = require('../middleware/validation');
+
+// All routes require authentication
+router.use(authenticate);
+router.use(authorize('staff', 'manager'));
+
+// Validation rules
+const timeFormat = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const createTimeOffValidation = [
+  body('type')
+    .isIn(['vacation', 'sick', 'study', 'bereavement'])
+    .withMessage('Type must be vacation, sick, study, or bereavement'),
+  body('startDate').isISO8601().withMessage('Valid start date is required'),
+  body('isPartialDay')
+    .optional()
+    .isBoolean({ strict: true })
+    .withMessage('isPartialDay must be true or false')
+    .toBoolean(),
+  body('endDate')
+    .if(body('isPartialDay').not().equals('true'))
+    .isISO8601()
+    .withMessage('Valid end date is required')
+    .custom((endDate, { req }) => new Date(endDate) >= new Date(req.body.startDate))
+    .withMessage('End date must be on or after the start date'),
+  body('startTime')
+    .if(body('isPartialDay').equals('true'))
+    .matches(timeFormat)
+    .withMessage('Start time (HH:mm) is required for a partial day'),
+  body('endTime')
+    .if(body('isPartialDay').equals('true'))
+    .matches(timeFormat)
+    .withMessage('End time (HH:mm) is required for a partial day'),
+  body('reason').optional().trim().isLength({ max: 500 }).withMessage('Reason must be 500 characters or less'),
+  validate,
+];
+
+// Routes
+router.post('/', createTimeOffValidation, timeOffController.createTimeOffRequest);
+router.get('/my-requests', timeOffController.getMyTimeOffRequests);
+router.post('/:id/cancel', timeOffController.cancelTimeOffRequest);
+
+module.exports = router;
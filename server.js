@@ -24,6 +24,7 @@ const express = require('express');      // Express framework for building the A
 const mongoose = require('mongoose');    // MongoDB object modeling tool
 const cors = require('cors');            // Allows cross-origin requests (frontend can call backend)
 require('dotenv').config();              // Loads environment variables from .env file
+const logger = require('./utils/logger'); // Log output for startup, jobs and errors
 
 // Create Express application instance
 const app = express();
@@ -60,6 +61,7 @@ const shiftOverviewRoutes = require('./routes/shiftOverview');  // Shift overvie
 const profileRoutes = require('./routes/profile');              // Profile: mobile/web profile completion
 const staffRoutes = require('./routes/staff');                  // Staff directory: manage staff
 const emergencyBroadcastRoutes = require('./routes/emergencyBroadcast'); // Emergency broadcast: send broadcasts
+const timeOffRoutes = require('./routes/timeOff');              // Time off: leave requests
 
 // Register routes with base paths
 // Example: /api/auth/login becomes: base path (/api/auth) + route path (/login)
@@ -77,6 +79,7 @@ app.use('/api/shift-overview', shiftOverviewRoutes);
 app.use('/api/profile', profileRoutes);
 app.use('/api/staff', staffRoutes);
 app.use('/api/emergency-broadcast', emergencyBroadcastRoutes);
+app.use('/api/time-off', timeOffRoutes);
 
 // ==================================================
 // ERROR HANDLING MIDDLEWARE
@@ -100,10 +103,10 @@ const connectDB = async () => {
       useNewUrlParser: true,      // Use new URL parser (recommended)
       useUnifiedTopology: true,   // Use new server discovery engine (recommended)
     });
-    console.log('MongoDB connected successfully');
+    logger.info('MongoDB connected successfully');
   } catch (error) {
     // If connection fails, log error and stop the application
-    console.error('MongoDB connection error:', error);
+    logger.error('MongoDB connection error:', error);
     process.exit(1);  // Exit the Node.js process with error code 1
   }
 };
@@ -111,6 +114,39 @@ const connectDB = async () => {
 // Call the function to connect to database
 connectDB();
 
+// ==================================================
+// BACKGROUND JOBS
+// ==================================================
+// Scheduled jobs run inside this server process once the database is connected
+const swapRequestExpiryService = require('./services/swapRequestExpiryService');
+const leaveBalanceService = require('./services/leaveBalanceService');
+const shiftBiddingService = require('./services/shiftBiddingService');
+const shiftWaitlistService = require('./services/shiftWaitlistService');
+const ShiftSwapRequest = require('./models/ShiftSwapRequest');
+
+mongoose.connection.once('open', async () => {
+  // Remove indexes left over from older schemas, then build the current ones
+  // (autoIndex can't build an index while an old one with the same key exists)
+  try {
+    await ShiftSwapRequest.dropLegacyIndexes();
+    await ShiftSwapRequest.createIndexes();
+  } catch (error) {
+    logger.error('Swap request index update failed:', error);
+  }
+
+  // Expire swap requests that passed their responseDeadline
+  swapRequestExpiryService.startScheduler();
+
+  // Credit leave accrual (hours worked, monthly grants, year-end carry-over)
+  leaveBalanceService.startScheduler();
+
+  // Raise incentives on open bidding shifts nobody has bid on
+  shiftBiddingService.startScheduler();
+
+  // Pass unanswered waitlist offers to the next person
+  shiftWaitlistService.startScheduler();
+});
+
 // ==================================================
 // START THE SERVER
 // ==================================================
@@ -119,8 +155,8 @@ const PORT = process.env.PORT || 3000;
 
 // Start listening for incoming requests on the specified port
 app.listen(PORT, () => {
-  console.log(`Server running on port ${PORT}`);
-  console.log(`API available at http://localhost:${PORT}/api`);
+  logger.info(`Server running on port ${PORT}`);
+  logger.info(`API available at http://localhost:${PORT}/api`);
 });
 
 // Export the app so it can be used in tests
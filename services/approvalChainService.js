@@ -0,0 +1,223 @@
+/**
+ * ==================================================
+ * APPROVAL CHAIN SERVICE
+ * ==================================================
+ * Some departments need more than one sign-off before a swap is
+ * approved (e.g., charge nurse, then unit manager), and emergency
+ * shifts with an incentive can also need finance.
+ *
+ * When a request is made, the department's chain (see
+ * Facility.departments.approvalChain) is copied onto the request.
+ * Each call to /api/manager/approve signs off the current step;
+ * the swap itself is only carried out at the final step.
+ *
+ * A request with an empty chain needs a single approval by any
+ * manager, as before chains existed.
+ */
+
+const Facility = require('../models/Facility');
+const ShiftSwapRequest = require('../models/ShiftSwapRequest');
+const User = require('../models/User');
+const Notification = require('../models/Notification');
+const shiftHistoryService = require('./shiftHistoryService');
+const { requestError } = require('./transactionService');
+
+/**
+ * Build the approval chain for a request on a shift
+ *
+ * @param {Object} shift - Shift document being requested
+ * @returns {Promise<Array>} Steps to copy onto the request (may be empty)
+ */
+exports.buildApprovalChain = async (shift) => {
+  if (!shift.facility) return [];
+
+  const facility = await Facility.findById(shift.facility);
+  const department = facility?.departments.find(d => d.name === shift.department);
+  if (!department) return [];
+
+  const steps = [...department.approvalChain];
+
+  // Emergency incentive pay needs extra sign-off (e.g., finance)
+  if (shift.isEmergency && shift.incentiveAmount > 0) {
+    steps.push(...department.incentiveApprovalSteps);
+  }
+
+  return steps.map(step => ({
+    name: step.name,
+    approverRole: step.approverRole,
+    approver: step.approver,
+  }));
+};
+
+/**
+ * Get the step waiting for a decision
+ *
+ * @param {Object} swapRequest - ShiftSwapRequest document
+ * @returns {Object|null} The current step, or null if the request has no chain
+ */
+exports.getCurrentStep = (swapRequest) => {
+  return swapRequest.approvalChain[swapRequest.currentApprovalStep] || null;
+};
+
+/**
+ * Whether approving now carries out the swap (no chain, or last step)
+ *
+ * @param {Object} swapRequest - ShiftSwapRequest document
+ * @returns {Boolean}
+ */
+exports.isFinalStep = (swapRequest) => {
+  return swapRequest.currentApprovalStep >= swapRequest.approvalChain.length - 1;
+};
+
+/**
+ * Check whether a user may decide a step
+ *
+ * @param {Object} step - Approval step
+ * @param {Object} user - User document
+ * @returns {Boolean}
+ */
+exports.canActOnStep = (step, user) => {
+  if (!step) return true;
+  if (step.approver) return step.approver.toString() === user._id.toString();
+  if (step.approverRole) return (user.approverRoles || []).includes(step.approverRole);
+  return true;
+};
+
+/**
+ * Whether a step names who decides it (an approver or an approver role)
+ *
+ * Generic steps, and requests without a chain, are decided by any manager.
+ *
+ * @param {Object} step - Approval step (or null)
+ * @returns {Boolean}
+ */
+exports.namesApprover = (step) => Boolean(step && (step.approver || step.approverRole));
+
+/**
+ * Describe who can decide a step, for error messages
+ *
+ * @param {Object} step - Approval step
+ * @returns {String}
+ */
+exports.describeApprover = (step) => {
+  if (step.approver) return 'the approver named on this step';
+  if (step.approverRole) return `someone with the "${step.approverRole}" approver role`;
+  return 'any manager';
+};
+
+/**
+ * Record a decision on the current step
+ *
+ * The update only applies if the step is still the current one, so two
+ * approvers deciding the same step at once cannot both succeed.
+ *
+ * @param {ObjectId} swapRequestId - Swap request ID
+ * @param {Number} stepIndex - Index of the step being decided
+ * @param {String} decision - 'approved' or 'rejected'
+ * @param {ObjectId} managerId - Manager deciding (null for auto-approval)
+ * @param {Object} options
+ * @param {String} options.overrideJustification - Set if checks were overridden
+ * @param {ObjectId} options.actingFor - Manager acted for under a delegation
+ * @param {ClientSession} options.session - Optional transaction session
+ * @returns {Promise<Object>} Updated ShiftSwapRequest document
+ */
+exports.decideStep = async (swapRequestId, stepIndex, decision, managerId, { overrideJustification = null, actingFor = null, session = null } = {}) => {
+  const update = {
+    $set: {
+      [`approvalChain.${stepIndex}.status`]: decision,
+      [`approvalChain.${stepIndex}.decidedBy`]: managerId,
+      [`approvalChain.${stepIndex}.decidedOnBehalfOf`]: actingFor,
+      [`approvalChain.${stepIndex}.decidedAt`]: new Date(),
+      [`approvalChain.${stepIndex}.overrideJustification`]: overrideJustification,
+    },
+  };
+
+  // Approving moves the request on to the next step
+  if (decision === 'approved') {
+    update.$inc = { currentApprovalStep: 1 };
+  }
+
+  const swapRequest = await ShiftSwapRequest.findOneAndUpdate(
+    { _id: swapRequestId, status: 'pending', currentApprovalStep: stepIndex },
+    update,
+    { new: true, session }
+  );
+
+  if (!swapRequest) {
+    throw requestError('This approval step has already been decided by someone else');
+  }
+
+  return swapRequest;
+};
+
+/**
+ * Sign off an intermediate step and hand the request to the next approver
+ *
+ * @param {Object} swapRequest - ShiftSwapRequest document (before the decision)
+ * @param {Object} shift - The requested shift
+ * @param {ObjectId} managerId - Manager signing off
+ * @param {Object} options
+ * @param {String} options.overrideJustification - Set if checks were overridden
+ * @param {ObjectId} options.actingFor - Manager acted for under a delegation
+ * @param {Boolean} options.recordHistory - false when the caller writes its own history
+ * @returns {Promise<Object>} { swapRequest, step, nextStep }
+ */
+exports.advanceStep = async (swapRequest, shift, managerId, { overrideJustification = null, actingFor = null, recordHistory = true } = {}) => {
+  const stepIndex = swapRequest.currentApprovalStep;
+  const step = swapRequest.approvalChain[stepIndex];
+
+  const updated = await exports.decideStep(swapRequest._id, stepIndex, 'approved', managerId, {
+    overrideJustification,
+    actingFor,
+  });
+  const nextStep = exports.getCurrentStep(updated);
+
+  if (recordHistory) {
+    await shiftHistoryService.recordHistory(
+      shift._id,
+      'status_changed',
+      managerId,
+      { swapRequest: swapRequest._id, approvalStep: stepIndex + 1 },
+      { swapRequest: swapRequest._id, approvalStep: stepIndex + 2, overrideJustification },
+      `Approval step "${step.name}" signed off (${stepIndex + 1} of ${updated.approvalChain.length})`,
+      null,
+      actingFor
+    );
+  }
+
+  await exports.notifyApprovers(nextStep, shift);
+
+  return { swapRequest: updated, step, nextStep };
+};
+
+/**
+ * Let everyone who can decide a step know it is waiting for them
+ *
+ * @param {Object} step - Step waiting for a decision
+ * @param {Object} shift - The requested shift
+ * @returns {Promise<Number>} Number of approvers notified
+ */
+exports.notifyApprovers = async (step, shift) => {
+  // Whoever the step names, staff included (e.g. a charge nurse)
+  const filter = { isActive: true };
+  if (step.approver) {
+    filter._id = step.approver;
+  } else if (step.approverRole) {
+    filter.approverRoles = step.approverRole;
+  } else {
+    return 0;
+  }
+
+  const approvers = await User.find(filter).select('_id');
+  if (approvers.length === 0) return 0;
+
+  await Notification.insertMany(approvers.map(approver => ({
+    user: approver._id,
+    message: `A swap request for "${shift.title}" on ${shift.date.toDateString()} is waiting for your sign-off (${step.name}).`,
+    type: 'swap_request',
+    relatedShift: shift._id,
+    requiresAction: true,
+  })));
+
+  return approvers.length;
+};
@@ -0,0 +1,128 @@
+/**
+ * ==================================================
+ * APPROVAL VALIDATION SERVICE
+ * ==================================================
+ * Re-runs the request-time checks when a manager approves a swap.
+ *
+ * Between request and approval the requester may have picked up
+ * another shift or let a license lapse, so every check runs again:
+ * - Credentials (hard failure)
+ * - Overlap with the person's other shifts or approved time off (hard failure)
+ * - Overtime against the department threshold (warning only)
+ *
+ * Leave rules are not checked here: the requester is taking a shift,
+ * not going off. Whoever gave the shift up was checked when they
+ * posted or released it.
+ *
+ * Hard failures block approval unless the manager overrides them.
+ */
+
+const Shift = require('../models/Shift');
+const credentialVerificationService = require('./credentialVerificationService');
+const shiftOverlapValidationService = require('./shiftOverlapValidationService');
+const overtimeCalculationService = require('./overtimeCalculationService');
+
+/**
+ * Check that one person can be assigned one shift
+ *
+ * @param {ObjectId} userId - Person who would work the shift
+ * @param {Object} shift - Shift document
+ * @param {Array} excludeShiftIds - Shifts to ignore in the overlap check
+ *   (the shift itself, and any shift the person is giving away)
+ * @returns {Promise<Object>} { isValid, failures, warnings, overtimeCheck }
+ */
+exports.validateAssignment = async (userId, shift, excludeShiftIds = [shift._id]) => {
+  const failures = [];
+  const warnings = [];
+
+  // requiredCredentials may be populated documents or plain IDs
+  const credentialIds = shift.requiredCredentials.map(c => c._id || c);
+  const credentialCheck = await credentialVerificationService.verifyUserCredentials(userId, credentialIds);
+
+  if (!credentialCheck.isValid) {
+    failures.push({
+      type: 'credentials',
+      message: 'Missing or expired credentials for this shift',
+      user: userId,
+      shift: shift._id,
+      credentialCheck,
+    });
+  }
+
+  const overlapCheck = await shiftOverlapValidationService.validateShiftOverlap(
+    {
+      assignedTo: userId,
+      department: shift.department,
+      date: shift.date,
+      startTime: shift.startTime,
+      endTime: shift.endTime,
+    },
+    excludeShiftIds
+  );
+
+  if (!overlapCheck.isValid) {
+    failures.push({
+      type: 'overlap',
+      message: 'Shift overlaps with another shift or approved time off for this person',
+      user: userId,
+      shift: shift._id,
+      errors: overlapCheck.errors,
+    });
+  }
+
+  const threshold = await overtimeCalculationService.getOvertimeThreshold(shift.facility, shift.department);
+  const overtimeCheck = await overtimeCalculationService.checkOvertime(
+    userId,
+    { date: shift.date, startTime: shift.startTime, endTime: shift.endTime, kind: shift.kind },
+    threshold
+  );
+
+  if (overtimeCheck.wouldExceed) {
+    warnings.push({
+      type: 'overtime',
+      message: 'Taking this shift will result in overtime',
+      user: userId,
+      shift: shift._id,
+      overtimeCheck,
+    });
+  }
+
+  return {
+    isValid: failures.length === 0,
+    failures,
+    warnings,
+    overtimeCheck,
+  };
+};
+
+/**
+ * Re-validate a swap request before approval
+ *
+ * Open-shift requests check the requester against the shift.
+ * Two-party swaps check both people against the shift they would receive.
+ *
+ * @param {Object} swapRequest - ShiftSwapRequest document
+ * @returns {Promise<Object>} { isValid, failures, warnings, overtimeCheck }
+ *   overtimeCheck is the requester's check for the requested shift
+ */
+exports.validateSwapRequest = async (swapRequest) => {
+  const requesterId = swapRequest.requestedBy._id || swapRequest.requestedBy;
+  const requestedShift = await Shift.findById(swapRequest.shift._id || swapRequest.shift);
+
+  if (swapRequest.swapType === 'swap' && swapRequest.offeredShift) {
+    const offeredShift = await Shift.findById(swapRequest.offeredShift._id || swapRequest.offeredShift);
+    const tradedShiftIds = [requestedShift._id, offeredShift._id];
+
+    const requesterCheck = await exports.validateAssignment(requesterId, requestedShift, tradedShiftIds);
+    const counterpartyCheck = await exports.validateAssignment(swapRequest.counterparty, offeredShift, tradedShiftIds);
+
+    return {
+      isValid: requesterCheck.isValid && counterpartyCheck.isValid,
+      failures: [...requesterCheck.failures, ...counterpartyCheck.failures],
+      warnings: [...requesterCheck.warnings, ...counterpartyCheck.warnings],
+      overtimeCheck: requesterCheck.overtimeCheck,
+    };
+  }
+
+  return exports.validateAssignment(requesterId, requestedShift);
+};
@@ -0,0 +1,131 @@
+/**
+ * ==================================================
+ * AUTO-APPROVAL SERVICE
+ * ==================================================
+ * Approves routine swap requests without a manager, using the
+ * AutoApprovalRule documents managers have set up.
+ *
+ * A request is approved automatically when:
+ * - It is pending (two-party swaps only after the colleague accepts)
+ * - It needs at most one sign-off, by any manager (multi-level
+ *   chains and steps naming an approver or approver role are always
+ *   decided by people)
+ * - Every normal approval check passes (credentials, overlap)
+ * - It meets every condition of an active rule for the shift's
+ *   facility and department
+ *
+ * Department rules are tried before facility-wide rules. The rule
+ * that fired is stored on the request and in shift history.
+ */
+
+const AutoApprovalRule = require('../models/AutoApprovalRule');
+const ShiftSwapRequest = require('../models/ShiftSwapRequest');
+const approvalValidationService = require('./approvalValidationService');
+const swapApprovalService = require('./swapApprovalService');
+const logger = require('../utils/logger');
+
+/**
+ * Check a request against one rule's conditions
+ *
+ * @param {Object} rule - AutoApprovalRule document
+ * @param {Object} swapRequest - Request with shift, offeredShift and requestedBy populated
+ * @param {Object} validation - Result of approvalValidationService.validateSwapRequest
+ * @returns {Boolean} True if every condition is met
+ */
+const ruleMatches = (rule, swapRequest, validation) => {
+  const { conditions } = rule;
+  const { shift, offeredShift, requestedBy } = swapRequest;
+
+  if (conditions.swapTypes.length > 0 && !conditions.swapTypes.includes(swapRequest.swapType)) {
+    return false;
+  }
+
+  // Both shifts in a two-party swap must stay within the department
+  if (conditions.sameDepartment) {
+    if (requestedBy.department !== shift.department) return false;
+    if (offeredShift && offeredShift.department !== shift.department) return false;
+  }
+
+  if (!conditions.allowEmergency && (shift.isEmergency || offeredShift?.isEmergency)) {
+    return false;
+  }
+
+  if (!conditions.allowOvertime && validation.warnings.some(w => w.type === 'overtime')) {
+    return false;
+  }
+
+  return true;
+};
+
+/**
+ * Find the first active rule a pending request meets
+ *
+ * @param {Object} swapRequest - Request with shift, offeredShift and requestedBy populated
+ * @returns {Promise<Object|null>} The matching AutoApprovalRule, or null
+ */
+exports.findMatchingRule = async (swapRequest) => {
+  const { shift } = swapRequest;
+
+  // Rules are per facility, so shifts without one never auto-approve
+  if (!shift.facility) return null;
+
+  const rules = await AutoApprovalRule.find({
+    facility: shift.facility,
+    department: { $in: [shift.department, null] },
+    isActive: true,
+  }).sort({ createdAt: 1 });
+
+  if (rules.length === 0) return null;
+
+  // Hard failures always need a manager
+  const validation = await approvalValidationService.validateSwapRequest(swapRequest);
+  if (!validation.isValid) return null;
+
+  // Department rules first, then facility-wide ones
+  const ordered = [
+    ...rules.filter(rule => rule.department),
+    ...rules.filter(rule => !rule.department),
+  ];
+
+  return ordered.find(rule => ruleMatches(rule, swapRequest, validation)) || null;
+};
+
+/**
+ * Approve a pending request automatically if a rule allows it
+ *
+ * Runs straight after the request reaches 'pending'. Anything that stops
+ * the auto-approval (no rule, failed checks, a concurrent change) simply
+ * leaves the request pending for a manager.
+ *
+ * @param {ObjectId} swapRequestId - Swap request ID
+ * @returns {Promise<Object|null>} The approval outcome with the rule that
+ *   fired ({ ...outcome, rule }), or null if the request stays pending
+ */
+exports.tryAutoApprove = async (swapRequestId) => {
+  try {
+    const swapRequest = await ShiftSwapRequest.findById(swapRequestId)
+      .populate('shift')
+      .populate('offeredShift')
+      .populate('requestedBy');
+
+    if (!swapRequest || swapRequest.status !== 'pending') return null;
+
+    // Rules only stand in for a single "any manager" approval; a step naming
+    // an approver or approver role needs that sign-off from a person
+    const chain = swapRequest.approvalChain;
+    if (chain.length > 1) return null;
+    if (chain.length === 1 && (chain[0].approver || chain[0].approverRole)) return null;
+
+    const rule = await exports.findMatchingRule(swapRequest);
+    if (!rule) return null;
+
+    const outcome = await swapApprovalService.approveSwapRequest(swapRequestId, null, {
+      autoApprovalRule: rule,
+    });
+
+    return outcome.approved ? { ...outcome, rule } : null;
+  } catch (error) {
+    logger.error('Auto-approval failed, leaving request for a manager:', error);
+    return null;
+  }
+};
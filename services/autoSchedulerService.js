@@ -0,0 +1,416 @@
+/**
+ * ==================================================
+ * AUTO SCHEDULER SERVICE
+ * ==================================================
+ * Proposes staff for a department's open shifts and saves the
+ * proposal as a ScheduleDraft for a manager to review and publish.
+ *
+ * Runs entirely in-process. Hard constraints a candidate must meet:
+ * - credentials: holds the shift's required credentials, unexpired
+ * - availability: inside their weekly availability, not on an unavailable date
+ * - time_off: no approved time off covering the shift
+ * - overlap: no other shift (assigned or proposed) at the same time
+ * - weekly_hours: stays within the department's overtime threshold
+ *   (overtimeCalculationService), counting recorded and proposed hours
+ *
+ * Among the candidates left, the fairest pick wins (see FAIRNESS_WEIGHTS):
+ * whoever has the fewest hours that week, then time-of-day and weekly
+ * shift preferences. Shifts with the fewest candidates are filled first
+ * (emergencies before everything), so scarce staff are not used up on
+ * shifts anyone could take.
+ *
+ * Shifts no one can take are reported with how many candidates each
+ * hard constraint ruled out.
+ */
+
+const Shift = require('../models/Shift');
+const User = require('../models/User');
+const Notification = require('../models/Notification');
+const TimeOffRequest = require('../models/TimeOffRequest');
+const ScheduleDraft = require('../models/ScheduleDraft');
+const availabilityService = require('./availabilityService');
+const overtimeCalculationService = require('./overtimeCalculationService');
+const schedulePeriodService = require('./schedulePeriodService');
+const shiftHistoryService = require('./shiftHistoryService');
+const shiftOverlapValidationService = require('./shiftOverlapValidationService');
+const transactionService = require('./transactionService');
+
+const { requestError } = transactionService;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Longest range one run may cover
+const MAX_RANGE_DAYS = 31;
+
+// How much each fairness goal counts towards a candidate's score (adds up to 1)
+const FAIRNESS_WEIGHTS = {
+  hoursBalance: 0.5,
+  timeOfDay: 0.25,
+  weeklyShifts: 0.25,
+};
+
+const CONSTRAINT_MESSAGES = {
+  credentials: 'Missing or expired required credentials',
+  availability: 'Outside declared availability',
+  time_off: 'Approved time off',
+  overlap: 'Already working at that time',
+  weekly_hours: 'Would go over the weekly overtime threshold',
+};
+
+// Midnight UTC of a date, the way Shift.date is stored
+const toDay = (date) => {
+  const d = new Date(date);
+  return new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate()));
+};
+
+// Sunday (UTC) of the week a shift date falls in
+const weekStart = (date) => new Date(toDay(date).getTime() - new Date(date).getUTCDay() * DAY_MS);
+
+// Start and end of a shift in milliseconds; an end before the start is on the next day
+const toInterval = (shift) => {
+  const [startHour, startMin] = shift.startTime.split(':').map(Number);
+  const [endHour, endMin] = shift.endTime.split(':').map(Number);
+  const start = toDay(shift.date).getTime() + (startHour * 60 + startMin) * 60 * 1000;
+  let end = toDay(shift.date).getTime() + (endHour * 60 + endMin) * 60 * 1000;
+  if (end <= start) end += DAY_MS;
+  return { start, end };
+};
+
+// Whether a user holds every credential, active and unexpired on a date
+const holdsCredentials = (user, credentialIds, date) => {
+  return credentialIds.every(id => user.credentials.some(c =>
+    c.credential?.toString() === id.toString() &&
+    c.isActive &&
+    (!c.expirationDate || c.expirationDate >= date)
+  ));
+};
+
+/**
+ * Build a draft schedule for a department's open shifts
+ *
+ * @param {Object} params
+ * @param {String} params.department - Department to schedule
+ * @param {ObjectId} params.facility - Only this facility's shifts and staff (optional)
+ * @param {Date} params.startDate - First day
+ * @param {Date} params.endDate - Last day (inclusive)
+ * @param {ObjectId} managerId - Manager running the builder
+ * @returns {Promise<Object>} Saved ScheduleDraft
+ */
+exports.buildDraft = async ({ department, facility = null, startDate, endDate }, managerId) => {
+  const start = toDay(startDate);
+  const end = toDay(endDate);
+
+  if (end < start) {
+    throw requestError('End date must be on or after the start date', 400);
+  }
+
+  if ((end - start) / DAY_MS + 1 > MAX_RANGE_DAYS) {
+    throw requestError(`Schedules can be built for at most ${MAX_RANGE_DAYS} days at a time`, 400);
+  }
+
+  const shiftFilter = {
+    department,
+    status: 'open',
+    assignedTo: null,
+    date: { $gte: start, $lte: end },
+  };
+  const staffFilter = { role: 'staff', department, isActive: true };
+  if (facility) {
+    shiftFilter.facility = facility;
+    staffFilter.facility = facility;
+  }
+
+  const shifts = await Shift.find(shiftFilter).sort({ date: 1, startTime: 1 });
+  const candidates = await User.find(staffFilter).sort({ _id: 1 });
+  const candidateIds = candidates.map(c => c._id);
+
+  const timeOff = await TimeOffRequest.find({
+    user: { $in: candidateIds },
+    status: 'approved',
+    startDate: { $lte: end },
+    endDate: { $gte: start },
+  });
+
+  // Shifts candidates already work, including the days either side for overnight shifts
+  const assigned = await Shift.find({
+    assignedTo: { $in: candidateIds },
+    status: 'approved',
+    date: { $gte: new Date(start.getTime() - DAY_MS), $lte: new Date(end.getTime() + DAY_MS) },
+  }).select('assignedTo date startTime endTime');
+
+  // Per-candidate running state: busy intervals, hours and shift counts per week
+  const state = new Map(candidates.map(c => [c._id.toString(), {
+    busy: assigned.filter(s => s.assignedTo.equals(c._id)).map(toInterval),
+    weekHours: new Map(),
+    weekShifts: new Map(),
+    proposed: 0,
+  }]));
+
+  assigned.forEach(s => {
+    const week = weekStart(s.date).getTime();
+    const weekShifts = state.get(s.assignedTo.toString()).weekShifts;
+    weekShifts.set(week, (weekShifts.get(week) || 0) + 1);
+  });
+
+  // Recorded hours for a candidate's week, loaded once
+  const getWeekHours = async (candidate, week) => {
+    const { weekHours } = state.get(candidate._id.toString());
+    if (!weekHours.has(week)) {
+      weekHours.set(week, await overtimeCalculationService.getWeeklyHours(candidate._id, new Date(week)));
+    }
+    return weekHours.get(week);
+  };
+
+  const thresholds = new Map();
+  const getThreshold = async (shift) => {
+    const key = String(shift.facility);
+    if (!thresholds.has(key)) {
+      thresholds.set(key, await overtimeCalculationService.getOvertimeThreshold(shift.facility, department));
+    }
+    return thresholds.get(key);
+  };
+
+  // Constraints that do not depend on other proposals, worked out once per shift
+  const staticFailures = new Map(shifts.map(shift => {
+    const failures = new Map(candidates.map(candidate => {
+      const failed = [];
+
+      if (!holdsCredentials(candidate, shift.requiredCredentials, shift.date)) {
+        failed.push('credentials');
+      }
+      if (!availabilityService.checkAvailability(candidate, shift.date, shift.startTime, shift.endTime).isAvailable) {
+        failed.push('availability');
+      }
+      if (timeOff.some(t => t.user.equals(candidate._id) && shiftOverlapValidationService.timeOffCoversShift(t, shift))) {
+        failed.push('time_off');
+      }
+
+      return [candidate._id.toString(), failed];
+    }));
+
+    return [shift._id.toString(), failures];
+  }));
+
+  const feasibleCount = (shift) => [...staticFailures.get(shift._id.toString()).values()]
+    .filter(failed => failed.length === 0).length;
+
+  const ordered = [...shifts].sort((a, b) =>
+    (b.isEmergency ? 1 : 0) - (a.isEmergency ? 1 : 0) ||
+    feasibleCount(a) - feasibleCount(b) ||
+    a.date - b.date ||
+    a.startTime.localeCompare(b.startTime)
+  );
+
+  const assignments = [];
+  const unfilled = [];
+
+  for (const shift of ordered) {
+    const interval = toInterval(shift);
+    const hours = overtimeCalculationService.calculateHours(shift.startTime, shift.endTime);
+    const week = weekStart(shift.date).getTime();
+    const threshold = await getThreshold(shift);
+    const timeOfDay = availabilityService.classifyShift(shift.startTime);
+
+    const excluded = {};
+    let best = null;
+
+    for (const candidate of candidates) {
+      const key = candidate._id.toString();
+      const candidateState = state.get(key);
+      const failed = [...staticFailures.get(shift._id.toString()).get(key)];
+
+      if (candidateState.busy.some(b => b.start < interval.end && interval.start < b.end)) {
+        failed.push('overlap');
+      }
+
+      const weekHours = await getWeekHours(candidate, week);
+      if (weekHours + hours > threshold) {
+        failed.push('weekly_hours');
+      }
+
+      if (failed.length > 0) {
+        failed.forEach(constraint => { excluded[constraint] = (excluded[constraint] || 0) + 1; });
+        continue;
+      }
+
+      const preference = availabilityService.getTimeOfDayPreference(candidate);
+      const maxShiftsPerWeek = candidate.shiftPreferences?.maxShiftsPerWeek ?? null;
+      const factors = {
+        hoursBalance: 1 - Math.min(1, weekHours / threshold),
+        timeOfDay: !preference || preference === timeOfDay ? 1 : 0,
+        weeklyShifts: maxShiftsPerWeek === null || (candidateState.weekShifts.get(week) || 0) < maxShiftsPerWeek ? 1 : 0,
+      };
+      const score = Object.entries(FAIRNESS_WEIGHTS).reduce((sum, [factor, weight]) => sum + weight * factors[factor], 0);
+
+      // Ties go to whoever has the fewest proposed shifts so far
+      if (!best || score > best.score || (score === best.score && candidateState.proposed < best.state.proposed)) {
+        best = { candidate, state: candidateState, score };
+      }
+    }
+
+    if (!best) {
+      unfilled.push({
+        shift: shift._id,
+        violations: Object.entries(excluded).map(([constraint, count]) => ({
+          constraint,
+          message: CONSTRAINT_MESSAGES[constraint],
+          candidatesExcluded: count,
+        })),
+      });
+      continue;
+    }
+
+    best.state.busy.push(interval);
+    best.state.weekHours.set(week, best.state.weekHours.get(week) + hours);
+    best.state.weekShifts.set(week, (best.state.weekShifts.get(week) || 0) + 1);
+    best.state.proposed += 1;
+
+    assignments.push({
+      shift: shift._id,
+      user: best.candidate._id,
+      score: Math.round(best.score * 100) / 100,
+    });
+  }
+
+  return ScheduleDraft.create({
+    department,
+    facility,
+    startDate: start,
+    endDate: end,
+    assignments,
+    unfilled,
+    createdBy: managerId,
+  });
+};
+
+/**
+ * Publish a draft: assign the proposed staff to their shifts
+ *
+ * Each shift is checked again, since things may have changed since the
+ * draft was built. Shifts that are no longer open or now clash are
+ * skipped; the rest are assigned in one transaction. Each staff member
+ * gets one notification listing how many shifts they were given
+ * (shifts in draft schedule periods are announced when the period is
+ * published instead).
+ *
+ * @param {ObjectId} draftId - Schedule draft
+ * @param {ObjectId} managerId - Manager publishing
+ * @param {Object} options
+ * @param {Array} options.shiftIds - Only publish these shifts' assignments (default all)
+ * @returns {Promise<Object>} { draft, assigned, skipped }
+ */
+exports.publishDraft = async (draftId, managerId, { shiftIds = null } = {}) => {
+  return transactionService.runInTransaction(async (session) => {
+    const draft = await ScheduleDraft.findById(draftId).session(session);
+    if (!draft) {
+      throw requestError('Schedule draft not found', 404);
+    }
+
+    if (draft.status !== 'draft') {
+      throw requestError(`This schedule draft has already been ${draft.status}`);
+    }
+
+    const included = shiftIds ? new Set(shiftIds.map(String)) : null;
+    const draftPeriods = await schedulePeriodService.getDraftPeriods();
+    const perUser = new Map();
+    let assigned = 0;
+    let skipped = 0;
+
+    for (const assignment of draft.assignments) {
+      if (included && !included.has(assignment.shift.toString())) {
+        assignment.result = 'excluded';
+        continue;
+      }
+
+      const shift = await Shift.findById(assignment.shift).session(session);
+      if (!shift || shift.status !== 'open' || shift.assignedTo) {
+        assignment.result = 'skipped';
+        assignment.resultMessage = 'Shift is no longer open';
+        skipped += 1;
+        continue;
+      }
+
+      const overlapCheck = await shiftOverlapValidationService.validateShiftOverlap({
+        assignedTo: assignment.user,
+        department: shift.department,
+        date: shift.date,
+        startTime: shift.startTime,
+        endTime: shift.endTime,
+      }, shift._id);
+
+      if (!overlapCheck.isValid) {
+        assignment.result = 'skipped';
+        assignment.resultMessage = overlapCheck.errors.map(e => e.message).join('; ');
+        skipped += 1;
+        continue;
+      }
+
+      shift.assignedTo = assignment.user;
+      shift.status = 'approved';
+      await shift.save({ session });
+
+      await overtimeCalculationService.recordWorkHours(
+        assignment.user,
+        shift._id,
+        shift.date,
+        shift.startTime,
+        shift.endTime,
+        session
+      );
+
+      await shiftHistoryService.recordHistory(
+        shift._id,
+        'assigned',
+        managerId,
+        { assignedTo: null, status: 'open' },
+        { assignedTo: assignment.user, status: 'approved', scheduleDraft: draft._id },
+        'Shift assigned from a published schedule draft',
+        session
+      );
+
+      assignment.result = 'assigned';
+      assigned += 1;
+      if (!schedulePeriodService.isInPeriods(shift, draftPeriods)) {
+        perUser.set(assignment.user.toString(), (perUser.get(assignment.user.toString()) || 0) + 1);
+      }
+    }
+
+    draft.status = 'published';
+    draft.publishedBy = managerId;
+    draft.publishedAt = new Date();
+    await draft.save({ session });
+
+    if (perUser.size > 0) {
+      await Notification.insertMany([...perUser].map(([userId, count]) => ({
+        user: userId,
+        message: `You have been scheduled for ${count} ${draft.department} shift(s) between ${draft.startDate.toDateString()} and ${draft.endDate.toDateString()}`,
+        type: 'shift_assigned',
+      })), { session });
+    }
+
+    return { draft, assigned, skipped };
+  });
+};
+
+/**
+ * Discard a draft without assigning anything
+ *
+ * @param {ObjectId} draftId - Schedule draft
+ * @returns {Promise<Object>} The discarded draft
+ */
+exports.discardDraft = async (draftId) => {
+  const draft = await ScheduleDraft.findOneAndUpdate(
+    { _id: draftId, status: 'draft' },
+    { status: 'discarded' },
+    { new: true }
+  );
+
+  if (!draft) {
+    const exists = await ScheduleDraft.exists({ _id: draftId });
+    throw exists
+      ? requestError('Only drafts that have not been published can be discarded')
+      : requestError('Schedule draft not found', 404);
+  }
+
+  return draft;
+};
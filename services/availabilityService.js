@@ -0,0 +1,198 @@
+/**
+ * ==================================================
+ * AVAILABILITY SERVICE
+ * ==================================================
+ * Reads the availability and preferences staff declare on their
+ * profile (see User.weeklyAvailability, unavailableDates and
+ * shiftPreferences):
+ * - Whether someone can work a given date and time
+ * - How well an open shift fits them, used to rank available shifts
+ *
+ * Each shift gets a fit score between 0 and 1 built from:
+ * - Availability: inside a weekly window and not on an unavailable date
+ * - Time of day: matches their day/evening/night preference
+ * - Weekly limit: they are still under their max shifts per week
+ *
+ * A shift they are unavailable for always scores 0.
+ */
+
+const Shift = require('../models/Shift');
+
+// How much each factor counts towards the fit score (adds up to 1)
+const WEIGHTS = {
+  availability: 0.5,
+  timeOfDay: 0.25,
+  weeklyLimit: 0.25,
+};
+
+const DAY_MINUTES = 24 * 60;
+const DAY_MS = DAY_MINUTES * 60 * 1000;
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+// "HH:mm" -> minutes since midnight
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+// Time range in minutes; an end before the start is on the next day
+const toRange = (startTime, endTime) => {
+  const start = toMinutes(startTime);
+  let end = toMinutes(endTime);
+  if (end < start) end += DAY_MINUTES;
+  return { start, end };
+};
+
+// Sunday (UTC) of the week a shift date falls in, as a map key
+const weekKey = (date) => {
+  const d = new Date(date);
+  return new Date(d.getTime() - d.getUTCDay() * DAY_MS).toISOString().split('T')[0];
+};
+
+/**
+ * Classify a shift by when it starts
+ *
+ * @param {String} startTime - Start time (HH:mm)
+ * @returns {String} 'day' (06:00-13:59), 'evening' (14:00-19:59) or 'night'
+ */
+exports.classifyShift = (startTime) => {
+  const minutes = toMinutes(startTime);
+  if (minutes >= 6 * 60 && minutes < 14 * 60) return 'day';
+  if (minutes >= 14 * 60 && minutes < 20 * 60) return 'evening';
+  return 'night';
+};
+
+/**
+ * Get the user's preferred time of day
+ *
+ * Falls back to the free-text preferredShiftType when it says day,
+ * evening or night.
+ *
+ * @param {Object} user - User document
+ * @returns {String|null} 'day', 'evening', 'night', or null for no preference
+ */
+exports.getTimeOfDayPreference = (user) => {
+  if (user.shiftPreferences?.timeOfDay) return user.shiftPreferences.timeOfDay;
+
+  const legacy = (user.preferredShiftType || '').trim().toLowerCase();
+  return ['day', 'evening', 'night'].includes(legacy) ? legacy : null;
+};
+
+/**
+ * Check whether a user can work a date and time
+ *
+ * @param {Object} user - User document
+ * @param {Date} date - Day (stored like Shift.date, midnight UTC)
+ * @param {String} startTime - Start time (HH:mm)
+ * @param {String} endTime - End time (HH:mm)
+ * @returns {Object} { isAvailable, reasons }
+ */
+exports.checkAvailability = (user, date, startTime, endTime) => {
+  const day = new Date(date);
+  const reasons = [];
+
+  const blocked = (user.unavailableDates || []).find(u => u.startDate <= day && u.endDate >= day);
+  if (blocked) {
+    reasons.push(`Unavailable on ${day.toDateString()}${blocked.reason ? ` (${blocked.reason})` : ''}`);
+  }
+
+  const windows = user.weeklyAvailability || [];
+  if (windows.length > 0) {
+    const dayOfWeek = day.getUTCDay();
+    const wanted = toRange(startTime, endTime);
+
+    const fits = windows.some(window => {
+      if (window.dayOfWeek !== dayOfWeek) return false;
+      const range = toRange(window.startTime, window.endTime);
+      return range.start <= wanted.start && wanted.end <= range.end;
+    });
+
+    if (!fits) {
+      reasons.push(`Outside weekly availability on ${DAY_NAMES[dayOfWeek]}`);
+    }
+  }
+
+  return {
+    isAvailable: reasons.length === 0,
+    reasons,
+  };
+};
+
+/**
+ * Score how well each shift fits a user and sort best fit first
+ *
+ * Emergency shifts stay at the top; within each group shifts are
+ * ordered by fit score, then by the order they came in.
+ *
+ * @param {Array} shifts - Shift documents
+ * @param {Object} user - User document
+ * @returns {Promise<Array>} Plain shift objects with a `fit` field
+ */
+exports.rankShiftsForUser = async (shifts, user) => {
+  if (shifts.length === 0) return [];
+
+  // Shifts the user already works in the weeks covered, for the weekly limit
+  const maxShiftsPerWeek = user.shiftPreferences?.maxShiftsPerWeek ?? null;
+  const weekCounts = new Map();
+
+  if (maxShiftsPerWeek !== null) {
+    const times = shifts.map(s => new Date(s.date).getTime());
+    const assigned = await Shift.find({
+      assignedTo: user._id,
+      status: 'approved',
+      date: {
+        $gte: new Date(weekKey(Math.min(...times))),
+        $lt: new Date(new Date(weekKey(Math.max(...times))).getTime() + 7 * DAY_MS),
+      },
+    }).select('date');
+
+    assigned.forEach(s => {
+      const key = weekKey(s.date);
+      weekCounts.set(key, (weekCounts.get(key) || 0) + 1);
+    });
+  }
+
+  const preference = exports.getTimeOfDayPreference(user);
+
+  const ranked = shifts.map((shift, index) => {
+    const availability = exports.checkAvailability(user, shift.date, shift.startTime, shift.endTime);
+    const timeOfDay = exports.classifyShift(shift.startTime);
+    const shiftsThatWeek = weekCounts.get(weekKey(shift.date)) || 0;
+
+    const factors = {
+      availability: availability.isAvailable ? 1 : 0,
+      timeOfDay: !preference || preference === timeOfDay ? 1 : 0,
+      weeklyLimit: maxShiftsPerWeek === null || shiftsThatWeek < maxShiftsPerWeek ? 1 : 0,
+    };
+
+    const score = availability.isAvailable
+      ? Object.entries(WEIGHTS).reduce((sum, [factor, weight]) => sum + weight * factors[factor], 0)
+      : 0;
+
+    const reasons = [...availability.reasons];
+    if (!factors.timeOfDay) reasons.push(`${timeOfDay} shift; you prefer ${preference}`);
+    if (!factors.weeklyLimit) reasons.push(`You already work ${shiftsThatWeek} shift(s) that week (limit ${maxShiftsPerWeek})`);
+
+    return {
+      index,
+      shift: {
+        ...shift.toObject(),
+        fit: {
+          score: Math.round(score * 100) / 100,
+          isAvailable: availability.isAvailable,
+          timeOfDay,
+          factors,
+          reasons,
+        },
+      },
+    };
+  });
+
+  ranked.sort((a, b) =>
+    (b.shift.isEmergency ? 1 : 0) - (a.shift.isEmergency ? 1 : 0) ||
+    b.shift.fit.score - a.shift.fit.score ||
+    a.index - b.index
+  );
+
+  return ranked.map(r => r.shift);
+};
@@ -0,0 +1,135 @@
+/**
+ * ==================================================
+ * CALL-IN SERVICE
+ * ==================================================
+ * Calls in the assignee of an on-call or standby shift to work part or
+ * all of it.
+ *
+ * On-call and standby time does not count toward weekly hours (see
+ * KIND_RULES in overtimeCalculationService). A call-in converts the
+ * stretch worked into worked time in WorkHours, so it counts toward
+ * weekly hours and overtime like any other work.
+ */
+
+const Shift = require('../models/Shift');
+const Notification = require('../models/Notification');
+const overtimeCalculationService = require('./overtimeCalculationService');
+const shiftHistoryService = require('./shiftHistoryService');
+const transactionService = require('./transactionService');
+
+const { requestError } = transactionService;
+
+const DAY_MINUTES = 24 * 60;
+const DAY_MS = DAY_MINUTES * 60 * 1000;
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+/**
+ * Place a stretch of time ("HH:mm"-"HH:mm") inside a shift
+ *
+ * @param {Object} shift - Shift (startTime, endTime)
+ * @param {String} startTime - Start of the stretch
+ * @param {String} endTime - End of the stretch
+ * @returns {Object} { from, to } in minutes after the start of the shift,
+ *   or null if the stretch does not fall inside the shift
+ */
+const placeInShift = (shift, startTime, endTime) => {
+  const start = toMinutes(shift.startTime);
+  let length = toMinutes(shift.endTime) - start;
+  if (length <= 0) length += DAY_MINUTES;
+
+  const from = (toMinutes(startTime) - start + DAY_MINUTES) % DAY_MINUTES;
+  let to = (toMinutes(endTime) - start + DAY_MINUTES) % DAY_MINUTES;
+  if (to === 0) to = DAY_MINUTES;
+
+  if (from >= length || to > length || to <= from) return null;
+  return { from, to };
+};
+
+/**
+ * Call in the assignee of an on-call or standby shift
+ *
+ * Steps (in one transaction):
+ * 1. Check the shift is an assigned on-call or standby shift
+ * 2. Check the time worked falls inside the shift and does not overlap
+ *    an earlier call-in
+ * 3. Record the call-in on the shift and convert the time into worked
+ *    hours
+ * 4. Record history and notify the assignee
+ *
+ * @param {ObjectId} shiftId - On-call or standby shift
+ * @param {Object} times
+ * @param {String} times.startTime - When the assignee starts work ("HH:mm")
+ * @param {String} times.endTime - When they finish (default: end of the shift)
+ * @param {ObjectId} performedBy - Manager calling them in
+ * @returns {Promise<Object>} { shift, callIn, workHours }
+ */
+exports.callIn = async (shiftId, { startTime, endTime }, performedBy) => {
+  return transactionService.runInTransaction(async (session) => {
+    const shift = await Shift.findById(shiftId).session(session);
+    if (!shift) {
+      throw requestError('Shift not found', 404);
+    }
+
+    if (!Shift.STANDBY_KINDS.includes(shift.kind)) {
+      throw requestError('Only on-call and standby shifts can be called in', 400);
+    }
+
+    if (shift.status !== 'approved' || !shift.assignedTo) {
+      throw requestError('Nobody is assigned to this shift', 400);
+    }
+
+    const finish = endTime || shift.endTime;
+    const placed = placeInShift(shift, startTime, finish);
+    if (!placed) {
+      throw requestError(`Call-in times must fall inside the shift (${shift.startTime}-${shift.endTime})`, 400);
+    }
+
+    const overlapping = shift.callIns.some(c => {
+      const earlier = placeInShift(shift, c.startTime, c.endTime);
+      return earlier && placed.from < earlier.to && earlier.from < placed.to;
+    });
+    if (overlapping) {
+      throw requestError('The assignee has already been called in for part of this time');
+    }
+
+    // Call-ins after midnight on an overnight shift are worked the next day
+    const startMinutes = toMinutes(shift.startTime) + placed.from;
+    const date = new Date(shift.date.getTime() + Math.floor(startMinutes / DAY_MINUTES) * DAY_MS);
+
+    shift.callIns.push({ date, startTime, endTime: finish, calledInBy: performedBy });
+    await shift.save({ session });
+    const callIn = shift.callIns[shift.callIns.length - 1];
+
+    const workHours = await overtimeCalculationService.recordCallInHours(
+      shift.assignedTo,
+      shift._id,
+      date,
+      startTime,
+      finish,
+      session
+    );
+
+    await shiftHistoryService.recordHistory(
+      shift._id,
+      'called_in',
+      performedBy,
+      null,
+      { callIn: callIn._id, startTime, endTime: finish, hoursWorked: workHours.hoursWorked },
+      `Assignee called in ${startTime}-${finish}`,
+      session
+    );
+
+    await Notification.create([{
+      user: shift.assignedTo,
+      message: `You have been called in for "${shift.title}" from ${startTime} to ${finish} on ${date.toDateString()}.`,
+      type: 'call_in',
+      relatedShift: shift._id,
+    }], { session });
+
+    return { shift, callIn, workHours };
+  });
+};
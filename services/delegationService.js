@@ -0,0 +1,117 @@
+/**
+ * ==================================================
+ * DELEGATION SERVICE
+ * ==================================================
+ * Works out whether someone may decide a swap request, either
+ * in their own right (as a manager) or on behalf of a manager
+ * who has delegated their approvals to them (ApprovalDelegation).
+ *
+ * A delegation applies while it is active and today falls between
+ * its start and end dates, and only to shifts in its scope. The
+ * delegate gets the delegator's approval rights, including any
+ * approval-chain roles the delegator holds.
+ */
+
+const ApprovalDelegation = require('../models/ApprovalDelegation');
+const User = require('../models/User');
+const approvalChainService = require('./approvalChainService');
+const { requestError } = require('./transactionService');
+
+/**
+ * Get the delegations a user can act under right now
+ *
+ * @param {ObjectId} userId - Delegate's user ID
+ * @param {Date} at - Reference time (defaults to now)
+ * @returns {Promise<Array>} ApprovalDelegation documents with delegator populated
+ */
+exports.getActiveDelegations = async (userId, at = new Date()) => {
+  const delegations = await ApprovalDelegation.find({
+    delegate: userId,
+    isActive: true,
+    startDate: { $lte: at },
+    endDate: { $gte: at },
+  }).populate('delegator', 'name email role approverRoles isActive');
+
+  // A delegation from someone who is no longer an active manager grants nothing
+  return delegations.filter(d => d.delegator && d.delegator.isActive && d.delegator.role === 'manager');
+};
+
+/**
+ * Whether a shift falls inside a delegation's scope
+ *
+ * @param {Object} delegation - ApprovalDelegation document
+ * @param {Object} shift - Shift document
+ * @returns {Boolean}
+ */
+exports.coversShift = (delegation, shift) => {
+  const { scope } = delegation;
+  const sameFacility = scope.facility && shift.facility &&
+    scope.facility.toString() === (shift.facility._id || shift.facility).toString();
+
+  if (scope.type === 'facility') return Boolean(sameFacility);
+
+  return shift.department === scope.department && (!scope.facility || Boolean(sameFacility));
+};
+
+/**
+ * Work out whether a user may decide a request's current step, and for whom
+ *
+ * @param {Object} user - User document deciding
+ * @param {Object} step - Current approval step (null when there is no chain)
+ * @param {Object} shift - The requested shift
+ * @param {Array} delegations - User's active delegations
+ * @returns {Object} { canAct, actingFor } where actingFor is the delegator's
+ *   ID, or null when the user acts in their own right
+ */
+exports.resolveActingFor = (user, step, shift, delegations) => {
+  // Steps naming an approver or role go by that, whatever the user's own role
+  // (e.g. a charge nurse on staff); only generic steps need a manager
+  const ownRight = approvalChainService.namesApprover(step) || user.role === 'manager';
+  if (ownRight && approvalChainService.canActOnStep(step, user)) {
+    return { canAct: true, actingFor: null };
+  }
+
+  const delegation = delegations.find(d =>
+    exports.coversShift(d, shift) && approvalChainService.canActOnStep(step, d.delegator)
+  );
+
+  return delegation
+    ? { canAct: true, actingFor: delegation.delegator._id }
+    : { canAct: false, actingFor: null };
+};
+
+/**
+ * Throw 403 unless the user may decide the request's current step.
+ * Nobody may decide a request they are a party to, even as a delegate.
+ *
+ * @param {Object} swapRequest - ShiftSwapRequest document
+ * @param {Object} shift - The requested shift
+ * @param {ObjectId} userId - User deciding
+ * @returns {Promise<ObjectId|null>} Manager the user is acting for, or null
+ */
+exports.assertCanDecide = async (swapRequest, shift, userId) => {
+  const parties = [swapRequest.requestedBy, swapRequest.counterparty]
+    .filter(Boolean)
+    .map(party => (party._id || party).toString());
+
+  if (parties.includes(userId.toString())) {
+    throw requestError('You cannot decide a request you are a party to', 403);
+  }
+
+  const user = await User.findById(userId);
+  const step = approvalChainService.getCurrentStep(swapRequest);
+  const delegations = await exports.getActiveDelegations(userId);
+
+  const { canAct, actingFor } = user
+    ? exports.resolveActingFor(user, step, shift, delegations)
+    : { canAct: false, actingFor: null };
+
+  if (!canAct) {
+    const message = step
+      ? `Step "${step.name}" must be decided by ${approvalChainService.describeApprover(step)}`
+      : 'You are not an approver for this request';
+    throw requestError(message, 403);
+  }
+
+  return actingFor;
+};
@@ -0,0 +1,354 @@
+/**
+ * ==================================================
+ * LEAVE BALANCE SERVICE
+ * ==================================================
+ * Keeps per-user leave balances and the ledger that explains them.
+ *
+ * Every change goes through applyEntry, which moves the balance and
+ * writes a LeaveLedgerEntry together. Balances change when:
+ * - The accrual job credits hours worked and monthly grants, and caps
+ *   the balance carried into a new year (see LeavePolicy)
+ * - Time off is approved (deducted in the approval transaction)
+ * - A manager adjusts a balance by hand
+ *
+ * Leave types without a policy for the user's facility/department
+ * are not tracked: approving them deducts nothing.
+ */
+
+const LeavePolicy = require('../models/LeavePolicy');
+const LeaveBalance = require('../models/LeaveBalance');
+const LeaveLedgerEntry = require('../models/LeaveLedgerEntry');
+const User = require('../models/User');
+const WorkHours = require('../models/WorkHours');
+const overtimeCalculationService = require('./overtimeCalculationService');
+const transactionService = require('./transactionService');
+const logger = require('../utils/logger');
+
+const { requestError } = transactionService;
+
+const LEAVE_TYPES = ['vacation', 'sick', 'study', 'bereavement'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Work older than this is assumed to have been credited by an earlier run
+const ACCRUAL_LOOKBACK_DAYS = 31;
+
+// How often the accrual job runs (minutes), overridable from .env
+const DEFAULT_INTERVAL_MINUTES = 60;
+
+let timer = null;
+let isRunning = false;
+
+// Keep balances to two decimal places
+const roundHours = (hours) => Math.round(hours * 100) / 100;
+
+// "2024-07" style key for a month
+const monthKey = (year, monthIndex) => `${year}-${String(monthIndex + 1).padStart(2, '0')}`;
+
+/**
+ * Pick the policy that applies to a user for one leave type
+ *
+ * @param {Array} policies - Active LeavePolicy documents
+ * @param {Object} user - User document
+ * @param {String} leaveType - Leave type
+ * @returns {Object|null} Department policy, else facility-wide policy, else null
+ */
+const pickPolicy = (policies, user, leaveType) => {
+  if (!user.facility) return null;
+
+  const candidates = policies.filter(p =>
+    p.leaveType === leaveType && p.facility.toString() === user.facility.toString()
+  );
+
+  return candidates.find(p => p.department && p.department === user.department) ||
+    candidates.find(p => !p.department) ||
+    null;
+};
+
+/**
+ * Find the policy that applies to a user for one leave type
+ *
+ * @param {Object} user - User document
+ * @param {String} leaveType - Leave type
+ * @returns {Promise<Object|null>} LeavePolicy document, or null if the type is not tracked
+ */
+exports.findPolicy = async (user, leaveType) => {
+  if (!user.facility) return null;
+
+  const policies = await LeavePolicy.find({ facility: user.facility, leaveType, isActive: true });
+  return pickPolicy(policies, user, leaveType);
+};
+
+/**
+ * Change a balance and record why in the ledger
+ *
+ * @param {Object} entry - Ledger fields: user, leaveType, entryType, hours and
+ *   optionally description, policy, timeOffRequest, workHours, periodKey, performedBy
+ * @param {ClientSession} session - Transaction session (a new transaction is used if omitted)
+ * @returns {Promise<Object>} The LeaveLedgerEntry created
+ */
+exports.applyEntry = async (entry, session = null) => {
+  const write = async (txSession) => {
+    const hours = roundHours(entry.hours);
+
+    const balance = await LeaveBalance.findOneAndUpdate(
+      { user: entry.user, leaveType: entry.leaveType },
+      { $inc: { balance: hours } },
+      { new: true, upsert: true, setDefaultsOnInsert: true, session: txSession }
+    );
+
+    const [ledgerEntry] = await LeaveLedgerEntry.create([{
+      ...entry,
+      hours,
+      balanceAfter: roundHours(balance.balance),
+    }], { session: txSession });
+
+    return ledgerEntry;
+  };
+
+  return session ? write(session) : transactionService.runInTransaction(write);
+};
+
+/**
+ * Work out how many hours a time off request uses
+ *
+ * @param {Object} timeOff - TimeOffRequest document
+ * @param {Object} policy - LeavePolicy that applies
+ * @returns {Number} Hours of leave
+ */
+exports.getLeaveHours = (timeOff, policy) => {
+  if (timeOff.isPartialDay) {
+    return roundHours(overtimeCalculationService.calculateHours(timeOff.startTime, timeOff.endTime));
+  }
+
+  const days = Math.round((timeOff.endDate - timeOff.startDate) / DAY_MS) + 1;
+  return roundHours(days * policy.hoursPerDay);
+};
+
+/**
+ * Deduct approved time off from the user's balance
+ *
+ * Called inside the approval transaction, so a failed approval
+ * never leaves the balance deducted.
+ *
+ * @param {Object} timeOff - TimeOffRequest document being approved
+ * @param {ObjectId} managerId - Manager approving
+ * @param {ClientSession} session - Transaction session
+ * @returns {Promise<Object|null>} { hours, balanceAfter }, or null if the type is not tracked
+ */
+exports.deductForTimeOff = async (timeOff, managerId, session) => {
+  const user = await User.findById(timeOff.user).session(session);
+  const policy = user ? await exports.findPolicy(user, timeOff.type) : null;
+  if (!policy) return null;
+
+  const hours = exports.getLeaveHours(timeOff, policy);
+  const current = await LeaveBalance.findOne({ user: timeOff.user, leaveType: timeOff.type }).session(session);
+  const available = current ? roundHours(current.balance) : 0;
+
+  if (available < hours && !policy.allowNegativeBalance) {
+    throw requestError(`Not enough ${timeOff.type} leave: ${available}h available, ${hours}h needed`, 400);
+  }
+
+  const ledgerEntry = await exports.applyEntry({
+    user: timeOff.user,
+    leaveType: timeOff.type,
+    entryType: 'deduction',
+    hours: -hours,
+    description: `${timeOff.type} leave from ${timeOff.startDate.toDateString()}`,
+    policy: policy._id,
+    timeOffRequest: timeOff._id,
+    performedBy: managerId,
+  }, session);
+
+  return { hours, balanceAfter: ledgerEntry.balanceAfter };
+};
+
+/**
+ * Credit everything one policy owes one user up to now
+ *
+ * In order: the carry-over cap for the current year, monthly grants
+ * for this year, then hours worked in the lookback window. Periods
+ * already in the ledger are skipped, so running twice credits nothing
+ * twice.
+ *
+ * @param {Object} user - User document
+ * @param {Object} policy - LeavePolicy document
+ * @param {Date} now - Reference time
+ * @returns {Promise<Number>} Number of ledger entries written
+ */
+const accrueForPolicy = async (user, policy, now) => {
+  const year = now.getUTCFullYear();
+  const startOfYear = new Date(Date.UTC(year, 0, 1));
+  const startOfToday = new Date(Date.UTC(year, now.getUTCMonth(), now.getUTCDate()));
+  const effectiveFrom = policy.effectiveFrom;
+  const pending = [];
+
+  // Cap what is carried into this year
+  if (policy.carryOverCap !== null && effectiveFrom < startOfYear) {
+    pending.push({ periodKey: `carry_over:${year}`, entryType: 'carry_over' });
+  }
+
+  // Monthly grants from the later of the policy start and January
+  if (policy.accrual.monthlyGrantHours > 0) {
+    const first = effectiveFrom > startOfYear ? effectiveFrom : startOfYear;
+    for (let month = first.getUTCMonth(); month <= now.getUTCMonth(); month++) {
+      pending.push({
+        periodKey: `grant:${monthKey(year, month)}`,
+        entryType: 'grant',
+        hours: policy.accrual.monthlyGrantHours,
+        description: `Monthly grant for ${monthKey(year, month)}`,
+      });
+    }
+  }
+
+  // Hours worked on shifts that have already happened
+  if (policy.accrual.hoursPerHourWorked > 0) {
+    const lookback = new Date(startOfToday.getTime() - ACCRUAL_LOOKBACK_DAYS * DAY_MS);
+    const workHours = await WorkHours.find({
+      user: user._id,
+      date: { $gte: effectiveFrom > lookback ? effectiveFrom : lookback, $lt: startOfToday },
+    });
+
+    workHours.forEach(wh => pending.push({
+      periodKey: `accrual:${wh._id}`,
+      entryType: 'accrual',
+      hours: wh.hoursWorked * policy.accrual.hoursPerHourWorked,
+      description: `Earned for ${wh.hoursWorked}h worked on ${wh.date.toDateString()}`,
+      workHours: wh._id,
+    }));
+  }
+
+  if (pending.length === 0) return 0;
+
+  const done = await LeaveLedgerEntry.find({
+    user: user._id,
+    leaveType: policy.leaveType,
+    periodKey: { $in: pending.map(p => p.periodKey) },
+  }).select('periodKey');
+  const doneKeys = new Set(done.map(e => e.periodKey));
+
+  let written = 0;
+  for (const item of pending) {
+    if (doneKeys.has(item.periodKey)) continue;
+
+    if (item.entryType === 'carry_over') {
+      const balance = await LeaveBalance.findOne({ user: user._id, leaveType: policy.leaveType });
+      const current = balance ? roundHours(balance.balance) : 0;
+      const forfeited = Math.max(0, roundHours(current - policy.carryOverCap));
+
+      item.hours = -forfeited;
+      item.description = forfeited > 0
+        ? `Carried ${policy.carryOverCap}h into ${year}; ${forfeited}h over the cap forfeited`
+        : `Carried ${current}h into ${year}`;
+    }
+
+    await exports.applyEntry({
+      user: user._id,
+      leaveType: policy.leaveType,
+      policy: policy._id,
+      ...item,
+    });
+    written++;
+  }
+
+  return written;
+};
+
+/**
+ * Run accrual for every active user covered by an active policy
+ *
+ * @param {Date} now - Reference time (defaults to current time)
+ * @returns {Promise<Number>} Number of ledger entries written
+ */
+exports.runAccruals = async (now = new Date()) => {
+  const policies = await LeavePolicy.find({ isActive: true, effectiveFrom: { $lte: now } });
+  if (policies.length === 0) return 0;
+
+  const facilityIds = [...new Set(policies.map(p => p.facility.toString()))];
+  const users = await User.find({ isActive: true, facility: { $in: facilityIds } });
+
+  let written = 0;
+  for (const user of users) {
+    for (const leaveType of LEAVE_TYPES) {
+      const policy = pickPolicy(policies, user, leaveType);
+      if (policy) {
+        written += await accrueForPolicy(user, policy, now);
+      }
+    }
+  }
+
+  return written;
+};
+
+/**
+ * Get a user's balances, with the policy behind each
+ *
+ * @param {Object} user - User document
+ * @returns {Promise<Array>} One entry per leave type that has a policy or a balance
+ */
+exports.getBalances = async (user) => {
+  const balances = await LeaveBalance.find({ user: user._id });
+  const policies = user.facility
+    ? await LeavePolicy.find({ facility: user.facility, isActive: true })
+    : [];
+
+  return LEAVE_TYPES.map(leaveType => {
+    const balance = balances.find(b => b.leaveType === leaveType);
+    const policy = pickPolicy(policies, user, leaveType);
+    if (!balance && !policy) return null;
+
+    return {
+      leaveType,
+      balance: balance ? roundHours(balance.balance) : 0,
+      policy: policy
+        ? {
+            id: policy._id,
+            name: policy.name,
+            accrual: policy.accrual,
+            carryOverCap: policy.carryOverCap,
+            hoursPerDay: policy.hoursPerDay,
+          }
+        : null,
+    };
+  }).filter(Boolean);
+};
+
+/**
+ * Start the accrual job inside the server process
+ *
+ * Runs once immediately, then every LEAVE_ACCRUAL_INTERVAL_MINUTES.
+ * A run is skipped if the previous one is still going.
+ *
+ * @returns {Object} The interval timer
+ */
+exports.startScheduler = () => {
+  if (timer) return timer;
+
+  const intervalMinutes = Number(process.env.LEAVE_ACCRUAL_INTERVAL_MINUTES) || DEFAULT_INTERVAL_MINUTES;
+
+  const run = async () => {
+    if (isRunning) return;
+    isRunning = true;
+
+    try {
+      await exports.runAccruals();
+    } catch (error) {
+      logger.error('Leave accrual job failed:', error);
+    } finally {
+      isRunning = false;
+    }
+  };
+
+  run();
+  timer = setInterval(run, intervalMinutes * 60 * 1000);
+  return timer;
+};
+
+/**
+ * Stop the accrual job (used on shutdown and in tests)
+ */
+exports.stopScheduler = () => {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+};
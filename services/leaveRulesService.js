@@ -0,0 +1,185 @@
+/**
+ * ==================================================
+ * LEAVE RULES SERVICE
+ * ==================================================
+ * Enforces each department's leave rules (see Facility.departments):
+ * - Blackouts: periods when no leave is taken (e.g., the holidays)
+ * - maxConcurrentLeave: how many staff may be on approved leave
+ *   on the same day
+ *
+ * Time off requests are checked when they are made and again when
+ * they are approved. Giving up a shift (posting it for cover,
+ * releasing it, or splitting off part of it) is checked for the
+ * shift's date against the person going off, and counts as one more
+ * person off that day (Shift.givenUpBy).
+ *
+ * Leave types in leaveRuleExemptTypes (sick and bereavement by
+ * default) are never blocked, but still count towards the cap.
+ */
+
+const Facility = require('../models/Facility');
+const Shift = require('../models/Shift');
+const TimeOffRequest = require('../models/TimeOffRequest');
+const User = require('../models/User');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Check a leave period against a department's blackouts and cap
+ *
+ * @param {Object} params
+ * @param {ObjectId} params.facility - Facility of the department
+ * @param {String} params.department - Department name
+ * @param {Date} params.startDate - First day off
+ * @param {Date} params.endDate - Last day off
+ * @param {String} params.leaveType - Time off type, or null when giving up a shift
+ * @param {ObjectId} params.excludeUser - Person taking the leave (their own leave is not counted)
+ * @param {ClientSession} params.session - Optional transaction session to read in
+ * @returns {Promise<Object>} { isValid, errors }
+ */
+exports.checkLeaveRules = async ({ facility, department, startDate, endDate, leaveType = null, excludeUser = null, session = null }) => {
+  const errors = [];
+
+  if (!facility || !department) {
+    return { isValid: true, errors };
+  }
+
+  const facilityDoc = await Facility.findById(facility).session(session);
+  const rules = facilityDoc?.departments.find(d => d.name === department);
+
+  if (!rules || (leaveType && rules.leaveRuleExemptTypes.includes(leaveType))) {
+    return { isValid: true, errors };
+  }
+
+  const start = new Date(startDate);
+  const end = new Date(endDate);
+
+  // Blackouts that overlap the period
+  rules.leaveBlackouts
+    .filter(blackout => blackout.startDate <= end && blackout.endDate >= start)
+    .forEach(blackout => {
+      errors.push({
+        type: 'blackout',
+        message: `${department} does not allow leave during "${blackout.name}" (${blackout.startDate.toDateString()} - ${blackout.endDate.toDateString()})`,
+        blackout: {
+          name: blackout.name,
+          startDate: blackout.startDate,
+          endDate: blackout.endDate,
+        },
+      });
+    });
+
+  // Days already at the concurrent leave cap
+  if (rules.maxConcurrentLeave !== null && rules.maxConcurrentLeave !== undefined) {
+    const colleagues = await User.find({ facility, department, _id: { $ne: excludeUser } })
+      .select('_id')
+      .session(session);
+
+    const colleagueIds = colleagues.map(c => c._id);
+
+    const approvedLeave = await TimeOffRequest.find({
+      user: { $in: colleagueIds },
+      status: 'approved',
+      startDate: { $lte: end },
+      endDate: { $gte: start },
+    }).session(session);
+
+    // Shifts colleagues gave up count as days off too
+    const givenUp = await Shift.find({
+      givenUpBy: { $in: colleagueIds },
+      date: { $gte: start, $lte: end },
+    }).select('givenUpBy date').session(session);
+
+    const fullDays = [];
+    for (let day = start.getTime(); day <= end.getTime(); day += DAY_MS) {
+      const date = new Date(day);
+      // One person off twice the same day (leave and a give-up) counts once
+      const offToday = new Set([
+        ...approvedLeave.filter(t => t.startDate <= date && t.endDate >= date).map(t => t.user.toString()),
+        ...givenUp.filter(s => s.date.getTime() === day).map(s => s.givenUpBy.toString()),
+      ]);
+      const onLeave = offToday.size;
+
+      if (onLeave >= rules.maxConcurrentLeave) {
+        fullDays.push({ date, onLeave });
+      }
+    }
+
+    if (fullDays.length > 0) {
+      errors.push({
+        type: 'leave_cap',
+        message: `At most ${rules.maxConcurrentLeave} ${department} staff can be on leave on the same day; ${fullDays.map(d => d.date.toDateString()).join(', ')} already full`,
+        maxConcurrentLeave: rules.maxConcurrentLeave,
+        days: fullDays,
+      });
+    }
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors,
+  };
+};
+
+/**
+ * Check a time off request against its department's rules
+ *
+ * @param {Object} timeOff - TimeOffRequest (or the data for a new one)
+ * @param {Object} user - User taking the leave
+ * @param {ClientSession} session - Optional transaction session to read in
+ * @returns {Promise<Object>} { isValid, errors }
+ */
+exports.checkTimeOff = (timeOff, user, session = null) => {
+  return exports.checkLeaveRules({
+    facility: user.facility,
+    department: user.department,
+    startDate: timeOff.startDate,
+    endDate: timeOff.endDate,
+    leaveType: timeOff.type,
+    excludeUser: user._id,
+    session,
+  });
+};
+
+/**
+ * Claim a department's leave rules for the current transaction
+ *
+ * Two approvals (or give-ups) write different documents, so on their
+ * own they never conflict and could both pass the cap. Bumping a counter
+ * on the department makes them write the same document: the later one
+ * hits a write conflict and is retried, and its re-check sees the
+ * earlier approval.
+ *
+ * @param {ObjectId} facility - Facility of the department
+ * @param {String} department - Department name
+ * @param {ClientSession} session - Transaction session
+ * @returns {Promise<void>}
+ */
+exports.claimDepartmentLeave = async (facility, department, session) => {
+  if (!facility || !department) return;
+
+  await Facility.updateOne(
+    { _id: facility, 'departments.name': department },
+    { $inc: { 'departments.$.leaveApprovalCount': 1 } },
+    { session }
+  );
+};
+
+/**
+ * Check giving up a shift against the shift department's rules
+ *
+ * @param {Object} shift - Shift being given up (facility, department, date)
+ * @param {ObjectId} userId - Person giving it up (the one going off)
+ * @param {ClientSession} session - Optional transaction session to read in
+ * @returns {Promise<Object>} { isValid, errors }
+ */
+exports.checkGiveUp = (shift, userId, session = null) => {
+  return exports.checkLeaveRules({
+    facility: shift.facility?._id || shift.facility,
+    department: shift.department,
+    startDate: shift.date,
+    endDate: shift.date,
+    excludeUser: userId,
+    session,
+  });
+};
@@ -1,5 +1,27 @@
 const WorkHours = require('../models/WorkHours');
 const Shift = require('../models/Shift');
+const Facility = require('../models/Facility');
+
+// Standard full-time week, used when a department has no threshold of its own
+const DEFAULT_OVERTIME_THRESHOLD = 40;
+
+/**
+ * How the hours of each kind of WorkHours entry count and are paid
+ * - countsAsWorked: whether they count toward weekly/monthly hours
+ * - payRate: share of the base rate paid per hour
+ * - minPaidHours: hours paid at least, however short the time worked
+ * On-call and standby hours are paid as an allowance and only count as
+ * worked once converted by a call-in (see callInService).
+ */
+const KIND_RULES = {
+  regular: { countsAsWorked: true, payRate: 1, minPaidHours: 0 },
+  call_back: { countsAsWorked: true, payRate: 1, minPaidHours: 3 },
+  call_in: { countsAsWorked: true, payRate: 1, minPaidHours: 3 },
+  on_call: { countsAsWorked: false, payRate: 0.25, minPaidHours: 0 },
+  standby: { countsAsWorked: false, payRate: 0.5, minPaidHours: 0 },
+};
+
+exports.KIND_RULES = KIND_RULES;
 
 /**
  * Calculate hours between start and end time strings
@@ -23,6 +45,27 @@ const calculateHours = (startTime, endTime) => {
   return diffMinutes / 60;
 };
 
+exports.calculateHours = calculateHours;
+
+/**
+ * Split hours of a given kind into worked, available and paid hours
+ * @param {String} kind - WorkHours kind (see KIND_RULES)
+ * @param {Number} hours - Length of the time in hours
+ * @returns {Object} { hoursWorked, availableHours, paidHours }
+ */
+exports.applyKindRules = (kind, hours) => {
+  const rules = KIND_RULES[kind] || KIND_RULES.regular;
+  const paidHours = rules.countsAsWorked
+    ? Math.max(hours * rules.payRate, rules.minPaidHours)
+    : hours * rules.payRate;
+
+  return {
+    hoursWorked: rules.countsAsWorked ? hours : 0,
+    availableHours: rules.countsAsWorked ? 0 : hours,
+    paidHours: Math.round(paidHours * 100) / 100,
+  };
+};
+
 /**
  * Get the start of the week (Sunday) for a given date
  * @param {Date} date
@@ -61,11 +104,12 @@ exports.getWeeklyHours = async (userId, date) => {
  * @param {Number} overtimeThreshold - Hours threshold (default: 40)
  * @returns {Promise<Object>} { wouldExceed: boolean, currentHours: number, projectedHours: number, threshold: number }
  */
-exports.checkOvertime = async (userId, shift, overtimeThreshold = 40) => {
+exports.checkOvertime = async (userId, shift, overtimeThreshold = DEFAULT_OVERTIME_THRESHOLD) => {
   const shiftDate = new Date(shift.date);
   const currentWeeklyHours = await this.getWeeklyHours(userId, shiftDate);
   
-  const shiftHours = calculateHours(shift.startTime, shift.endTime);
+  // On-call and standby time only counts once the person is called in
+  const shiftHours = Shift.STANDBY_KINDS.includes(shift.kind) ? 0 : calculateHours(shift.startTime, shift.endTime);
   const projectedHours = currentWeeklyHours + shiftHours;
   
   return {
@@ -77,35 +121,113 @@ exports.checkOvertime = async (userId, shift, overtimeThreshold = 40) => {
   };
 };
 
+/**
+ * Get the weekly overtime threshold for a department
+ * Uses the facility's department setting, falling back to 40 hours
+ * @param {ObjectId} facilityId - Facility ID (may be null)
+ * @param {String} department - Department name
+ * @returns {Promise<Number>} Hours per week
+ */
+exports.getOvertimeThreshold = async (facilityId, department) => {
+  if (!facilityId) return DEFAULT_OVERTIME_THRESHOLD;
+
+  const facility = await Facility.findById(facilityId);
+  const departmentConfig = facility?.departments.find(d => d.name === department);
+
+  return departmentConfig?.defaultOvertimeThreshold || DEFAULT_OVERTIME_THRESHOLD;
+};
+
 /**
  * Record work hours for a shift
+ * For a segment of a split shift, pass the segment (its own ID and times) so only its hours count.
+ * Hours are counted and paid by the shift's kind: on-call and standby shifts record
+ * available time only, which call-ins later convert into worked time
  * @param {ObjectId} userId - User ID
  * @param {ObjectId} shiftId - Shift ID
  * @param {Date} date - Shift date
  * @param {String} startTime - Start time
  * @param {String} endTime - End time
+ * @param {ClientSession} session - Optional MongoDB session when called inside a transaction
  * @returns {Promise<Object>} Created WorkHours document
  */
-exports.recordWorkHours = async (userId, shiftId, date, startTime, endTime) => {
+exports.recordWorkHours = async (userId, shiftId, date, startTime, endTime, session = null) => {
+  const shift = await Shift.findById(shiftId).select('kind').session(session);
+  const kind = shift?.kind || 'regular';
+
   const shiftDate = new Date(date);
-  const hoursWorked = calculateHours(startTime, endTime);
+  const hours = exports.applyKindRules(kind, calculateHours(startTime, endTime));
   const weekStart = getWeekStart(shiftDate);
   const month = shiftDate.getMonth() + 1;
   const year = shiftDate.getFullYear();
 
-  const workHours = await WorkHours.create({
+  const [workHours] = await WorkHours.create([{
     user: userId,
     shift: shiftId,
     date: shiftDate,
-    hoursWorked,
+    kind,
+    ...hours,
     weekStartDate: weekStart,
     month,
     year,
-  });
+  }], { session });
 
   return workHours;
 };
 
+/**
+ * Record time worked after being called in from an on-call or standby shift
+ * The called-in hours move from the shift's available time to a worked 'call_in' entry
+ * @param {ObjectId} userId - User ID
+ * @param {ObjectId} shiftId - On-call or standby shift ID
+ * @param {Date} date - Date the worked time starts on
+ * @param {String} startTime - Start of the worked time
+ * @param {String} endTime - End of the worked time
+ * @param {ClientSession} session - Optional MongoDB session when called inside a transaction
+ * @returns {Promise<Object>} Created WorkHours document
+ */
+exports.recordCallInHours = async (userId, shiftId, date, startTime, endTime, session = null) => {
+  const hours = calculateHours(startTime, endTime);
+
+  const available = await WorkHours.findOne({
+    user: userId,
+    shift: shiftId,
+    kind: { $in: Shift.STANDBY_KINDS },
+  }).session(session);
+
+  if (available) {
+    Object.assign(available, exports.applyKindRules(available.kind, Math.max(available.availableHours - hours, 0)));
+    await available.save({ session });
+  }
+
+  const workDate = new Date(date);
+
+  const [workHours] = await WorkHours.create([{
+    user: userId,
+    shift: shiftId,
+    date: workDate,
+    kind: 'call_in',
+    ...exports.applyKindRules('call_in', hours),
+    startTime,
+    endTime,
+    weekStartDate: getWeekStart(workDate),
+    month: workDate.getMonth() + 1,
+    year: workDate.getFullYear(),
+  }], { session });
+
+  return workHours;
+};
+
+/**
+ * Remove recorded work hours for a shift (e.g. when it is reassigned)
+ * @param {ObjectId} userId - User ID
+ * @param {ObjectId} shiftId - Shift ID
+ * @param {ClientSession} session - Optional MongoDB session when called inside a transaction
+ * @returns {Promise<Object>} Delete result
+ */
+exports.removeWorkHours = async (userId, shiftId, session = null) => {
+  return await WorkHours.deleteMany({ user: userId, shift: shiftId }).session(session);
+};
+
 /**
  * Get monthly hours for a user
  * @param {ObjectId} userId - User ID
@@ -0,0 +1,299 @@
+/**
+ * ==================================================
+ * ROTATION SERVICE
+ * ==================================================
+ * Turns rotation patterns into assigned shifts over a planning
+ * horizon (see RotationPattern).
+ *
+ * Each member of each group gets the day or night shift the cycle
+ * gives their group on every day of the horizon. Days a member
+ * already has from the pattern are left alone, so a horizon can be
+ * generated again to pick up new members. Shifts that fail overlap
+ * validation (another shift that day, approved time off) are
+ * skipped and reported.
+ *
+ * Weeks that would take a member over their department's overtime
+ * threshold are flagged using overtimeCalculationService. They are
+ * not skipped: the manager decides, as with overtime elsewhere.
+ */
+
+const Shift = require('../models/Shift');
+const User = require('../models/User');
+const Notification = require('../models/Notification');
+const RotationPattern = require('../models/RotationPattern');
+const overtimeCalculationService = require('./overtimeCalculationService');
+const schedulePeriodService = require('./schedulePeriodService');
+const shiftHistoryService = require('./shiftHistoryService');
+const shiftOverlapValidationService = require('./shiftOverlapValidationService');
+const transactionService = require('./transactionService');
+
+const { requestError } = transactionService;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Longest horizon one generation may cover
+const MAX_HORIZON_DAYS = 92;
+
+// Common rotations; D = day shift, N = night shift, O = off
+const expand = (code) => code.split('').map(c => ({ D: 'day', N: 'night', O: 'off' })[c]);
+
+exports.PRESETS = {
+  // 4 days on, 4 days off
+  '4on4off': {
+    name: '4-on/4-off',
+    cycle: expand('DDDDOOOO'),
+  },
+  // 2-2-3 over two weeks: every other weekend on
+  panama: {
+    name: 'Panama (2-2-3)',
+    cycle: expand('DDOODDDOODDOOO'),
+  },
+  // 4 nights, 3 off, 3 days, 1 off, 3 nights, 3 off, 4 days, 7 off
+  dupont: {
+    name: 'DuPont',
+    cycle: expand('NNNNOOODDDONNNOOODDDDOOOOOOO'),
+  },
+};
+
+// Midnight UTC of a date, the way Shift.date is stored
+const toDay = (date) => {
+  const d = new Date(date);
+  return new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate()));
+};
+
+// Absolute start and end of a shift; overnight shifts run into the next day
+const toInterval = (day, startTime, endTime) => {
+  const toMs = (time) => {
+    const [hours, minutes] = time.split(':').map(Number);
+    return (hours * 60 + minutes) * 60 * 1000;
+  };
+  const start = day.getTime() + toMs(startTime);
+  let end = day.getTime() + toMs(endTime);
+  if (end <= start) end += DAY_MS;
+  return { start, end };
+};
+
+// Sunday (UTC) of the week a shift date falls in
+const weekStart = (date) => new Date(date.getTime() - date.getUTCDay() * DAY_MS);
+
+/**
+ * Get what a group works on a day
+ *
+ * @param {Object} pattern - RotationPattern document
+ * @param {Object} group - One of pattern.groups
+ * @param {Date} day - Day (midnight UTC)
+ * @returns {String} 'day', 'night' or 'off'
+ */
+exports.slotFor = (pattern, group, day) => {
+  const length = pattern.cycle.length;
+  const daysSinceAnchor = Math.round((day - toDay(pattern.anchorDate)) / DAY_MS);
+  // ((n % m) + m) % m keeps days before the anchor in the cycle too
+  const position = (((daysSinceAnchor + group.offset) % length) + length) % length;
+  return pattern.cycle[position];
+};
+
+/**
+ * Generate assigned shifts from a rotation pattern
+ *
+ * @param {ObjectId} patternId - Rotation pattern
+ * @param {Date} startDate - First day of the horizon
+ * @param {Date} endDate - Last day of the horizon (inclusive)
+ * @param {ObjectId} managerId - Manager generating (recorded as postedBy)
+ * @param {Object} options
+ * @param {Boolean} options.dryRun - Report what would be created without saving
+ * @returns {Promise<Object>} { dryRun, summary, planned, skipped, overtimeWeeks }
+ */
+exports.generateRotation = async (patternId, startDate, endDate, managerId, { dryRun = false } = {}) => {
+  const start = toDay(startDate);
+  const end = toDay(endDate);
+
+  if (end < start) {
+    throw requestError('End date must be on or after the start date', 400);
+  }
+
+  if ((end - start) / DAY_MS + 1 > MAX_HORIZON_DAYS) {
+    throw requestError(`Rotations can be generated for at most ${MAX_HORIZON_DAYS} days at a time`, 400);
+  }
+
+  const pattern = await RotationPattern.findById(patternId);
+  if (!pattern) {
+    throw requestError('Rotation pattern not found', 404);
+  }
+
+  if (!pattern.isActive) {
+    throw requestError('This rotation pattern is inactive', 400);
+  }
+
+  const memberIds = pattern.groups.flatMap(g => g.members);
+  const members = await User.find({ _id: { $in: memberIds }, isActive: true }).select('name email');
+  const memberNames = new Map(members.map(m => [m._id.toString(), m.name]));
+
+  const existing = await Shift.find({
+    rotationPattern: pattern._id,
+    date: { $gte: start, $lte: end },
+  }).select('assignedTo date');
+  const alreadyGenerated = new Set(existing.map(s => `${s.assignedTo}:${s.date.getTime()}`));
+
+  const planned = [];
+  const skipped = [];
+  // memberId -> intervals planned so far, since the overlap check only sees saved shifts
+  const plannedIntervals = new Map();
+
+  for (const group of pattern.groups) {
+    for (const memberId of group.members) {
+      const name = memberNames.get(memberId.toString());
+      if (!name) continue; // Deactivated or removed staff
+
+      for (let day = start; day <= end; day = new Date(day.getTime() + DAY_MS)) {
+        const slot = exports.slotFor(pattern, group, day);
+        if (slot === 'off') continue;
+
+        const dayKey = `${memberId}:${day.getTime()}`;
+        if (alreadyGenerated.has(dayKey)) continue;
+
+        const times = slot === 'day' ? pattern.dayShift : pattern.nightShift;
+
+        const interval = toInterval(day, times.startTime, times.endTime);
+        const memberIntervals = plannedIntervals.get(memberId.toString()) || [];
+        if (memberIntervals.some(p => interval.start < p.end && p.start < interval.end)) {
+          skipped.push({
+            user: memberId,
+            name,
+            group: group.name,
+            date: day,
+            slot,
+            reason: 'Overlaps another shift planned in this rotation',
+          });
+          continue;
+        }
+
+        const overlapCheck = await shiftOverlapValidationService.validateShiftOverlap({
+          assignedTo: memberId,
+          department: pattern.department,
+          date: day,
+          startTime: times.startTime,
+          endTime: times.endTime,
+        });
+
+        if (!overlapCheck.isValid) {
+          skipped.push({
+            user: memberId,
+            name,
+            group: group.name,
+            date: day,
+            slot,
+            reason: overlapCheck.errors.map(e => e.message).join('; '),
+          });
+          continue;
+        }
+
+        planned.push({
+          user: memberId,
+          name,
+          group: group.name,
+          date: day,
+          slot,
+          startTime: times.startTime,
+          endTime: times.endTime,
+          hours: overtimeCalculationService.calculateHours(times.startTime, times.endTime),
+        });
+        alreadyGenerated.add(dayKey);
+        plannedIntervals.set(memberId.toString(), [...memberIntervals, interval]);
+      }
+    }
+  }
+
+  // Flag weeks where recorded hours plus the new shifts pass the threshold
+  const threshold = await overtimeCalculationService.getOvertimeThreshold(pattern.facility, pattern.department);
+  const weeks = new Map();
+
+  planned.forEach(shift => {
+    const week = weekStart(shift.date);
+    const key = `${shift.user}:${week.getTime()}`;
+    if (!weeks.has(key)) {
+      weeks.set(key, { user: shift.user, name: shift.name, weekStart: week, plannedHours: 0 });
+    }
+    weeks.get(key).plannedHours += shift.hours;
+  });
+
+  const overtimeWeeks = [];
+  for (const week of weeks.values()) {
+    const currentHours = await overtimeCalculationService.getWeeklyHours(week.user, week.weekStart);
+    const projectedHours = currentHours + week.plannedHours;
+
+    if (projectedHours > threshold) {
+      overtimeWeeks.push({ ...week, currentHours, projectedHours, threshold });
+    }
+  }
+
+  if (!dryRun && planned.length > 0) {
+    await transactionService.runInTransaction(async (session) => {
+      const shifts = await Shift.create(planned.map(p => ({
+        title: `${pattern.name} (${p.slot === 'day' ? 'Day' : 'Night'})`,
+        department: pattern.department,
+        date: p.date,
+        startTime: p.startTime,
+        endTime: p.endTime,
+        postedBy: managerId,
+        status: 'approved',
+        assignedTo: p.user,
+        facility: pattern.facility,
+        requiredCredentials: pattern.requiredCredentials,
+        rotationPattern: pattern._id,
+      })), { session, ordered: true });
+
+      for (const shift of shifts) {
+        await overtimeCalculationService.recordWorkHours(
+          shift.assignedTo,
+          shift._id,
+          shift.date,
+          shift.startTime,
+          shift.endTime,
+          session
+        );
+
+        await shiftHistoryService.recordHistory(
+          shift._id,
+          'created',
+          managerId,
+          null,
+          shift,
+          `Shift generated from rotation "${pattern.name}"`,
+          session
+        );
+      }
+
+      // One notification per member rather than one per shift
+      // Shifts in draft schedule periods are announced when the period is published
+      const draftPeriods = await schedulePeriodService.getDraftPeriods();
+      const perMember = new Map();
+      shifts
+        .filter(shift => !schedulePeriodService.isInPeriods(shift, draftPeriods))
+        .forEach(shift => {
+          const key = shift.assignedTo.toString();
+          perMember.set(key, (perMember.get(key) || 0) + 1);
+        });
+
+      if (perMember.size > 0) {
+        await Notification.insertMany([...perMember].map(([userId, count]) => ({
+          user: userId,
+          message: `You have been scheduled for ${count} shift(s) on the ${pattern.name} rotation between ${start.toDateString()} and ${end.toDateString()}`,
+          type: 'shift_assigned',
+        })), { session });
+      }
+    });
+  }
+
+  return {
+    dryRun,
+    summary: {
+      shifts: planned.length,
+      hours: planned.reduce((sum, p) => sum + p.hours, 0),
+      skipped: skipped.length,
+      overtimeWeeks: overtimeWeeks.length,
+    },
+    planned,
+    skipped,
+    overtimeWeeks,
+  };
+};
@@ -0,0 +1,295 @@
+/**
+ * ==================================================
+ * SCHEDULE PERIOD SERVICE
+ * ==================================================
+ * Draft and published schedules (see SchedulePeriod).
+ *
+ * A shift belongs to a period when it is in the period's department
+ * (and facility, if set) and dated inside it. Shifts in draft
+ * periods are left out of what staff see; shifts outside any period
+ * are live as before.
+ */
+
+const Shift = require('../models/Shift');
+const ShiftHistory = require('../models/ShiftHistory');
+const Notification = require('../models/Notification');
+const SchedulePeriod = require('../models/SchedulePeriod');
+const ScheduleVersion = require('../models/ScheduleVersion');
+const transactionService = require('./transactionService');
+
+const { requestError } = transactionService;
+
+// Mongo condition matching the shifts in a period
+const periodShiftMatch = (period) => {
+  const match = {
+    department: period.department,
+    date: { $gte: period.startDate, $lte: period.endDate },
+  };
+  if (period.facility) match.facility = period.facility;
+  return match;
+};
+
+/**
+ * Get the periods still in draft
+ *
+ * @returns {Promise<Array>} SchedulePeriod documents
+ */
+exports.getDraftPeriods = () => SchedulePeriod.find({ status: 'draft' });
+
+/**
+ * Check whether a shift falls in one of the given periods
+ *
+ * @param {Object} shift - Shift (department, facility, date)
+ * @param {Array} periods - SchedulePeriod documents
+ * @returns {Boolean}
+ */
+exports.isInPeriods = (shift, periods) => {
+  const date = new Date(shift.date);
+  return periods.some(period =>
+    period.department === shift.department &&
+    (!period.facility || period.facility.equals(shift.facility?._id || shift.facility)) &&
+    period.startDate <= date &&
+    period.endDate >= date
+  );
+};
+
+/**
+ * Check whether a shift is in a draft period (hidden from staff)
+ *
+ * @param {Object} shift - Shift document
+ * @returns {Promise<Boolean>}
+ */
+exports.isDraft = async (shift) => {
+  return exports.isInPeriods(shift, await exports.getDraftPeriods());
+};
+
+/**
+ * Build a filter that leaves out shifts in draft periods
+ *
+ * Merge it into a Shift query, e.g. { ...filter, ...(await draftShiftFilter()) }.
+ *
+ * @returns {Promise<Object>} Empty when no period is in draft
+ */
+exports.draftShiftFilter = async () => {
+  const periods = await exports.getDraftPeriods();
+  return periods.length > 0 ? { $nor: periods.map(periodShiftMatch) } : {};
+};
+
+/**
+ * Find a period for the same department overlapping some dates
+ *
+ * Periods for the whole department overlap those for one facility.
+ *
+ * @param {Object} params - { department, facility, startDate, endDate, excludeId }
+ * @returns {Promise<Object|null>} The overlapping period, if any
+ */
+exports.findOverlappingPeriod = ({ department, facility = null, startDate, endDate, excludeId = null }) => {
+  const filter = {
+    department,
+    startDate: { $lte: endDate },
+    endDate: { $gte: startDate },
+  };
+  if (facility) filter.facility = { $in: [facility, null] };
+  if (excludeId) filter._id = { $ne: excludeId };
+
+  return SchedulePeriod.findOne(filter);
+};
+
+// Shift fields compared between versions
+const snapshotShift = (shift) => ({
+  shift: shift._id,
+  title: shift.title,
+  date: shift.date,
+  startTime: shift.startTime,
+  endTime: shift.endTime,
+  status: shift.status,
+  assignedTo: shift.assignedTo || null,
+});
+
+/**
+ * Compare two versions of a period
+ *
+ * @param {Object} fromVersion - Earlier ScheduleVersion (null = nothing published yet)
+ * @param {Object} toVersion - Later ScheduleVersion
+ * @returns {Object} { added, removed, retimed, reassigned }
+ *   added/removed hold shift snapshots; retimed holds { shift, title,
+ *   assignedTo, before, after } and reassigned { shift, title, date,
+ *   before, after }. A shift can be both retimed and reassigned.
+ */
+exports.diffVersions = (fromVersion, toVersion) => {
+  const before = new Map((fromVersion ? fromVersion.shifts : []).map(s => [s.shift.toString(), s]));
+  const after = new Map(toVersion.shifts.map(s => [s.shift.toString(), s]));
+
+  const diff = { added: [], removed: [], retimed: [], reassigned: [] };
+
+  after.forEach((now, id) => {
+    const was = before.get(id);
+    if (!was) {
+      diff.added.push(now);
+      return;
+    }
+
+    if (was.date.getTime() !== now.date.getTime() || was.startTime !== now.startTime || was.endTime !== now.endTime) {
+      diff.retimed.push({
+        shift: now.shift,
+        title: now.title,
+        assignedTo: now.assignedTo,
+        before: { date: was.date, startTime: was.startTime, endTime: was.endTime },
+        after: { date: now.date, startTime: now.startTime, endTime: now.endTime },
+      });
+    }
+
+    if (String(was.assignedTo) !== String(now.assignedTo)) {
+      diff.reassigned.push({
+        shift: now.shift,
+        title: now.title,
+        date: now.date,
+        before: { assignedTo: was.assignedTo },
+        after: { assignedTo: now.assignedTo },
+      });
+    }
+  });
+
+  before.forEach((was, id) => {
+    if (!after.has(id)) diff.removed.push(was);
+  });
+
+  return diff;
+};
+
+/**
+ * Keep only the parts of a diff that concern one staff member
+ *
+ * A change concerns them if they were or are assigned to the shift.
+ *
+ * @param {Object} diff - From diffVersions
+ * @param {ObjectId} userId - Staff member
+ * @returns {Object} { added, removed, retimed, reassigned }
+ */
+exports.filterDiffForUser = (diff, userId) => {
+  const id = userId.toString();
+  const theirs = (assignee) => assignee && assignee.toString() === id;
+
+  return {
+    added: diff.added.filter(s => theirs(s.assignedTo)),
+    removed: diff.removed.filter(s => theirs(s.assignedTo)),
+    retimed: diff.retimed.filter(r => theirs(r.assignedTo)),
+    reassigned: diff.reassigned.filter(r => theirs(r.before.assignedTo) || theirs(r.after.assignedTo)),
+  };
+};
+
+/**
+ * Publish a period, saving a new version of it
+ *
+ * The first publish makes a draft's shifts visible to staff, and
+ * everyone with a shift in the period gets one notification saying
+ * how many they have. Publishing again saves the next version and
+ * notifies only the staff whose shifts changed since the last one.
+ *
+ * @param {ObjectId} periodId - Schedule period
+ * @param {ObjectId} managerId - Manager publishing
+ * @returns {Promise<Object>} { period, version, shifts, staffNotified }
+ */
+exports.publishPeriod = async (periodId, managerId) => {
+  return transactionService.runInTransaction(async (session) => {
+    const period = await SchedulePeriod.findById(periodId).session(session);
+    if (!period) {
+      throw requestError('Schedule period not found', 404);
+    }
+
+    const shifts = await Shift.find(periodShiftMatch(period))
+      .select('title date startTime endTime status assignedTo')
+      .session(session);
+
+    const previous = period.currentVersion > 0
+      ? await ScheduleVersion.findOne({ period: period._id, version: period.currentVersion }).session(session)
+      : null;
+
+    const [version] = await ScheduleVersion.create([{
+      period: period._id,
+      version: period.currentVersion + 1,
+      shifts: shifts.map(snapshotShift),
+      publishedBy: managerId,
+    }], { session });
+
+    period.status = 'published';
+    period.currentVersion = version.version;
+    period.publishedBy = managerId;
+    period.publishedAt = version.createdAt;
+    await period.save({ session });
+
+    const range = `${period.startDate.toDateString()} - ${period.endDate.toDateString()}`;
+    const notifications = [];
+
+    if (!previous) {
+      const perUser = new Map();
+      shifts.filter(s => s.assignedTo).forEach(s => {
+        const key = s.assignedTo.toString();
+        perUser.set(key, (perUser.get(key) || 0) + 1);
+      });
+
+      perUser.forEach((count, userId) => notifications.push({
+        user: userId,
+        message: `The ${period.department} schedule for ${range} has been published. You have ${count} shift(s).`,
+        type: 'schedule_published',
+      }));
+    } else {
+      const diff = exports.diffVersions(previous, version);
+      const affected = new Set();
+      [...diff.added, ...diff.removed, ...diff.retimed].forEach(s => s.assignedTo && affected.add(s.assignedTo.toString()));
+      diff.reassigned.forEach(r => {
+        if (r.before.assignedTo) affected.add(r.before.assignedTo.toString());
+        if (r.after.assignedTo) affected.add(r.after.assignedTo.toString());
+      });
+
+      affected.forEach(userId => notifications.push({
+        user: userId,
+        message: `The ${period.department} schedule for ${range} has been updated (version ${version.version}). Check what changed for your shifts.`,
+        type: 'schedule_published',
+      }));
+    }
+
+    if (notifications.length > 0) {
+      await Notification.insertMany(notifications, { session });
+    }
+
+    return { period, version, shifts: shifts.length, staffNotified: notifications.length };
+  });
+};
+
+/**
+ * Get the changes made to a period's shifts since it was last published
+ * (changes not in any version yet)
+ *
+ * Built from shift history: entries for the period's shifts, plus
+ * shifts deleted from it, recorded after publishedAt.
+ *
+ * @param {Object} period - Published SchedulePeriod
+ * @param {Number} limit - Most entries to return
+ * @returns {Promise<Array>} ShiftHistory entries, newest first
+ */
+exports.getChangelog = async (period, limit = 200) => {
+  if (period.status !== 'published') return [];
+
+  const shifts = await Shift.find(periodShiftMatch(period)).select('_id');
+
+  // Deleted shifts are only in history, so match them on what they were
+  const deletedMatch = {
+    action: 'deleted',
+    'previousValue.department': period.department,
+    'previousValue.date': { $gte: period.startDate, $lte: period.endDate },
+  };
+  if (period.facility) deletedMatch['previousValue.facility'] = period.facility;
+
+  return ShiftHistory.find({
+    createdAt: { $gt: period.publishedAt },
+    $or: [
+      { shift: { $in: shifts.map(s => s._id) } },
+      deletedMatch,
+    ],
+  })
+    .populate('shift', 'title date startTime endTime')
+    .populate('performedBy', 'name email')
+    .sort({ createdAt: -1 })
+    .limit(limit);
+};
@@ -0,0 +1,516 @@
+/**
+ * ==================================================
+ * SHIFT BIDDING SERVICE
+ * ==================================================
+ * Bidding mode for hard-to-fill open shifts (see Shift.bidding):
+ * - Managers put a shift up for bidding with an escalation policy
+ * - Staff bid on it; a manager awards the shift to one bid
+ * - A background job raises the incentive at each checkpoint before
+ *   the start while nobody has bid, up to the policy's cap
+ *
+ * Each escalation is recorded in shift history and announced to the
+ * department's staff. Checkpoints missed while the server was down
+ * are applied together on the next run.
+ */
+
+const Shift = require('../models/Shift');
+const ShiftBid = require('../models/ShiftBid');
+const User = require('../models/User');
+const Notification = require('../models/Notification');
+const approvalValidationService = require('./approvalValidationService');
+const credentialVerificationService = require('./credentialVerificationService');
+const overtimeCalculationService = require('./overtimeCalculationService');
+const schedulePeriodService = require('./schedulePeriodService');
+const shiftHistoryService = require('./shiftHistoryService');
+const shiftOverlapValidationService = require('./shiftOverlapValidationService');
+const shiftSwapService = require('./shiftSwapService');
+const shiftWaitlistService = require('./shiftWaitlistService');
+const transactionService = require('./transactionService');
+const logger = require('../utils/logger');
+
+const { requestError } = transactionService;
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// How often the escalation job runs (minutes), overridable from .env
+const DEFAULT_INTERVAL_MINUTES = 15;
+
+let timer = null;
+let isRunning = false;
+
+// Start of a shift in milliseconds (times are on Shift.date, midnight UTC)
+const shiftStart = (shift) => {
+  const [hours, minutes] = shift.startTime.split(':').map(Number);
+  return new Date(shift.date).getTime() + (hours * 60 + minutes) * 60 * 1000;
+};
+
+// Whether a shift can still be bid on
+const isUnfilled = (shift) => shift.status !== 'approved' && !shift.assignedTo;
+
+/**
+ * Work out what a shift's incentive should be at a point in time
+ *
+ * @param {Object} shift - Shift in bidding mode
+ * @param {Date} now - Reference time
+ * @returns {Object} { escalations, amount } - checkpoints passed (up to the
+ *   cap) and the incentive they add up to
+ */
+exports.escalationDue = (shift, now = new Date()) => {
+  const { baseAmount, step, everyHours, startHoursBefore, maxAmount } = shift.bidding;
+  const start = shiftStart(shift);
+  const firstCheckpoint = start - startHoursBefore * HOUR_MS;
+
+  // No escalations before the first checkpoint, and none once the shift has started
+  if (now.getTime() < firstCheckpoint || now.getTime() >= start || step <= 0 || maxAmount <= baseAmount) {
+    return { escalations: 0, amount: baseAmount };
+  }
+
+  const passed = Math.floor((now.getTime() - firstCheckpoint) / (everyHours * HOUR_MS)) + 1;
+  const escalations = Math.min(passed, Math.ceil((maxAmount - baseAmount) / step));
+
+  return {
+    escalations,
+    amount: Math.min(baseAmount + escalations * step, maxAmount),
+  };
+};
+
+/**
+ * Put a shift up for bidding, change its policy, or stop bidding
+ *
+ * Opening bidding takes the current incentive as the base. Stopping it
+ * keeps the incentive reached and closes any active bids as lost.
+ *
+ * @param {ObjectId} shiftId - Shift
+ * @param {Object} policy - { enabled, step, everyHours, startHoursBefore, maxAmount }
+ * @param {ObjectId} managerId - Manager making the change
+ * @returns {Promise<Object>} Updated shift
+ */
+exports.setBidding = async (shiftId, policy, managerId) => {
+  return transactionService.runInTransaction(async (session) => {
+    const shift = await Shift.findById(shiftId).session(session);
+    if (!shift) {
+      throw requestError('Shift not found', 404);
+    }
+
+    const previous = shift.bidding.toObject();
+
+    if (!policy.enabled) {
+      if (!shift.bidding.enabled) {
+        throw requestError('This shift is not in bidding mode', 400);
+      }
+
+      shift.bidding.enabled = false;
+      await shift.save({ session });
+
+      const activeBids = await ShiftBid.find({ shift: shift._id, status: 'active' }).session(session);
+      if (activeBids.length > 0) {
+        await ShiftBid.updateMany(
+          { _id: { $in: activeBids.map(b => b._id) } },
+          { status: 'lost', decidedBy: managerId },
+          { session }
+        );
+
+        await Notification.insertMany(activeBids.map(bid => ({
+          user: bid.user,
+          message: `Bidding on "${shift.title}" on ${shift.date.toDateString()} was closed without your bid being accepted.`,
+          type: 'shift_bid',
+          relatedShift: shift._id,
+        })), { session });
+      }
+
+      await shiftHistoryService.recordHistory(
+        shift._id,
+        'updated',
+        managerId,
+        { bidding: previous },
+        { bidding: shift.bidding.toObject() },
+        `Bidding closed (${activeBids.length} active bid(s) closed)`,
+        session
+      );
+
+      return shift;
+    }
+
+    if (!isUnfilled(shift)) {
+      throw requestError('Only open shifts can be put up for bidding', 400);
+    }
+
+    if (shiftStart(shift) <= Date.now()) {
+      throw requestError('This shift has already started', 400);
+    }
+
+    const wasEnabled = shift.bidding.enabled;
+    if (!wasEnabled && policy.maxAmount === undefined) {
+      throw requestError('Set a cap (maxAmount) for the incentive', 400);
+    }
+
+    const settings = {
+      step: policy.step ?? (wasEnabled ? shift.bidding.step : 25),
+      everyHours: policy.everyHours ?? (wasEnabled ? shift.bidding.everyHours : 6),
+      startHoursBefore: policy.startHoursBefore ?? (wasEnabled ? shift.bidding.startHoursBefore : 48),
+      maxAmount: policy.maxAmount ?? shift.bidding.maxAmount,
+    };
+
+    if (settings.maxAmount < shift.incentiveAmount) {
+      throw requestError(`The cap cannot be below the current incentive ($${shift.incentiveAmount})`, 400);
+    }
+
+    // Changing the policy of a running auction keeps the escalations already applied
+    Object.assign(shift.bidding, settings, wasEnabled
+      ? {}
+      : { enabled: true, baseAmount: shift.incentiveAmount, escalations: 0, lastEscalatedAt: null });
+    await shift.save({ session });
+
+    await shiftHistoryService.recordHistory(
+      shift._id,
+      'updated',
+      managerId,
+      { bidding: previous },
+      { bidding: shift.bidding.toObject() },
+      wasEnabled
+        ? 'Bidding policy changed'
+        : `Bidding opened: +$${settings.step} every ${settings.everyHours}h from ${settings.startHoursBefore}h before the start, up to $${settings.maxAmount}`,
+      session
+    );
+
+    return shift;
+  });
+};
+
+/**
+ * Place a bid on a shift in bidding mode
+ *
+ * The bidder must hold the shift's credentials and be free to work it.
+ * The shift's poster is notified.
+ *
+ * @param {ObjectId} shiftId - Shift
+ * @param {ObjectId} userId - Staff member bidding
+ * @param {String} note - Optional note for the manager
+ * @returns {Promise<Object>} { bid, overtimeWarning }
+ */
+exports.placeBid = async (shiftId, userId, note = null) => {
+  const shift = await Shift.findById(shiftId);
+  if (!shift || await schedulePeriodService.isDraft(shift)) {
+    throw requestError('Shift not found', 404);
+  }
+
+  if (!shift.bidding.enabled) {
+    throw requestError('This shift is not open for bidding', 400);
+  }
+
+  if (!isUnfilled(shift)) {
+    throw requestError('This shift has already been filled', 400);
+  }
+
+  if (shift.postedBy.toString() === userId.toString()) {
+    throw requestError('You cannot bid on your own shift', 400);
+  }
+
+  if (await shiftWaitlistService.hasPendingOffer(shift._id)) {
+    throw requestError('This shift is being offered to someone on its waitlist', 400);
+  }
+
+  const credentialCheck = await credentialVerificationService.verifyUserCredentials(userId, shift.requiredCredentials);
+  if (!credentialCheck.isValid) {
+    throw requestError('You do not have the required credentials for this shift', 400);
+  }
+
+  const overlapCheck = await shiftOverlapValidationService.validateShiftOverlap({
+    assignedTo: userId,
+    department: shift.department,
+    date: shift.date,
+    startTime: shift.startTime,
+    endTime: shift.endTime,
+  }, shift._id);
+  if (!overlapCheck.isValid) {
+    throw requestError(overlapCheck.errors.map(e => e.message).join('; '), 400);
+  }
+
+  const existing = await ShiftBid.findOne({ shift: shift._id, user: userId, status: 'active' });
+  if (existing) {
+    throw requestError('You have already bid on this shift');
+  }
+
+  // Warning only, as for swap requests
+  const overtimeCheck = await overtimeCalculationService.checkOvertime(
+    userId,
+    shift,
+    await overtimeCalculationService.getOvertimeThreshold(shift.facility, shift.department)
+  );
+
+  const bid = await ShiftBid.create({
+    shift: shift._id,
+    user: userId,
+    incentiveAmount: shift.incentiveAmount,
+    note,
+  });
+
+  await Notification.create({
+    user: shift.postedBy,
+    message: `New bid on "${shift.title}" on ${shift.date.toDateString()} at a $${shift.incentiveAmount} incentive.`,
+    type: 'shift_bid',
+    relatedShift: shift._id,
+  });
+
+  return {
+    bid,
+    overtimeWarning: overtimeCheck.wouldExceed
+      ? { message: 'Winning this shift may result in overtime', ...overtimeCheck }
+      : null,
+  };
+};
+
+/**
+ * Award a shift to one of its bids
+ *
+ * Steps (in one transaction):
+ * 1. Check the bid is active, the shift still unfilled and not on offer
+ *    to its waitlist, and the bidder can still take it (credentials,
+ *    overlap, approved time off may have changed since they bid)
+ * 2. Assign the shift at the incentive the bid was placed at
+ * 3. Record work hours and history
+ * 4. Close the other bids and any pending swap requests for the shift
+ * 5. Notify the winner and the other bidders
+ *
+ * @param {ObjectId} bidId - Winning bid
+ * @param {ObjectId} managerId - Manager awarding it
+ * @returns {Promise<Object>} { bid, shift, otherBids }
+ */
+exports.awardBid = async (bidId, managerId) => {
+  return transactionService.runInTransaction(async (session) => {
+    const bid = await ShiftBid.findById(bidId).session(session);
+    if (!bid) {
+      throw requestError('Bid not found', 404);
+    }
+
+    if (bid.status !== 'active') {
+      throw requestError(`This bid is already ${bid.status}`);
+    }
+
+    const shift = await Shift.findById(bid.shift).session(session);
+    if (!shift) {
+      throw requestError('Shift not found', 404);
+    }
+
+    if (!isUnfilled(shift)) {
+      throw requestError('This shift has already been filled');
+    }
+
+    if (await shiftWaitlistService.hasPendingOffer(shift._id)) {
+      throw requestError('This shift is being offered to someone on its waitlist');
+    }
+
+    const validation = await approvalValidationService.validateAssignment(bid.user, shift);
+    if (!validation.isValid) {
+      throw requestError(
+        `The bidder can no longer take this shift: ${validation.failures.map(f => f.message).join('; ')}`,
+        400
+      );
+    }
+
+    const previous = { assignedTo: null, status: shift.status, incentiveAmount: shift.incentiveAmount };
+
+    shift.assignedTo = bid.user;
+    shift.status = 'approved';
+    shift.incentiveAmount = bid.incentiveAmount;
+    shift.bidding.enabled = false;
+    await shift.save({ session });
+
+    bid.status = 'won';
+    bid.decidedBy = managerId;
+    await bid.save({ session });
+
+    await overtimeCalculationService.recordWorkHours(
+      bid.user,
+      shift._id,
+      shift.date,
+      shift.startTime,
+      shift.endTime,
+      session
+    );
+
+    await shiftHistoryService.recordHistory(
+      shift._id,
+      'assigned',
+      managerId,
+      previous,
+      { assignedTo: bid.user, status: 'approved', incentiveAmount: shift.incentiveAmount, bid: bid._id },
+      'Shift awarded to a bid',
+      session
+    );
+
+    const otherBids = await ShiftBid.find({ shift: shift._id, status: 'active' }).session(session);
+    if (otherBids.length > 0) {
+      await ShiftBid.updateMany(
+        { _id: { $in: otherBids.map(b => b._id) } },
+        { status: 'lost', decidedBy: managerId },
+        { session }
+      );
+    }
+
+    await shiftSwapService.rejectCompetingRequests(shift, null, managerId, session);
+
+    await Notification.insertMany([
+      {
+        user: bid.user,
+        message: `Your bid on "${shift.title}" on ${shift.date.toDateString()} was accepted. The shift is yours with a $${shift.incentiveAmount} incentive.`,
+        type: 'approval',
+        relatedShift: shift._id,
+      },
+      ...otherBids.map(other => ({
+        user: other.user,
+        message: `Your bid on "${shift.title}" on ${shift.date.toDateString()} was not accepted because the shift has been filled.`,
+        type: 'shift_bid',
+        relatedShift: shift._id,
+      })),
+    ], { session });
+
+    return { bid, shift, otherBids: otherBids.length };
+  });
+};
+
+/**
+ * Raise the incentive on one shift if a checkpoint has passed
+ *
+ * The update is skipped if the shift changed since it was loaded
+ * (optimistic concurrency), so a shift filled at the same moment is
+ * left alone.
+ *
+ * @param {Object} shift - Open shift in bidding mode with no active bids
+ * @param {Date} now - Reference time
+ * @returns {Promise<Boolean>} True if the incentive was raised
+ */
+const escalateShift = async (shift, now) => {
+  const due = exports.escalationDue(shift, now);
+  if (due.escalations <= shift.bidding.escalations) return false;
+
+  const previousAmount = shift.incentiveAmount;
+  // A manager may have raised the incentive by hand past the policy
+  const amount = Math.max(previousAmount, due.amount);
+  const checkpoints = due.escalations - shift.bidding.escalations;
+
+  try {
+    await transactionService.runInTransaction(async (session) => {
+      shift.incentiveAmount = amount;
+      shift.bidding.escalations = due.escalations;
+      shift.bidding.lastEscalatedAt = now;
+      await shift.save({ session });
+
+      if (amount === previousAmount) return;
+
+      await shiftHistoryService.recordHistory(
+        shift._id,
+        'incentive_escalated',
+        null,
+        { incentiveAmount: previousAmount },
+        { incentiveAmount: amount, escalations: due.escalations },
+        `Incentive raised from $${previousAmount} to $${amount} with no bids` +
+          (checkpoints > 1 ? ` (${checkpoints} checkpoints)` : ''),
+        session
+      );
+
+      const staff = await User.find({
+        isActive: true,
+        role: 'staff',
+        department: shift.department,
+        _id: { $ne: shift.postedBy },
+      }).select('_id').session(session);
+
+      if (staff.length > 0) {
+        await Notification.insertMany(staff.map(user => ({
+          user: user._id,
+          message: `The incentive for "${shift.title}" on ${shift.date.toDateString()} (${shift.startTime}-${shift.endTime}) is now $${amount}. Bid on it to pick it up.`,
+          type: 'incentive_escalated',
+          relatedShift: shift._id,
+        })), { session });
+      }
+    });
+  } catch (error) {
+    if (error.name === 'VersionError') return false;
+    throw error;
+  }
+
+  return amount !== previousAmount;
+};
+
+/**
+ * Raise incentives on every open bidding shift that has reached a checkpoint
+ *
+ * Shifts with an active bid, shifts already requested or filled, and
+ * shifts in draft schedule periods are not escalated.
+ *
+ * @param {Date} now - Reference time (defaults to current time)
+ * @returns {Promise<Number>} Number of shifts whose incentive was raised
+ */
+exports.escalateIncentives = async (now = new Date()) => {
+  const yesterday = new Date(now.getTime() - 24 * HOUR_MS);
+  yesterday.setUTCHours(0, 0, 0, 0);
+
+  const shifts = await Shift.find({
+    'bidding.enabled': true,
+    status: 'open',
+    assignedTo: null,
+    date: { $gte: yesterday },
+  });
+
+  if (shifts.length === 0) return 0;
+
+  const withBids = new Set((await ShiftBid.distinct('shift', {
+    shift: { $in: shifts.map(s => s._id) },
+    status: 'active',
+  })).map(id => id.toString()));
+  const draftPeriods = await schedulePeriodService.getDraftPeriods();
+
+  let escalatedCount = 0;
+  for (const shift of shifts) {
+    if (withBids.has(shift._id.toString())) continue;
+    if (schedulePeriodService.isInPeriods(shift, draftPeriods)) continue;
+
+    if (await escalateShift(shift, now)) {
+      escalatedCount++;
+    }
+  }
+
+  return escalatedCount;
+};
+
+/**
+ * Start the escalation job inside the server process
+ *
+ * Runs once immediately, then every INCENTIVE_ESCALATION_INTERVAL_MINUTES.
+ * A run is skipped if the previous one is still going.
+ *
+ * @returns {Object} The interval timer
+ */
+exports.startScheduler = () => {
+  if (timer) return timer;
+
+  const intervalMinutes = Number(process.env.INCENTIVE_ESCALATION_INTERVAL_MINUTES) || DEFAULT_INTERVAL_MINUTES;
+
+  const run = async () => {
+    if (isRunning) return;
+    isRunning = true;
+
+    try {
+      await exports.escalateIncentives();
+    } catch (error) {
+      logger.error('Incentive escalation job failed:', error);
+    } finally {
+      isRunning = false;
+    }
+  };
+
+  run();
+  timer = setInterval(run, intervalMinutes * 60 * 1000);
+  return timer;
+};
+
+/**
+ * Stop the escalation job (used on shutdown and in tests)
+ */
+exports.stopScheduler = () => {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+};
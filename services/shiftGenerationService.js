@@ -0,0 +1,281 @@
+/**
+ * ==================================================
+ * SHIFT GENERATION SERVICE
+ * ==================================================
+ * Turns shift templates into Shift documents over a date range.
+ *
+ * For every day a template's recurrence rule matches, the generator
+ * makes sure `headcount` shifts exist for that template and day:
+ * days already generated are topped up, never duplicated, so the
+ * same range can be generated twice safely.
+ *
+ * Each new shift goes through shiftOverlapValidationService like a
+ * shift created by hand: errors skip that day, department overlaps
+ * are reported as warnings. A dry run returns the same report
+ * without saving anything.
+ */
+
+const Shift = require('../models/Shift');
+const ShiftTemplate = require('../models/ShiftTemplate');
+const shiftHistoryService = require('./shiftHistoryService');
+const shiftOverlapValidationService = require('./shiftOverlapValidationService');
+const transactionService = require('./transactionService');
+
+const { requestError } = transactionService;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Longest range one generation may cover
+const MAX_RANGE_DAYS = 92;
+
+const RRULE_DAYS = { SU: 0, MO: 1, TU: 2, WE: 3, TH: 4, FR: 5, SA: 6 };
+
+// Midnight UTC of a date, the way Shift.date is stored
+const toDay = (date) => {
+  const d = new Date(date);
+  return new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate()));
+};
+
+/**
+ * Parse the RRULE subset templates support
+ *
+ * Supported parts: FREQ (DAILY or WEEKLY), INTERVAL, BYDAY (weekly only,
+ * e.g. MO,WE,FR). A leading "RRULE:" is allowed. The date range comes
+ * from the generator, so COUNT and UNTIL are not supported.
+ *
+ * @param {String} rrule - e.g. "FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,TU"
+ * @returns {Object} { freq, interval, byDay } where byDay is a list of 0-6 (or null)
+ * @throws {Error} 400 error describing the first unsupported part
+ */
+exports.parseRRule = (rrule) => {
+  const parts = rrule.replace(/^RRULE:/i, '').split(';').filter(Boolean);
+  const rule = { freq: null, interval: 1, byDay: null };
+
+  for (const part of parts) {
+    const [key, value = ''] = part.split('=').map(p => p.trim().toUpperCase());
+
+    if (key === 'FREQ') {
+      if (!['DAILY', 'WEEKLY'].includes(value)) {
+        throw requestError(`RRULE FREQ must be DAILY or WEEKLY, not "${value}"`, 400);
+      }
+      rule.freq = value;
+    } else if (key === 'INTERVAL') {
+      rule.interval = Number(value);
+      if (!Number.isInteger(rule.interval) || rule.interval < 1) {
+        throw requestError('RRULE INTERVAL must be a whole number of 1 or more', 400);
+      }
+    } else if (key === 'BYDAY') {
+      rule.byDay = value.split(',').map(day => {
+        if (!(day in RRULE_DAYS)) {
+          throw requestError(`RRULE BYDAY has an unknown day "${day}"`, 400);
+        }
+        return RRULE_DAYS[day];
+      });
+    } else {
+      throw requestError(`RRULE part "${key}" is not supported`, 400);
+    }
+  }
+
+  if (!rule.freq) {
+    throw requestError('RRULE must include FREQ', 400);
+  }
+
+  if (rule.byDay && rule.freq !== 'WEEKLY') {
+    throw requestError('RRULE BYDAY is only supported with FREQ=WEEKLY', 400);
+  }
+
+  return rule;
+};
+
+/**
+ * Check whether a template's recurrence rule matches a day
+ *
+ * @param {Object} recurrence - ShiftTemplate.recurrence
+ * @param {Date} day - Day to check (midnight UTC)
+ * @param {Date} anchor - First day of the pattern (midnight UTC)
+ * @returns {Boolean}
+ */
+exports.occursOn = (recurrence, day, anchor) => {
+  const daysSinceAnchor = Math.round((day - anchor) / DAY_MS);
+  if (daysSinceAnchor < 0) return false;
+
+  switch (recurrence.type) {
+    case 'daily':
+      return true;
+    case 'weekdays':
+      return day.getUTCDay() >= 1 && day.getUTCDay() <= 5;
+    case 'every_n_days':
+      return daysSinceAnchor % recurrence.interval === 0;
+    case 'rrule': {
+      const rule = exports.parseRRule(recurrence.rrule);
+
+      if (rule.freq === 'DAILY') {
+        return daysSinceAnchor % rule.interval === 0;
+      }
+
+      // Weekly: count whole weeks from the Sunday of the anchor's week
+      const anchorWeekStart = anchor.getTime() - anchor.getUTCDay() * DAY_MS;
+      const weeksSinceAnchor = Math.floor((day.getTime() - anchorWeekStart) / (7 * DAY_MS));
+      const days = rule.byDay || [anchor.getUTCDay()];
+      return weeksSinceAnchor % rule.interval === 0 && days.includes(day.getUTCDay());
+    }
+    default:
+      return false;
+  }
+};
+
+/**
+ * List the days a template runs on within a range
+ *
+ * @param {Object} template - ShiftTemplate document
+ * @param {Date} startDate - First day of the range
+ * @param {Date} endDate - Last day of the range (inclusive)
+ * @returns {Array<Date>} Days (midnight UTC)
+ */
+exports.listOccurrences = (template, startDate, endDate) => {
+  const anchor = toDay(template.recurrence.anchorDate || template.createdAt || startDate);
+  const days = [];
+
+  for (let day = toDay(startDate); day <= endDate; day = new Date(day.getTime() + DAY_MS)) {
+    if (exports.occursOn(template.recurrence, day, anchor)) {
+      days.push(day);
+    }
+  }
+
+  return days;
+};
+
+/**
+ * Generate shifts from templates over a date range
+ *
+ * @param {Array} templateIds - Templates to generate (all active templates if empty)
+ * @param {Date} startDate - First day
+ * @param {Date} endDate - Last day (inclusive)
+ * @param {ObjectId} userId - Manager generating (recorded as postedBy)
+ * @param {Object} options
+ * @param {Boolean} options.dryRun - Report what would be created without saving
+ * @returns {Promise<Object>} { dryRun, summary, planned, skipped, warnings }
+ *   planned lists each template/day with the number of shifts to create
+ *   (or created), skipped lists days left out and why
+ */
+exports.generateShifts = async (templateIds, startDate, endDate, userId, { dryRun = false } = {}) => {
+  const start = toDay(startDate);
+  const end = toDay(endDate);
+
+  if (end < start) {
+    throw requestError('End date must be on or after the start date', 400);
+  }
+
+  if ((end - start) / DAY_MS + 1 > MAX_RANGE_DAYS) {
+    throw requestError(`Shifts can be generated for at most ${MAX_RANGE_DAYS} days at a time`, 400);
+  }
+
+  const filter = templateIds && templateIds.length > 0
+    ? { _id: { $in: templateIds } }
+    : { isActive: true };
+  const templates = await ShiftTemplate.find(filter);
+
+  if (templateIds && templateIds.length > 0 && templates.length !== new Set(templateIds.map(String)).size) {
+    throw requestError('One or more templates were not found', 404);
+  }
+
+  const planned = [];
+  const skipped = [];
+  const warnings = [];
+
+  for (const template of templates) {
+    const days = exports.listOccurrences(template, start, end);
+    const existing = await Shift.find({ template: template._id, date: { $gte: start, $lte: end } }).select('date');
+
+    for (const day of days) {
+      const alreadyThere = existing.filter(s => s.date.getTime() === day.getTime()).length;
+      const missing = template.headcount - alreadyThere;
+
+      if (missing <= 0) {
+        skipped.push({ template: template._id, title: template.title, date: day, reason: 'Already generated' });
+        continue;
+      }
+
+      const overlapCheck = await shiftOverlapValidationService.validateShiftOverlap({
+        department: template.department,
+        date: day,
+        startTime: template.startTime,
+        endTime: template.endTime,
+      });
+
+      if (!overlapCheck.isValid) {
+        skipped.push({
+          template: template._id,
+          title: template.title,
+          date: day,
+          reason: overlapCheck.errors.map(e => e.message).join('; '),
+        });
+        continue;
+      }
+
+      // Overlaps with this template's own shifts are expected (headcount > 1)
+      overlapCheck.warnings.forEach(warning => {
+        const others = warning.overlappingShifts.filter(s => !existing.some(e => e._id.equals(s.id)));
+        if (others.length > 0) {
+          warnings.push({ template: template._id, title: template.title, date: day, ...warning, overlappingShifts: others });
+        }
+      });
+
+      planned.push({ template, date: day, count: missing });
+    }
+  }
+
+  if (!dryRun && planned.length > 0) {
+    await transactionService.runInTransaction(async (session) => {
+      for (const { template, date, count } of planned) {
+        const shifts = await Shift.create(Array.from({ length: count }, () => ({
+          title: template.title,
+          department: template.department,
+          date,
+          startTime: template.startTime,
+          endTime: template.endTime,
+          postedBy: userId,
+          status: 'open',
+          facility: template.facility,
+          requiredCredentials: template.requiredCredentials,
+          template: template._id,
+        })), { session, ordered: true });
+
+        for (const shift of shifts) {
+          await shiftHistoryService.recordHistory(
+            shift._id,
+            'created',
+            userId,
+            null,
+            shift,
+            `Shift generated from template "${template.title}"`,
+            session
+          );
+        }
+      }
+    });
+  }
+
+  const report = planned.map(({ template, date, count }) => ({
+    template: template._id,
+    title: template.title,
+    date,
+    startTime: template.startTime,
+    endTime: template.endTime,
+    count,
+  }));
+
+  return {
+    dryRun,
+    summary: {
+      templates: templates.length,
+      days: report.length,
+      shifts: report.reduce((sum, p) => sum + p.count, 0),
+      skipped: skipped.length,
+      warnings: warnings.length,
+    },
+    planned: report,
+    skipped,
+    warnings,
+  };
+};
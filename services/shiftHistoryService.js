@@ -1,37 +1,47 @@
 const ShiftHistory = require('../models/ShiftHistory');
+const Shift = require('../models/Shift');
 
 /**
  * Record a shift history event
+ * Events on a segment of a split shift also record the parent shift
  * @param {ObjectId} shiftId - Shift ID
  * @param {String} action - Action type
- * @param {ObjectId} performedBy - User ID who performed the action
+ * @param {ObjectId} performedBy - User ID who performed the action (null for system actions)
  * @param {*} previousValue - Previous value
  * @param {*} newValue - New value
  * @param {String} description - Optional description
+ * @param {ClientSession} session - Optional MongoDB session when called inside a transaction
+ * @param {ObjectId} onBehalfOf - Manager performedBy acted for under a delegation (optional)
  * @returns {Promise<Object>} Created ShiftHistory document
  */
-exports.recordHistory = async (shiftId, action, performedBy, previousValue = null, newValue = null, description = null) => {
-  const history = await ShiftHistory.create({
+exports.recordHistory = async (shiftId, action, performedBy, previousValue = null, newValue = null, description = null, session = null, onBehalfOf = null) => {
+  const shift = await Shift.findById(shiftId).select('parentShift').session(session);
+
+  const [history] = await ShiftHistory.create([{
     shift: shiftId,
+    parentShift: shift ? shift.parentShift : null,
     action,
     performedBy,
+    onBehalfOf,
     previousValue,
     newValue,
     description,
-  });
+  }], { session });
 
   return history;
 };
 
 /**
  * Get shift history
+ * For a split shift this includes the history of its segments
  * @param {ObjectId} shiftId - Shift ID
  * @param {Number} limit - Limit results
  * @returns {Promise<Array>} Array of history records
  */
 exports.getShiftHistory = async (shiftId, limit = 50) => {
-  return await ShiftHistory.find({ shift: shiftId })
+  return await ShiftHistory.find({ $or: [{ shift: shiftId }, { parentShift: shiftId }] })
     .populate('performedBy', 'name email')
+    .populate('onBehalfOf', 'name email')
     .sort({ createdAt: -1 })
     .limit(limit);
 };
@@ -9,9 +9,11 @@
  * - For the same user (assignedTo), shifts cannot overlap
  * - For the same department, shifts can overlap (multiple people can work same time)
  * - Exception: Emergency shifts can overlap with regular shifts
+ * - A shift cannot be assigned to a user during their approved time off
  */
 
 const Shift = require('../models/Shift');
+const TimeOffRequest = require('../models/TimeOffRequest');
 
 /**
  * Check if two time ranges overlap
@@ -51,7 +53,7 @@ function timeRangesOverlap(start1, end1, start2, end2) {
  * @param {Date} date - Shift date
  * @param {string} startTime - Shift start time (HH:mm)
  * @param {string} endTime - Shift end time (HH:mm)
- * @param {string} excludeShiftId - Shift ID to exclude from check (for updates)
+ * @param {string|Array} excludeShiftId - Shift ID (or IDs) to exclude from check (for updates and swaps)
  * @returns {Object} - { hasOverlap: boolean, overlappingShifts: Array }
  */
 exports.checkUserShiftOverlap = async (userId, date, startTime, endTime, excludeShiftId = null) => {
@@ -62,8 +64,10 @@ exports.checkUserShiftOverlap = async (userId, date, startTime, endTime, exclude
     status: { $in: ['open', 'requested', 'approved'] }, // Only check active shifts
   };
 
-  // Exclude current shift if updating
-  if (excludeShiftId) {
+  // Exclude current shift if updating, or the shifts being traded away in a swap
+  if (Array.isArray(excludeShiftId)) {
+    query._id = { $nin: excludeShiftId };
+  } else if (excludeShiftId) {
     query._id = { $ne: excludeShiftId };
   }
 
@@ -87,6 +91,60 @@ exports.checkUserShiftOverlap = async (userId, date, startTime, endTime, exclude
   };
 };
 
+/**
+ * Check if a time off request covers a shift
+ *
+ * Full-day leave covers every shift dated within it; partial-day leave
+ * only covers shifts whose times overlap it.
+ *
+ * @param {Object} timeOff - TimeOffRequest document
+ * @param {Object} shift - Shift (or shift data) with date, startTime and endTime
+ * @returns {boolean} - True if the leave covers the shift
+ */
+exports.timeOffCoversShift = (timeOff, shift) => {
+  const date = new Date(shift.date);
+  if (date < timeOff.startDate || date > timeOff.endDate) return false;
+  if (!timeOff.isPartialDay) return true;
+  return timeRangesOverlap(timeOff.startTime, timeOff.endTime, shift.startTime, shift.endTime);
+};
+
+/**
+ * Check if a shift falls during a user's approved time off
+ *
+ * @param {string} userId - User ID to check
+ * @param {Date} date - Shift date
+ * @param {string} startTime - Shift start time (HH:mm)
+ * @param {string} endTime - Shift end time (HH:mm)
+ * @returns {Object} - { hasConflict: boolean, timeOffRequests: Array }
+ */
+exports.checkUserTimeOffConflict = async (userId, date, startTime, endTime) => {
+  const shiftDate = new Date(date);
+
+  const approvedTimeOff = await TimeOffRequest.find({
+    user: userId,
+    status: 'approved',
+    startDate: { $lte: shiftDate },
+    endDate: { $gte: shiftDate },
+  });
+
+  const conflicts = approvedTimeOff.filter(timeOff =>
+    exports.timeOffCoversShift(timeOff, { date: shiftDate, startTime, endTime })
+  );
+
+  return {
+    hasConflict: conflicts.length > 0,
+    timeOffRequests: conflicts.map(t => ({
+      id: t._id,
+      type: t.type,
+      startDate: t.startDate,
+      endDate: t.endDate,
+      isPartialDay: t.isPartialDay,
+      startTime: t.startTime,
+      endTime: t.endTime,
+    })),
+  };
+};
+
 /**
  * Check if a shift overlaps with existing shifts in the same department
  * This is a warning check (doesn't block, but can be used for notifications)
@@ -95,7 +153,7 @@ exports.checkUserShiftOverlap = async (userId, date, startTime, endTime, exclude
  * @param {Date} date - Shift date
  * @param {string} startTime - Shift start time (HH:mm)
  * @param {string} endTime - Shift end time (HH:mm)
- * @param {string} excludeShiftId - Shift ID to exclude from check (for updates)
+ * @param {string|Array} excludeShiftId - Shift ID (or IDs) to exclude from check (for updates and swaps)
  * @returns {Object} - { hasOverlap: boolean, overlappingShifts: Array }
  */
 exports.checkDepartmentShiftOverlap = async (department, date, startTime, endTime, excludeShiftId = null) => {
@@ -106,8 +164,10 @@ exports.checkDepartmentShiftOverlap = async (department, date, startTime, endTim
     status: { $in: ['open', 'requested', 'approved'] },
   };
 
-  // Exclude current shift if updating
-  if (excludeShiftId) {
+  // Exclude current shift if updating, or the shifts being traded away in a swap
+  if (Array.isArray(excludeShiftId)) {
+    query._id = { $nin: excludeShiftId };
+  } else if (excludeShiftId) {
     query._id = { $ne: excludeShiftId };
   }
 
@@ -136,7 +196,7 @@ exports.checkDepartmentShiftOverlap = async (department, date, startTime, endTim
  * Validate shift doesn't overlap improperly
  * 
  * @param {Object} shiftData - Shift data to validate
- * @param {string} excludeShiftId - Shift ID to exclude (for updates)
+ * @param {string|Array} excludeShiftId - Shift ID (or IDs) to exclude (for updates and swaps)
  * @returns {Object} - { isValid: boolean, errors: Array, warnings: Array }
  */
 exports.validateShiftOverlap = async (shiftData, excludeShiftId = null) => {
@@ -161,6 +221,17 @@ exports.validateShiftOverlap = async (shiftData, excludeShiftId = null) => {
         overlappingShifts: userOverlap.overlappingShifts,
       });
     }
+
+    // Approved leave is a hard conflict
+    const timeOffConflict = await exports.checkUserTimeOffConflict(assignedTo, date, startTime, endTime);
+
+    if (timeOffConflict.hasConflict) {
+      errors.push({
+        type: 'time_off_conflict',
+        message: 'This shift falls during approved time off for this user',
+        timeOffRequests: timeOffConflict.timeOffRequests,
+      });
+    }
   }
 
   // Check department overlaps (warning only, multiple people can work same time)
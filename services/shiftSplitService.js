@@ -0,0 +1,281 @@
+/**
+ * ==================================================
+ * SHIFT SPLIT SERVICE
+ * ==================================================
+ * Splits a shift into segments with separate assignees, e.g. so
+ * someone can cover only the last 4 hours of a 12-hour shift.
+ *
+ * Each segment is a Shift of its own pointing back to the original
+ * (parentShift), so requests, swaps, waitlists and work hours work on
+ * segments exactly as on whole shifts. The original is kept for
+ * reference with status 'split' and no assignee. Its assignee keeps
+ * one segment and their recorded work hours shrink to that segment;
+ * the other segments are open for cover.
+ *
+ * An assignee releasing segments is giving up part of a day, so the
+ * department's blackouts and leave cap apply as for a give_up request.
+ * Anyone on the original's waitlist is taken off it.
+ */
+
+const Notification = require('../models/Notification');
+const Shift = require('../models/Shift');
+const ShiftBid = require('../models/ShiftBid');
+const ShiftSwapRequest = require('../models/ShiftSwapRequest');
+const ShiftWaitlistEntry = require('../models/ShiftWaitlistEntry');
+const leaveRulesService = require('./leaveRulesService');
+const overtimeCalculationService = require('./overtimeCalculationService');
+const shiftHistoryService = require('./shiftHistoryService');
+const transactionService = require('./transactionService');
+
+const { requestError } = transactionService;
+
+const DAY_MINUTES = 24 * 60;
+const DAY_MS = DAY_MINUTES * 60 * 1000;
+
+// Shortest segment a shift can be split into (minutes)
+const MIN_SEGMENT_MINUTES = 60;
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+const toTime = (minutes) => {
+  const m = ((minutes % DAY_MINUTES) + DAY_MINUTES) % DAY_MINUTES;
+  return `${String(Math.floor(m / 60)).padStart(2, '0')}:${String(m % 60).padStart(2, '0')}`;
+};
+
+/**
+ * Work out the segments a shift splits into at some times of day
+ *
+ * Segments after midnight of an overnight shift are dated the next day.
+ *
+ * @param {Object} shift - Shift (date, startTime, endTime)
+ * @param {Array<String>} cuts - Times ("HH:mm") inside the shift to split at
+ * @returns {Array<Object>} [{ date, startTime, endTime, hours }] in order
+ */
+exports.planSegments = (shift, cuts) => {
+  const start = toMinutes(shift.startTime);
+  let end = toMinutes(shift.endTime);
+  if (end <= start) end += DAY_MINUTES;
+
+  // Minutes after the start of the shift, in order, without repeats
+  const offsets = [...new Set(cuts.map(cut => (toMinutes(cut) - start + DAY_MINUTES) % DAY_MINUTES))]
+    .sort((a, b) => a - b);
+
+  if (offsets.some(offset => offset <= 0 || start + offset >= end)) {
+    throw requestError(`Split times must fall inside the shift (${shift.startTime}-${shift.endTime})`, 400);
+  }
+
+  const bounds = [start, ...offsets.map(offset => start + offset), end];
+  const segments = [];
+
+  for (let i = 0; i < bounds.length - 1; i++) {
+    if (bounds[i + 1] - bounds[i] < MIN_SEGMENT_MINUTES) {
+      throw requestError(`Each segment must be at least ${MIN_SEGMENT_MINUTES / 60} hour(s) long`, 400);
+    }
+
+    segments.push({
+      date: new Date(new Date(shift.date).getTime() + Math.floor(bounds[i] / DAY_MINUTES) * DAY_MS),
+      startTime: toTime(bounds[i]),
+      endTime: toTime(bounds[i + 1]),
+      hours: (bounds[i + 1] - bounds[i]) / 60,
+    });
+  }
+
+  return segments;
+};
+
+/**
+ * Split a shift into segments
+ *
+ * Steps (in one transaction):
+ * 1. Check the shift can be split (not started, not already split or
+ *    a segment, no pending requests or bidding), and that an assignee
+ *    splitting their own shift may give up the released segments
+ * 2. Create the segments; the assignee keeps segment keepSegment and
+ *    the others are open. Any incentive is shared out by hours
+ * 3. Mark the original 'split' and take its assignee off it
+ * 4. Move the assignee's work hours to their segment
+ * 5. Record history on the original and on each segment
+ * 6. Close the original's waitlist, and tell the assignee if someone
+ *    else split their shift
+ *
+ * @param {ObjectId} shiftId - Shift to split
+ * @param {Array<String>} cuts - Times ("HH:mm") to split at
+ * @param {Object} options
+ * @param {Number} options.keepSegment - Index of the segment the assignee keeps (default 0)
+ * @param {ObjectId} performedBy - User splitting the shift
+ * @returns {Promise<Object>} { shift, segments }
+ */
+exports.splitShift = async (shiftId, cuts, { keepSegment = 0 } = {}, performedBy) => {
+  return transactionService.runInTransaction(async (session) => {
+    const shift = await Shift.findById(shiftId).session(session);
+    if (!shift) {
+      throw requestError('Shift not found', 404);
+    }
+
+    if (shift.status === 'split') {
+      throw requestError('This shift has already been split', 400);
+    }
+
+    if (shift.parentShift) {
+      throw requestError('Segments cannot be split again', 400);
+    }
+
+    if (shift.status === 'requested') {
+      throw requestError('This shift has pending requests. Resolve them before splitting it.', 400);
+    }
+
+    if (shift.callIns.length > 0) {
+      throw requestError('The assignee has been called in on this shift, so it cannot be split', 400);
+    }
+
+    if (shift.bidding.enabled) {
+      throw requestError('Close bidding on this shift before splitting it', 400);
+    }
+
+    if (shift.date.getTime() + toMinutes(shift.startTime) * 60 * 1000 <= Date.now()) {
+      throw requestError('This shift has already started', 400);
+    }
+
+    const planned = exports.planSegments(shift, cuts);
+    if (keepSegment < 0 || keepSegment >= planned.length) {
+      throw requestError(`keepSegment must be between 0 and ${planned.length - 1}`, 400);
+    }
+
+    // Open two-party swaps for this shift would hand over the whole shift
+    const inOpenSwap = await ShiftSwapRequest.exists({
+      $or: [{ shift: shift._id }, { offeredShift: shift._id }],
+      status: { $in: ShiftSwapRequest.OPEN_STATUSES },
+    }).session(session);
+    if (inOpenSwap || await ShiftBid.exists({ shift: shift._id, status: 'active' }).session(session)) {
+      throw requestError('This shift is part of an open swap or bid. Resolve it before splitting the shift.', 400);
+    }
+
+    const assignee = shift.assignedTo;
+    const totalHours = planned.reduce((sum, p) => sum + p.hours, 0);
+    const splitByAssignee = Boolean(assignee) && assignee.toString() === performedBy.toString();
+
+    // Releasing segments of your own shift counts as giving them up
+    if (splitByAssignee) {
+      await leaveRulesService.claimDepartmentLeave(shift.facility, shift.department, session);
+
+      const releasedDates = [...new Set(
+        planned.filter((p, index) => index !== keepSegment).map(p => p.date.getTime())
+      )];
+
+      for (const date of releasedDates) {
+        const rulesCheck = await leaveRulesService.checkGiveUp(
+          { facility: shift.facility, department: shift.department, date: new Date(date) },
+          assignee,
+          session
+        );
+        if (!rulesCheck.isValid) {
+          throw requestError(rulesCheck.errors.map(e => e.message).join('; '), 400);
+        }
+      }
+    }
+
+    const segments = await Shift.create(planned.map((p, index) => {
+      const kept = Boolean(assignee) && index === keepSegment;
+      return {
+        title: `${shift.title} (${p.startTime}-${p.endTime})`,
+        department: shift.department,
+        date: p.date,
+        startTime: p.startTime,
+        endTime: p.endTime,
+        postedBy: shift.postedBy,
+        status: kept ? 'approved' : 'open',
+        assignedTo: kept ? assignee : null,
+        facility: shift.facility,
+        requiredCredentials: shift.requiredCredentials,
+        isEmergency: shift.isEmergency,
+        incentiveAmount: Math.round(shift.incentiveAmount * (p.hours / totalHours) * 100) / 100,
+        incentiveDescription: shift.incentiveDescription,
+        kind: shift.kind,
+        givenUpBy: splitByAssignee && !kept ? assignee : null,
+        parentShift: shift._id,
+      };
+    }), { session, ordered: true });
+
+    const previous = { status: shift.status, assignedTo: assignee };
+    shift.status = 'split';
+    shift.assignedTo = null;
+    await shift.save({ session });
+
+    if (assignee) {
+      const kept = segments[keepSegment];
+      await overtimeCalculationService.removeWorkHours(assignee, shift._id, session);
+      await overtimeCalculationService.recordWorkHours(
+        assignee,
+        kept._id,
+        kept.date,
+        kept.startTime,
+        kept.endTime,
+        session
+      );
+    }
+
+    await shiftHistoryService.recordHistory(
+      shift._id,
+      'split',
+      performedBy,
+      previous,
+      { status: 'split', assignedTo: null, segments: segments.map(s => s._id) },
+      `Shift split into ${segments.length} segments at ${planned.slice(1).map(p => p.startTime).join(', ')}`,
+      session
+    );
+
+    for (const segment of segments) {
+      await shiftHistoryService.recordHistory(
+        segment._id,
+        'created',
+        performedBy,
+        null,
+        segment,
+        segment.assignedTo
+          ? `Segment ${segment.startTime}-${segment.endTime} of a split shift, kept by its assignee`
+          : `Segment ${segment.startTime}-${segment.endTime} of a split shift, open for cover`,
+        session
+      );
+    }
+
+    // The original can no longer be taken, so its waitlist is over
+    const waitlisted = await ShiftWaitlistEntry.find({
+      shift: shift._id,
+      status: { $in: ShiftWaitlistEntry.ACTIVE_STATUSES },
+    }).session(session);
+
+    if (waitlisted.length > 0) {
+      await ShiftWaitlistEntry.updateMany(
+        { _id: { $in: waitlisted.map(e => e._id) } },
+        { status: 'closed' },
+        { session }
+      );
+    }
+
+    const notifications = waitlisted.map(entry => ({
+      user: entry.user,
+      message: `"${shift.title}" on ${shift.date.toDateString()} was split into segments, so its waitlist has closed. Open segments can be requested on their own.`,
+      type: 'waitlist_offer',
+      relatedShift: shift._id,
+    }));
+
+    if (assignee && !splitByAssignee) {
+      const kept = segments[keepSegment];
+      notifications.push({
+        user: assignee,
+        message: `"${shift.title}" on ${shift.date.toDateString()} was split. You now work ${kept.startTime}-${kept.endTime}; the rest is open for cover.`,
+        type: 'shift_assigned',
+        relatedShift: kept._id,
+      });
+    }
+
+    if (notifications.length > 0) {
+      await Notification.insertMany(notifications, { session });
+    }
+
+    return { shift, segments };
+  });
+};
@@ -0,0 +1,597 @@
+/**
+ * ==================================================
+ * SHIFT SWAP SERVICE
+ * ==================================================
+ * This service carries out approved swaps.
+ *
+ * An open-shift request assigns the shift to the requester.
+ *
+ * A two-party swap exchanges the assignees of two shifts:
+ * - The requester takes the requested shift
+ * - The counterparty takes the shift the requester offered
+ *
+ * A swap cycle (A→B→C→A) passes each participant's offered
+ * shift to the next person in the cycle.
+ *
+ * Functions that take a `session` must be called inside
+ * transactionService.runInTransaction so a failure part way
+ * through never leaves one shift reassigned and the others not.
+ * Shifts use optimistic concurrency, so a concurrent change to
+ * the same shift makes the save fail instead of overwriting it.
+ */
+
+const Shift = require('../models/Shift');
+const ShiftSwapRequest = require('../models/ShiftSwapRequest');
+const SwapCycle = require('../models/SwapCycle');
+const Notification = require('../models/Notification');
+const approvalChainService = require('./approvalChainService');
+const approvalValidationService = require('./approvalValidationService');
+const delegationService = require('./delegationService');
+const overtimeCalculationService = require('./overtimeCalculationService');
+const shiftHistoryService = require('./shiftHistoryService');
+const transactionService = require('./transactionService');
+
+const { requestError } = transactionService;
+
+/**
+ * Describe who approved a request, for history entries
+ *
+ * @param {Object} autoApprovalRule - Rule that fired, or null for a manager decision
+ * @param {String} managerDescription - Description used for a manager decision
+ * @returns {Object} { description, details } where details go into newValue
+ */
+const describeApproval = (autoApprovalRule, managerDescription) => {
+  if (!autoApprovalRule) {
+    return { description: managerDescription, details: {} };
+  }
+
+  return {
+    description: `Automatically approved by rule "${autoApprovalRule.name}"`,
+    details: { autoApprovalRule: { _id: autoApprovalRule._id, name: autoApprovalRule.name } },
+  };
+};
+
+/**
+ * Load a swap request inside a transaction and check it can still be decided
+ *
+ * Another manager may have approved or rejected it since it was loaded
+ * outside the transaction.
+ *
+ * @param {ObjectId} swapRequestId - Swap request ID
+ * @param {ClientSession} session - Transaction session
+ * @returns {Promise<Object>} ShiftSwapRequest document
+ */
+exports.loadPendingRequest = async (swapRequestId, session) => {
+  const swapRequest = await ShiftSwapRequest.findById(swapRequestId).session(session);
+
+  if (!swapRequest) {
+    throw requestError('Swap request not found', 404);
+  }
+
+  if (swapRequest.status !== 'pending') {
+    throw requestError('This request has already been handled by another manager');
+  }
+
+  return swapRequest;
+};
+
+/**
+ * Set an open-shift request's shift back to 'open' once nobody is waiting on it
+ *
+ * Used when a request is closed without approval (rejected, cancelled, expired).
+ * Assigned shifts and shifts with other pending requests are left alone.
+ *
+ * @param {Object} shift - Shift document
+ * @param {ClientSession} session - Optional transaction session
+ * @returns {Promise<Boolean>} True if the shift was reopened
+ */
+exports.reopenShiftIfUnclaimed = async (shift, session = null) => {
+  if (shift.status !== 'requested') return false;
+
+  const otherPending = await ShiftSwapRequest.countDocuments({
+    shift: shift._id,
+    status: 'pending',
+  }).session(session);
+
+  if (otherPending > 0) return false;
+
+  shift.status = 'open';
+  await shift.save({ session });
+  return true;
+};
+
+/**
+ * Reject every other open request for a shift that has just been filled
+ *
+ * Each competing requester is notified, and one history entry on the
+ * shift records how many requests were closed.
+ *
+ * @param {Object} shift - The shift that was filled
+ * @param {ObjectId} approvedRequestId - The request that won
+ * @param {ObjectId} managerId - Manager who approved it
+ * @param {ClientSession} session - Optional transaction session
+ * @param {Object} options
+ * @param {Boolean} options.recordHistory - false when the caller writes its own
+ *   consolidated history entry (bulk decisions)
+ * @param {ObjectId} options.actingFor - Manager acted for under a delegation
+ * @returns {Promise<Number>} Number of requests rejected
+ */
+exports.rejectCompetingRequests = async (shift, approvedRequestId, managerId, session = null, { recordHistory = true, actingFor = null } = {}) => {
+  const competingRequests = await ShiftSwapRequest.find({
+    shift: shift._id,
+    _id: { $ne: approvedRequestId },
+    status: { $in: ShiftSwapRequest.OPEN_STATUSES },
+  }).session(session);
+
+  if (competingRequests.length === 0) return 0;
+
+  await ShiftSwapRequest.updateMany(
+    { _id: { $in: competingRequests.map(r => r._id) } },
+    { status: 'rejected', manager: managerId, actingFor },
+    { session }
+  );
+
+  await Notification.create(competingRequests.map(request => ({
+    user: request.requestedBy,
+    message: `Your shift swap request for "${shift.title}" on ${shift.date.toDateString()} was not approved because the shift has been filled.`,
+    type: 'rejection',
+    relatedShift: shift._id,
+  })), { session, ordered: true });
+
+  if (recordHistory) {
+    await shiftHistoryService.recordHistory(
+      shift._id,
+      'rejected',
+      managerId,
+      { pendingRequests: competingRequests.map(r => r._id) },
+      { status: 'rejected', approvedRequest: approvedRequestId },
+      `${competingRequests.length} competing request(s) automatically rejected after approval`,
+      session,
+      actingFor
+    );
+  }
+
+  return competingRequests.length;
+};
+
+/**
+ * Assign an open (or requested) shift to the person who requested it
+ *
+ * Steps (inside the caller's transaction):
+ * 1. Check the request is still pending and the shift is still unfilled
+ * 2. Assign the shift and mark it approved
+ * 3. Mark the request approved
+ * 4. Record work hours and history
+ *
+ * @param {ObjectId} swapRequestId - ID of a pending open-shift request
+ * @param {ObjectId} managerId - Manager approving the request
+ * @param {ClientSession} session - Transaction session
+ * @param {Object} options
+ * @param {Boolean} options.recordHistory - false to skip the history entry
+ * @param {Object} options.autoApprovalRule - Rule approving the request (managerId is then null)
+ * @param {ObjectId} options.actingFor - Manager acted for under a delegation
+ * @returns {Promise<Object>} { swapRequest, shift }
+ */
+exports.assignRequestedShift = async (swapRequestId, managerId, session, { recordHistory = true, autoApprovalRule = null, actingFor = null } = {}) => {
+  const swapRequest = await exports.loadPendingRequest(swapRequestId, session);
+
+  const shift = await Shift.findById(swapRequest.shift).session(session);
+  if (!shift) {
+    throw requestError('Shift not found', 404);
+  }
+
+  // Another request for this shift may have been approved at the same time
+  if (shift.status === 'approved' || shift.assignedTo) {
+    throw requestError('This shift has already been filled');
+  }
+
+  const previousStatus = shift.status;
+  shift.assignedTo = swapRequest.requestedBy;
+  shift.status = 'approved';
+  await shift.save({ session });
+
+  swapRequest.status = 'approved';
+  swapRequest.manager = managerId;
+  swapRequest.autoApprovalRule = autoApprovalRule ? autoApprovalRule._id : null;
+  swapRequest.actingFor = actingFor;
+  await swapRequest.save({ session });
+
+  await overtimeCalculationService.recordWorkHours(
+    swapRequest.requestedBy,
+    shift._id,
+    shift.date,
+    shift.startTime,
+    shift.endTime,
+    session
+  );
+
+  if (recordHistory) {
+    const { description, details } = describeApproval(autoApprovalRule, 'Shift swap request approved by manager');
+
+    await shiftHistoryService.recordHistory(
+      shift._id,
+      'approved',
+      managerId,
+      { assignedTo: null, status: previousStatus },
+      { assignedTo: swapRequest.requestedBy, status: 'approved', ...details },
+      description,
+      session,
+      actingFor
+    );
+  }
+
+  return { swapRequest, shift };
+};
+
+/**
+ * Take a shift off its assignee and make it open again
+ *
+ * Used when the assignee gives the shift up or a manager reverses the
+ * approval that gave it to them. The caller then offers the shift to
+ * its waitlist (see shiftWaitlistService.offerNext).
+ *
+ * @param {Object} shift - Assigned shift (loaded in the session)
+ * @param {ObjectId} performedBy - User releasing it
+ * @param {String} description - History description
+ * @param {ClientSession} session - Transaction session
+ * @returns {Promise<Object>} The released shift
+ */
+exports.releaseShift = async (shift, performedBy, description, session) => {
+  if (!shift.assignedTo) {
+    throw requestError('This shift is not assigned to anyone', 400);
+  }
+
+  const [hours, minutes] = shift.startTime.split(':').map(Number);
+  if (shift.date.getTime() + (hours * 60 + minutes) * 60 * 1000 <= Date.now()) {
+    throw requestError('This shift has already started', 400);
+  }
+
+  const previousAssignee = shift.assignedTo;
+  const previousStatus = shift.status;
+  shift.assignedTo = null;
+  shift.status = 'open';
+  await shift.save({ session });
+
+  await overtimeCalculationService.removeWorkHours(previousAssignee, shift._id, session);
+
+  await shiftHistoryService.recordHistory(
+    shift._id,
+    'unassigned',
+    performedBy,
+    { assignedTo: previousAssignee, status: previousStatus },
+    { assignedTo: null, status: 'open' },
+    description,
+    session
+  );
+
+  return shift;
+};
+
+/**
+ * Reverse an approved open-shift request, freeing the shift again
+ *
+ * Two-party swaps are not reversed here: nobody loses a shift in them,
+ * so a new swap is the way back.
+ *
+ * @param {ObjectId} swapRequestId - Approved open-shift request
+ * @param {ObjectId} managerId - Manager reversing it
+ * @param {ClientSession} session - Transaction session
+ * @returns {Promise<Object>} { swapRequest, shift }
+ */
+exports.reverseApprovedRequest = async (swapRequestId, managerId, session) => {
+  const swapRequest = await ShiftSwapRequest.findById(swapRequestId).session(session);
+  if (!swapRequest) {
+    throw requestError('Swap request not found', 404);
+  }
+
+  if (swapRequest.status !== 'approved') {
+    throw requestError('Only approved requests can be reversed', 400);
+  }
+
+  if (swapRequest.swapType === 'swap' && swapRequest.offeredShift) {
+    throw requestError('Two-party swaps cannot be reversed; request a new swap instead', 400);
+  }
+
+  const shift = await Shift.findById(swapRequest.shift).session(session);
+  if (!shift) {
+    throw requestError('Shift not found', 404);
+  }
+
+  if (shift.assignedTo?.toString() !== swapRequest.requestedBy.toString()) {
+    throw requestError('This shift has been reassigned since the request was approved');
+  }
+
+  swapRequest.status = 'reversed';
+  await swapRequest.save({ session });
+
+  await exports.releaseShift(shift, managerId, 'Approved shift request reversed by manager', session);
+
+  await Notification.create([{
+    user: swapRequest.requestedBy,
+    message: `The approval of your request for "${shift.title}" on ${shift.date.toDateString()} has been reversed by a manager. You are no longer working this shift.`,
+    type: 'rejection',
+    relatedShift: shift._id,
+  }], { session });
+
+  return { swapRequest, shift };
+};
+
+/**
+ * Exchange the assignees of the two shifts in a swap request
+ *
+ * Steps (inside the caller's transaction):
+ * 1. Check both shifts are still held by the expected people
+ * 2. Swap assignedTo on both shifts
+ * 3. Move recorded work hours to the new assignees
+ * 4. Mark the swap request as approved
+ * 5. Record history for both shifts
+ *
+ * @param {ObjectId} swapRequestId - ID of a pending two-party swap request
+ * @param {ObjectId} managerId - Manager approving the swap
+ * @param {ClientSession} session - Transaction session
+ * @param {Object} options
+ * @param {Boolean} options.recordHistory - false to skip the history entries
+ * @param {Object} options.autoApprovalRule - Rule approving the swap (managerId is then null)
+ * @param {ObjectId} options.actingFor - Manager acted for under a delegation
+ * @returns {Promise<Object>} { swapRequest, requestedShift, offeredShift }
+ */
+exports.exchangeShifts = async (swapRequestId, managerId, session, { recordHistory = true, autoApprovalRule = null, actingFor = null } = {}) => {
+  const swapRequest = await exports.loadPendingRequest(swapRequestId, session);
+
+  const requestedShift = await Shift.findById(swapRequest.shift).session(session);
+  const offeredShift = await Shift.findById(swapRequest.offeredShift).session(session);
+  if (!requestedShift || !offeredShift) {
+    throw requestError('One of the shifts in this swap no longer exists', 404);
+  }
+
+  const requesterId = swapRequest.requestedBy;
+  const counterpartyId = swapRequest.counterparty;
+
+  // Either shift may have been reassigned since the swap was requested
+  if (requestedShift.assignedTo?.toString() !== counterpartyId.toString() ||
+      offeredShift.assignedTo?.toString() !== requesterId.toString()) {
+    throw requestError('The shifts in this swap have been reassigned since it was requested');
+  }
+
+  requestedShift.assignedTo = requesterId;
+  offeredShift.assignedTo = counterpartyId;
+  await requestedShift.save({ session });
+  await offeredShift.save({ session });
+
+  // Work hours follow the shift to its new assignee
+  await overtimeCalculationService.removeWorkHours(counterpartyId, requestedShift._id, session);
+  await overtimeCalculationService.removeWorkHours(requesterId, offeredShift._id, session);
+  await overtimeCalculationService.recordWorkHours(
+    requesterId,
+    requestedShift._id,
+    requestedShift.date,
+    requestedShift.startTime,
+    requestedShift.endTime,
+    session
+  );
+  await overtimeCalculationService.recordWorkHours(
+    counterpartyId,
+    offeredShift._id,
+    offeredShift.date,
+    offeredShift.startTime,
+    offeredShift.endTime,
+    session
+  );
+
+  swapRequest.status = 'approved';
+  swapRequest.manager = managerId;
+  swapRequest.autoApprovalRule = autoApprovalRule ? autoApprovalRule._id : null;
+  swapRequest.actingFor = actingFor;
+  await swapRequest.save({ session });
+
+  if (recordHistory) {
+    const { description, details } = describeApproval(autoApprovalRule, 'Two-party shift swap approved by manager');
+
+    await shiftHistoryService.recordHistory(
+      requestedShift._id,
+      'swapped',
+      managerId,
+      { assignedTo: counterpartyId },
+      { assignedTo: requesterId, swappedWith: offeredShift._id, ...details },
+      description,
+      session,
+      actingFor
+    );
+    await shiftHistoryService.recordHistory(
+      offeredShift._id,
+      'swapped',
+      managerId,
+      { assignedTo: requesterId },
+      { assignedTo: counterpartyId, swappedWith: requestedShift._id, ...details },
+      description,
+      session,
+      actingFor
+    );
+  }
+
+  return { swapRequest, requestedShift, offeredShift };
+};
+
+/**
+ * Carry out every trade in a proposed swap cycle, all or nothing
+ *
+ * Each request in the cycle goes through the same gates as a two-party
+ * swap: its earlier approval steps must already be signed off, the
+ * manager must be allowed to decide its final step, and every
+ * participant is re-validated for the shift they receive.
+ *
+ * Steps (all inside one transaction):
+ * 1. Check every request is open and at its final approval step, and
+ *    the manager may decide each one
+ * 2. Re-validate each participant (credentials, overlap, approved time
+ *    off) for the shift they receive; overtime is only a warning
+ * 3. Check every shift is still held by the participant giving it, and
+ *    reassign it to the participant receiving it
+ * 4. Move recorded work hours and record history for every shift
+ * 5. Sign off the final steps, mark every request and the cycle approved
+ * 6. Reject other open requests for, or offering, the traded shifts
+ * 7. Notify each participant
+ *
+ * @param {ObjectId} swapCycleId - ID of a proposed SwapCycle
+ * @param {ObjectId} managerId - Manager approving the cycle
+ * @returns {Promise<Object>} { swapCycle, warnings }
+ */
+exports.executeSwapCycle = async (swapCycleId, managerId) => {
+  return transactionService.runInTransaction(async (session) => {
+    const swapCycle = await SwapCycle.findById(swapCycleId).session(session);
+    if (!swapCycle || swapCycle.status !== 'proposed') {
+      throw requestError('Swap cycle is not awaiting approval', 400);
+    }
+
+    const requestIds = swapCycle.participants.map(p => p.swapRequest);
+    const requests = await ShiftSwapRequest.find({
+      _id: { $in: requestIds },
+      status: { $in: ShiftSwapRequest.OPEN_STATUSES },
+    }).session(session);
+
+    if (requests.length !== requestIds.length) {
+      throw requestError('One or more swap requests in this cycle are no longer open');
+    }
+
+    // Same approval gates as a single swap, for every request in the cycle
+    const actingForByRequest = new Map();
+    for (const swapRequest of requests) {
+      if (!approvalChainService.isFinalStep(swapRequest)) {
+        throw requestError(
+          'Every request in this cycle must have its earlier approval steps signed off first',
+          400
+        );
+      }
+
+      const requestedShift = await Shift.findById(swapRequest.shift).session(session);
+      const actingFor = await delegationService.assertCanDecide(swapRequest, requestedShift, managerId);
+      actingForByRequest.set(swapRequest._id.toString(), actingFor);
+    }
+
+    const tradedShifts = [];
+    const warnings = [];
+
+    for (const participant of swapCycle.participants) {
+      const shift = await Shift.findById(participant.givesShift).session(session);
+
+      if (!shift || shift.assignedTo?.toString() !== participant.user.toString()) {
+        throw requestError('The shifts in this cycle have been reassigned since it was proposed');
+      }
+
+      // The receiver of this shift is whoever lists it as receivesShift
+      const receiver = swapCycle.participants.find(
+        p => p.receivesShift.toString() === shift._id.toString()
+      );
+
+      // After the trade the receiver no longer holds the shift they give away
+      const validation = await approvalValidationService.validateAssignment(
+        receiver.user,
+        shift,
+        [receiver.givesShift, shift._id]
+      );
+      if (!validation.isValid) {
+        throw requestError(
+          `Swap cycle no longer passes validation: ${validation.failures.map(f => f.message).join('; ')}`
+        );
+      }
+      warnings.push(...validation.warnings);
+
+      shift.assignedTo = receiver.user;
+      await shift.save({ session });
+      tradedShifts.push(shift);
+
+      await overtimeCalculationService.removeWorkHours(participant.user, shift._id, session);
+      await overtimeCalculationService.recordWorkHours(
+        receiver.user,
+        shift._id,
+        shift.date,
+        shift.startTime,
+        shift.endTime,
+        session
+      );
+
+      await shiftHistoryService.recordHistory(
+        shift._id,
+        'swapped',
+        managerId,
+        { assignedTo: participant.user },
+        { assignedTo: receiver.user, swapCycle: swapCycle._id },
+        `Shift reassigned as part of a ${swapCycle.participants.length}-way swap cycle`,
+        session
+      );
+    }
+
+    for (const swapRequest of requests) {
+      const actingFor = actingForByRequest.get(swapRequest._id.toString());
+      const stepIndex = swapRequest.currentApprovalStep;
+      const update = { status: 'approved', manager: managerId, actingFor };
+
+      // Sign off the final step, as approving a single swap would
+      if (swapRequest.approvalChain.length > 0) {
+        Object.assign(update, {
+          [`approvalChain.${stepIndex}.status`]: 'approved',
+          [`approvalChain.${stepIndex}.decidedBy`]: managerId,
+          [`approvalChain.${stepIndex}.decidedOnBehalfOf`]: actingFor,
+          [`approvalChain.${stepIndex}.decidedAt`]: new Date(),
+          currentApprovalStep: stepIndex + 1,
+        });
+      }
+
+      const result = await ShiftSwapRequest.updateOne(
+        {
+          _id: swapRequest._id,
+          status: { $in: ShiftSwapRequest.OPEN_STATUSES },
+          currentApprovalStep: stepIndex,
+        },
+        update,
+        { session }
+      );
+      if (result.modifiedCount === 0) {
+        throw requestError('A request in this cycle was decided by someone else. Please refresh and try again.');
+      }
+    }
+
+    swapCycle.status = 'approved';
+    swapCycle.manager = managerId;
+    await swapCycle.save({ session });
+
+    // Requests for the traded shifts, or offering one, can no longer be carried out
+    for (const shift of tradedShifts) {
+      await exports.rejectCompetingRequests(shift, null, managerId, session);
+    }
+
+    const staleOffers = await ShiftSwapRequest.find({
+      offeredShift: { $in: tradedShifts.map(s => s._id) },
+      status: { $in: ShiftSwapRequest.OPEN_STATUSES },
+    }).session(session);
+
+    if (staleOffers.length > 0) {
+      await ShiftSwapRequest.updateMany(
+        { _id: { $in: staleOffers.map(r => r._id) } },
+        { status: 'rejected', manager: managerId },
+        { session }
+      );
+
+      await Notification.create(staleOffers.map(request => ({
+        user: request.requestedBy,
+        message: 'Your swap request was not approved because the shift you offered has been traded in a swap cycle.',
+        type: 'rejection',
+        relatedShift: request.offeredShift,
+      })), { session, ordered: true });
+    }
+
+    // Tell each participant which shift they now work
+    const shiftsById = new Map(tradedShifts.map(shift => [shift._id.toString(), shift]));
+    await Notification.create(swapCycle.participants.map(participant => {
+      const received = shiftsById.get(participant.receivesShift.toString());
+      return {
+        user: participant.user,
+        message: `Your swap has been approved as part of a ${swapCycle.participants.length}-way trade. You are now working "${received.title}" on ${received.date.toDateString()}.`,
+        type: 'approval',
+        relatedShift: received._id,
+      };
+    }), { session, ordered: true });
+
+    return { swapCycle, warnings };
+  });
+};
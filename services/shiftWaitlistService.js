@@ -0,0 +1,454 @@
+/**
+ * ==================================================
+ * SHIFT WAITLIST SERVICE
+ * ==================================================
+ * Waitlists for shifts someone else has claimed (see ShiftWaitlistEntry).
+ *
+ * When a claimed shift is freed again, it is offered to the first
+ * person on its waitlist who is still eligible: the same assignment
+ * checks as a swap approval (approvalValidationService), so they must
+ * hold the shift's credentials and have no overlapping shift or
+ * approved time off. They have a limited time to accept. If they decline, or the offer
+ * expires, the next eligible person is offered it.
+ *
+ * While an offer is out the shift cannot be requested or bid on by
+ * anyone else. A background job expires offers that were not answered,
+ * and offers any open shift that has people waiting but no offer out
+ * (one reopened when a request was rejected, or whose offer failed).
+ */
+
+const Shift = require('../models/Shift');
+const ShiftWaitlistEntry = require('../models/ShiftWaitlistEntry');
+const Notification = require('../models/Notification');
+const approvalValidationService = require('./approvalValidationService');
+const credentialVerificationService = require('./credentialVerificationService');
+const overtimeCalculationService = require('./overtimeCalculationService');
+const schedulePeriodService = require('./schedulePeriodService');
+const shiftHistoryService = require('./shiftHistoryService');
+const transactionService = require('./transactionService');
+const logger = require('../utils/logger');
+
+const { requestError } = transactionService;
+
+// How long someone has to accept an offer (minutes), overridable from .env
+const DEFAULT_OFFER_WINDOW_MINUTES = 120;
+
+// How often the expiry job runs (minutes), overridable from .env
+const DEFAULT_INTERVAL_MINUTES = 5;
+
+let timer = null;
+let isRunning = false;
+
+// Start of a shift (times are on Shift.date, midnight UTC)
+const shiftStart = (shift) => {
+  const [hours, minutes] = shift.startTime.split(':').map(Number);
+  return new Date(shift.date.getTime() + (hours * 60 + minutes) * 60 * 1000);
+};
+
+const isUnfilled = (shift) => shift.status !== 'approved' && !shift.assignedTo;
+
+/**
+ * Offer a shift to its waitlist after someone lets go of their offer
+ *
+ * The decline has already been saved, so a failure here is logged
+ * rather than returned; the background job offers the shift later.
+ *
+ * @param {ObjectId} shiftId - Shift
+ * @returns {Promise<Object|null>} The offered entry, or null
+ */
+const passOffer = async (shiftId) => {
+  try {
+    return await exports.offerNext(shiftId);
+  } catch (error) {
+    logger.error(`Could not offer shift ${shiftId} to its waitlist:`, error);
+    return null;
+  }
+};
+
+/**
+ * Check whether someone could work a shift
+ *
+ * Credentials, overlapping shifts and approved time off are hard
+ * failures; overtime is not checked against here.
+ *
+ * @param {Object} shift - Shift document
+ * @param {ObjectId} userId - Staff member
+ * @returns {Promise<String|null>} Why they can't, or null if they can
+ */
+const checkEligibility = async (shift, userId) => {
+  const check = await approvalValidationService.validateAssignment(userId, shift);
+  return check.isValid ? null : check.failures.map(f => f.message).join('; ');
+};
+
+/**
+ * Get someone's place in a shift's queue (1 = next)
+ *
+ * @param {Object} entry - Waiting ShiftWaitlistEntry
+ * @returns {Promise<Number|null>} null if the entry is not waiting
+ */
+exports.getPosition = async (entry) => {
+  if (entry.status !== 'waiting') return null;
+
+  const ahead = await ShiftWaitlistEntry.countDocuments({
+    shift: entry.shift,
+    status: 'waiting',
+    createdAt: { $lt: entry.createdAt },
+  });
+
+  return ahead + 1;
+};
+
+/**
+ * Check whether a shift is being offered to someone on its waitlist
+ *
+ * @param {ObjectId} shiftId - Shift
+ * @returns {Promise<Boolean>}
+ */
+exports.hasPendingOffer = async (shiftId) => {
+  return Boolean(await ShiftWaitlistEntry.exists({ shift: shiftId, status: 'offered' }));
+};
+
+/**
+ * Join the waitlist for a shift someone has claimed
+ *
+ * @param {ObjectId} shiftId - Shift that is requested or filled
+ * @param {ObjectId} userId - Staff member joining
+ * @returns {Promise<Object>} { entry, position }
+ */
+exports.joinWaitlist = async (shiftId, userId) => {
+  const shift = await Shift.findById(shiftId);
+  if (!shift || await schedulePeriodService.isDraft(shift)) {
+    throw requestError('Shift not found', 404);
+  }
+
+  if (shift.status === 'open') {
+    throw requestError('This shift is still open; request it instead', 400);
+  }
+
+  if (shift.assignedTo?.toString() === userId.toString() || shift.postedBy.toString() === userId.toString()) {
+    throw requestError('You cannot join the waitlist for your own shift', 400);
+  }
+
+  if (shiftStart(shift) <= new Date()) {
+    throw requestError('This shift has already started', 400);
+  }
+
+  const credentialCheck = await credentialVerificationService.verifyUserCredentials(userId, shift.requiredCredentials);
+  if (!credentialCheck.isValid) {
+    throw requestError('You do not have the required credentials for this shift', 400);
+  }
+
+  const existing = await ShiftWaitlistEntry.findOne({
+    shift: shift._id,
+    user: userId,
+    status: { $in: ShiftWaitlistEntry.ACTIVE_STATUSES },
+  });
+  if (existing) {
+    throw requestError('You are already on the waitlist for this shift');
+  }
+
+  const entry = await ShiftWaitlistEntry.create({ shift: shift._id, user: userId });
+
+  return { entry, position: await exports.getPosition(entry) };
+};
+
+/**
+ * Offer a freed shift to the next eligible person on its waitlist
+ *
+ * People who are no longer eligible are passed over but keep their
+ * place. Nothing happens if the shift is filled, has started, or is
+ * already on offer.
+ *
+ * @param {ObjectId} shiftId - Shift
+ * @param {Date} now - Reference time (defaults to current time)
+ * @returns {Promise<Object|null>} The offered entry, or null if nobody was offered it
+ */
+exports.offerNext = async (shiftId, now = new Date()) => {
+  const shift = await Shift.findById(shiftId);
+  if (!shift || !isUnfilled(shift)) return null;
+
+  const start = shiftStart(shift);
+  if (start <= now || await exports.hasPendingOffer(shift._id)) return null;
+
+  const windowMinutes = Number(process.env.WAITLIST_OFFER_WINDOW_MINUTES) || DEFAULT_OFFER_WINDOW_MINUTES;
+  // The window never runs past the start of the shift
+  const offerExpiresAt = new Date(Math.min(now.getTime() + windowMinutes * 60 * 1000, start.getTime()));
+
+  const waiting = await ShiftWaitlistEntry.find({ shift: shift._id, status: 'waiting' }).sort({ createdAt: 1 });
+
+  for (const candidate of waiting) {
+    if (await checkEligibility(shift, candidate.user)) continue;
+
+    // Conditional so the person can't leave the waitlist at the same moment
+    let entry;
+    try {
+      entry = await ShiftWaitlistEntry.findOneAndUpdate(
+        { _id: candidate._id, status: 'waiting' },
+        { status: 'offered', offeredAt: now, offerExpiresAt },
+        { new: true }
+      );
+    } catch (error) {
+      // Another call offered the shift first (one open offer per shift)
+      if (error.code === 11000) return null;
+      throw error;
+    }
+    if (!entry) continue;
+
+    await Notification.create({
+      user: entry.user,
+      message: `"${shift.title}" on ${shift.date.toDateString()} (${shift.startTime}-${shift.endTime}) is free again and you're next on the waitlist. Accept it by ${offerExpiresAt.toUTCString()}.`,
+      type: 'waitlist_offer',
+      relatedShift: shift._id,
+      requiresAction: true,
+    });
+
+    return entry;
+  }
+
+  return null;
+};
+
+/**
+ * Accept a waitlist offer, taking the shift
+ *
+ * @param {ObjectId} shiftId - Shift on offer
+ * @param {ObjectId} userId - Staff member it was offered to
+ * @returns {Promise<Object>} { entry, shift }
+ */
+exports.acceptOffer = async (shiftId, userId) => {
+  const entry = await ShiftWaitlistEntry.findOne({ shift: shiftId, user: userId, status: 'offered' });
+  if (!entry) {
+    throw requestError('You have no offer for this shift', 404);
+  }
+
+  if (entry.offerExpiresAt <= new Date()) {
+    throw requestError('This offer has expired', 400);
+  }
+
+  return transactionService.runInTransaction(async (session) => {
+    const offeredEntry = await ShiftWaitlistEntry.findOneAndUpdate(
+      { _id: entry._id, status: 'offered' },
+      { status: 'accepted' },
+      { new: true, session }
+    );
+    if (!offeredEntry) {
+      throw requestError('This offer is no longer open');
+    }
+
+    const freshShift = await Shift.findById(shiftId).session(session);
+    if (!freshShift) {
+      throw requestError('Shift not found', 404);
+    }
+    if (!isUnfilled(freshShift)) {
+      throw requestError('This shift has already been filled');
+    }
+
+    // Things may have changed since the offer was made
+    const reason = await checkEligibility(freshShift, userId);
+    if (reason) {
+      throw requestError(reason, 400);
+    }
+
+    const previousStatus = freshShift.status;
+    freshShift.assignedTo = userId;
+    freshShift.status = 'approved';
+    await freshShift.save({ session });
+
+    await overtimeCalculationService.recordWorkHours(
+      userId,
+      freshShift._id,
+      freshShift.date,
+      freshShift.startTime,
+      freshShift.endTime,
+      session
+    );
+
+    await shiftHistoryService.recordHistory(
+      freshShift._id,
+      'assigned',
+      userId,
+      { assignedTo: null, status: previousStatus },
+      { assignedTo: userId, status: 'approved', waitlistEntry: offeredEntry._id },
+      'Shift accepted from the waitlist',
+      session
+    );
+
+    await Notification.create([{
+      user: freshShift.postedBy,
+      message: `"${freshShift.title}" on ${freshShift.date.toDateString()} has been taken by the next person on its waitlist.`,
+      type: 'shift_assigned',
+      relatedShift: freshShift._id,
+    }], { session });
+
+    return { entry: offeredEntry, shift: freshShift };
+  });
+};
+
+/**
+ * Decline a waitlist offer and pass the shift to the next person
+ *
+ * @param {ObjectId} shiftId - Shift on offer
+ * @param {ObjectId} userId - Staff member it was offered to
+ * @returns {Promise<Object>} { entry, nextOffer }
+ */
+exports.declineOffer = async (shiftId, userId) => {
+  const entry = await ShiftWaitlistEntry.findOneAndUpdate(
+    { shift: shiftId, user: userId, status: 'offered' },
+    { status: 'declined' },
+    { new: true }
+  );
+  if (!entry) {
+    throw requestError('You have no offer for this shift', 404);
+  }
+
+  return { entry, nextOffer: await passOffer(shiftId) };
+};
+
+/**
+ * Leave a shift's waitlist (declining any offer)
+ *
+ * @param {ObjectId} shiftId - Shift
+ * @param {ObjectId} userId - Staff member leaving
+ * @returns {Promise<Object>} The entry
+ */
+exports.leaveWaitlist = async (shiftId, userId) => {
+  const entry = await ShiftWaitlistEntry.findOneAndUpdate(
+    { shift: shiftId, user: userId, status: { $in: ShiftWaitlistEntry.ACTIVE_STATUSES } },
+    { status: 'left' }
+  );
+  if (!entry) {
+    throw requestError('You are not on the waitlist for this shift', 404);
+  }
+
+  // findOneAndUpdate returns the entry as it was, so this was an open offer
+  if (entry.status === 'offered') {
+    await passOffer(shiftId);
+  }
+
+  entry.status = 'left';
+  return entry;
+};
+
+/**
+ * Expire every offer that was not answered in time and move each shift on
+ *
+ * @param {Date} now - Reference time (defaults to current time)
+ * @returns {Promise<Number>} Number of offers expired
+ */
+exports.expireOffers = async (now = new Date()) => {
+  const overdue = await ShiftWaitlistEntry.find({
+    status: 'offered',
+    offerExpiresAt: { $lte: now },
+  });
+
+  let expiredCount = 0;
+  for (const overdueEntry of overdue) {
+    // One failure shouldn't hold up the rest; the next run retries it
+    try {
+      // Conditional so an offer accepted at the same moment is left alone
+      const entry = await ShiftWaitlistEntry.findOneAndUpdate(
+        { _id: overdueEntry._id, status: 'offered' },
+        { status: 'expired' },
+        { new: true }
+      ).populate('shift', 'title date');
+      if (!entry) continue;
+
+      expiredCount++;
+
+      if (entry.shift) {
+        await Notification.create({
+          user: entry.user,
+          message: `Your waitlist offer for "${entry.shift.title}" on ${entry.shift.date.toDateString()} expired and has passed to the next person.`,
+          type: 'waitlist_offer',
+          relatedShift: entry.shift._id,
+        });
+
+        await exports.offerNext(entry.shift._id, now);
+      }
+    } catch (error) {
+      logger.error(`Could not expire waitlist offer ${overdueEntry._id}:`, error);
+    }
+  }
+
+  return expiredCount;
+};
+
+/**
+ * Offer every open shift that has people waiting but no offer out
+ *
+ * Catches shifts freed without going through offerNext (a request
+ * rejected, cancelled or expired) and offers that failed after the
+ * shift was freed.
+ *
+ * @param {Date} now - Reference time (defaults to current time)
+ * @returns {Promise<Number>} Number of shifts offered
+ */
+exports.offerFreedShifts = async (now = new Date()) => {
+  const waitingShiftIds = await ShiftWaitlistEntry.distinct('shift', { status: 'waiting' });
+  if (waitingShiftIds.length === 0) return 0;
+
+  const onOffer = new Set(
+    (await ShiftWaitlistEntry.distinct('shift', { status: 'offered' })).map(id => id.toString())
+  );
+
+  const freedShifts = await Shift.find({
+    _id: { $in: waitingShiftIds.filter(id => !onOffer.has(id.toString())) },
+    status: 'open',
+    assignedTo: null,
+  }).select('_id');
+
+  let offeredCount = 0;
+  for (const shift of freedShifts) {
+    try {
+      if (await exports.offerNext(shift._id, now)) offeredCount++;
+    } catch (error) {
+      logger.error(`Could not offer shift ${shift._id} to its waitlist:`, error);
+    }
+  }
+
+  return offeredCount;
+};
+
+/**
+ * Start the offer expiry job inside the server process
+ *
+ * Each run expires unanswered offers, then offers freed shifts that
+ * have nobody on offer. Runs once immediately, then every WAITLIST_EXPIRY_INTERVAL_MINUTES.
+ * A run is skipped if the previous one is still going.
+ *
+ * @returns {Object} The interval timer
+ */
+exports.startScheduler = () => {
+  if (timer) return timer;
+
+  const intervalMinutes = Number(process.env.WAITLIST_EXPIRY_INTERVAL_MINUTES) || DEFAULT_INTERVAL_MINUTES;
+
+  const run = async () => {
+    if (isRunning) return;
+    isRunning = true;
+
+    try {
+      const now = new Date();
+      await exports.expireOffers(now);
+      await exports.offerFreedShifts(now);
+    } catch (error) {
+      logger.error('Waitlist offer expiry job failed:', error);
+    } finally {
+      isRunning = false;
+    }
+  };
+
+  run();
+  timer = setInterval(run, intervalMinutes * 60 * 1000);
+  return timer;
+};
+
+/**
+ * Stop the offer expiry job (used on shutdown and in tests)
+ */
+exports.stopScheduler = () => {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+};
@@ -0,0 +1,194 @@
+/**
+ * ==================================================
+ * STAFFING COVERAGE SERVICE
+ * ==================================================
+ * Measures department coverage against the staffing requirements
+ * set on each facility department (see Facility.staffingRequirements).
+ *
+ * For every day and time block a requirement applies to, staff on
+ * approved shifts in that department are counted at the weakest point
+ * of the block: two people on 07:00-19:00 and a third on 07:00-15:00
+ * is 2 staff for a 07:00-19:00 block, not 3. The same is done for
+ * each skill mix entry, counting only staff who hold its credentials.
+ * Staff on on-call or standby shifts only count while called in.
+ *
+ * Each block gets a coverage status:
+ * - Fully Covered: headcount and skill mix met
+ * - Partial Coverage: headcount met, skill mix short
+ * - Understaffed: headcount short
+ */
+
+const Shift = require('../models/Shift');
+const Facility = require('../models/Facility');
+
+const DAY_MINUTES = 24 * 60;
+const DAY_MS = DAY_MINUTES * 60 * 1000;
+
+// "HH:mm" -> minutes since midnight
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+// Time range in minutes; an end before the start is on the next day
+const toRange = (startTime, endTime, dayOffset = 0) => {
+  const start = toMinutes(startTime) + dayOffset * DAY_MINUTES;
+  let end = toMinutes(endTime) + dayOffset * DAY_MINUTES;
+  if (end <= start) end += DAY_MINUTES;
+  return { start, end };
+};
+
+// Whether a user holds every credential, active and unexpired on a date
+const holdsCredentials = (user, credentialIds, date) => {
+  return credentialIds.every(id => (user.credentials || []).some(c =>
+    c.credential?.toString() === id.toString() &&
+    c.isActive &&
+    (!c.expirationDate || c.expirationDate >= date)
+  ));
+};
+
+// Fewest staff on shift at any point in a block, counting those matching `counts`
+const minimumOnShift = (block, staffed, counts) => {
+  const relevant = staffed.filter(s => counts(s.user));
+
+  // Staffing only changes where a shift starts or ends, so check each piece between those points
+  const points = new Set([block.start, block.end]);
+  relevant.forEach(s => {
+    if (s.range.start > block.start && s.range.start < block.end) points.add(s.range.start);
+    if (s.range.end > block.start && s.range.end < block.end) points.add(s.range.end);
+  });
+  const sorted = [...points].sort((a, b) => a - b);
+
+  let minimum = Infinity;
+  for (let i = 0; i < sorted.length - 1; i++) {
+    const onShift = new Set(relevant
+      .filter(s => s.range.start <= sorted[i] && s.range.end >= sorted[i + 1])
+      .map(s => s.user._id.toString()));
+    minimum = Math.min(minimum, onShift.size);
+  }
+
+  return minimum === Infinity ? 0 : minimum;
+};
+
+/**
+ * Get coverage for every staffing requirement in a date range
+ *
+ * @param {Object} params
+ * @param {Date} params.startDate - First day
+ * @param {Date} params.endDate - Last day (inclusive)
+ * @param {String} params.department - Only this department (optional)
+ * @returns {Promise<Array>} One entry per day and time block:
+ *   { date, facility, department, requirement, startTime, endTime,
+ *     required, onShift, openShifts, coverageStatus, gaps }
+ */
+exports.getCoverage = async ({ startDate, endDate, department = null }) => {
+  const start = new Date(Date.UTC(startDate.getUTCFullYear(), startDate.getUTCMonth(), startDate.getUTCDate()));
+  const end = new Date(Date.UTC(endDate.getUTCFullYear(), endDate.getUTCMonth(), endDate.getUTCDate()));
+
+  const facilityFilter = { isActive: true, 'departments.staffingRequirements.0': { $exists: true } };
+  if (department) facilityFilter['departments.name'] = department;
+
+  const facilities = await Facility.find(facilityFilter)
+    .populate('departments.staffingRequirements.skillMix.credentials', 'name');
+
+  const departments = facilities.flatMap(facility => facility.departments
+    .filter(d => d.staffingRequirements.length > 0 && (!department || d.name === department))
+    .map(d => ({ facility, config: d })));
+
+  if (departments.length === 0) return [];
+
+  // Include the days either side, whose shifts can fall in overnight blocks
+  const shifts = await Shift.find({
+    department: { $in: departments.map(d => d.config.name) },
+    date: { $gte: new Date(start.getTime() - DAY_MS), $lte: new Date(end.getTime() + DAY_MS) },
+    status: { $in: ['open', 'requested', 'approved'] },
+  }).populate('assignedTo', 'name credentials');
+
+  const coverage = [];
+
+  for (const { facility, config } of departments) {
+    // Shifts without a facility count for the department in any facility
+    const departmentShifts = shifts.filter(s =>
+      s.department === config.name && (!s.facility || s.facility.equals(facility._id))
+    );
+
+    for (let time = start.getTime(); time <= end.getTime(); time += DAY_MS) {
+      const day = new Date(time);
+
+      // Shifts placed on the same minute scale as the day's blocks
+      const placed = departmentShifts
+        .map(s => ({ shift: s, offset: Math.round((s.date.getTime() - time) / DAY_MS) }))
+        .filter(p => Math.abs(p.offset) <= 1)
+        .map(p => ({ ...p, range: toRange(p.shift.startTime, p.shift.endTime, p.offset) }));
+
+      const staffed = placed
+        .filter(p => p.shift.status === 'approved' && p.shift.assignedTo)
+        // On-call and standby staff only count while called in
+        .flatMap(p => (Shift.STANDBY_KINDS.includes(p.shift.kind)
+          ? p.shift.callIns.map(c => ({
+            user: p.shift.assignedTo,
+            range: toRange(c.startTime, c.endTime, Math.round((c.date.getTime() - time) / DAY_MS)),
+          }))
+          : [{ user: p.shift.assignedTo, range: p.range }]));
+
+      for (const requirement of config.staffingRequirements) {
+        if (requirement.daysOfWeek.length > 0 && !requirement.daysOfWeek.includes(day.getUTCDay())) continue;
+
+        const block = toRange(requirement.startTime, requirement.endTime);
+        const onShift = minimumOnShift(block, staffed, () => true);
+        const gaps = [];
+
+        if (onShift < requirement.minHeadcount) {
+          gaps.push({
+            type: 'headcount',
+            required: requirement.minHeadcount,
+            onShift,
+            short: requirement.minHeadcount - onShift,
+          });
+        }
+
+        requirement.skillMix.forEach(skill => {
+          const credentialIds = skill.credentials.map(c => c._id);
+          const qualified = minimumOnShift(block, staffed, user => holdsCredentials(user, credentialIds, day));
+
+          if (qualified < skill.minCount) {
+            gaps.push({
+              type: 'skill_mix',
+              label: skill.label,
+              credentials: skill.credentials.map(c => c.name),
+              required: skill.minCount,
+              onShift: qualified,
+              short: skill.minCount - qualified,
+            });
+          }
+        });
+
+        let coverageStatus = 'Fully Covered';
+        if (gaps.some(g => g.type === 'headcount')) {
+          coverageStatus = 'Understaffed';
+        } else if (gaps.length > 0) {
+          coverageStatus = 'Partial Coverage';
+        }
+
+        coverage.push({
+          date: day.toISOString().split('T')[0],
+          facility: { _id: facility._id, name: facility.name },
+          department: config.name,
+          requirement: requirement.name,
+          startTime: requirement.startTime,
+          endTime: requirement.endTime,
+          required: requirement.minHeadcount,
+          onShift,
+          // Unfilled shifts overlapping the block that could close a gap
+          openShifts: placed.filter(p =>
+            p.shift.status !== 'approved' && p.range.start < block.end && p.range.end > block.start
+          ).length,
+          coverageStatus,
+          gaps,
+        });
+      }
+    }
+  }
+
+  return coverage.sort((a, b) => a.date.localeCompare(b.date) || a.startTime.localeCompare(b.startTime));
+};
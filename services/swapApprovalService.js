@@ -0,0 +1,510 @@
+/**
+ * ==================================================
+ * SWAP APPROVAL SERVICE
+ * ==================================================
+ * Carries out a manager's decision on one swap request.
+ *
+ * Used by the single approve/reject endpoints and by the bulk
+ * endpoints, so both run exactly the same checks:
+ * - The request must exist and still be pending
+ * - Credentials, overlap and overtime are re-validated on approval
+ * - Hard failures block approval unless overridden with a justification
+ *
+ * - With a multi-level approval chain, only the current step's approver
+ *   may decide, and the swap is only carried out at the final step
+ * - A delegate may decide on behalf of an absent manager; the decision
+ *   records both (see delegationService)
+ *
+ * Each decision runs in its own transaction (see transactionService).
+ */
+
+const Shift = require('../models/Shift');
+const ShiftSwapRequest = require('../models/ShiftSwapRequest');
+const Notification = require('../models/Notification');
+const approvalValidationService = require('./approvalValidationService');
+const approvalChainService = require('./approvalChainService');
+const delegationService = require('./delegationService');
+const shiftHistoryService = require('./shiftHistoryService');
+const shiftSwapService = require('./shiftSwapService');
+const transactionService = require('./transactionService');
+
+const { requestError } = transactionService;
+
+/**
+ * Record a manager override of failed approval checks in shift history
+ *
+ * @param {ObjectId} shiftId - Shift the override applies to
+ * @param {ObjectId} swapRequestId - Request that was approved
+ * @param {Object} overrideDetails - { justification, failures }
+ * @param {ObjectId} managerId - Manager who overrode the checks
+ * @param {ObjectId} actingFor - Manager acted for under a delegation (or null)
+ * @param {ClientSession} session - Transaction session
+ */
+const recordOverride = async (shiftId, swapRequestId, overrideDetails, managerId, actingFor, session) => {
+  await shiftHistoryService.recordHistory(
+    shiftId,
+    'override',
+    managerId,
+    { failures: overrideDetails.failures },
+    { swapRequest: swapRequestId, justification: overrideDetails.justification },
+    `Manager overrode failed approval checks: ${overrideDetails.justification}`,
+    session,
+    actingFor
+  );
+};
+
+/**
+ * Approve a pending swap request
+ *
+ * Steps:
+ * 1. Check the request exists and is pending
+ * 2. Check the manager (or their delegate) may decide the current approval step
+ * 3. Re-validate credentials, overlap and overtime
+ * 4. Stop if hard checks failed and there is no override
+ * 5. Before the final step: sign off the current step and stop
+ * 6. In one transaction: close the final step, assign (open shift) or
+ *    exchange (two-party swap) the shift(s), record any override, notify
+ *    the people involved and reject every other open request for the
+ *    requested shift
+ *
+ * @param {ObjectId} swapRequestId - Swap request ID
+ * @param {ObjectId} managerId - Manager approving the request
+ * @param {Object} options
+ * @param {Boolean} options.override - Approve even if hard checks fail
+ * @param {String} options.overrideJustification - Why the checks were overridden
+ * @param {Boolean} options.recordHistory - false when the caller writes its
+ *   own consolidated history entry (overrides are then left to the caller too)
+ * @param {Object} options.autoApprovalRule - Rule approving the request
+ *   automatically; managerId is null in that case
+ * @returns {Promise<Object>} One of:
+ *   - { approved: false, validation } when blocked by failed checks
+ *   - { approved: false, stepApproved: true, swapRequest, actingFor, step,
+ *     nextStep, overrideDetails, validation } when an intermediate step was signed off
+ *   - { approved: true, swapRequest, actingFor, shifts, overtimeCheck,
+ *     autoRejectedCount, overrideDetails, validation } when carried out
+ *   actingFor is the manager a delegate acted for (null otherwise)
+ */
+exports.approveSwapRequest = async (swapRequestId, managerId, options = {}) => {
+  const { override = false, overrideJustification, recordHistory = true, autoApprovalRule = null } = options;
+
+  const swapRequest = await ShiftSwapRequest.findById(swapRequestId)
+    .populate('shift')
+    .populate('requestedBy');
+
+  if (!swapRequest) {
+    throw requestError('Swap request not found', 404);
+  }
+
+  if (swapRequest.status !== 'pending') {
+    throw requestError('Request is not pending', 400);
+  }
+
+  // Only the current step's approver, or their delegate, may decide
+  // (auto-approval has no manager)
+  const actingFor = managerId
+    ? await delegationService.assertCanDecide(swapRequest, swapRequest.shift, managerId)
+    : null;
+
+  // Things may have changed since the request was made, so check again
+  const validation = await approvalValidationService.validateSwapRequest(swapRequest);
+
+  // Only a real boolean true counts as an override, never "false" or 1
+  if (!validation.isValid && override !== true) {
+    return { approved: false, validation };
+  }
+
+  if (!validation.isValid && !(overrideJustification && String(overrideJustification).trim())) {
+    throw requestError('A justification is required when overriding approval checks', 400);
+  }
+
+  // Only keep an override if there was something to override
+  const overrideDetails = !validation.isValid
+    ? { justification: overrideJustification, failures: validation.failures }
+    : null;
+  const overrideJustificationForStep = overrideDetails ? overrideDetails.justification : null;
+
+  // Intermediate sign-off: hand the request to the next approver, nothing else changes yet
+  if (!approvalChainService.isFinalStep(swapRequest)) {
+    const { swapRequest: advancedRequest, step, nextStep } = await approvalChainService.advanceStep(
+      swapRequest,
+      swapRequest.shift,
+      managerId,
+      { overrideJustification: overrideJustificationForStep, actingFor, recordHistory }
+    );
+
+    return {
+      approved: false,
+      stepApproved: true,
+      swapRequest: advancedRequest,
+      actingFor,
+      step,
+      nextStep,
+      overrideDetails,
+      validation,
+    };
+  }
+
+  // Overtime from the re-validation (uses the department's threshold)
+  const overtimeCheck = validation.overtimeCheck;
+  const isTwoPartySwap = swapRequest.swapType === 'swap' && swapRequest.offeredShift;
+
+  const { shifts, autoRejectedCount } = await transactionService.runInTransaction(async (session) => {
+    let shifts;
+    let notifications;
+
+    // Close the last step of the chain (fails if another approver got there first)
+    if (swapRequest.approvalChain.length > 0) {
+      await approvalChainService.decideStep(
+        swapRequestId,
+        swapRequest.currentApprovalStep,
+        'approved',
+        managerId,
+        { overrideJustification: overrideJustificationForStep, actingFor, session }
+      );
+    }
+
+    if (isTwoPartySwap) {
+      // Requester and colleague exchange shifts
+      const { swapRequest: approvedRequest, requestedShift, offeredShift } =
+        await shiftSwapService.exchangeShifts(swapRequestId, managerId, session, { recordHistory, autoApprovalRule, actingFor });
+
+      shifts = [requestedShift, offeredShift];
+      notifications = [
+        {
+          user: approvedRequest.requestedBy,
+          message: `Your swap has been approved. You are now working "${requestedShift.title}" on ${requestedShift.date.toDateString()}.`,
+          type: 'approval',
+          relatedShift: requestedShift._id,
+        },
+        {
+          user: approvedRequest.counterparty,
+          message: `Your swap has been approved. You are now working "${offeredShift.title}" on ${offeredShift.date.toDateString()}.`,
+          type: 'approval',
+          relatedShift: offeredShift._id,
+        },
+      ];
+    } else {
+      // Assign shift to requesting staff, record work hours and history
+      const { shift } = await shiftSwapService.assignRequestedShift(swapRequestId, managerId, session, { recordHistory, autoApprovalRule, actingFor });
+
+      shifts = [shift];
+      notifications = [{
+        user: swapRequest.requestedBy._id,
+        message: overtimeCheck.wouldExceed
+          ? `Your shift swap request for "${shift.title}" on ${shift.date.toDateString()} has been approved. Note: This will result in overtime (${overtimeCheck.projectedHours.toFixed(1)} hours this week).`
+          : `Your shift swap request for "${shift.title}" on ${shift.date.toDateString()} has been approved.`,
+        type: 'approval',
+        relatedShift: shift._id,
+      }];
+    }
+
+    if (overrideDetails && recordHistory) {
+      for (const shift of shifts) {
+        await recordOverride(shift._id, swapRequest._id, overrideDetails, managerId, actingFor, session);
+      }
+    }
+
+    await Notification.create(notifications, { session, ordered: true });
+
+    // The requested shift is filled, so everyone else in its queue is turned down
+    const autoRejectedCount = await shiftSwapService.rejectCompetingRequests(
+      shifts[0],
+      swapRequest._id,
+      managerId,
+      session,
+      { recordHistory, actingFor }
+    );
+
+    return { shifts, autoRejectedCount };
+  });
+
+  return {
+    approved: true,
+    swapRequest,
+    actingFor,
+    shifts,
+    overtimeCheck,
+    autoRejectedCount,
+    overrideDetails,
+    validation,
+  };
+};
+
+/**
+ * Reject a pending swap request
+ *
+ * Open-shift requests put the shift back to 'open' unless others are still
+ * queued for it. Two-party swaps leave both shifts with their current
+ * assignees and notify the colleague as well as the requester.
+ * With an approval chain, the current step is marked rejected and the
+ * chain ends there.
+ *
+ * @param {ObjectId} swapRequestId - Swap request ID
+ * @param {ObjectId} managerId - Manager rejecting the request
+ * @param {Object} options - { recordHistory: false } when the caller writes
+ *   its own consolidated history entry
+ * @returns {Promise<Object>} { swapRequest, shift, actingFor }
+ */
+exports.rejectSwapRequest = async (swapRequestId, managerId, { recordHistory = true } = {}) => {
+  const existing = await ShiftSwapRequest.findById(swapRequestId);
+
+  if (!existing) {
+    throw requestError('Swap request not found', 404);
+  }
+
+  if (existing.status !== 'pending') {
+    throw requestError('Request is not pending', 400);
+  }
+
+  // Any step's approver (or their delegate) can stop the chain, but only at their own step
+  const actingFor = await delegationService.assertCanDecide(
+    existing,
+    await Shift.findById(existing.shift),
+    managerId
+  );
+
+  return transactionService.runInTransaction(async (session) => {
+    if (existing.approvalChain.length > 0) {
+      await approvalChainService.decideStep(
+        swapRequestId,
+        existing.currentApprovalStep,
+        'rejected',
+        managerId,
+        { actingFor, session }
+      );
+    }
+
+    const swapRequest = await shiftSwapService.loadPendingRequest(swapRequestId, session);
+
+    swapRequest.status = 'rejected';
+    swapRequest.manager = managerId;
+    swapRequest.actingFor = actingFor;
+    await swapRequest.save({ session });
+
+    const shift = await Shift.findById(swapRequest.shift).session(session);
+    const notifications = [];
+
+    if (swapRequest.swapType === 'swap' && swapRequest.offeredShift) {
+      // Two-party swap: both shifts stay with their current assignees
+      if (recordHistory) {
+        await shiftHistoryService.recordHistory(
+          shift._id,
+          'rejected',
+          managerId,
+          null,
+          null,
+          'Two-party shift swap rejected by manager',
+          session,
+          actingFor
+        );
+      }
+
+      notifications.push({
+        user: swapRequest.counterparty,
+        message: `The swap for your shift "${shift.title}" on ${shift.date.toDateString()} has been rejected by a manager.`,
+        type: 'rejection',
+        relatedShift: shift._id,
+      });
+    } else {
+      // Set the shift back to 'open' unless others are still queued for it
+      const previousStatus = shift.status;
+      await shiftSwapService.reopenShiftIfUnclaimed(shift, session);
+
+      if (recordHistory) {
+        await shiftHistoryService.recordHistory(
+          shift._id,
+          'rejected',
+          managerId,
+          { status: previousStatus },
+          { status: shift.status },
+          'Shift swap request rejected by manager',
+          session,
+          actingFor
+        );
+      }
+    }
+
+    notifications.push({
+      user: swapRequest.requestedBy,
+      message: `Your shift swap request for "${shift.title}" on ${shift.date.toDateString()} has been rejected.`,
+      type: 'rejection',
+      relatedShift: shift._id,
+    });
+
+    await Notification.create(notifications, { session, ordered: true });
+
+    return { swapRequest, shift, actingFor };
+  });
+};
+
+/**
+ * Approve or reject many swap requests in one go
+ *
+ * Each request is decided on its own, with exactly the same checks as
+ * the single endpoints, so one failure never undoes the others. Requests
+ * are handled in the order given; a request that is no longer pending
+ * when its turn comes (e.g. it lost its shift to an earlier approval in
+ * the same batch) is skipped.
+ *
+ * Instead of one history entry per decision, every shift touched gets a
+ * single consolidated entry listing all decisions made on it.
+ *
+ * @param {Array} swapRequestIds - Swap request IDs, in the order to process them
+ * @param {ObjectId} managerId - Manager making the decisions
+ * @param {String} decision - 'approve' or 'reject'
+ * @param {Object} options - { override, overrideJustification } for approvals
+ * @returns {Promise<Object>} { results, summary }
+ *   results: [{ requestId, result: 'approved'|'advanced'|'rejected'|'failed'|'skipped', reason, ... }]
+ *   ('advanced' = one step of a multi-level approval chain signed off)
+ *   summary: count of each result
+ */
+exports.bulkDecide = async (swapRequestIds, managerId, decision, options = {}) => {
+  // Remember how every involved shift looked before the batch
+  const requests = await ShiftSwapRequest.find({ _id: { $in: swapRequestIds } });
+  const shiftIds = requests.flatMap(r => (r.offeredShift ? [r.shift, r.offeredShift] : [r.shift]));
+  const shiftsBefore = await Shift.find({ _id: { $in: shiftIds } });
+
+  // shiftId -> { before, decisions, approvalAction }
+  const touchedShifts = new Map();
+  shiftsBefore.forEach(shift => {
+    touchedShifts.set(shift._id.toString(), {
+      before: { status: shift.status, assignedTo: shift.assignedTo },
+      decisions: [],
+      approvalAction: null,
+    });
+  });
+
+  // approvalAction ('approved' or 'swapped') is set when the shift changed hands
+  const noteDecision = (shiftId, entry, approvalAction = null) => {
+    const touched = touchedShifts.get(shiftId.toString());
+    if (!touched) return;
+    touched.decisions.push(entry);
+    if (approvalAction) touched.approvalAction = approvalAction;
+  };
+
+  const results = [];
+  const seen = new Set();
+
+  for (const requestId of swapRequestIds) {
+    const key = requestId.toString();
+
+    if (seen.has(key)) {
+      results.push({ requestId, result: 'skipped', reason: 'Listed more than once in this batch' });
+      continue;
+    }
+    seen.add(key);
+
+    // Re-read: an earlier item in the batch may have closed this request
+    const current = await ShiftSwapRequest.findById(requestId).select('status');
+    if (!current) {
+      results.push({ requestId, result: 'failed', reason: 'Swap request not found' });
+      continue;
+    }
+    if (current.status !== 'pending') {
+      results.push({ requestId, result: 'skipped', reason: `Request is already ${current.status}` });
+      continue;
+    }
+
+    try {
+      if (decision === 'approve') {
+        const outcome = await exports.approveSwapRequest(requestId, managerId, {
+          override: options.override,
+          overrideJustification: options.overrideJustification,
+          recordHistory: false,
+        });
+
+        if (outcome.stepApproved) {
+          // Multi-level chain: this manager's step is signed off, the next approver decides
+          noteDecision(outcome.swapRequest.shift, {
+            swapRequest: requestId,
+            decision: 'step_approved',
+            step: outcome.step.name,
+            actingFor: outcome.actingFor,
+            overrideJustification: outcome.overrideDetails ? outcome.overrideDetails.justification : null,
+          });
+
+          results.push({
+            requestId,
+            result: 'advanced',
+            reason: outcome.nextStep ? `Waiting for "${outcome.nextStep.name}"` : null,
+            warnings: outcome.validation.warnings,
+          });
+          continue;
+        }
+
+        if (!outcome.approved) {
+          results.push({
+            requestId,
+            result: 'failed',
+            reason: 'Approval validation failed',
+            errors: outcome.validation.failures,
+            warnings: outcome.validation.warnings,
+          });
+          continue;
+        }
+
+        const action = outcome.shifts.length > 1 ? 'swapped' : 'approved';
+        outcome.shifts.forEach(shift => noteDecision(shift._id, {
+          swapRequest: requestId,
+          decision: 'approved',
+          autoRejectedCount: outcome.autoRejectedCount,
+          actingFor: outcome.actingFor,
+          override: outcome.overrideDetails,
+        }, action));
+
+        results.push({
+          requestId,
+          result: 'approved',
+          autoRejectedCount: outcome.autoRejectedCount,
+          overriddenFailures: outcome.overrideDetails ? outcome.overrideDetails.failures : [],
+          warnings: outcome.validation.warnings,
+        });
+      } else {
+        const { swapRequest, actingFor } = await exports.rejectSwapRequest(requestId, managerId, { recordHistory: false });
+
+        noteDecision(swapRequest.shift, { swapRequest: requestId, decision: 'rejected', actingFor });
+        results.push({ requestId, result: 'rejected' });
+      }
+    } catch (error) {
+      // Conflicts and other errors fail this item only
+      results.push({ requestId, result: 'failed', reason: error.message });
+    }
+  }
+
+  // One consolidated history entry per shift that had a decision
+  const shiftsAfter = await Shift.find({ _id: { $in: shiftIds } });
+  for (const shift of shiftsAfter) {
+    const touched = touchedShifts.get(shift._id.toString());
+    if (!touched || touched.decisions.length === 0) continue;
+
+    const countOf = decision => touched.decisions.filter(d => d.decision === decision).length;
+    const autoRejectedCount = touched.decisions.reduce((sum, d) => sum + (d.autoRejectedCount || 0), 0);
+
+    // A shift changing hands outranks rejections, which outrank step sign-offs
+    const action = touched.approvalAction || (countOf('rejected') > 0 ? 'rejected' : 'status_changed');
+
+    // Each decision lists who it was made for; the entry does too when they all agree
+    const actingForIds = [...new Set(touched.decisions.map(d => (d.actingFor ? d.actingFor.toString() : null)))];
+    const onBehalfOf = actingForIds.length === 1 ? actingForIds[0] : null;
+
+    await shiftHistoryService.recordHistory(
+      shift._id,
+      action,
+      managerId,
+      touched.before,
+      {
+        status: shift.status,
+        assignedTo: shift.assignedTo,
+        decisions: touched.decisions,
+      },
+      `Bulk decision by manager: ${countOf('approved')} approved, ${countOf('step_approved')} approval step(s) signed off, ${countOf('rejected')} rejected, ${autoRejectedCount} competing request(s) automatically rejected`,
+      null,
+      onBehalfOf
+    );
+  }
+
+  const summary = { approved: 0, advanced: 0, rejected: 0, failed: 0, skipped: 0 };
+  results.forEach(item => { summary[item.result] += 1; });
+
+  return { results, summary };
+};
@@ -0,0 +1,243 @@
+/**
+ * ==================================================
+ * SWAP CYCLE MATCHING SERVICE
+ * ==================================================
+ * Finds closed trade cycles among open 'swap' requests.
+ *
+ * Each swap request is a node:
+ * - It gives away its offeredShift
+ * - It wants its requested shift or any of its preferredReplacementShifts
+ *
+ * There is an edge A → B when B gives away a shift A wants.
+ * A cycle A → B → C → A means everyone can get a shift they asked for
+ * by passing their own shift along the cycle.
+ *
+ * Every participant must still pass the credential and overlap checks
+ * for the shift they would receive.
+ */
+
+const ShiftSwapRequest = require('../models/ShiftSwapRequest');
+const SwapCycle = require('../models/SwapCycle');
+const credentialVerificationService = require('./credentialVerificationService');
+const shiftOverlapValidationService = require('./shiftOverlapValidationService');
+
+// Longest cycle the engine will propose (longer trades are hard to coordinate)
+const MAX_CYCLE_LENGTH = 5;
+
+// Stop searching after this many candidate cycles to keep matching fast
+const MAX_CANDIDATES = 500;
+
+/**
+ * Build the key used to recognise the same cycle across matching runs
+ *
+ * @param {Array} swapRequestIds - IDs of the requests in the cycle
+ * @returns {string}
+ */
+const buildCycleKey = (swapRequestIds) => {
+  return swapRequestIds.map(id => id.toString()).sort().join(':');
+};
+
+/**
+ * Find every simple cycle in the request graph up to MAX_CYCLE_LENGTH
+ *
+ * Cycles are only started from their lowest-index node so each cycle
+ * is found once.
+ *
+ * @param {Array} edges - edges[i] is the list of node indexes node i can receive from
+ * @returns {Array} Array of cycles, each an array of node indexes
+ */
+const findCycles = (edges) => {
+  const cycles = [];
+
+  for (let start = 0; start < edges.length && cycles.length < MAX_CANDIDATES; start++) {
+    const path = [start];
+    const onPath = new Set([start]);
+
+    const visit = (node) => {
+      for (const nextNode of edges[node]) {
+        if (cycles.length >= MAX_CANDIDATES) return;
+
+        if (nextNode === start && path.length >= 2) {
+          cycles.push([...path]);
+        } else if (nextNode > start && !onPath.has(nextNode) && path.length < MAX_CYCLE_LENGTH) {
+          path.push(nextNode);
+          onPath.add(nextNode);
+          visit(nextNode);
+          path.pop();
+          onPath.delete(nextNode);
+        }
+      }
+    };
+
+    visit(start);
+  }
+
+  return cycles;
+};
+
+/**
+ * Check every participant in a cycle can take the shift they would receive
+ *
+ * @param {Array} participants - [{ user, givesShift, receivesShift }] with shifts populated
+ * @returns {Promise<Object>} { isValid: boolean, failures: Array }
+ */
+exports.validateCycle = async (participants) => {
+  const failures = [];
+
+  for (const participant of participants) {
+    const { user, givesShift, receivesShift } = participant;
+
+    const credentialCheck = await credentialVerificationService.verifyUserCredentials(
+      user,
+      receivesShift.requiredCredentials
+    );
+
+    if (!credentialCheck.isValid) {
+      failures.push({
+        type: 'credentials',
+        user,
+        shift: receivesShift._id,
+        credentialCheck,
+      });
+    }
+
+    // The shift being given away and the one being received are ignored:
+    // after the trade the participant holds only the received shift
+    const overlapCheck = await shiftOverlapValidationService.validateShiftOverlap(
+      {
+        assignedTo: user,
+        department: receivesShift.department,
+        date: receivesShift.date,
+        startTime: receivesShift.startTime,
+        endTime: receivesShift.endTime,
+      },
+      [givesShift._id, receivesShift._id]
+    );
+
+    if (!overlapCheck.isValid) {
+      failures.push({
+        type: 'overlap',
+        user,
+        shift: receivesShift._id,
+        errors: overlapCheck.errors,
+      });
+    }
+  }
+
+  return {
+    isValid: failures.length === 0,
+    failures,
+  };
+};
+
+/**
+ * Find and save new swap cycles
+ *
+ * Steps:
+ * 1. Load open swap requests that are not already in a proposed cycle
+ * 2. Build the "wants a shift given by" graph
+ * 3. Enumerate cycles, shortest and oldest first
+ * 4. Keep cycles that pass validation and don't share a request with
+ *    a cycle already chosen
+ * 5. Save them as 'proposed' for manager review
+ *
+ * @returns {Promise<Array>} Newly proposed SwapCycle documents
+ */
+exports.findSwapCycles = async () => {
+  // Requests already tied up in a proposed cycle can't join another one
+  const proposedCycles = await SwapCycle.find({ status: 'proposed' }).select('participants.swapRequest');
+  const busyRequestIds = proposedCycles.flatMap(cycle =>
+    cycle.participants.map(p => p.swapRequest)
+  );
+
+  // Cycles a manager has already rejected are not proposed again
+  const rejectedKeys = new Set(
+    (await SwapCycle.find({ status: 'rejected' }).select('key')).map(cycle => cycle.key)
+  );
+
+  const requests = await ShiftSwapRequest.find({
+    _id: { $nin: busyRequestIds },
+    swapType: 'swap',
+    status: { $in: ['awaiting_counterparty', 'pending'] },
+    offeredShift: { $ne: null },
+  })
+    .populate('offeredShift')
+    .populate('shift')
+    .populate('preferredReplacementShifts')
+    .sort({ createdAt: 1 });
+
+  // Only offered shifts still held by the requester can be traded
+  const nodes = requests.filter(request =>
+    request.offeredShift &&
+    request.offeredShift.status === 'approved' &&
+    request.offeredShift.assignedTo?.toString() === request.requestedBy.toString()
+  );
+
+  // Map offered shift ID -> node index
+  const givenBy = new Map();
+  nodes.forEach((request, index) => {
+    givenBy.set(request.offeredShift._id.toString(), index);
+  });
+
+  // edges[i] = nodes whose offered shift node i wants
+  const edges = nodes.map(request => {
+    const wanted = [request.shift, ...request.preferredReplacementShifts].filter(Boolean);
+    const targets = new Set();
+
+    wanted.forEach(shift => {
+      const target = givenBy.get(shift._id.toString());
+      if (target !== undefined && nodes[target].requestedBy.toString() !== request.requestedBy.toString()) {
+        targets.add(target);
+      }
+    });
+
+    return [...targets];
+  });
+
+  // Shorter cycles first (simpler to coordinate), then the oldest requests
+  const candidates = findCycles(edges).sort((a, b) => a.length - b.length || Math.min(...a) - Math.min(...b));
+
+  const usedNodes = new Set();
+  const proposed = [];
+
+  for (const cycle of candidates) {
+    if (cycle.some(index => usedNodes.has(index))) continue;
+
+    // The same person can't appear twice in one cycle
+    const users = cycle.map(index => nodes[index].requestedBy.toString());
+    if (new Set(users).size !== users.length) continue;
+
+    const key = buildCycleKey(cycle.map(index => nodes[index]._id));
+    if (rejectedKeys.has(key)) continue;
+
+    // Participant i receives the shift given by the next node in the cycle
+    const participants = cycle.map((index, position) => {
+      const request = nodes[index];
+      const giver = nodes[cycle[(position + 1) % cycle.length]];
+      return {
+        swapRequest: request._id,
+        user: request.requestedBy,
+        givesShift: request.offeredShift,
+        receivesShift: giver.offeredShift,
+      };
+    });
+
+    const validation = await exports.validateCycle(participants);
+    if (!validation.isValid) continue;
+
+    const swapCycle = await SwapCycle.create({
+      participants: participants.map(p => ({
+        swapRequest: p.swapRequest,
+        user: p.user,
+        givesShift: p.givesShift._id,
+        receivesShift: p.receivesShift._id,
+      })),
+      key,
+    });
+
+    cycle.forEach(index => usedNodes.add(index));
+    proposed.push(swapCycle);
+  }
+
+  return proposed;
+};
@@ -0,0 +1,152 @@
+/**
+ * ==================================================
+ * SWAP REQUEST EXPIRY SERVICE
+ * ==================================================
+ * Background job that enforces ShiftSwapRequest.responseDeadline.
+ *
+ * Every run it finds requests still waiting (on a colleague or a
+ * manager) whose deadline has passed and:
+ * - Moves them to 'expired'
+ * - Sets an open-shift request's shift back to 'open'
+ * - Notifies the requester
+ * - Records the change in shift history
+ */
+
+const ShiftSwapRequest = require('../models/ShiftSwapRequest');
+const Shift = require('../models/Shift');
+const Notification = require('../models/Notification');
+const shiftHistoryService = require('./shiftHistoryService');
+const shiftSwapService = require('./shiftSwapService');
+const transactionService = require('./transactionService');
+const logger = require('../utils/logger');
+
+// How often the job runs (minutes), overridable from .env
+const DEFAULT_INTERVAL_MINUTES = 5;
+
+let timer = null;
+let isRunning = false;
+
+/**
+ * Expire a single overdue request
+ *
+ * Runs in one transaction so the request is never left expired with
+ * its shift still held in 'requested'. The status update is
+ * conditional so a request approved or rejected at the same moment is
+ * left alone.
+ *
+ * @param {Object} overdueRequest - ShiftSwapRequest document
+ * @returns {Promise<Boolean>} True if this run expired the request
+ */
+const expireRequest = (overdueRequest) => {
+  return transactionService.runInTransaction(async (session) => {
+    const swapRequest = await ShiftSwapRequest.findOneAndUpdate(
+      { _id: overdueRequest._id, status: { $in: ShiftSwapRequest.OPEN_STATUSES } },
+      { status: 'expired' },
+      { session }
+    );
+
+    if (!swapRequest) return false;
+
+    const shift = await Shift.findById(swapRequest.shift).session(session);
+    if (!shift) return true;
+
+    const isTwoPartySwap = swapRequest.swapType === 'swap' && swapRequest.offeredShift;
+    const previousShiftStatus = shift.status;
+
+    // Open-shift requests hold the shift in 'requested'; release it unless
+    // someone else is still waiting on it
+    if (!isTwoPartySwap) {
+      await shiftSwapService.reopenShiftIfUnclaimed(shift, session);
+    }
+
+    // findOneAndUpdate returns the request as it was before the update
+    await shiftHistoryService.recordHistory(
+      shift._id,
+      'status_changed',
+      null,
+      { swapRequest: swapRequest._id, requestStatus: swapRequest.status, shiftStatus: previousShiftStatus },
+      { swapRequest: swapRequest._id, requestStatus: 'expired', shiftStatus: shift.status },
+      'Swap request expired after its response deadline',
+      session
+    );
+
+    await Notification.create([{
+      user: swapRequest.requestedBy,
+      message: `Your swap request for "${shift.title}" on ${shift.date.toDateString()} expired because it was not handled before the response deadline.`,
+      type: 'swap_expired',
+      relatedShift: shift._id,
+    }], { session });
+
+    return true;
+  });
+};
+
+/**
+ * Expire every request whose response deadline has passed
+ *
+ * A request that fails to expire is logged and left for the next run;
+ * it does not hold up the others.
+ *
+ * @param {Date} now - Reference time (defaults to current time)
+ * @returns {Promise<Number>} Number of requests expired
+ */
+exports.expireOverdueRequests = async (now = new Date()) => {
+  const overdueRequests = await ShiftSwapRequest.find({
+    status: { $in: ShiftSwapRequest.OPEN_STATUSES },
+    responseDeadline: { $lt: now },
+  });
+
+  let expiredCount = 0;
+  for (const overdueRequest of overdueRequests) {
+    try {
+      if (await expireRequest(overdueRequest)) {
+        expiredCount++;
+      }
+    } catch (error) {
+      logger.error(`Could not expire swap request ${overdueRequest._id}:`, error);
+    }
+  }
+
+  return expiredCount;
+};
+
+/**
+ * Start the expiry job inside the server process
+ *
+ * Runs once immediately, then every SWAP_EXPIRY_INTERVAL_MINUTES.
+ * A run is skipped if the previous one is still going.
+ *
+ * @returns {Object} The interval timer
+ */
+exports.startScheduler = () => {
+  if (timer) return timer;
+
+  const intervalMinutes = Number(process.env.SWAP_EXPIRY_INTERVAL_MINUTES) || DEFAULT_INTERVAL_MINUTES;
+
+  const run = async () => {
+    if (isRunning) return;
+    isRunning = true;
+
+    try {
+      await exports.expireOverdueRequests();
+    } catch (error) {
+      logger.error('Swap request expiry job failed:', error);
+    } finally {
+      isRunning = false;
+    }
+  };
+
+  run();
+  timer = setInterval(run, intervalMinutes * 60 * 1000);
+  return timer;
+};
+
+/**
+ * Stop the expiry job (used on shutdown and in tests)
+ */
+exports.stopScheduler = () => {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+};
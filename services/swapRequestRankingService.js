@@ -0,0 +1,119 @@
+/**
+ * ==================================================
+ * SWAP REQUEST RANKING SERVICE
+ * ==================================================
+ * Several staff can request the same open shift. This service
+ * ranks the competing requests for each shift so managers see
+ * the best candidate first.
+ *
+ * Each request gets a score between 0 and 1 built from:
+ * - Overtime impact: requests that keep the person under their
+ *   weekly threshold rank higher
+ * - Seniority: more years of experience ranks higher
+ * - Fairness: people who picked up fewer shifts recently rank higher
+ *
+ * Ties go to whoever asked first.
+ */
+
+const ShiftSwapRequest = require('../models/ShiftSwapRequest');
+
+// How much each factor counts towards the score (adds up to 1)
+const WEIGHTS = {
+  overtime: 0.4,
+  seniority: 0.3,
+  fairness: 0.3,
+};
+
+// Years of experience at which the seniority factor maxes out
+const SENIORITY_CAP_YEARS = 20;
+
+// Window used to count recently approved pickups for fairness
+const FAIRNESS_WINDOW_DAYS = 30;
+
+/**
+ * Count approved requests per user over the fairness window
+ *
+ * @param {Array} userIds - Users to count for
+ * @returns {Promise<Map>} userId string -> approved request count
+ */
+const getRecentPickupCounts = async (userIds) => {
+  const since = new Date();
+  since.setDate(since.getDate() - FAIRNESS_WINDOW_DAYS);
+
+  const counts = await ShiftSwapRequest.aggregate([
+    {
+      $match: {
+        requestedBy: { $in: userIds },
+        status: 'approved',
+        updatedAt: { $gte: since },
+      },
+    },
+    { $group: { _id: '$requestedBy', count: { $sum: 1 } } },
+  ]);
+
+  return new Map(counts.map(c => [c._id.toString(), c.count]));
+};
+
+/**
+ * Rank competing requests and attach queue details to each one
+ *
+ * @param {Array} requests - Plain request objects with populated shift and
+ *   requestedBy, and overtimeWarning (null when no overtime)
+ * @returns {Promise<Array>} Same requests, each with a `queue` field:
+ *   { position, size, score, factors }, sorted shift by shift with the
+ *   best-ranked request first
+ */
+exports.rankCompetingRequests = async (requests) => {
+  if (requests.length === 0) return [];
+
+  const userIds = requests.map(r => r.requestedBy._id);
+  const pickupCounts = await getRecentPickupCounts(userIds);
+
+  // Score every request
+  const scored = requests.map(request => {
+    const years = request.requestedBy.yearsOfExperience || 0;
+    const pickups = pickupCounts.get(request.requestedBy._id.toString()) || 0;
+
+    const factors = {
+      overtime: request.overtimeWarning ? 0 : 1,
+      seniority: Math.min(years, SENIORITY_CAP_YEARS) / SENIORITY_CAP_YEARS,
+      fairness: 1 / (1 + pickups),
+    };
+
+    const score =
+      factors.overtime * WEIGHTS.overtime +
+      factors.seniority * WEIGHTS.seniority +
+      factors.fairness * WEIGHTS.fairness;
+
+    return { request, factors, score: Math.round(score * 1000) / 1000 };
+  });
+
+  // Group by shift, keeping shifts in the order they were first seen
+  const queues = new Map();
+  scored.forEach(entry => {
+    const shiftId = entry.request.shift._id.toString();
+    if (!queues.has(shiftId)) queues.set(shiftId, []);
+    queues.get(shiftId).push(entry);
+  });
+
+  const ranked = [];
+  queues.forEach(queue => {
+    queue.sort((a, b) =>
+      b.score - a.score || new Date(a.request.createdAt) - new Date(b.request.createdAt)
+    );
+
+    queue.forEach((entry, index) => {
+      ranked.push({
+        ...entry.request,
+        queue: {
+          position: index + 1,
+          size: queue.length,
+          score: entry.score,
+          factors: entry.factors,
+        },
+      });
+    });
+  });
+
+  return ranked;
+};
@@ -0,0 +1,315 @@
+/**
+ * ==================================================
+ * TIME OFF SERVICE
+ * ==================================================
+ * Decides time off requests.
+ *
+ * Approving leave releases every shift the staff member was
+ * assigned during it: the shift is unassigned, set back to 'open'
+ * and its recorded work hours are removed, all in one transaction
+ * with the approval itself. From then on the leave is a hard
+ * conflict in shiftOverlapValidationService.
+ *
+ * Approval also deducts the leave from the user's balance when the
+ * leave type has a policy (see leaveBalanceService).
+ *
+ * Open swap requests and bids on released shifts are closed with the
+ * approval (they were made against the old assignee), and once it has
+ * committed each released shift is offered to its waitlist.
+ */
+
+const Shift = require('../models/Shift');
+const ShiftBid = require('../models/ShiftBid');
+const ShiftSwapRequest = require('../models/ShiftSwapRequest');
+const TimeOffRequest = require('../models/TimeOffRequest');
+const User = require('../models/User');
+const Notification = require('../models/Notification');
+const leaveBalanceService = require('./leaveBalanceService');
+const leaveRulesService = require('./leaveRulesService');
+const overtimeCalculationService = require('./overtimeCalculationService');
+const shiftHistoryService = require('./shiftHistoryService');
+const shiftOverlapValidationService = require('./shiftOverlapValidationService');
+const shiftWaitlistService = require('./shiftWaitlistService');
+const transactionService = require('./transactionService');
+const logger = require('../utils/logger');
+
+const { requestError } = transactionService;
+
+// Describe a leave period for messages, e.g. "Mon Mar 02 2026 - Fri Mar 06 2026"
+const describePeriod = (timeOff) => {
+  const start = timeOff.startDate.toDateString();
+  if (timeOff.isPartialDay) return `${start} ${timeOff.startTime}-${timeOff.endTime}`;
+  if (timeOff.endDate.getTime() === timeOff.startDate.getTime()) return start;
+  return `${start} - ${timeOff.endDate.toDateString()}`;
+};
+
+/**
+ * Find the shifts assigned to the staff member that the leave covers
+ *
+ * @param {Object} timeOff - TimeOffRequest document
+ * @param {ClientSession} session - Optional transaction session
+ * @returns {Promise<Array>} Shift documents
+ */
+exports.findAffectedShifts = async (timeOff, session = null) => {
+  const shifts = await Shift.find({
+    assignedTo: timeOff.user,
+    date: { $gte: timeOff.startDate, $lte: timeOff.endDate },
+  }).sort({ date: 1, startTime: 1 }).session(session);
+
+  return shifts.filter(shift => shiftOverlapValidationService.timeOffCoversShift(timeOff, shift));
+};
+
+/**
+ * Close open swap requests and bids on a shift released for leave
+ *
+ * They were made while the staff member still held the shift (a swap
+ * for it, or one offering it), so none of them can be carried out now.
+ *
+ * @param {Object} shift - Released shift
+ * @param {ObjectId} managerId - Manager approving the leave
+ * @param {ClientSession} session - Transaction session
+ */
+const closeReleasedShiftActivity = async (shift, managerId, session) => {
+  const openRequests = await ShiftSwapRequest.find({
+    $or: [{ shift: shift._id }, { offeredShift: shift._id }],
+    status: { $in: ShiftSwapRequest.OPEN_STATUSES },
+  }).session(session);
+
+  if (openRequests.length > 0) {
+    await ShiftSwapRequest.updateMany(
+      { _id: { $in: openRequests.map(r => r._id) } },
+      { status: 'rejected', manager: managerId },
+      { session }
+    );
+
+    await Notification.insertMany(openRequests.map(request => ({
+      user: request.requestedBy,
+      message: `Your swap request involving "${shift.title}" on ${shift.date.toDateString()} was closed because the shift was released for approved leave.`,
+      type: 'rejection',
+      relatedShift: shift._id,
+    })), { session });
+  }
+
+  const activeBids = await ShiftBid.find({ shift: shift._id, status: 'active' }).session(session);
+  if (activeBids.length > 0) {
+    await ShiftBid.updateMany(
+      { _id: { $in: activeBids.map(b => b._id) } },
+      { status: 'lost', decidedBy: managerId },
+      { session }
+    );
+
+    await Notification.insertMany(activeBids.map(bid => ({
+      user: bid.user,
+      message: `Bidding on "${shift.title}" on ${shift.date.toDateString()} was closed because the shift was released for approved leave.`,
+      type: 'shift_bid',
+      relatedShift: shift._id,
+    })), { session });
+  }
+};
+
+/**
+ * Check whether a user already has pending or approved leave overlapping a period
+ *
+ * @param {ObjectId} userId - Staff member
+ * @param {Date} startDate - First day of the new request
+ * @param {Date} endDate - Last day of the new request
+ * @returns {Promise<Object|null>} The overlapping request, if any
+ */
+exports.findOverlappingTimeOff = async (userId, startDate, endDate) => {
+  return TimeOffRequest.findOne({
+    user: userId,
+    status: { $in: ['pending', 'approved'] },
+    startDate: { $lte: endDate },
+    endDate: { $gte: startDate },
+  });
+};
+
+/**
+ * Let the staff member's department managers know a request is waiting
+ *
+ * @param {Object} timeOff - TimeOffRequest document
+ * @param {Object} user - Staff member who asked for leave
+ * @returns {Promise<Number>} Number of managers notified
+ */
+exports.notifyManagers = async (timeOff, user) => {
+  const managers = await User.find({
+    role: 'manager',
+    department: user.department,
+    isActive: true,
+  }).select('_id');
+
+  if (managers.length === 0) return 0;
+
+  await Notification.insertMany(managers.map(manager => ({
+    user: manager._id,
+    message: `${user.name} has requested ${timeOff.type} leave for ${describePeriod(timeOff)}.`,
+    type: 'time_off_request',
+    requiresAction: true,
+  })));
+
+  return managers.length;
+};
+
+/**
+ * Approve a time off request and release the shifts it covers
+ *
+ * Steps (in one transaction):
+ * 1. Check the request is still pending
+ * 2. Re-check department blackouts and the leave cap (other leave may
+ *    have been approved since it was requested, or is being approved
+ *    right now; see leaveRulesService.claimDepartmentLeave)
+ * 3. Deduct the leave from the balance (fails if there is not enough)
+ * 4. Mark it approved
+ * 5. Unassign and reopen each covered shift, removing its work hours
+ * 6. Close open swap requests and bids on each released shift
+ * 7. Record history on each released shift
+ * 8. Notify the staff member
+ *
+ * After the transaction commits, each released shift is offered to the
+ * next eligible person on its waitlist.
+ *
+ * @param {ObjectId} timeOffRequestId - Time off request ID
+ * @param {ObjectId} managerId - Manager approving
+ * @param {Object} options
+ * @param {String} options.managerNote - Optional note for the staff member
+ * @returns {Promise<Object>} { timeOffRequest, releasedShifts, deduction }
+ */
+exports.approveTimeOffRequest = async (timeOffRequestId, managerId, { managerNote } = {}) => {
+  const result = await transactionService.runInTransaction(async (session) => {
+    const timeOff = await TimeOffRequest.findById(timeOffRequestId).session(session);
+
+    if (!timeOff) {
+      throw requestError('Time off request not found', 404);
+    }
+
+    if (timeOff.status !== 'pending') {
+      throw requestError('This time off request has already been handled');
+    }
+
+    const user = await User.findById(timeOff.user).session(session);
+    // Serialise approvals for the department so the cap re-check can't race
+    await leaveRulesService.claimDepartmentLeave(user.facility, user.department, session);
+    const rulesCheck = await leaveRulesService.checkTimeOff(timeOff, user, session);
+    if (!rulesCheck.isValid) {
+      throw requestError(rulesCheck.errors.map(e => e.message).join('; '), 400);
+    }
+
+    const deduction = await leaveBalanceService.deductForTimeOff(timeOff, managerId, session);
+
+    const releasedShifts = await exports.findAffectedShifts(timeOff, session);
+
+    for (const shift of releasedShifts) {
+      const previousStatus = shift.status;
+
+      shift.assignedTo = null;
+      shift.status = 'open';
+      await shift.save({ session });
+
+      await overtimeCalculationService.removeWorkHours(timeOff.user, shift._id, session);
+
+      await closeReleasedShiftActivity(shift, managerId, session);
+
+      await shiftHistoryService.recordHistory(
+        shift._id,
+        'unassigned',
+        managerId,
+        { assignedTo: timeOff.user, status: previousStatus },
+        { assignedTo: null, status: 'open', timeOffRequest: timeOff._id },
+        `Released because ${timeOff.type} leave was approved`,
+        session
+      );
+    }
+
+    timeOff.status = 'approved';
+    timeOff.manager = managerId;
+    timeOff.managerNote = managerNote;
+    timeOff.decidedAt = new Date();
+    timeOff.releasedShifts = releasedShifts.map(s => s._id);
+    timeOff.hoursDeducted = deduction ? deduction.hours : 0;
+    await timeOff.save({ session });
+
+    const released = releasedShifts.length > 0
+      ? ` ${releasedShifts.length} shift(s) during your leave have been released.`
+      : '';
+    const balance = deduction
+      ? ` ${deduction.hours}h deducted; ${deduction.balanceAfter}h ${timeOff.type} leave left.`
+      : '';
+
+    await Notification.create([{
+      user: timeOff.user,
+      message: `Your ${timeOff.type} leave for ${describePeriod(timeOff)} has been approved.${released}${balance}`,
+      type: 'approval',
+    }], { session });
+
+    return { timeOffRequest: timeOff, releasedShifts, deduction };
+  });
+
+  // The approval stands even if an offer fails; the waitlist job retries it
+  for (const shift of result.releasedShifts) {
+    try {
+      await shiftWaitlistService.offerNext(shift._id);
+    } catch (error) {
+      logger.error(`Could not offer released shift ${shift._id} to its waitlist:`, error);
+    }
+  }
+
+  return result;
+};
+
+/**
+ * Reject a time off request
+ *
+ * @param {ObjectId} timeOffRequestId - Time off request ID
+ * @param {ObjectId} managerId - Manager rejecting
+ * @param {Object} options
+ * @param {String} options.managerNote - Optional note for the staff member
+ * @returns {Promise<Object>} The updated TimeOffRequest document
+ */
+exports.rejectTimeOffRequest = async (timeOffRequestId, managerId, { managerNote } = {}) => {
+  const timeOff = await TimeOffRequest.findOneAndUpdate(
+    { _id: timeOffRequestId, status: 'pending' },
+    { status: 'rejected', manager: managerId, managerNote, decidedAt: new Date() },
+    { new: true }
+  );
+
+  if (!timeOff) {
+    const exists = await TimeOffRequest.exists({ _id: timeOffRequestId });
+    throw exists
+      ? requestError('This time off request has already been handled')
+      : requestError('Time off request not found', 404);
+  }
+
+  await Notification.create({
+    user: timeOff.user,
+    message: `Your ${timeOff.type} leave for ${describePeriod(timeOff)} has been rejected.${managerNote ? ` Note: ${managerNote}` : ''}`,
+    type: 'rejection',
+  });
+
+  return timeOff;
+};
+
+/**
+ * Cancel a pending time off request on behalf of the person who made it
+ *
+ * The status only changes if the request is still pending, inside a
+ * transaction, so an approval landing at the same moment is never
+ * flipped to cancelled after its shifts were released.
+ *
+ * @param {ObjectId} timeOffRequestId - Time off request ID
+ * @returns {Promise<Object>} The updated TimeOffRequest document
+ */
+exports.cancelTimeOffRequest = async (timeOffRequestId) => {
+  return transactionService.runInTransaction(async (session) => {
+    const timeOff = await TimeOffRequest.findOneAndUpdate(
+      { _id: timeOffRequestId, status: 'pending' },
+      { status: 'cancelled' },
+      { new: true, session }
+    );
+
+    if (!timeOff) {
+      throw requestError('This time off request has already been handled');
+    }
+
+    return timeOff;
+  });
+};
@@ -0,0 +1,53 @@
+/**
+ * ==================================================
+ * TRANSACTION SERVICE
+ * ==================================================
+ * Small helpers for running several writes as one unit.
+ *
+ * MongoDB transactions need a replica set (MongoDB Atlas, or a
+ * local single-node replica set started with --replSet).
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * Run a function inside a MongoDB transaction
+ *
+ * The function receives the session and must pass it to every read
+ * and write. Transient errors (e.g. write conflicts with a concurrent
+ * transaction) are retried automatically by the driver; anything the
+ * function throws aborts the whole transaction.
+ *
+ * @param {Function} work - async (session) => result
+ * @returns {Promise<*>} Whatever work returned
+ */
+exports.runInTransaction = async (work) => {
+  const session = await mongoose.startSession();
+
+  try {
+    let result;
+
+    await session.withTransaction(async () => {
+      result = await work(session);
+    });
+
+    return result;
+  } finally {
+    session.endSession();
+  }
+};
+
+/**
+ * Build an error the error handler will send with the given status code
+ *
+ * Throwing one of these inside runInTransaction aborts the transaction.
+ *
+ * @param {string} message - Error message
+ * @param {number} statusCode - HTTP status code (defaults to 409 Conflict)
+ * @returns {Error}
+ */
+exports.requestError = (message, statusCode = 409) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
@@ -0,0 +1,144 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+
+const { session, query, stubTransactions, doc, shiftDoc } = require('./helpers');
+const ShiftSwapRequest = require('../models/ShiftSwapRequest');
+const User = require('../models/User');
+const Notification = require('../models/Notification');
+const approvalChainService = require('../services/approvalChainService');
+const approvalValidationService = require('../services/approvalValidationService');
+const delegationService = require('../services/delegationService');
+const shiftHistoryService = require('../services/shiftHistoryService');
+const shiftSwapService = require('../services/shiftSwapService');
+const swapApprovalService = require('../services/swapApprovalService');
+
+const chain = () => [
+  { name: 'Charge nurse', approverRole: 'charge_nurse', status: 'pending' },
+  { name: 'Unit manager', approverRole: null, approver: null, status: 'pending' },
+];
+
+const chainRequest = (t, shift, currentApprovalStep) => doc(t, {
+  requestedBy: doc(t, { name: 'Ada' }),
+  shift,
+  status: 'pending',
+  swapType: 'open_shift',
+  offeredShift: null,
+  approvalChain: chain(),
+  currentApprovalStep,
+});
+
+test('deciding a step only applies while it is still the current step', async (t) => {
+  const update = t.mock.method(ShiftSwapRequest, 'findOneAndUpdate', () => query({ currentApprovalStep: 1 }));
+  const id = new mongoose.Types.ObjectId();
+
+  await approvalChainService.decideStep(id, 0, 'approved', new mongoose.Types.ObjectId(), { session });
+
+  const [filter, change, options] = update.mock.calls[0].arguments;
+  assert.deepStrictEqual(filter, { _id: id, status: 'pending', currentApprovalStep: 0 });
+  assert.strictEqual(change.$set['approvalChain.0.status'], 'approved');
+  assert.deepStrictEqual(change.$inc, { currentApprovalStep: 1 });
+  assert.strictEqual(options.session, session);
+});
+
+test('rejecting a step does not move the chain on', async (t) => {
+  const update = t.mock.method(ShiftSwapRequest, 'findOneAndUpdate', () => query({}));
+
+  await approvalChainService.decideStep(new mongoose.Types.ObjectId(), 1, 'rejected', new mongoose.Types.ObjectId());
+
+  const change = update.mock.calls[0].arguments[1];
+  assert.strictEqual(change.$set['approvalChain.1.status'], 'rejected');
+  assert.strictEqual(change.$inc, undefined);
+});
+
+test('a second decision on the same step returns 409', async (t) => {
+  t.mock.method(ShiftSwapRequest, 'findOneAndUpdate', () => query(null));
+
+  await assert.rejects(
+    approvalChainService.decideStep(new mongoose.Types.ObjectId(), 0, 'approved', new mongoose.Types.ObjectId()),
+    { statusCode: 409 }
+  );
+});
+
+test('signing off an intermediate step hands the request to the next approver without carrying out the swap', async (t) => {
+  const shift = shiftDoc(t, { status: 'requested' });
+  const swapRequest = chainRequest(t, shift, 0);
+  const managerId = new mongoose.Types.ObjectId();
+
+  const transactions = stubTransactions(t);
+  t.mock.method(ShiftSwapRequest, 'findById', () => query(swapRequest));
+  t.mock.method(delegationService, 'assertCanDecide', async () => null);
+  t.mock.method(approvalValidationService, 'validateSwapRequest', async () => ({ isValid: true, failures: [], warnings: [] }));
+  t.mock.method(ShiftSwapRequest, 'findOneAndUpdate', () => query({ ...swapRequest, currentApprovalStep: 1 }));
+  t.mock.method(shiftHistoryService, 'recordHistory', async () => {});
+  const assign = t.mock.method(shiftSwapService, 'assignRequestedShift', async () => ({ shift }));
+
+  // The final step is generic, so nobody is named to notify
+  const findApprovers = t.mock.method(User, 'find', () => query([]));
+
+  const outcome = await swapApprovalService.approveSwapRequest(swapRequest._id, managerId);
+
+  assert.strictEqual(outcome.approved, false);
+  assert.strictEqual(outcome.stepApproved, true);
+  assert.strictEqual(outcome.step.name, 'Charge nurse');
+  assert.strictEqual(outcome.nextStep.name, 'Unit manager');
+  assert.strictEqual(transactions.mock.callCount(), 0);
+  assert.strictEqual(assign.mock.callCount(), 0);
+  assert.strictEqual(findApprovers.mock.callCount(), 0);
+  assert.strictEqual(shift.status, 'requested');
+});
+
+test('the next step\'s role holders are told it is waiting for them', async (t) => {
+  const shift = shiftDoc(t);
+  const holder = { _id: new mongoose.Types.ObjectId() };
+  const findApprovers = t.mock.method(User, 'find', () => query([holder]));
+  const notify = t.mock.method(Notification, 'insertMany', async () => []);
+
+  const notified = await approvalChainService.notifyApprovers(chain()[0], shift);
+
+  assert.strictEqual(notified, 1);
+  assert.deepStrictEqual(findApprovers.mock.calls[0].arguments[0], { isActive: true, approverRoles: 'charge_nurse' });
+  assert.strictEqual(notify.mock.calls[0].arguments[0][0].user, holder._id);
+});
+
+test('the final step is closed in the same transaction that carries out the swap', async (t) => {
+  const shift = shiftDoc(t, { status: 'requested' });
+  const swapRequest = chainRequest(t, shift, 1);
+  const managerId = new mongoose.Types.ObjectId();
+
+  stubTransactions(t);
+  t.mock.method(ShiftSwapRequest, 'findById', () => query(swapRequest));
+  t.mock.method(delegationService, 'assertCanDecide', async () => null);
+  t.mock.method(approvalValidationService, 'validateSwapRequest', async () => ({
+    isValid: true,
+    failures: [],
+    warnings: [],
+    overtimeCheck: { wouldExceed: false },
+  }));
+  const decide = t.mock.method(approvalChainService, 'decideStep', async () => swapRequest);
+  t.mock.method(shiftSwapService, 'assignRequestedShift', async () => ({ shift }));
+  const rejectCompeting = t.mock.method(shiftSwapService, 'rejectCompetingRequests', async () => 2);
+  t.mock.method(Notification, 'create', async () => []);
+
+  const outcome = await swapApprovalService.approveSwapRequest(swapRequest._id, managerId);
+
+  assert.strictEqual(outcome.approved, true);
+  assert.strictEqual(outcome.autoRejectedCount, 2);
+
+  const [, stepIndex, decision, decidedBy, options] = decide.mock.calls[0].arguments;
+  assert.deepStrictEqual([stepIndex, decision, decidedBy], [1, 'approved', managerId]);
+  assert.strictEqual(options.session, session);
+  assert.strictEqual(rejectCompeting.mock.calls[0].arguments[3], session);
+});
+
+test('role-based steps can be decided by staff holding the role, and only by them', () => {
+  const [roleStep, genericStep] = chain();
+  const shift = { department: 'ICU', facility: null };
+  const chargeNurse = { _id: new mongoose.Types.ObjectId(), role: 'staff', approverRoles: ['charge_nurse'] };
+  const manager = { _id: new mongoose.Types.ObjectId(), role: 'manager', approverRoles: [] };
+
+  assert.strictEqual(delegationService.resolveActingFor(chargeNurse, roleStep, shift, []).canAct, true);
+  assert.strictEqual(delegationService.resolveActingFor(manager, roleStep, shift, []).canAct, false);
+  assert.strictEqual(delegationService.resolveActingFor(chargeNurse, genericStep, shift, []).canAct, false);
+  assert.strictEqual(delegationService.resolveActingFor(manager, genericStep, shift, []).canAct, true);
+});
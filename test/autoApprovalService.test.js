@@ -0,0 +1,122 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+
+const { query, doc, shiftDoc } = require('./helpers');
+const AutoApprovalRule = require('../models/AutoApprovalRule');
+const ShiftSwapRequest = require('../models/ShiftSwapRequest');
+const approvalValidationService = require('../services/approvalValidationService');
+const autoApprovalService = require('../services/autoApprovalService');
+const swapApprovalService = require('../services/swapApprovalService');
+
+const rule = (conditions = {}) => ({
+  _id: new mongoose.Types.ObjectId(),
+  department: 'ICU',
+  conditions: { swapTypes: [], sameDepartment: false, allowEmergency: false, allowOvertime: false, ...conditions },
+});
+
+const setup = (t, { approvalChain = [], status = 'pending', rules = [rule()], validation } = {}) => {
+  const shift = shiftDoc(t, { status: 'requested', facility: new mongoose.Types.ObjectId() });
+  const swapRequest = doc(t, {
+    shift,
+    requestedBy: doc(t, { department: 'ICU' }),
+    offeredShift: null,
+    swapType: 'open_shift',
+    status,
+    approvalChain,
+    currentApprovalStep: 0,
+  });
+
+  t.mock.method(ShiftSwapRequest, 'findById', () => query(swapRequest));
+  const findRules = t.mock.method(AutoApprovalRule, 'find', () => query(rules));
+  t.mock.method(approvalValidationService, 'validateSwapRequest', async () => (
+    validation || { isValid: true, failures: [], warnings: [] }
+  ));
+  const approve = t.mock.method(swapApprovalService, 'approveSwapRequest', async () => ({ approved: true }));
+
+  return { swapRequest, findRules, approve };
+};
+
+test('a request without a chain that meets a rule is approved with no manager', async (t) => {
+  const { swapRequest, approve } = setup(t);
+
+  const outcome = await autoApprovalService.tryAutoApprove(swapRequest._id);
+
+  assert.strictEqual(outcome.approved, true);
+  const [id, managerId, options] = approve.mock.calls[0].arguments;
+  assert.strictEqual(id, swapRequest._id);
+  assert.strictEqual(managerId, null);
+  assert.ok(options.autoApprovalRule);
+});
+
+test('a single generic step can be approved automatically', async (t) => {
+  const { swapRequest, approve } = setup(t, { approvalChain: [{ name: 'Manager', approver: null, approverRole: null }] });
+
+  assert.ok(await autoApprovalService.tryAutoApprove(swapRequest._id));
+  assert.strictEqual(approve.mock.callCount(), 1);
+});
+
+test('multi-step chains are never approved automatically', async (t) => {
+  const { swapRequest, findRules, approve } = setup(t, {
+    approvalChain: [{ name: 'Manager' }, { name: 'Finance' }],
+  });
+
+  assert.strictEqual(await autoApprovalService.tryAutoApprove(swapRequest._id), null);
+  assert.strictEqual(findRules.mock.callCount(), 0);
+  assert.strictEqual(approve.mock.callCount(), 0);
+});
+
+test('a step naming an approver or approver role is never approved automatically', async (t) => {
+  for (const step of [
+    { name: 'Charge nurse', approverRole: 'charge_nurse' },
+    { name: 'Unit manager', approver: new mongoose.Types.ObjectId() },
+  ]) {
+    await t.test(step.name, async (t) => {
+      const { swapRequest, approve } = setup(t, { approvalChain: [step] });
+
+      assert.strictEqual(await autoApprovalService.tryAutoApprove(swapRequest._id), null);
+      assert.strictEqual(approve.mock.callCount(), 0);
+    });
+  }
+});
+
+test('requests that are not pending are left alone', async (t) => {
+  const { swapRequest, approve } = setup(t, { status: 'awaiting_counterparty' });
+
+  assert.strictEqual(await autoApprovalService.tryAutoApprove(swapRequest._id), null);
+  assert.strictEqual(approve.mock.callCount(), 0);
+});
+
+test('failed approval checks leave the request for a manager', async (t) => {
+  const { swapRequest, approve } = setup(t, {
+    validation: { isValid: false, failures: [{ type: 'credentials' }], warnings: [] },
+  });
+
+  assert.strictEqual(await autoApprovalService.tryAutoApprove(swapRequest._id), null);
+  assert.strictEqual(approve.mock.callCount(), 0);
+});
+
+test('overtime only auto-approves under a rule that allows it', async (t) => {
+  const validation = { isValid: true, failures: [], warnings: [{ type: 'overtime' }] };
+
+  await t.test('not allowed', async (t) => {
+    const { swapRequest, approve } = setup(t, { validation });
+    assert.strictEqual(await autoApprovalService.tryAutoApprove(swapRequest._id), null);
+    assert.strictEqual(approve.mock.callCount(), 0);
+  });
+
+  await t.test('allowed', async (t) => {
+    const { swapRequest, approve } = setup(t, { validation, rules: [rule({ allowOvertime: true })] });
+    assert.ok(await autoApprovalService.tryAutoApprove(swapRequest._id));
+    assert.strictEqual(approve.mock.callCount(), 1);
+  });
+});
+
+test('an approval that fails part-way leaves the request pending', async (t) => {
+  const { swapRequest, approve } = setup(t);
+  approve.mock.mockImplementation(async () => {
+    throw Object.assign(new Error('This approval step has already been decided by someone else'), { statusCode: 409 });
+  });
+
+  assert.strictEqual(await autoApprovalService.tryAutoApprove(swapRequest._id), null);
+});
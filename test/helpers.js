@@ -0,0 +1,103 @@
+/**
+ * Shared test helpers
+ *
+ * The tests run the services against stubbed model methods, so no
+ * database is needed. Each stub is installed with t.mock and removed
+ * when the test ends.
+ */
+
+const mongoose = require('mongoose');
+const transactionService = require('../services/transactionService');
+
+// Keep job and request error logs out of the test output
+process.env.LOG_LEVEL = 'silent';
+
+const session = { id: 'test-session' };
+
+/**
+ * Build a stand-in for a mongoose query that resolves to a value
+ *
+ * Chained calls (session, populate, select, sort, lean) are recorded
+ * in `calls` and return the same query.
+ *
+ * @param {*} value - What awaiting the query gives
+ * @returns {Object} Thenable query
+ */
+const query = (value) => {
+  const q = {
+    calls: [],
+    then: (resolve, reject) => Promise.resolve(value).then(resolve, reject),
+  };
+  for (const name of ['session', 'populate', 'select', 'sort', 'lean']) {
+    q[name] = (...args) => {
+      q.calls.push([name, ...args]);
+      return q;
+    };
+  }
+  return q;
+};
+
+/**
+ * Run transactions inline with a fake session
+ *
+ * @param {Object} t - Test context
+ * @returns {Object} The mock, to count transactions; its `active` flag is
+ *   true while a transaction is running
+ */
+const stubTransactions = (t) => {
+  const runInTransaction = t.mock.method(transactionService, 'runInTransaction', async (work) => {
+    runInTransaction.active = true;
+    try {
+      return await work(session);
+    } finally {
+      runInTransaction.active = false;
+    }
+  });
+  runInTransaction.active = false;
+  return runInTransaction;
+};
+
+/**
+ * Build a plain document with a stubbed save
+ *
+ * @param {Object} t - Test context
+ * @param {Object} fields - Document fields (an _id is added if missing)
+ * @returns {Object}
+ */
+const doc = (t, fields = {}) => {
+  const document = { _id: new mongoose.Types.ObjectId(), ...fields };
+  document.save = t.mock.fn(async () => document);
+  document.toObject = () => ({ ...document });
+  return document;
+};
+
+/**
+ * Build a shift starting some hours from now
+ *
+ * @param {Object} t - Test context
+ * @param {Object} fields - Overrides
+ * @param {Number} hoursAhead - Hours from now to the start (whole hours, UTC)
+ * @returns {Object}
+ */
+const shiftDoc = (t, fields = {}, hoursAhead = 48) => {
+  const start = new Date(Date.now() + hoursAhead * 60 * 60 * 1000);
+  const date = new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth(), start.getUTCDate()));
+  const startHour = String(start.getUTCHours()).padStart(2, '0');
+
+  return doc(t, {
+    title: 'Night cover',
+    department: 'ICU',
+    facility: null,
+    date,
+    startTime: `${startHour}:00`,
+    endTime: `${startHour}:59`,
+    status: 'open',
+    assignedTo: null,
+    postedBy: new mongoose.Types.ObjectId(),
+    requiredCredentials: [],
+    kind: 'regular',
+    ...fields,
+  });
+};
+
+module.exports = { session, query, stubTransactions, doc, shiftDoc };
@@ -0,0 +1,166 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+
+const { session, query, stubTransactions, doc, shiftDoc } = require('./helpers');
+const Shift = require('../models/Shift');
+const ShiftWaitlistEntry = require('../models/ShiftWaitlistEntry');
+const Notification = require('../models/Notification');
+const approvalValidationService = require('../services/approvalValidationService');
+const overtimeCalculationService = require('../services/overtimeCalculationService');
+const shiftHistoryService = require('../services/shiftHistoryService');
+const shiftWaitlistService = require('../services/shiftWaitlistService');
+
+const entry = (t, shift, fields = {}) => doc(t, {
+  shift: shift._id,
+  user: new mongoose.Types.ObjectId(),
+  status: 'waiting',
+  ...fields,
+});
+
+// Everyone is eligible unless listed
+const stubEligibility = (t, ineligibleUsers = []) => {
+  return t.mock.method(approvalValidationService, 'validateAssignment', async (userId) => (
+    ineligibleUsers.includes(userId)
+      ? { isValid: false, failures: [{ message: 'Missing or expired credentials for this shift' }], warnings: [] }
+      : { isValid: true, failures: [], warnings: [] }
+  ));
+};
+
+test('a freed shift is offered to the first eligible person, passing over the rest', async (t) => {
+  const shift = shiftDoc(t, {}, 1);
+  const first = entry(t, shift);
+  const second = entry(t, shift);
+
+  t.mock.method(Shift, 'findById', () => query(shift));
+  t.mock.method(shiftWaitlistService, 'hasPendingOffer', async () => false);
+  t.mock.method(ShiftWaitlistEntry, 'find', () => query([first, second]));
+  stubEligibility(t, [first.user]);
+  const offer = t.mock.method(ShiftWaitlistEntry, 'findOneAndUpdate', (filter, change) => query({ ...second, ...change }));
+  const notify = t.mock.method(Notification, 'create', async () => ({}));
+
+  const offered = await shiftWaitlistService.offerNext(shift._id);
+
+  assert.strictEqual(offered.user, second.user);
+  assert.strictEqual(offered.status, 'offered');
+  assert.deepStrictEqual(offer.mock.calls[0].arguments[0], { _id: second._id, status: 'waiting' });
+  // The default two-hour window is cut short by the start of the shift
+  const start = new Date(shift.date.getTime() + Number(shift.startTime.slice(0, 2)) * 60 * 60 * 1000);
+  assert.strictEqual(offered.offerExpiresAt.getTime(), start.getTime());
+  assert.strictEqual(notify.mock.calls[0].arguments[0].user, second.user);
+  assert.strictEqual(notify.mock.calls[0].arguments[0].type, 'waitlist_offer');
+});
+
+test('nothing is offered while the shift is filled or already on offer', async (t) => {
+  const filled = shiftDoc(t, { status: 'approved', assignedTo: new mongoose.Types.ObjectId() });
+  const onOffer = shiftDoc(t);
+  t.mock.method(Shift, 'findById', (id) => query(id === filled._id ? filled : onOffer));
+  t.mock.method(shiftWaitlistService, 'hasPendingOffer', async () => true);
+  const findWaiting = t.mock.method(ShiftWaitlistEntry, 'find', () => query([]));
+
+  assert.strictEqual(await shiftWaitlistService.offerNext(filled._id), null);
+  assert.strictEqual(await shiftWaitlistService.offerNext(onOffer._id), null);
+  assert.strictEqual(findWaiting.mock.callCount(), 0);
+});
+
+const setupAccept = (t, shift) => {
+  const offered = entry(t, shift, { status: 'offered', offerExpiresAt: new Date(Date.now() + 60 * 60 * 1000) });
+  const transactions = stubTransactions(t);
+  t.mock.method(ShiftWaitlistEntry, 'findOne', () => query(offered));
+  const claim = t.mock.method(ShiftWaitlistEntry, 'findOneAndUpdate', () => query({ ...offered, status: 'accepted' }));
+  t.mock.method(Shift, 'findById', () => query(shift));
+  const recordHours = t.mock.method(overtimeCalculationService, 'recordWorkHours', async () => ({}));
+  t.mock.method(shiftHistoryService, 'recordHistory', async () => {});
+  t.mock.method(Notification, 'create', async () => []);
+  return { offered, transactions, claim, recordHours };
+};
+
+test('accepting an offer assigns the shift in one transaction', async (t) => {
+  const shift = shiftDoc(t);
+  const { offered, transactions, claim, recordHours } = setupAccept(t, shift);
+  const eligibility = stubEligibility(t);
+  eligibility.mock.mockImplementation(async () => {
+    // Checked inside the transaction, against the shift as it is now
+    assert.strictEqual(transactions.active, true);
+    return { isValid: true, failures: [], warnings: [] };
+  });
+
+  const result = await shiftWaitlistService.acceptOffer(shift._id, offered.user);
+
+  assert.strictEqual(result.entry.status, 'accepted');
+  assert.strictEqual(shift.assignedTo, offered.user);
+  assert.strictEqual(shift.status, 'approved');
+  assert.deepStrictEqual(shift.save.mock.calls[0].arguments, [{ session }]);
+  assert.deepStrictEqual(claim.mock.calls[0].arguments[0], { _id: offered._id, status: 'offered' });
+  assert.strictEqual(recordHours.mock.calls[0].arguments[5], session);
+  assert.strictEqual(eligibility.mock.callCount(), 1);
+});
+
+test('someone no longer eligible cannot accept', async (t) => {
+  const shift = shiftDoc(t);
+  const { offered } = setupAccept(t, shift);
+  stubEligibility(t, [offered.user]);
+
+  await assert.rejects(shiftWaitlistService.acceptOffer(shift._id, offered.user), { statusCode: 400 });
+  assert.strictEqual(shift.assignedTo, null);
+  assert.strictEqual(shift.save.mock.callCount(), 0);
+});
+
+test('an offer for a shift filled in the meantime returns 409', async (t) => {
+  const shift = shiftDoc(t, { status: 'approved', assignedTo: new mongoose.Types.ObjectId() });
+  const { offered } = setupAccept(t, shift);
+  stubEligibility(t);
+
+  await assert.rejects(shiftWaitlistService.acceptOffer(shift._id, offered.user), { statusCode: 409 });
+  assert.strictEqual(shift.save.mock.callCount(), 0);
+});
+
+test('an expired offer cannot be accepted', async (t) => {
+  const shift = shiftDoc(t);
+  const { offered, transactions } = setupAccept(t, shift);
+  offered.offerExpiresAt = new Date(Date.now() - 1000);
+
+  await assert.rejects(shiftWaitlistService.acceptOffer(shift._id, offered.user), { statusCode: 400 });
+  assert.strictEqual(transactions.mock.callCount(), 0);
+});
+
+test('unanswered offers expire and pass to the next person, even when one fails', async (t) => {
+  const shift = shiftDoc(t);
+  const failing = entry(t, shift, { status: 'offered' });
+  const overdue = entry(t, shift, { status: 'offered' });
+
+  t.mock.method(ShiftWaitlistEntry, 'find', () => query([failing, overdue]));
+  const expire = t.mock.method(ShiftWaitlistEntry, 'findOneAndUpdate', (filter) => {
+    if (filter._id === failing._id) throw new Error('connection reset');
+    return query({ ...overdue, status: 'expired', shift });
+  });
+  const notify = t.mock.method(Notification, 'create', async () => ({}));
+  const offerNext = t.mock.method(shiftWaitlistService, 'offerNext', async () => null);
+
+  const now = new Date();
+  const expiredCount = await shiftWaitlistService.expireOffers(now);
+
+  assert.strictEqual(expiredCount, 1);
+  assert.deepStrictEqual(expire.mock.calls[1].arguments[0], { _id: overdue._id, status: 'offered' });
+  assert.strictEqual(notify.mock.calls[0].arguments[0].user, overdue.user);
+  assert.deepStrictEqual(offerNext.mock.calls[0].arguments, [shift._id, now]);
+});
+
+test('the job offers open shifts that have people waiting but no offer out', async (t) => {
+  const waitingShift = new mongoose.Types.ObjectId();
+  const onOfferShift = new mongoose.Types.ObjectId();
+
+  t.mock.method(ShiftWaitlistEntry, 'distinct', (field, filter) => query(
+    filter.status === 'waiting' ? [waitingShift, onOfferShift] : [onOfferShift]
+  ));
+  const findShifts = t.mock.method(Shift, 'find', () => query([{ _id: waitingShift }]));
+  const offerNext = t.mock.method(shiftWaitlistService, 'offerNext', async () => ({}));
+
+  assert.strictEqual(await shiftWaitlistService.offerFreedShifts(), 1);
+
+  const filter = findShifts.mock.calls[0].arguments[0];
+  assert.deepStrictEqual(filter._id.$in, [waitingShift]);
+  assert.strictEqual(filter.status, 'open');
+  assert.strictEqual(filter.assignedTo, null);
+  assert.strictEqual(offerNext.mock.calls[0].arguments[0], waitingShift);
+});
@@ -0,0 +1,103 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+
+const { session, query, stubTransactions, doc, shiftDoc } = require('./helpers');
+const ShiftSwapRequest = require('../models/ShiftSwapRequest');
+const Shift = require('../models/Shift');
+const Notification = require('../models/Notification');
+const shiftHistoryService = require('../services/shiftHistoryService');
+const swapRequestController = require('../controllers/swapRequestController');
+
+const response = () => ({
+  status(code) {
+    this.statusCode = code;
+    return this;
+  },
+  json(body) {
+    this.body = body;
+    return this;
+  },
+});
+
+const setup = (t, { status = 'pending', swapType = 'open_shift' } = {}) => {
+  const requesterId = new mongoose.Types.ObjectId();
+  const shift = shiftDoc(t, { status: 'requested' });
+  const swapRequest = doc(t, {
+    requestedBy: requesterId,
+    shift: shift._id,
+    status,
+    swapType,
+    offeredShift: swapType === 'swap' ? new mongoose.Types.ObjectId() : null,
+    counterparty: swapType === 'swap' ? new mongoose.Types.ObjectId() : null,
+  });
+
+  stubTransactions(t);
+  t.mock.method(ShiftSwapRequest, 'findById', () => query(swapRequest));
+  const findShift = t.mock.method(Shift, 'findById', () => query(shift));
+  const recordHistory = t.mock.method(shiftHistoryService, 'recordHistory', async () => {});
+  const notify = t.mock.method(Notification, 'create', async () => []);
+
+  const req = { params: { id: swapRequest._id.toString() }, user: { id: requesterId.toString(), name: 'Ada' }, body: {} };
+
+  return { shift, swapRequest, req, findShift, recordHistory, notify };
+};
+
+test('cancelling a request that was approved in the meantime returns 409 and leaves the shift alone', async (t) => {
+  const { req, findShift, recordHistory } = setup(t);
+  // The approval won the race, so the conditional update matches nothing
+  const update = t.mock.method(ShiftSwapRequest, 'findOneAndUpdate', () => query(null));
+
+  const res = response();
+  let error;
+  await swapRequestController.cancelSwapRequest(req, res, (err) => { error = err; });
+
+  assert.strictEqual(error.statusCode, 409);
+  assert.deepStrictEqual(update.mock.calls[0].arguments[0].status, { $in: ShiftSwapRequest.OPEN_STATUSES });
+  assert.strictEqual(update.mock.calls[0].arguments[2].session, session);
+  assert.strictEqual(findShift.mock.callCount(), 0);
+  assert.strictEqual(recordHistory.mock.callCount(), 0);
+  assert.strictEqual(res.body, undefined);
+});
+
+test('cancelling an open-shift request reopens the shift when nobody else is waiting', async (t) => {
+  const { shift, swapRequest, req, recordHistory } = setup(t);
+  t.mock.method(ShiftSwapRequest, 'findOneAndUpdate', () => query({ ...swapRequest, status: 'pending' }));
+  t.mock.method(ShiftSwapRequest, 'countDocuments', () => query(0));
+
+  const res = response();
+  await swapRequestController.cancelSwapRequest(req, res, assert.ifError);
+
+  assert.strictEqual(res.body.success, true);
+  assert.strictEqual(shift.status, 'open');
+  assert.deepStrictEqual(shift.save.mock.calls[0].arguments, [{ session }]);
+
+  const [, , , previous, next, , historySession] = recordHistory.mock.calls[0].arguments;
+  assert.strictEqual(previous.requestStatus, 'pending');
+  assert.strictEqual(previous.shiftStatus, 'requested');
+  assert.strictEqual(next.shiftStatus, 'open');
+  assert.strictEqual(historySession, session);
+});
+
+test('cancelling keeps the shift requested while another request is pending', async (t) => {
+  const { shift, swapRequest, req } = setup(t);
+  t.mock.method(ShiftSwapRequest, 'findOneAndUpdate', () => query({ ...swapRequest, status: 'pending' }));
+  t.mock.method(ShiftSwapRequest, 'countDocuments', () => query(1));
+
+  await swapRequestController.cancelSwapRequest(req, response(), assert.ifError);
+
+  assert.strictEqual(shift.status, 'requested');
+  assert.strictEqual(shift.save.mock.callCount(), 0);
+});
+
+test('cancelling a two-party swap notifies the colleague in the same transaction', async (t) => {
+  const { shift, swapRequest, req, notify } = setup(t, { swapType: 'swap' });
+  t.mock.method(ShiftSwapRequest, 'findOneAndUpdate', () => query({ ...swapRequest, status: 'awaiting_counterparty' }));
+
+  await swapRequestController.cancelSwapRequest(req, response(), assert.ifError);
+
+  assert.strictEqual(shift.status, 'requested');
+  const [notifications, options] = notify.mock.calls[0].arguments;
+  assert.strictEqual(notifications[0].user, swapRequest.counterparty);
+  assert.strictEqual(options.session, session);
+});
@@ -0,0 +1,110 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+
+const { session, query, stubTransactions, doc, shiftDoc } = require('./helpers');
+const ShiftSwapRequest = require('../models/ShiftSwapRequest');
+const Shift = require('../models/Shift');
+const Notification = require('../models/Notification');
+const shiftHistoryService = require('../services/shiftHistoryService');
+const swapRequestExpiryService = require('../services/swapRequestExpiryService');
+
+const overdueRequest = (t, shift, fields = {}) => doc(t, {
+  requestedBy: new mongoose.Types.ObjectId(),
+  shift: shift._id,
+  status: 'pending',
+  swapType: 'open_shift',
+  offeredShift: null,
+  ...fields,
+});
+
+const setup = (t, shift, overdue) => {
+  const transactions = stubTransactions(t);
+  t.mock.method(ShiftSwapRequest, 'find', () => query(overdue));
+  t.mock.method(Shift, 'findById', () => query(shift));
+  const recordHistory = t.mock.method(shiftHistoryService, 'recordHistory', async () => {});
+  const notify = t.mock.method(Notification, 'create', async () => []);
+  return { transactions, recordHistory, notify };
+};
+
+test('expiring an open-shift request reopens the shift in the same transaction', async (t) => {
+  const shift = shiftDoc(t, { status: 'requested' });
+  const request = overdueRequest(t, shift);
+  const { transactions, recordHistory, notify } = setup(t, shift, [request]);
+  const update = t.mock.method(ShiftSwapRequest, 'findOneAndUpdate', () => query({ ...request }));
+  t.mock.method(ShiftSwapRequest, 'countDocuments', () => query(0));
+
+  const expiredCount = await swapRequestExpiryService.expireOverdueRequests();
+
+  assert.strictEqual(expiredCount, 1);
+  assert.strictEqual(transactions.mock.callCount(), 1);
+  assert.deepStrictEqual(update.mock.calls[0].arguments[1], { status: 'expired' });
+  assert.strictEqual(update.mock.calls[0].arguments[2].session, session);
+
+  assert.strictEqual(shift.status, 'open');
+  assert.deepStrictEqual(shift.save.mock.calls[0].arguments, [{ session }]);
+
+  const [, , , previous, next, , historySession] = recordHistory.mock.calls[0].arguments;
+  assert.deepStrictEqual([previous.shiftStatus, next.shiftStatus], ['requested', 'open']);
+  assert.strictEqual(historySession, session);
+
+  const [[notification], options] = notify.mock.calls[0].arguments;
+  assert.strictEqual(notification.type, 'swap_expired');
+  assert.strictEqual(notification.user, request.requestedBy);
+  assert.strictEqual(options.session, session);
+});
+
+test('the shift stays requested while another request for it is pending', async (t) => {
+  const shift = shiftDoc(t, { status: 'requested' });
+  const request = overdueRequest(t, shift);
+  setup(t, shift, [request]);
+  t.mock.method(ShiftSwapRequest, 'findOneAndUpdate', () => query({ ...request }));
+  t.mock.method(ShiftSwapRequest, 'countDocuments', () => query(1));
+
+  assert.strictEqual(await swapRequestExpiryService.expireOverdueRequests(), 1);
+  assert.strictEqual(shift.status, 'requested');
+  assert.strictEqual(shift.save.mock.callCount(), 0);
+});
+
+test('an expired two-party swap leaves both shifts with their assignees', async (t) => {
+  const shift = shiftDoc(t, { status: 'approved', assignedTo: new mongoose.Types.ObjectId() });
+  const request = overdueRequest(t, shift, {
+    swapType: 'swap',
+    status: 'awaiting_counterparty',
+    offeredShift: new mongoose.Types.ObjectId(),
+  });
+  setup(t, shift, [request]);
+  t.mock.method(ShiftSwapRequest, 'findOneAndUpdate', () => query({ ...request }));
+  const countPending = t.mock.method(ShiftSwapRequest, 'countDocuments', () => query(0));
+
+  assert.strictEqual(await swapRequestExpiryService.expireOverdueRequests(), 1);
+  assert.strictEqual(shift.status, 'approved');
+  assert.strictEqual(countPending.mock.callCount(), 0);
+});
+
+test('a request handled at the same moment is left alone', async (t) => {
+  const shift = shiftDoc(t, { status: 'requested' });
+  const request = overdueRequest(t, shift);
+  const { recordHistory, notify } = setup(t, shift, [request]);
+  t.mock.method(ShiftSwapRequest, 'findOneAndUpdate', () => query(null));
+
+  assert.strictEqual(await swapRequestExpiryService.expireOverdueRequests(), 0);
+  assert.strictEqual(shift.status, 'requested');
+  assert.strictEqual(recordHistory.mock.callCount(), 0);
+  assert.strictEqual(notify.mock.callCount(), 0);
+});
+
+test('one request failing to expire does not hold up the rest', async (t) => {
+  const shift = shiftDoc(t, { status: 'requested' });
+  const failing = overdueRequest(t, shift);
+  const request = overdueRequest(t, shift);
+  setup(t, shift, [failing, request]);
+  t.mock.method(ShiftSwapRequest, 'findOneAndUpdate', (filter) => {
+    if (filter._id === failing._id) throw new Error('write conflict');
+    return query({ ...request });
+  });
+  t.mock.method(ShiftSwapRequest, 'countDocuments', () => query(0));
+
+  assert.strictEqual(await swapRequestExpiryService.expireOverdueRequests(), 1);
+  assert.strictEqual(shift.status, 'open');
+});
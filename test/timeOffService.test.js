@@ -0,0 +1,125 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+
+const { session, query, stubTransactions, doc, shiftDoc } = require('./helpers');
+const TimeOffRequest = require('../models/TimeOffRequest');
+const ShiftSwapRequest = require('../models/ShiftSwapRequest');
+const ShiftBid = require('../models/ShiftBid');
+const User = require('../models/User');
+const Notification = require('../models/Notification');
+const leaveBalanceService = require('../services/leaveBalanceService');
+const leaveRulesService = require('../services/leaveRulesService');
+const overtimeCalculationService = require('../services/overtimeCalculationService');
+const shiftHistoryService = require('../services/shiftHistoryService');
+const shiftWaitlistService = require('../services/shiftWaitlistService');
+const timeOffService = require('../services/timeOffService');
+
+test('cancelling leave that was approved in the meantime returns 409', async (t) => {
+  stubTransactions(t);
+  const update = t.mock.method(TimeOffRequest, 'findOneAndUpdate', () => query(null));
+  const id = new mongoose.Types.ObjectId();
+
+  await assert.rejects(timeOffService.cancelTimeOffRequest(id), { statusCode: 409 });
+
+  const [filter, change, options] = update.mock.calls[0].arguments;
+  assert.deepStrictEqual(filter, { _id: id, status: 'pending' });
+  assert.deepStrictEqual(change, { status: 'cancelled' });
+  assert.strictEqual(options.session, session);
+});
+
+test('approving leave that was cancelled in the meantime returns 409', async (t) => {
+  stubTransactions(t);
+  t.mock.method(TimeOffRequest, 'findById', () => query(doc(t, { status: 'cancelled' })));
+  const deduct = t.mock.method(leaveBalanceService, 'deductForTimeOff', async () => null);
+
+  await assert.rejects(
+    timeOffService.approveTimeOffRequest(new mongoose.Types.ObjectId(), new mongoose.Types.ObjectId()),
+    { statusCode: 409 }
+  );
+  assert.strictEqual(deduct.mock.callCount(), 0);
+});
+
+const setupApproval = (t) => {
+  const managerId = new mongoose.Types.ObjectId();
+  const staffId = new mongoose.Types.ObjectId();
+  const shift = shiftDoc(t, { status: 'approved', assignedTo: staffId });
+  const timeOff = doc(t, {
+    user: staffId,
+    type: 'vacation',
+    status: 'pending',
+    startDate: shift.date,
+    endDate: shift.date,
+    isPartialDay: false,
+  });
+  const competingRequest = doc(t, { requestedBy: new mongoose.Types.ObjectId(), shift: shift._id });
+  const activeBid = doc(t, { user: new mongoose.Types.ObjectId(), shift: shift._id });
+
+  const transactions = stubTransactions(t);
+  t.mock.method(TimeOffRequest, 'findById', () => query(timeOff));
+  t.mock.method(User, 'findById', () => query(doc(t, { _id: staffId, facility: null, department: 'ICU' })));
+  t.mock.method(leaveRulesService, 'claimDepartmentLeave', async () => {});
+  t.mock.method(leaveRulesService, 'checkTimeOff', async () => ({ isValid: true, errors: [] }));
+  t.mock.method(leaveBalanceService, 'deductForTimeOff', async () => null);
+  t.mock.method(timeOffService, 'findAffectedShifts', async () => [shift]);
+  t.mock.method(overtimeCalculationService, 'removeWorkHours', async () => {});
+  t.mock.method(shiftHistoryService, 'recordHistory', async () => {});
+  t.mock.method(Notification, 'create', async () => []);
+  const notifyMany = t.mock.method(Notification, 'insertMany', async () => []);
+  t.mock.method(ShiftSwapRequest, 'find', () => query([competingRequest]));
+  const rejectRequests = t.mock.method(ShiftSwapRequest, 'updateMany', async () => ({ modifiedCount: 1 }));
+  t.mock.method(ShiftBid, 'find', () => query([activeBid]));
+  const closeBids = t.mock.method(ShiftBid, 'updateMany', async () => ({ modifiedCount: 1 }));
+
+  return { managerId, shift, timeOff, competingRequest, activeBid, transactions, notifyMany, rejectRequests, closeBids };
+};
+
+test('approving leave releases covered shifts and closes their requests and bids in the transaction', async (t) => {
+  const { managerId, shift, timeOff, competingRequest, activeBid, notifyMany, rejectRequests, closeBids } = setupApproval(t);
+  t.mock.method(shiftWaitlistService, 'offerNext', async () => null);
+
+  const result = await timeOffService.approveTimeOffRequest(timeOff._id, managerId);
+
+  assert.strictEqual(result.timeOffRequest.status, 'approved');
+  assert.strictEqual(shift.status, 'open');
+  assert.strictEqual(shift.assignedTo, null);
+
+  const [requestFilter, requestUpdate, requestOptions] = rejectRequests.mock.calls[0].arguments;
+  assert.deepStrictEqual(requestFilter._id.$in, [competingRequest._id]);
+  assert.deepStrictEqual(requestUpdate, { status: 'rejected', manager: managerId });
+  assert.strictEqual(requestOptions.session, session);
+
+  const [bidFilter, bidUpdate, bidOptions] = closeBids.mock.calls[0].arguments;
+  assert.deepStrictEqual(bidFilter._id.$in, [activeBid._id]);
+  assert.deepStrictEqual(bidUpdate, { status: 'lost', decidedBy: managerId });
+  assert.strictEqual(bidOptions.session, session);
+
+  const notified = notifyMany.mock.calls.flatMap(call => call.arguments[0].map(n => n.user));
+  assert.deepStrictEqual(notified, [competingRequest.requestedBy, activeBid.user]);
+});
+
+test('released shifts are offered to their waitlists only after the approval commits', async (t) => {
+  const { managerId, shift, timeOff, transactions } = setupApproval(t);
+  const offerNext = t.mock.method(shiftWaitlistService, 'offerNext', async () => {
+    assert.strictEqual(transactions.active, false);
+    assert.strictEqual(timeOff.status, 'approved');
+    return null;
+  });
+
+  await timeOffService.approveTimeOffRequest(timeOff._id, managerId);
+
+  assert.strictEqual(offerNext.mock.callCount(), 1);
+  assert.strictEqual(offerNext.mock.calls[0].arguments[0], shift._id);
+});
+
+test('a failed waitlist offer does not undo the approval', async (t) => {
+  const { managerId, timeOff } = setupApproval(t);
+  t.mock.method(shiftWaitlistService, 'offerNext', async () => {
+    throw new Error('connection reset');
+  });
+
+  const result = await timeOffService.approveTimeOffRequest(timeOff._id, managerId);
+
+  assert.strictEqual(result.timeOffRequest.status, 'approved');
+  assert.strictEqual(result.releasedShifts.length, 1);
+});
@@ -0,0 +1,42 @@
+/**
+ * ==================================================
+ * LOGGER
+ * ==================================================
+ * All server log output goes through here, so background jobs,
+ * startup and request errors are written the same way.
+ *
+ * LOG_LEVEL in .env picks how much is written: 'info' (default),
+ * 'error' for errors only, or 'silent' for nothing (used by the tests).
+ */
+
+const LEVELS = { silent: 0, error: 1, info: 2 };
+
+const isEnabled = (level) => {
+  const configured = LEVELS[process.env.LOG_LEVEL] ?? LEVELS.info;
+  return configured >= LEVELS[level];
+};
+
+const timestamp = () => `[${new Date().toISOString()}]`;
+
+/**
+ * Log a routine event (startup, connections)
+ *
+ * @param {String} message - What happened
+ */
+exports.info = (message) => {
+  if (isEnabled('info')) {
+    console.log(timestamp(), message);
+  }
+};
+
+/**
+ * Log a failure
+ *
+ * @param {String} message - What failed
+ * @param {Error} error - The error, if there is one
+ */
+exports.error = (message, error) => {
+  if (isEnabled('error')) {
+    console.error(timestamp(), message, ...(error ? [error] : []));
+  }
+};